@@ -85,7 +85,7 @@ async function showHealthStatus() {
   try {
     if (!kafka) return;
     
-    const health = kafka.getHealthStatus();
+    const health = await kafka.checkHealth();
     const processorInfo = kafka.getProcessorRegistryInfo();
     
     console.log('📊 Health Status:', new Date().toLocaleTimeString());
@@ -98,6 +98,14 @@ async function showHealthStatus() {
       if (processorInfo.availableTopics.length > 0) {
         console.log(`    Topics: ${processorInfo.availableTopics.join(', ')}`);
       }
+      const processorHealth = health.processorRegistry && health.processorRegistry.health;
+      if (processorHealth) {
+        for (const [topic, status] of Object.entries(processorHealth.processors)) {
+          if (!status.healthy) {
+            console.log(`    ❌ ${topic}: ${status.error || status.status}`);
+          }
+        }
+      }
     }
     
     console.log('');
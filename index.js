@@ -8,6 +8,13 @@
 const KafkaAccessor = require('./src/kafka-accessor');
 const KafkaTopicProcessor = require('./src/kafka-topic-processor');
 const ProcessorRegistry = require('./src/processor-registry');
+const RetryPolicy = require('./src/retry-policy');
+const { SerdeRegistry } = require('./src/serdes');
+const { SchemaValidationError } = require('./src/schema-validator');
+const { ProcessorTimeoutError } = require('./src/processor-timeout');
+const { WorkerCrashError } = require('./src/worker-pool');
+const middleware = require('./src/middleware');
+const { MemoryDedupStore, FileDedupStore, SqliteDedupStore } = require('./src/dedup-store');
 const SystemLogsProcessor = require('./processors/system-logs');
 
 // Export the main classes
@@ -15,6 +22,15 @@ module.exports = {
   KafkaAccessor,
   KafkaTopicProcessor,
   ProcessorRegistry,
+  RetryPolicy,
+  SerdeRegistry,
+  SchemaValidationError,
+  ProcessorTimeoutError,
+  WorkerCrashError,
+  middleware,
+  MemoryDedupStore,
+  FileDedupStore,
+  SqliteDedupStore,
   SystemLogsProcessor
 };
 
@@ -206,7 +222,14 @@ async function listProcessors() {
         }
       }
     }
-    
+
+    if (processorInfo.pendingTopics.length > 0) {
+      console.log(`\n⏳ Waiting for ${processorInfo.pendingTopics.length} topic(s) (policy: ${processorInfo.missingTopicPolicy}):`);
+      for (const pending of processorInfo.pendingTopics) {
+        console.log(`  📄 ${pending.topic} (${pending.status})`);
+      }
+    }
+
     console.log('\n✅ Processor scan completed');
     
   } catch (error) {
@@ -0,0 +1,146 @@
+/**
+ * Concurrency
+ * Helpers for processing messages in parallel while committing offsets in order
+ */
+
+/**
+ * Limits how many tasks run at the same time; extra tasks wait in FIFO order
+ */
+class ConcurrencyLimiter {
+  /**
+   * @param {number} limit - Maximum number of tasks running at once
+   */
+  constructor(limit) {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Concurrency limit must be a positive integer, got ${limit}`);
+    }
+
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Wait for a free slot
+   * @returns {Promise<void>} Resolves once the caller holds a slot
+   */
+  acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Give a slot back, handing it straight to the next waiting task
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Task result
+   */
+  async run(task) {
+    await this.acquire();
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Describe the limiter
+   * @returns {Object} { limit, active, waiting }
+   */
+  getInfo() {
+    return {
+      limit: this.limit,
+      active: this.active,
+      waiting: this.waiting.length
+    };
+  }
+}
+
+/**
+ * Tracks completed offsets of messages that finish out of order
+ * Only the highest offset below which every tracked message has completed is safe to commit
+ */
+class OffsetTracker {
+  /**
+   * @param {Array<string>} offsets - Offsets to track, in ascending order (more can be added later)
+   */
+  constructor(offsets = []) {
+    this.offsets = [];
+    this.completed = new Set();
+    this.position = 0;
+    offsets.forEach(offset => this.add(offset));
+  }
+
+  /**
+   * Start tracking an offset
+   * Offsets at or below the last tracked one (redeliveries) are already tracked and are ignored
+   * @param {string} offset - Offset of a message about to be processed
+   * @returns {boolean} True if the offset was added
+   */
+  add(offset) {
+    const last = this.offsets[this.offsets.length - 1];
+    if (last !== undefined && BigInt(offset) <= BigInt(last)) {
+      return false;
+    }
+    this.offsets.push(offset);
+    return true;
+  }
+
+  /**
+   * Mark an offset as completed
+   * @param {string} offset - Completed offset
+   * @returns {string|null} New highest contiguous completed offset, or null if it did not move
+   */
+  complete(offset) {
+    const committable = this.getCommittableOffset();
+    if (committable !== null && BigInt(offset) <= BigInt(committable)) {
+      return null;
+    }
+    this.completed.add(offset);
+
+    const start = this.position;
+    while (this.position < this.offsets.length && this.completed.has(this.offsets[this.position])) {
+      this.completed.delete(this.offsets[this.position]);
+      this.position++;
+    }
+
+    if (this.position === start) {
+      return null;
+    }
+
+    // Drop offsets that can no longer change, keeping the committable one
+    if (this.position > 1000) {
+      this.offsets.splice(0, this.position - 1);
+      this.position = 1;
+    }
+    return this.offsets[this.position - 1];
+  }
+
+  /**
+   * Get the highest contiguous completed offset
+   * @returns {string|null} Offset, or null when the first message has not completed
+   */
+  getCommittableOffset() {
+    return this.position > 0 ? this.offsets[this.position - 1] : null;
+  }
+}
+
+module.exports = {
+  ConcurrencyLimiter,
+  OffsetTracker
+};
@@ -0,0 +1,391 @@
+/**
+ * Deduplication Stores
+ * Remember the ids of processed messages for a while, so redelivered copies can be skipped
+ *
+ * A store is any object with async has(key), add(key, ttl), delete(key) and clear(); close() is optional.
+ * reserve(key, ttl) is optional too: it adds a key only when the store does not hold it, in one step, so
+ * copies processed at the same time cannot both pass. Keys stay in a store until their TTL (milliseconds) runs out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_ENTRIES = 10000;
+const STORE_TYPES = ['memory', 'file', 'sqlite'];
+// Expired rows are deleted from SQLite every this many adds
+const SQLITE_PURGE_EVERY = 1000;
+
+/**
+ * In-memory store that forgets the least recently seen keys once it holds maxEntries
+ */
+class MemoryDedupStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxEntries - Most keys kept (default 10000)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    if (!Number.isInteger(this.maxEntries) || this.maxEntries < 1) {
+      throw new Error(`Deduplication store maxEntries must be a positive integer, got ${options.maxEntries}`);
+    }
+    // Key → expiry time; Map order is least recently seen first
+    this.entries = new Map();
+  }
+
+  /**
+   * Check whether a key has been stored and has not expired
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} True for a known key
+   */
+  async has(key) {
+    const expiresAt = this.entries.get(key);
+    if (expiresAt === undefined) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    if (expiresAt <= Date.now()) {
+      return false;
+    }
+    this.entries.set(key, expiresAt);
+    return true;
+  }
+
+  /**
+   * Store a key
+   * @param {string} key - Key
+   * @param {number} ttl - Milliseconds to keep it
+   */
+  async add(key, ttl) {
+    this.addEntry(key, ttl);
+  }
+
+  /**
+   * Store a key as the most recently seen one, evicting the least recently seen past maxEntries
+   * @param {string} key - Key
+   * @param {number} ttl - Milliseconds to keep it
+   */
+  addEntry(key, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, Date.now() + ttl);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Store a key unless it is already stored and has not expired
+   * The check and the write happen without yielding, so concurrent callers cannot both reserve a key
+   * @param {string} key - Key
+   * @param {number} ttl - Milliseconds to keep it
+   * @returns {Promise<boolean>} True when the key was stored, false when it was already there
+   */
+  async reserve(key, ttl) {
+    const expiresAt = this.entries.get(key);
+    if (expiresAt !== undefined && expiresAt > Date.now()) {
+      return false;
+    }
+    this.addEntry(key, ttl);
+    return true;
+  }
+
+  /**
+   * Forget a key
+   * @param {string} key - Key
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Forget every key
+   */
+  async clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Number of keys held, expired ones included until they are looked up or evicted
+   * @returns {number} Key count
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Memory store saved to a JSON file, so keys survive restarts
+ * The file is rewritten after each change; changes made while a write is running share the next write
+ */
+class FileDedupStore extends MemoryDedupStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - JSON file to keep the keys in
+   * @param {number} options.maxEntries - Most keys kept (default 10000)
+   */
+  constructor(options = {}) {
+    super(options);
+    if (!options.path) {
+      throw new Error('Deduplication store file path is required');
+    }
+
+    this.path = options.path;
+    this.writing = Promise.resolve();
+    this.queuedWrite = null;
+    this.load();
+  }
+
+  /**
+   * Read the keys saved by an earlier run, dropping expired ones
+   */
+  load() {
+    if (!fs.existsSync(this.path)) {
+      return;
+    }
+
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid deduplication store file ${this.path}: ${error.message}`);
+    }
+
+    const now = Date.now();
+    for (const [key, expiresAt] of saved.entries || []) {
+      if (expiresAt > now) {
+        this.entries.set(key, expiresAt);
+      }
+    }
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Write the keys to the file (through a temporary file, so a crash never leaves half a file)
+   * @returns {Promise<void>} Resolves once the file holds every change made so far
+   */
+  save() {
+    if (!this.queuedWrite) {
+      this.queuedWrite = this.writing.then(async () => {
+        this.queuedWrite = null;
+        const temporary = `${this.path}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+        await fs.promises.writeFile(temporary, JSON.stringify({ entries: [...this.entries] }));
+        await fs.promises.rename(temporary, this.path);
+      });
+      this.writing = this.queuedWrite.catch(() => {});
+    }
+    return this.queuedWrite;
+  }
+
+  async add(key, ttl) {
+    await super.add(key, ttl);
+    await this.save();
+  }
+
+  async reserve(key, ttl) {
+    const reserved = await super.reserve(key, ttl);
+    if (reserved) {
+      await this.save();
+    }
+    return reserved;
+  }
+
+  async delete(key) {
+    await super.delete(key);
+    await this.save();
+  }
+
+  async clear() {
+    await super.clear();
+    await this.save();
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async close() {
+    await this.writing;
+  }
+}
+
+/**
+ * SQLite store for keys shared by processes on one host, or too many to keep in memory
+ * Uses a better-sqlite3 compatible database (prepare / exec); the better-sqlite3 package is only needed
+ * when no database is passed in
+ */
+class SqliteDedupStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - Database file (when no database is given)
+   * @param {Object} options.database - Open database to use instead
+   * @param {string} options.table - Table name (default 'processed_messages')
+   */
+  constructor(options = {}) {
+    this.table = options.table || 'processed_messages';
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(this.table)) {
+      throw new Error(`Invalid deduplication table name: ${this.table}`);
+    }
+    this.path = options.path;
+    this.ownsDatabase = !options.database;
+    this.addCount = 0;
+    this.connect(options.database || this.openDatabase(this.path));
+  }
+
+  /**
+   * Create the table and prepare the store's statements
+   * @param {Object} database - Open database
+   */
+  connect(database) {
+    this.database = database;
+    this.database.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (key TEXT PRIMARY KEY, expires_at INTEGER NOT NULL)`);
+    this.statements = {
+      has: this.database.prepare(`SELECT 1 AS found FROM ${this.table} WHERE key = ? AND expires_at > ?`),
+      add: this.database.prepare(`INSERT OR REPLACE INTO ${this.table} (key, expires_at) VALUES (?, ?)`),
+      // Inserts a new key or takes over an expired one; a live key is left alone and no row changes
+      reserve: this.database.prepare(
+        `INSERT INTO ${this.table} (key, expires_at) VALUES (?, ?) ` +
+        `ON CONFLICT(key) DO UPDATE SET expires_at = excluded.expires_at WHERE ${this.table}.expires_at <= ?`
+      ),
+      delete: this.database.prepare(`DELETE FROM ${this.table} WHERE key = ?`),
+      purge: this.database.prepare(`DELETE FROM ${this.table} WHERE expires_at <= ?`),
+      clear: this.database.prepare(`DELETE FROM ${this.table}`)
+    };
+  }
+
+  /**
+   * Get the prepared statements, reopening a database the store closed (the registry closes stores on
+   * shutdown and uses them again after a reconnect)
+   * @returns {Object} Statements
+   */
+  getStatements() {
+    if (this.ownsDatabase && !this.database.open) {
+      this.connect(this.openDatabase(this.path));
+    }
+    return this.statements;
+  }
+
+  /**
+   * Open a database file with better-sqlite3
+   * @param {string} file - Database file
+   * @returns {Object} Database
+   */
+  openDatabase(file) {
+    if (!file) {
+      throw new Error('Deduplication store database path is required');
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The sqlite deduplication store needs the better-sqlite3 package: npm install better-sqlite3');
+    }
+    return new Database(file);
+  }
+
+  async has(key) {
+    return !!this.getStatements().has.get(key, Date.now());
+  }
+
+  async add(key, ttl) {
+    const now = Date.now();
+    const statements = this.getStatements();
+    statements.add.run(key, now + ttl);
+    if (++this.addCount % SQLITE_PURGE_EVERY === 0) {
+      statements.purge.run(now);
+    }
+  }
+
+  async reserve(key, ttl) {
+    const now = Date.now();
+    return this.getStatements().reserve.run(key, now + ttl, now).changes > 0;
+  }
+
+  async delete(key) {
+    this.getStatements().delete.run(key);
+  }
+
+  async clear() {
+    this.getStatements().clear.run();
+  }
+
+  /**
+   * Close the database, if the store opened it; it is reopened if the store is used again
+   */
+  async close() {
+    if (this.ownsDatabase && this.database.open) {
+      this.database.close();
+    }
+  }
+}
+
+/**
+ * Create a deduplication store from configuration
+ * @param {Object} config - { type: 'memory' | 'file' | 'sqlite', path, maxEntries, table }, or an object
+ *   already implementing has / add
+ * @returns {Object} Store
+ */
+function createDedupStore(config = {}) {
+  if (typeof config.has === 'function' && typeof config.add === 'function') {
+    return config;
+  }
+
+  const type = config.type || 'memory';
+  if (!STORE_TYPES.includes(type)) {
+    throw new Error(`Invalid deduplication store type: ${type}. Expected one of ${STORE_TYPES.join(', ')}`);
+  }
+  if (type === 'file') {
+    return new FileDedupStore(config);
+  }
+  if (type === 'sqlite') {
+    return new SqliteDedupStore(config);
+  }
+  return new MemoryDedupStore(config);
+}
+
+/**
+ * Get the id a message is deduplicated by
+ * @param {string|Function} messageId - 'header:<name>', 'field:<dotted.path>' in the payload, 'offset' for
+ *   topic/partition/offset, or (message, metadata) => id
+ * @param {*} message - Message payload
+ * @param {Object} metadata - Message metadata (topic, partition, offset, headers)
+ * @returns {string|null} Id, or null when the message does not carry one
+ */
+function getMessageId(messageId, message, metadata = {}) {
+  let id;
+  if (typeof messageId === 'function') {
+    id = messageId(message, metadata);
+  } else if (messageId === 'offset') {
+    id = `${metadata.topic}:${metadata.partition}:${metadata.offset}`;
+  } else if (messageId.startsWith('header:')) {
+    id = metadata.headers ? metadata.headers[messageId.slice('header:'.length)] : undefined;
+  } else {
+    id = messageId.slice('field:'.length).split('.')
+      .reduce((value, field) => (value !== null && typeof value === 'object' ? value[field] : undefined), message);
+  }
+
+  return id === undefined || id === null || id === '' ? null : String(id);
+}
+
+/**
+ * Check a messageId setting
+ * @param {*} messageId - Setting to check
+ * @returns {boolean} True if getMessageId understands it
+ */
+function isValidMessageId(messageId) {
+  if (typeof messageId === 'function' || messageId === 'offset') {
+    return true;
+  }
+  return typeof messageId === 'string' && /^(header|field):.+/.test(messageId);
+}
+
+module.exports = {
+  MemoryDedupStore,
+  FileDedupStore,
+  SqliteDedupStore,
+  createDedupStore,
+  getMessageId,
+  isValidMessageId
+};
@@ -1,6 +1,35 @@
+const os = require('os');
 const { Kafka } = require('kafkajs');
 const winston = require('winston');
 const ProcessorRegistry = require('./processor-registry');
+const { TopicPartitioner } = require('./partitioners');
+const TopicMetadataCache = require('./topic-metadata-cache');
+const { encodeHeaders, decodeHeaders, parseStandardHeaders, createStandardHeaders } = require('./message-headers');
+const RetryPolicy = require('./retry-policy');
+const { getProcessorOption, matchesTopic } = require('./processor-options');
+const { SerdeRegistry } = require('./serdes');
+const { createSchemaRegistry } = require('./schema-registry');
+const { createAvroSerde, createProtobufSerde } = require('./schema-serdes');
+const { SchemaValidationError } = require('./schema-validator');
+const { ConcurrencyLimiter, OffsetTracker } = require('./concurrency');
+const KafkaTransaction = require('./kafka-transaction');
+
+const FAILURE_MODES = ['dead-letter', 'skip', 'pause', 'retry'];
+const COMMIT_STRATEGIES = ['auto', 'per-message', 'periodic'];
+const ISOLATION_LEVELS = ['read_committed', 'read_uncommitted'];
+
+function createProcessingCounters() {
+  return {
+    succeeded: 0,
+    failed: 0,
+    retried: 0,
+    deadLettered: 0,
+    skipped: 0,
+    paused: 0,
+    redelivered: 0,
+    duplicates: 0
+  };
+}
 
 class KafkaAccessor {
   constructor(options = {}) {
@@ -8,7 +37,11 @@ class KafkaAccessor {
     this.config = {
       brokers: options.brokers || process.env.KAFKA_BROKERS || 'localhost:9092',
       clientId: options.clientId || process.env.KAFKA_CLIENT_ID || 'kafka-accessor',
-      groupId: options.groupId || process.env.KAFKA_GROUP_ID || 'kafka-accessor-group'
+      groupId: options.groupId || process.env.KAFKA_GROUP_ID || 'kafka-accessor-group',
+      // Trust allowAutoTopicCreation and never check topics before sending
+      skipTopicCheck: options.skipTopicCheck !== undefined
+        ? !!options.skipTopicCheck
+        : process.env.SKIP_TOPIC_CHECK === 'true'
     };
 
     this.logger = winston.createLogger({
@@ -35,6 +68,196 @@ class KafkaAccessor {
       }
     });
 
+    // Partitioning strategy used by the producer (kafkajs default unless configured)
+    this.partitioner = new TopicPartitioner({
+      partitioner: options.partitioner || process.env.KAFKA_PARTITIONER || 'default',
+      topicPartitioners: options.topicPartitioners
+    });
+
+    // Schema registry for the avro and protobuf serdes (remote URL or local schema directory)
+    this.schemaRegistry = createSchemaRegistry(options.schemaRegistry || {
+      url: process.env.SCHEMA_REGISTRY_URL,
+      username: process.env.SCHEMA_REGISTRY_USERNAME,
+      password: process.env.SCHEMA_REGISTRY_PASSWORD,
+      directory: process.env.SCHEMA_REGISTRY_DIR
+    });
+    const schemaSerdes = this.schemaRegistry
+      ? { avro: createAvroSerde(this.schemaRegistry), protobuf: createProtobufSerde(this.schemaRegistry) }
+      : {};
+
+    // Value serialization: default codec, per-topic codecs and custom codecs
+    this.serdes = new SerdeRegistry({
+      serde: options.serde || process.env.KAFKA_SERDE || 'json',
+      serdes: { ...schemaSerdes, ...(options.serdes || {}) },
+      topicSerdes: options.topicSerdes
+    });
+
+    // Validate outgoing payloads against the topic's JSON Schema (can be overridden per send)
+    this.validateOnSend = options.validateOnSend !== undefined
+      ? !!options.validateOnSend
+      : process.env.SCHEMA_VALIDATE_ON_SEND === 'true';
+
+    // Header handling: standard headers added on send, Buffer headers decoded on consume
+    const binaryHeaders = options.binaryHeaders || process.env.KAFKA_BINARY_HEADERS;
+    this.headerConfig = {
+      standardHeaders: parseStandardHeaders(options.standardHeaders !== undefined
+        ? options.standardHeaders
+        : process.env.KAFKA_STANDARD_HEADERS),
+      decode: options.decodeHeaders !== undefined
+        ? options.decodeHeaders !== false
+        : process.env.KAFKA_DECODE_HEADERS !== 'false',
+      binaryHeaders: Array.isArray(binaryHeaders)
+        ? binaryHeaders
+        : (binaryHeaders ? binaryHeaders.split(',').map(name => name.trim()) : [])
+    };
+
+    // Default retry policy for processors that do not declare their own
+    this.retryDefaults = {
+      maxAttempts: parseInt(process.env.PROCESSOR_RETRY_ATTEMPTS) || 3,
+      initialDelay: parseInt(process.env.PROCESSOR_RETRY_INITIAL_DELAY) || 100,
+      maxDelay: parseInt(process.env.PROCESSOR_RETRY_MAX_DELAY) || 30000,
+      ...(options.retryPolicy || {})
+    };
+
+    // Messages that exhaust their retries are sent to `<topic><suffix>` once dead-lettering is turned on
+    const deadLetterOptions = options.deadLetter || {};
+    this.deadLetterConfig = {
+      enabled: deadLetterOptions.enabled !== undefined
+        ? deadLetterOptions.enabled !== false
+        : process.env.DLQ_ENABLED === 'true',
+      suffix: deadLetterOptions.suffix || process.env.DLQ_TOPIC_SUFFIX || '.DLQ'
+    };
+
+    // What happens to a message once its retries are exhausted. Without a configured mode, failed
+    // messages are logged and skipped unless dead-lettering is on or the processor declares `deadLetterTopic`.
+    this.failureConfig = {
+      mode: options.failureMode || process.env.PROCESSOR_FAILURE_MODE || null,
+      pauseDuration: options.pauseDuration !== undefined
+        ? options.pauseDuration
+        : parseInt(process.env.PROCESSOR_PAUSE_DURATION) || 0
+    };
+    if (this.failureConfig.mode && !FAILURE_MODES.includes(this.failureConfig.mode)) {
+      throw new Error(`Invalid failure mode: ${this.failureConfig.mode}. Expected one of ${FAILURE_MODES.join(', ')}`);
+    }
+    this.pausedPartitions = new Map();
+
+    // Follow processors added or removed by the registry's hot reload
+    this.subscriptionConfig = {
+      dynamic: options.dynamicSubscriptions !== undefined
+        ? options.dynamicSubscriptions !== false
+        : process.env.PROCESSORS_DYNAMIC_SUBSCRIPTIONS !== 'false',
+      delay: options.resubscribeDelay !== undefined
+        ? options.resubscribeDelay
+        : parseInt(process.env.PROCESSORS_RESUBSCRIBE_DELAY) || 1000,
+      // kafkajs matches pattern subscriptions once, so topics are listed again to find new matches (0 = never)
+      patternRefreshInterval: options.patternRefreshInterval !== undefined
+        ? options.patternRefreshInterval
+        : parseInt(process.env.PROCESSORS_PATTERN_REFRESH_INTERVAL) || 30000
+    };
+    this.subscribedTopics = [];
+    // Topics subscribed with subscribeToTopic() on the shared consumer, which a resubscribe would drop
+    this.customTopics = [];
+    this.patternTopics = [];
+    this.patternRefreshTimer = null;
+    this.registryListeners = null;
+    this.resubscribeTimer = null;
+    this.pendingResubscribe = Promise.resolve();
+
+    // Processor consumer concurrency: partitions handled at once, and messages in flight per
+    // partition (above 1, different keys are processed in parallel while each key stays in order)
+    this.concurrencyConfig = {
+      partitionsConsumedConcurrently: options.partitionsConsumedConcurrently
+        || parseInt(process.env.CONSUMER_PARTITIONS_CONSUMED_CONCURRENTLY) || 1,
+      keyParallelism: options.keyParallelism || parseInt(process.env.CONSUMER_KEY_PARALLELISM) || 1
+    };
+    for (const [name, value] of Object.entries(this.concurrencyConfig)) {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`${name} must be a positive integer, got ${value}`);
+      }
+    }
+    // Limiters for processors that declare a `concurrency`, by topic
+    this.processorLimiters = new Map();
+
+    // Batch processors (processBatch): most messages per call, and how long a fetch waits to fill up
+    const batchOptions = options.batch || {};
+    this.batchConfig = {
+      maxSize: batchOptions.maxSize || parseInt(process.env.CONSUMER_BATCH_MAX_SIZE) || 500,
+      maxWaitTime: batchOptions.maxWaitTime || parseInt(process.env.CONSUMER_BATCH_MAX_WAIT) || undefined,
+      minBytes: batchOptions.minBytes || parseInt(process.env.CONSUMER_MIN_BYTES) || undefined
+    };
+    this.consumerMode = null;
+
+    // Offset commits: 'auto' leaves them to kafkajs, 'per-message' commits after every processed
+    // message and 'periodic' every `commitThreshold` messages or `commitInterval` ms
+    this.commitConfig = {
+      strategy: options.commitStrategy || process.env.CONSUMER_COMMIT_STRATEGY || 'auto',
+      interval: options.commitInterval || parseInt(process.env.CONSUMER_COMMIT_INTERVAL) || 5000,
+      threshold: options.commitThreshold || parseInt(process.env.CONSUMER_COMMIT_THRESHOLD) || 100
+    };
+    if (!COMMIT_STRATEGIES.includes(this.commitConfig.strategy)) {
+      throw new Error(`Invalid commit strategy: ${this.commitConfig.strategy}. Expected one of ${COMMIT_STRATEGIES.join(', ')}`);
+    }
+    this.offsetTrackers = new Map();
+    // Processor handlers kafkajs is running, and whether the consumer is draining them before it stops
+    this.activeHandlers = new Set();
+    this.draining = false;
+    this.uncommittedCount = 0;
+    this.commitTimer = null;
+    this.commitChain = Promise.resolve();
+    this.lastCommitAt = null;
+
+    // Delivery guarantees: idempotent producers never write duplicates when retrying a send, and
+    // exactly-once processing commits each message's offset in the transaction holding its output
+    const exactlyOnce = options.exactlyOnce !== undefined
+      ? !!options.exactlyOnce
+      : process.env.KAFKA_EXACTLY_ONCE === 'true';
+    this.transactionConfig = {
+      exactlyOnce,
+      idempotent: exactlyOnce || (options.idempotent !== undefined
+        ? !!options.idempotent
+        : process.env.PRODUCER_IDEMPOTENT === 'true'),
+      transactionalId: options.transactionalId || process.env.KAFKA_TRANSACTIONAL_ID || `${this.config.clientId}-${os.hostname()}-tx`,
+      timeout: options.transactionTimeout || parseInt(process.env.PRODUCER_TIMEOUT) || 30000,
+      isolationLevel: options.isolationLevel || process.env.CONSUMER_ISOLATION_LEVEL || 'read_committed'
+    };
+    if (!ISOLATION_LEVELS.includes(this.transactionConfig.isolationLevel)) {
+      throw new Error(`Invalid isolation level: ${this.transactionConfig.isolationLevel}. Expected one of ${ISOLATION_LEVELS.join(', ')}`);
+    }
+    if (exactlyOnce) {
+      if (this.commitConfig.strategy !== 'auto') {
+        throw new Error(`Exactly-once processing commits offsets in transactions and cannot use the ${this.commitConfig.strategy} commit strategy`);
+      }
+      if (this.concurrencyConfig.keyParallelism > 1) {
+        throw new Error('Exactly-once processing handles one message per partition at a time and cannot use keyParallelism');
+      }
+      if (this.transactionConfig.isolationLevel !== 'read_committed') {
+        throw new Error('Exactly-once processing requires the read_committed isolation level');
+      }
+      // A shared id makes replicas fence each other, and one that changes on restart cannot fence a zombie
+      if (!options.transactionalId && !process.env.KAFKA_TRANSACTIONAL_ID) {
+        throw new Error('Exactly-once processing requires a transactionalId (KAFKA_TRANSACTIONAL_ID) that is unique and stable per instance');
+      }
+    }
+    // A producer runs one transaction at a time
+    this.transactionLimiter = new ConcurrencyLimiter(1);
+    this.transactionalProducer = null;
+    this.transactionCounts = { committed: 0, aborted: 0 };
+    this.processingMetrics = {
+      totals: createProcessingCounters(),
+      topics: {}
+    };
+
+    // Cache topic existence and partition metadata to avoid admin round-trips per send
+    const topicCacheOptions = options.topicCache || {};
+    this.topicCache = new TopicMetadataCache({
+      enabled: topicCacheOptions.enabled !== undefined
+        ? topicCacheOptions.enabled
+        : process.env.TOPIC_CACHE_ENABLED !== 'false',
+      ttl: topicCacheOptions.ttl || parseInt(process.env.TOPIC_CACHE_TTL) || 60000,
+      negativeTtl: topicCacheOptions.negativeTtl || parseInt(process.env.TOPIC_CACHE_NEGATIVE_TTL) || 5000
+    });
+    this.pendingTopicList = null;
+
     this.producer = null;
     this.consumer = null;
     this.admin = null;
@@ -43,7 +266,22 @@ class KafkaAccessor {
     this.processorRegistry = new ProcessorRegistry({
       processorsDir: process.env.PROCESSORS_DIR || './processors',
       autoRefresh: process.env.PROCESSORS_AUTO_REFRESH !== 'false',
-      refreshInterval: parseInt(process.env.PROCESSORS_REFRESH_INTERVAL) || 10000
+      refreshInterval: parseInt(process.env.PROCESSORS_REFRESH_INTERVAL) || 10000,
+      invalidMessageAction: options.invalidMessageAction,
+      kafkaAccessor: this,
+      resources: options.resources,
+      missingTopicPolicy: options.missingTopicPolicy,
+      topicPollInterval: options.topicPollInterval,
+      topicConfig: options.processorTopicConfig,
+      fanOut: options.fanOut,
+      exactlyOnce,
+      dedupStore: options.dedupStore,
+      dedupTtl: options.dedupTtl,
+      dedupReservationTtl: options.dedupReservationTtl,
+      processorTimeout: options.processorTimeout,
+      isolation: options.isolation,
+      workerPoolSize: options.workerPoolSize,
+      workerRestartOnCrash: options.workerRestartOnCrash
     });
   }
 
@@ -78,10 +316,13 @@ class KafkaAccessor {
 
   /**
    * Check if a topic exists
+   * Results are served from the topic cache while fresh
    * @param {string} topic - Topic name
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.refresh - Bypass the cache and query the cluster
    * @returns {boolean} - True if topic exists, false otherwise
    */
-  async topicExists(topic) {
+  async topicExists(topic, options = {}) {
     try {
       // Validate topic parameter
       if (!topic || typeof topic !== 'string') {
@@ -89,6 +330,13 @@ class KafkaAccessor {
         return false;
       }
 
+      if (!options.refresh) {
+        const cached = this.topicCache.getExists(topic);
+        if (cached !== undefined) {
+          return cached;
+        }
+      }
+
       // Auto-initialize admin if not already initialized
       if (!this.admin) {
         await this.initAdmin();
@@ -100,280 +348,2129 @@ class KafkaAccessor {
         await this.admin.connect();
       }
       
-      const topics = await this.admin.listTopics();
+      const topics = await this.listTopicsOnce();
       
       // Validate that topics is an array
       if (!Array.isArray(topics)) {
         this.logger.error('Admin listTopics returned non-array result', { topics, type: typeof topics });
         return false;
       }
+
+      this.topicCache.setTopics(topics);
+      const exists = topics.includes(topic);
+      if (!exists) {
+        this.topicCache.setExists(topic, false);
+      }
+      
+      return exists;
+    } catch (error) {
+      this.logger.error('Failed to check topic existence', { topic, error: error.message, stack: error.stack });
+      return false;
+    }
+  }
+
+  /**
+   * List topics, sharing a single in-flight admin request between concurrent callers
+   * @returns {Promise<Array<string>>} Topic names
+   */
+  async listTopicsOnce() {
+    if (!this.pendingTopicList) {
+      this.pendingTopicList = Promise.resolve(this.admin.listTopics()).finally(() => {
+        this.pendingTopicList = null;
+      });
+    }
+    return this.pendingTopicList;
+  }
+
+  /**
+   * Drop cached metadata for a topic, or for all topics when none is given
+   * @param {string} topic - Topic name (optional)
+   */
+  invalidateTopicCache(topic) {
+    this.topicCache.invalidate(topic);
+    this.logger.debug('Topic cache invalidated', { topic: topic || 'all' });
+  }
+
+  /**
+   * Create a topic with default configuration
+   * @param {string} topic - Topic name
+   * @param {Object} options - Topic creation options
+   */
+  async createTopic(topic, options = {}) {
+    try {
+      // Validate topic parameter
+      if (!topic || typeof topic !== 'string') {
+        throw new Error('Topic name must be a valid string');
+      }
+
+      // Auto-initialize admin if not already initialized
+      if (!this.admin) {
+        await this.initAdmin();
+      }
+
+      // Ensure admin client is connected
+      if (this.admin.isConnected && !this.admin.isConnected()) {
+        this.logger.warn('Admin client disconnected, reconnecting...');
+        await this.admin.connect();
+      }
+
+      // Ensure options is an object and filter out undefined values
+      const safeOptions = options && typeof options === 'object' ? options : {};
+      
+      const topicConfig = {
+        topic,
+        numPartitions: safeOptions.numPartitions || 1,
+        replicationFactor: safeOptions.replicationFactor || 1,
+        configEntries: safeOptions.configEntries || []
+      };
+
+      // Additional validation to ensure no undefined values in topicConfig
+      if (topicConfig.numPartitions === undefined || topicConfig.replicationFactor === undefined || topicConfig.configEntries === undefined) {
+        throw new Error('Invalid topic configuration: all values must be defined');
+      }
+
+      // Validate topicConfig before calling createTopics
+      if (!topicConfig.topic || typeof topicConfig.topic !== 'string') {
+        throw new Error('Invalid topic configuration: topic must be a valid string');
+      }
+
+      this.logger.debug('Creating topic with config', { topicConfig });
+      
+      // Ensure we pass an array to createTopics
+      this.topicCache.invalidate(topic);
+      const result = await this.admin.createTopics([topicConfig]);
+      this.topicCache.setExists(topic, true);
+      
+      this.logger.info('Topic created successfully', { topic, config: topicConfig, result });
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to create topic', { topic, error: error.message, stack: error.stack });
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure topic exists, create if it doesn't
+   * @param {string} topic - Topic name
+   * @param {Object} options - Topic creation options
+   */
+  async ensureTopicExists(topic, options = {}) {
+    if (this.config.skipTopicCheck) {
+      return false; // Rely on the broker's auto topic creation
+    }
+
+    try {
+      const exists = await this.topicExists(topic);
+      if (!exists) {
+        this.logger.info('Topic does not exist, creating...', { topic });
+        await this.createTopic(topic, options);
+        return true; // Topic was created
+      }
+      return false; // Topic already existed
+    } catch (error) {
+      this.logger.error('Failed to ensure topic exists', { topic, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Initialize the Kafka producer
+   */
+  async initProducer() {
+    try {
+      if (!this.producer) {
+        this.producer = this.createProducer({ idempotent: this.transactionConfig.idempotent });
+
+        await this.producer.connect();
+        this.logger.debug('Kafka producer initialized successfully');
+      }
+      return this.producer;
+    } catch (error) {
+      this.logger.error('Failed to initialize producer', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Initialize the transactional producer used by transaction() and exactly-once processing
+   * @returns {Promise<Object>} kafkajs producer
+   */
+  async initTransactionalProducer() {
+    try {
+      if (!this.transactionalProducer) {
+        this.transactionalProducer = this.createProducer({
+          idempotent: true,
+          transactionalId: this.transactionConfig.transactionalId
+        });
+
+        await this.transactionalProducer.connect();
+        this.logger.debug('Kafka transactional producer initialized successfully', {
+          transactionalId: this.transactionConfig.transactionalId
+        });
+      }
+      return this.transactionalProducer;
+    } catch (error) {
+      this.transactionalProducer = null;
+      this.logger.error('Failed to initialize transactional producer', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a kafkajs producer
+   * Idempotent producers keep a single request in flight and retry until the send succeeds,
+   * so a retried send is never written twice
+   * @param {Object} options - Producer options
+   * @param {boolean} options.idempotent - Enable idempotent writes
+   * @param {string} options.transactionalId - Transactional id (transactional producers only)
+   * @returns {Object} kafkajs producer
+   */
+  createProducer({ idempotent = false, transactionalId } = {}) {
+    const retries = parseInt(process.env.PRODUCER_RETRY_ATTEMPTS);
+    return this.kafka.producer({
+      allowAutoTopicCreation: true,
+      transactionTimeout: this.transactionConfig.timeout,
+      createPartitioner: this.partitioner.toKafkaPartitioner(),
+      ...(idempotent ? { idempotent: true, maxInFlightRequests: 1 } : {}),
+      ...(transactionalId ? { transactionalId } : {}),
+      retry: {
+        initialRetryTime: 100,
+        retries: retries || (idempotent ? Number.MAX_SAFE_INTEGER : 3)
+      }
+    });
+  }
+
+  /**
+   * Run a function in a Kafka transaction
+   * Everything sent through `tx` (and offsets committed with tx.sendOffsets) is committed when the
+   * function resolves and aborted when it throws. Transactions run one at a time per accessor
+   * @param {Function} work - async tx => result, with tx offering send, sendMessages, sendBatch and sendOffsets
+   * @returns {Promise<*>} Result of the function
+   */
+  async transaction(work) {
+    return this.transactionLimiter.run(async () => {
+      const producer = await this.initTransactionalProducer();
+      const transaction = await producer.transaction();
+      const tx = new KafkaTransaction(this, transaction);
+      let result;
+      try {
+        result = await work(tx);
+        await transaction.commit();
+        this.transactionCounts.committed++;
+      } catch (error) {
+        this.transactionCounts.aborted++;
+        if (transaction.isActive()) {
+          try {
+            await transaction.abort();
+          } catch (abortError) {
+            this.logger.error('Failed to abort transaction', { error: abortError.message });
+          }
+        }
+        this.logger.warn('Transaction aborted', { error: error.message });
+        await tx.settle('abort');
+        throw error;
+      }
+      await tx.settle('commit');
+      return result;
+    });
+  }
+
+  /**
+   * Describe the producer's delivery guarantees
+   * @returns {Object} Transaction configuration and committed / aborted counts
+   */
+  getTransactionInfo() {
+    const { exactlyOnce, idempotent, transactionalId, isolationLevel } = this.transactionConfig;
+    return {
+      exactlyOnce,
+      idempotent,
+      transactionalId,
+      isolationLevel,
+      ...this.transactionCounts
+    };
+  }
+
+  /**
+   * Share a resource (DB pool, cache, client, ...) with every processor as context.resources[name]
+   * @param {string} name - Resource name
+   * @param {*} resource - Resource
+   */
+  registerResource(name, resource) {
+    this.processorRegistry.registerResource(name, resource);
+  }
+
+  /**
+   * Add middleware around processor execution (see ProcessorRegistry.use)
+   * @param {string|RegExp|Function} topicOrMiddleware - Topic name or pattern, or the middleware itself
+   * @param {Function} middleware - async (ctx, next) => {} when a topic is given
+   * @returns {KafkaAccessor} The accessor, so calls can be chained
+   */
+  use(topicOrMiddleware, middleware) {
+    this.processorRegistry.use(topicOrMiddleware, middleware);
+    return this;
+  }
+
+  /**
+   * Set the partitioning strategy for a specific topic
+   * @param {string} topic - Topic name
+   * @param {string|Function|Object} strategy - 'default', 'murmur2', 'round-robin', 'sticky', a custom function or { strategy, ...options }
+   */
+  setTopicPartitioner(topic, strategy) {
+    this.partitioner.setTopicPartitioner(topic, strategy);
+    this.logger.debug('Topic partitioner configured', { topic, partitioner: this.partitioner.getInfo().topics[topic] });
+  }
+
+  /**
+   * Register a custom serde that topics, processors and sends can refer to by name
+   * @param {string} name - Serde name
+   * @param {Object} codec - Codec as { serialize(value), deserialize(buffer), contentType }
+   */
+  registerSerde(name, codec) {
+    this.serdes.register(name, codec);
+  }
+
+  /**
+   * Use a specific serde for a topic on both the producer and consumer side
+   * @param {string} topic - Topic name
+   * @param {string|Object} serde - Serde name or codec
+   */
+  setTopicSerde(topic, serde) {
+    this.serdes.setTopicSerde(topic, serde);
+    this.logger.debug('Topic serde configured', { topic, serde: this.serdes.getInfo().topics[topic] });
+  }
+
+  /**
+   * Initialize the Kafka consumer
+   */
+  async initConsumer() {
+    try {
+      await this.createConsumer();
+      
+      // Ensure admin client is initialized before processor discovery
+      if (!this.admin) {
+        await this.initAdmin();
+      }
+      
+      // Automatically discover and subscribe to topics with processors
+      await this.autoSubscribeToProcessorTopics();
+      
+      return this.consumer;
+    } catch (error) {
+      this.logger.error('Failed to initialize consumer', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create and connect the group consumer
+   * @returns {Promise<Object>} kafkajs consumer
+   */
+  async createConsumer() {
+    this.consumer = this.kafka.consumer({
+      groupId: this.config.groupId,
+      sessionTimeout: parseInt(process.env.CONSUMER_SESSION_TIMEOUT) || 30000,
+      heartbeatInterval: parseInt(process.env.CONSUMER_HEARTBEAT_INTERVAL) || 3000,
+      maxBytesPerPartition: parseInt(process.env.CONSUMER_MAX_BYTES) || 1048576,
+      readUncommitted: this.transactionConfig.isolationLevel === 'read_uncommitted',
+      ...(this.batchConfig.maxWaitTime ? { maxWaitTimeInMs: this.batchConfig.maxWaitTime } : {}),
+      ...(this.batchConfig.minBytes ? { minBytes: this.batchConfig.minBytes } : {})
+    });
+
+    // Offsets processed before a rebalance belong to the previous assignment
+    this.consumer.on(this.consumer.events.GROUP_JOIN, event => {
+      this.retainAssignedOffsets(event.payload.memberAssignment);
+    });
+
+    await this.consumer.connect();
+    this.logger.debug('Kafka consumer initialized successfully');
+
+    return this.consumer;
+  }
+
+  /**
+   * Automatically subscribe to all topics that have processors
+   */
+  async autoSubscribeToProcessorTopics() {
+    try {
+      // A previous disconnect aborted the processors' shutdown signal
+      if (typeof this.processorRegistry.resetShutdownSignal === 'function') {
+        this.processorRegistry.resetShutdownSignal();
+      }
+
+      // Auto-discover processors
+      await this.processorRegistry.autoDiscoverProcessors({
+        kafkaAccessor: this
+      });
+
+      // Processors registered from now on are picked up by resubscribing
+      this.watchProcessorRegistry();
+
+      const availableTopics = this.processorRegistry.getAvailableTopics();
       
-      return topics.includes(topic);
+      if (availableTopics.length === 0) {
+        this.logger.info('No processors found - no topics to subscribe to');
+        return;
+      }
+
+      this.logger.info(`Auto-subscribing to ${availableTopics.length} topics with processors:`, availableTopics);
+
+      // Ensure consumer is initialized before subscribing
+      if (!this.consumer) {
+        await this.createConsumer();
+      }
+
+      await this.runProcessorConsumer(availableTopics);
+
+      this.logger.info(`Successfully subscribed to ${availableTopics.length} topics`);
+    } catch (error) {
+      this.logger.error('Failed to auto-subscribe to processor topics', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe the consumer to processor topics and start processing
+   * @param {Array<string>} topics - Topics with processors
+   */
+  async runProcessorConsumer(topics) {
+    // Subscribe to all topics at once
+    await this.consumer.subscribe({
+      topics,
+      fromBeginning: false
+    });
+
+    const { partitionsConsumedConcurrently } = this.concurrencyConfig;
+    const mode = this.getProcessorConsumerMode(topics);
+    const commitOptions = this.isManualCommit() || this.transactionConfig.exactlyOnce ? { autoCommit: false } : {};
+
+    // Set up message processing
+    if (mode === 'batch') {
+      await this.consumer.run({
+        partitionsConsumedConcurrently,
+        ...commitOptions,
+        eachBatchAutoResolve: false,
+        eachBatch: async payload => {
+          await this.trackHandler(() => this.handleProcessorBatch(payload));
+        }
+      });
+    } else {
+      await this.consumer.run({
+        partitionsConsumedConcurrently,
+        ...commitOptions,
+        eachMessage: async ({ topic, partition, message, heartbeat }) => {
+          await this.trackHandler(() => this.dispatchProcessorMessage({ topic, partition, message, heartbeat }));
+        }
+      });
+    }
+
+    this.subscribedTopics = [...topics];
+    this.consumerMode = mode;
+    this.patternTopics = await this.matchPatternTopics(topics);
+    this.startPatternRefresh();
+
+    if (this.commitConfig.strategy === 'periodic') {
+      this.startCommitTimer();
+    }
+  }
+
+  /**
+   * Run a consumer handler, remembering it until it finishes so stopConsumer() can wait for it
+   * @param {Function} handler - async () => {}
+   * @returns {Promise<*>} Handler result
+   */
+  async trackHandler(handler) {
+    const running = handler();
+    this.activeHandlers.add(running);
+    try {
+      return await running;
+    } finally {
+      this.activeHandlers.delete(running);
+    }
+  }
+
+  /**
+   * Stop the consumer without losing the offsets of messages still being processed
+   * The processor topics are paused and batch handlers stop at the next message, running handlers are awaited,
+   * their offsets are committed (manual strategies), and only then does the consumer leave the group
+   */
+  async stopConsumer() {
+    this.draining = true;
+    try {
+      const topics = [...this.subscribedTopics.filter(topic => typeof topic === 'string'), ...this.patternTopics];
+      if (topics.length > 0) {
+        try {
+          this.consumer.pause(topics.map(topic => ({ topic })));
+        } catch (error) {
+          this.logger.debug('Could not pause topics before stopping the consumer', { error: error.message });
+        }
+      }
+      await Promise.allSettled([...this.activeHandlers]);
+
+      this.stopCommitTimer();
+      await this.flushOffsets();
+      await this.consumer.disconnect();
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Decide how the processor consumer receives messages
+   * Batches are needed for processors implementing processBatch and for per-key parallelism
+   * @param {Array<string>} topics - Topics with processors
+   * @returns {string} 'batch' or 'message'
+   */
+  getProcessorConsumerMode(topics) {
+    if (this.concurrencyConfig.keyParallelism > 1) {
+      return 'batch';
+    }
+    const batchTopics = topics.filter(topic => {
+      const processor = this.processorRegistry.getProcessor(topic);
+      return !!processor && typeof processor.processBatch === 'function';
+    });
+    if (batchTopics.length > 0 && this.transactionConfig.exactlyOnce) {
+      throw new Error(`Exactly-once processing does not support batch processors (topics: ${batchTopics.join(', ')})`);
+    }
+    return batchTopics.length > 0 ? 'batch' : 'message';
+  }
+
+  /**
+   * Listen for processors being registered or removed and resubscribe when the topic set changes
+   */
+  watchProcessorRegistry() {
+    const registry = this.processorRegistry;
+    if (!this.subscriptionConfig.dynamic || this.registryListeners || !registry || typeof registry.on !== 'function') {
+      return;
+    }
+
+    const schedule = () => this.scheduleResubscribe();
+    this.registryListeners = {
+      registry,
+      events: ['processor:registered', 'processor:updated', 'processor:deregistered', 'registry:cleared'],
+      listener: schedule
+    };
+    for (const event of this.registryListeners.events) {
+      registry.on(event, schedule);
+    }
+  }
+
+  /**
+   * Stop listening to processor registry events
+   */
+  unwatchProcessorRegistry() {
+    if (!this.registryListeners) {
+      return;
+    }
+    const { registry, events, listener } = this.registryListeners;
+    for (const event of events) {
+      registry.removeListener(event, listener);
+    }
+    this.registryListeners = null;
+  }
+
+  /**
+   * Resubscribe after a short delay so a refresh that registers several processors causes one restart
+   */
+  scheduleResubscribe() {
+    if (this.resubscribeTimer) {
+      return;
+    }
+
+    this.resubscribeTimer = setTimeout(() => {
+      this.resubscribeTimer = null;
+      // Chain onto the previous run so two restarts never overlap
+      this.pendingResubscribe = this.pendingResubscribe
+        .then(() => this.reconcileSubscriptions())
+        .catch(error => {
+          this.logger.error('Failed to update processor subscriptions', { error: error.message });
+        });
+    }, this.subscriptionConfig.delay);
+
+    if (this.resubscribeTimer.unref) {
+      this.resubscribeTimer.unref();
+    }
+  }
+
+  /**
+   * Bring the consumer's subscriptions (and eachMessage / eachBatch mode) in line with the registered processors
+   * kafkajs cannot unsubscribe or subscribe while running, so the consumer is disconnected (committing
+   * resolved offsets) and a new one joins the group with the current topics, resuming from committed offsets.
+   * A consumer shared with subscribeToTopic() handlers is left running, since the new one would drop them
+   * @returns {Promise<Object>} Changes as { added, removed }
+   */
+  async reconcileSubscriptions() {
+    const topics = this.processorRegistry.getAvailableTopics();
+    const patternTopics = await this.matchPatternTopics(topics);
+    const keys = topics.map(String);
+    const subscribedKeys = this.subscribedTopics.map(String);
+    // Topics and patterns, plus topics that started or stopped matching a pattern
+    const added = [
+      ...keys.filter(topic => !subscribedKeys.includes(topic)),
+      ...patternTopics.filter(topic => !this.patternTopics.includes(topic))
+    ];
+    const removed = [
+      ...subscribedKeys.filter(topic => !keys.includes(topic)),
+      ...this.patternTopics.filter(topic => !patternTopics.includes(topic))
+    ];
+    const modeChanged = topics.length > 0 && this.getProcessorConsumerMode(topics) !== this.consumerMode;
+
+    if (added.length === 0 && removed.length === 0 && !modeChanged) {
+      return { added, removed };
+    }
+
+    // A new consumer would lose the custom handlers, so processor changes wait for the next start
+    if (this.consumer && this.customTopics.length > 0) {
+      this.logger.warn('Processor subscriptions not updated while custom subscriptions share the consumer', {
+        added,
+        removed,
+        customTopics: this.customTopics
+      });
+      return { added: [], removed: [] };
+    }
+
+    this.logger.info('Updating processor subscriptions', { added, removed, modeChanged });
+
+    if (this.consumer) {
+      await this.stopConsumer();
+      this.consumer = null;
+    }
+    this.stopCommitTimer();
+    this.stopPatternRefresh();
+    this.offsetTrackers.clear();
+    this.subscribedTopics = [];
+    this.patternTopics = [];
+    this.consumerMode = null;
+    this.clearPausedPartitions();
+
+    if (topics.length > 0) {
+      await this.createConsumer();
+      await this.runProcessorConsumer(topics);
+    }
+
+    this.logger.info('Processor subscriptions updated', { topics });
+    return { added, removed };
+  }
+
+  /**
+   * List the existing topics matching the pattern subscriptions among the given topics
+   * @param {Array<string|RegExp>} topics - Subscribed topics and patterns
+   * @returns {Promise<Array<string>>} Matching topic names, sorted; empty without patterns
+   */
+  async matchPatternTopics(topics) {
+    const patterns = topics.filter(topic => topic instanceof RegExp);
+    if (patterns.length === 0) {
+      return [];
+    }
+
+    if (!this.admin) {
+      await this.initAdmin();
+    }
+    const existing = await this.listTopicsOnce();
+    return existing.filter(topic => patterns.some(pattern => matchesTopic(pattern, topic))).sort();
+  }
+
+  /**
+   * Periodically look for new topics matching the pattern subscriptions and resubscribe when there are any
+   */
+  startPatternRefresh() {
+    const interval = this.subscriptionConfig.patternRefreshInterval;
+    if (this.patternRefreshTimer || !interval || !this.subscribedTopics.some(topic => topic instanceof RegExp)) {
+      return;
+    }
+
+    this.patternRefreshTimer = setInterval(async () => {
+      try {
+        const patternTopics = await this.matchPatternTopics(this.subscribedTopics);
+        const changed = patternTopics.length !== this.patternTopics.length
+          || patternTopics.some(topic => !this.patternTopics.includes(topic));
+        if (changed) {
+          this.logger.info('Topics matching processor patterns changed', { topics: patternTopics });
+          this.scheduleResubscribe();
+        }
+      } catch (error) {
+        this.logger.warn('Could not refresh pattern subscriptions', { error: error.message });
+      }
+    }, interval);
+
+    if (this.patternRefreshTimer.unref) {
+      this.patternRefreshTimer.unref();
+    }
+  }
+
+  /**
+   * Stop looking for new topics matching pattern subscriptions
+   */
+  stopPatternRefresh() {
+    if (this.patternRefreshTimer) {
+      clearInterval(this.patternRefreshTimer);
+      this.patternRefreshTimer = null;
+    }
+  }
+
+  /**
+   * Handle a kafkajs batch for the processor consumer
+   * @param {Object} payload - kafkajs eachBatch arguments
+   */
+  async handleProcessorBatch(payload) {
+    const processor = this.processorRegistry.getProcessor(payload.batch.topic);
+    if (processor && typeof processor.processBatch === 'function') {
+      return this.handleBatchProcessor(payload, processor);
+    }
+    if (this.concurrencyConfig.keyParallelism > 1) {
+      return this.handleParallelBatch(payload);
+    }
+    return this.handleSequentialBatch(payload);
+  }
+
+  /**
+   * Process a batch one message at a time, as eachMessage would
+   * @param {Object} payload - kafkajs eachBatch arguments
+   */
+  async handleSequentialBatch({ batch, resolveOffset, heartbeat, commitOffsetsIfNecessary, isRunning, isStale }) {
+    const { topic, partition } = batch;
+    for (const message of batch.messages) {
+      if (!isRunning() || isStale() || this.draining) {
+        break;
+      }
+      await this.dispatchProcessorMessage({ topic, partition, message, heartbeat });
+      resolveOffset(message.offset);
+      await commitOffsetsIfNecessary();
+      await heartbeat();
+    }
+  }
+
+  /**
+   * Hand a batch to a processor's processBatch in chunks of at most `maxBatchSize` messages
+   * Each chunk's offsets are resolved and committed once its messages succeeded or were handled by the failure mode
+   * @param {Object} payload - kafkajs eachBatch arguments
+   * @param {Object} processor - Processor implementing processBatch
+   */
+  async handleBatchProcessor({ batch, resolveOffset, heartbeat, commitOffsetsIfNecessary, isRunning, isStale }, processor) {
+    const { topic, partition, messages } = batch;
+    const maxSize = getProcessorOption(processor, 'maxBatchSize', this.batchConfig.maxSize);
+
+    for (let start = 0; start < messages.length; start += maxSize) {
+      if (!isRunning() || isStale() || this.draining) {
+        break;
+      }
+
+      const chunk = messages.slice(start, start + maxSize);
+      await this.processBatchChunk({
+        topic,
+        partition,
+        messages: chunk,
+        processor,
+        heartbeat,
+        resolveOffset,
+        highWatermark: batch.highWatermark
+      });
+
+      resolveOffset(chunk[chunk.length - 1].offset);
+      for (const message of chunk) {
+        this.trackOffset(topic, partition, message.offset);
+        this.completeOffset(topic, partition, message.offset);
+      }
+      await commitOffsetsIfNecessary();
+      await heartbeat();
+    }
+  }
+
+  /**
+   * Run processBatch over a chunk, retrying only the messages it reports as failed
+   * Messages that cannot be decoded or run out of retries go through the failure mode one by one, in offset order.
+   * When the mode re-throws ('retry' or 'pause'), offsets before the failed message are resolved first.
+   * @param {Object} args - Chunk details
+   */
+  async processBatchChunk({ topic, partition, messages, processor, heartbeat, resolveOffset, highWatermark }) {
+    const retryPolicy = this.getRetryPolicy(processor);
+    const failures = [];
+    let pending = [];
+
+    for (const message of messages) {
+      try {
+        const payload = await this.decodeProcessorMessage({ topic, partition, message, processor, heartbeat });
+        pending.push({
+          message: payload,
+          metadata: {
+            topic,
+            partition,
+            offset: message.offset,
+            key: message.key ? message.key.toString() : null,
+            timestamp: message.timestamp,
+            headers: this.decodeMessageHeaders(message.headers),
+            tombstone: payload === null
+          },
+          raw: message
+        });
+      } catch (error) {
+        failures.push({ message, error, attempts: error.attempts || 1 });
+      }
+    }
+
+    for (let attempt = 1; pending.length > 0; attempt++) {
+      const entries = pending.map(({ message, metadata }) => ({ message, metadata }));
+      const result = await this.keepHeartbeating(heartbeat, () => this.processorRegistry.processBatch(topic, entries, {
+        topic,
+        partition,
+        firstOffset: entries[0].metadata.offset,
+        lastOffset: entries[entries.length - 1].metadata.offset,
+        size: entries.length,
+        highWatermark,
+        attempt
+      }));
+
+      const failedOffsets = new Map(result.failed.map(failed => [String(failed.offset), failed.error]));
+      const retry = [];
+      for (const entry of pending) {
+        const error = failedOffsets.get(String(entry.metadata.offset));
+        if (!error) {
+          this.recordProcessingMetric(topic, 'succeeded');
+        } else if (retryPolicy.shouldRetry(error, attempt)) {
+          this.recordProcessingMetric(topic, 'retried');
+          retry.push(entry);
+        } else {
+          failures.push({ message: entry.raw, error, attempts: attempt });
+        }
+      }
+
+      if (retry.length > 0) {
+        const delay = retryPolicy.getDelay(attempt);
+        this.logger.warn('Retrying failed batch messages', {
+          topic,
+          partition,
+          offsets: retry.map(entry => entry.metadata.offset),
+          attempt,
+          delay
+        });
+        await this.waitWithHeartbeat(delay, heartbeat);
+      }
+      pending = retry;
+    }
+
+    failures.sort((a, b) => messages.indexOf(a.message) - messages.indexOf(b.message));
+    for (const { message, error, attempts } of failures) {
+      try {
+        await this.handleProcessingFailure({ topic, partition, message, processor, error, attempts });
+      } catch (failure) {
+        const index = messages.indexOf(message);
+        if (index > 0) {
+          resolveOffset(messages[index - 1].offset);
+        }
+        throw failure;
+      }
+    }
+  }
+
+  /**
+   * Process a batch with up to `keyParallelism` messages in flight
+   * Messages with the same key run one after another in offset order; keyless messages run independently.
+   * Only the highest offset below which every message has completed is resolved and committed, so a
+   * failure or restart redelivers everything after it (messages that already completed included).
+   * @param {Object} payload - kafkajs eachBatch arguments
+   */
+  async handleParallelBatch({ batch, resolveOffset, heartbeat, commitOffsetsIfNecessary, isRunning, isStale }) {
+    const { topic, partition, messages } = batch;
+    const tracker = new OffsetTracker(messages.map(message => message.offset));
+    const limiter = new ConcurrencyLimiter(this.concurrencyConfig.keyParallelism);
+    const keyTails = new Map();
+    const tasks = [];
+    let failure = null;
+
+    const stopped = () => failure !== null || !isRunning() || isStale() || this.draining;
+
+    // Tracked in partition order up front: tasks start out of order, and a lower offset tracked after a higher
+    // one would be ignored, letting the commit skip past it while it is still running
+    for (const message of messages) {
+      this.trackOffset(topic, partition, message.offset);
+    }
+
+    for (const message of messages) {
+      const key = message.key === null || message.key === undefined ? null : message.key.toString();
+      const previous = key !== null && keyTails.has(key) ? keyTails.get(key) : Promise.resolve();
+
+      const task = previous.then(() => limiter.run(async () => {
+        if (stopped()) {
+          return;
+        }
+
+        try {
+          await this.dispatchProcessorMessage({ topic, partition, message, heartbeat });
+
+          const committable = tracker.complete(message.offset);
+          if (committable !== null) {
+            resolveOffset(committable);
+            await commitOffsetsIfNecessary();
+          }
+          await heartbeat();
+        } catch (error) {
+          // Recorded before the slot is released so waiting messages see it
+          failure = failure || error;
+        }
+      }));
+
+      if (key !== null) {
+        keyTails.set(key, task);
+      }
+      tasks.push(task);
+    }
+
+    await Promise.all(tasks);
+
+    if (failure) {
+      this.logger.error('Stopping batch after processing failure', {
+        topic,
+        partition,
+        committedThrough: tracker.getCommittableOffset(),
+        error: failure.message
+      });
+      throw failure;
+    }
+  }
+
+  /**
+   * Process a message once its processor has a free concurrency slot
+   * Processors limit how many of their messages run at once with `concurrency`. The message's offset
+   * becomes committable once it is processed, or for processors declaring `manualAck` once they call context.ack()
+   * @param {Object} args - kafkajs eachMessage arguments
+   * @returns {Promise<Object>} Processing result
+   */
+  async dispatchProcessorMessage(args) {
+    const { topic, partition, message } = args;
+    const processor = this.processorRegistry.getProcessor(topic);
+    const limiter = this.getProcessorLimiter(topic, processor);
+
+    this.trackOffset(topic, partition, message.offset);
+    const context = this.createMessageContext(topic, partition, message);
+    const run = () => this.handleProcessorMessage({ ...args, context });
+
+    const result = limiter ? await limiter.run(run) : await run();
+
+    // Dead-lettered, skipped and duplicate messages are finished even if the processor never acknowledged them;
+    // on topics with several processors, the first one (whose manualAck applies) decides
+    const outcome = result && Array.isArray(result.results) ? result.results[0] : result;
+    const finished = outcome && ['dead-lettered', 'skipped', 'duplicate'].includes(outcome.status);
+    if (!getProcessorOption(processor, 'manualAck', false) || finished) {
+      context.ack();
+    }
+    return result;
+  }
+
+  /**
+   * Create the context handed to a processor along with a message
+   * It extends the processor's context (send, sendMessages, logger, config, signal, resources)
+   * @param {string} topic - Topic name
+   * @param {number} partition - Partition id
+   * @param {Object} message - Raw kafkajs message
+   * @returns {Object} Context with ack() to mark the message as safe to commit
+   */
+  createMessageContext(topic, partition, message) {
+    const registry = this.processorRegistry;
+    const processorContext = registry && typeof registry.getProcessorContext === 'function'
+      ? registry.getProcessorContext(topic)
+      : {};
+    let acked = false;
+    return {
+      ...processorContext,
+      ack: () => {
+        if (!acked) {
+          acked = true;
+          this.completeOffset(topic, partition, message.offset);
+        }
+      }
+    };
+  }
+
+  /**
+   * Check whether the accessor commits offsets itself rather than leaving it to kafkajs
+   * @returns {boolean} True for the 'per-message' and 'periodic' strategies
+   */
+  isManualCommit() {
+    return this.commitConfig.strategy !== 'auto';
+  }
+
+  /**
+   * Start tracking a message's offset so later offsets are not committed before it completes
+   * @param {string} topic - Topic name
+   * @param {number} partition - Partition id
+   * @param {string} offset - Message offset
+   */
+  trackOffset(topic, partition, offset) {
+    if (!this.isManualCommit()) {
+      return;
+    }
+
+    const id = `${topic}:${partition}`;
+    if (!this.offsetTrackers.has(id)) {
+      this.offsetTrackers.set(id, { topic, partition, tracker: new OffsetTracker(), committed: null });
+    }
+    this.offsetTrackers.get(id).tracker.add(offset);
+  }
+
+  /**
+   * Mark a tracked offset as completed and commit according to the commit strategy
+   * @param {string} topic - Topic name
+   * @param {number} partition - Partition id
+   * @param {string} offset - Message offset
+   */
+  completeOffset(topic, partition, offset) {
+    const entry = this.offsetTrackers.get(`${topic}:${partition}`);
+    if (!entry || entry.tracker.complete(offset) === null) {
+      return;
+    }
+
+    this.uncommittedCount++;
+    if (this.commitConfig.strategy === 'per-message' || this.uncommittedCount >= this.commitConfig.threshold) {
+      this.flushOffsets();
+    }
+  }
+
+  /**
+   * Get processed offsets that have not been committed yet
+   * @returns {Array<Object>} Offsets as { topic, partition, offset } where offset is the next one to read
+   */
+  getUncommittedOffsets() {
+    const offsets = [];
+    for (const entry of this.offsetTrackers.values()) {
+      const committable = entry.tracker.getCommittableOffset();
+      if (committable === null) {
+        continue;
+      }
+      const next = (BigInt(committable) + 1n).toString();
+      if (next !== entry.committed) {
+        offsets.push({ topic: entry.topic, partition: entry.partition, offset: next });
+      }
+    }
+    return offsets;
+  }
+
+  /**
+   * Commit offsets now
+   * @param {Array<Object>} offsets - Offsets as { topic, partition, offset } (the next offset to read);
+   *   defaults to every processed offset not committed yet
+   * @returns {Promise<Array<Object>>} Committed offsets
+   */
+  async commitOffsets(offsets) {
+    // Commits run one at a time so an older position never overwrites a newer one
+    const commit = this.commitChain.then(async () => {
+      const toCommit = offsets || this.getUncommittedOffsets();
+      if (!this.consumer || toCommit.length === 0) {
+        return [];
+      }
+
+      try {
+        await this.consumer.commitOffsets(toCommit);
+      } catch (error) {
+        this.logger.error('Failed to commit offsets', { offsets: toCommit, error: error.message });
+        throw error;
+      }
+
+      for (const { topic, partition, offset } of toCommit) {
+        const entry = this.offsetTrackers.get(`${topic}:${partition}`);
+        if (entry) {
+          entry.committed = String(offset);
+        }
+      }
+      if (!offsets) {
+        this.uncommittedCount = 0;
+      }
+      this.lastCommitAt = new Date().toISOString();
+      this.logger.debug('Committed offsets', { offsets: toCommit });
+      return toCommit;
+    });
+
+    this.commitChain = commit.catch(() => {});
+    return commit;
+  }
+
+  /**
+   * Commit pending offsets, logging instead of throwing (e.g. when a rebalance is in progress)
+   * @returns {Promise<Array<Object>>} Committed offsets
+   */
+  async flushOffsets() {
+    try {
+      return await this.commitOffsets();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Commit on a timer for the 'periodic' strategy
+   */
+  startCommitTimer() {
+    this.stopCommitTimer();
+    this.commitTimer = setInterval(() => this.flushOffsets(), this.commitConfig.interval);
+    if (this.commitTimer.unref) {
+      this.commitTimer.unref();
+    }
+  }
+
+  /**
+   * Stop the periodic commit timer
+   */
+  stopCommitTimer() {
+    if (this.commitTimer) {
+      clearInterval(this.commitTimer);
+      this.commitTimer = null;
+    }
+  }
+
+  /**
+   * Forget tracked offsets of partitions this consumer no longer owns
+   * @param {Object} memberAssignment - Assigned partitions by topic
+   */
+  retainAssignedOffsets(memberAssignment = {}) {
+    for (const [id, entry] of this.offsetTrackers) {
+      const partitions = memberAssignment[entry.topic] || [];
+      if (!partitions.includes(entry.partition)) {
+        this.offsetTrackers.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Get the consumer group's committed offsets for a topic
+   * @param {string} topic - Topic name
+   * @returns {Promise<Array<Object>>} Offsets as { partition, offset, metadata } (offset '-1' when nothing is committed)
+   */
+  async getCommittedOffsets(topic) {
+    try {
+      if (!this.admin) {
+        await this.initAdmin();
+      }
+
+      const response = await this.admin.fetchOffsets({ groupId: this.config.groupId, topics: [topic] });
+      const entry = response.find(item => item.topic === topic);
+      return entry ? entry.partitions : [];
+    } catch (error) {
+      this.logger.error('Failed to fetch committed offsets', { topic, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Describe offset committing
+   * @returns {Object} Strategy settings, last commit time and offsets waiting to be committed
+   */
+  getCommitInfo() {
+    return {
+      ...this.commitConfig,
+      lastCommitAt: this.lastCommitAt,
+      uncommitted: this.getUncommittedOffsets()
+    };
+  }
+
+  /**
+   * Get the concurrency limiter for a processor that declares `concurrency`
+   * @param {string} topic - Topic name
+   * @param {Object} processor - Processor instance
+   * @returns {ConcurrencyLimiter|null} Limiter, or null when the processor is unlimited
+   */
+  getProcessorLimiter(topic, processor) {
+    const limit = getProcessorOption(processor, 'concurrency');
+    if (!limit) {
+      this.processorLimiters.delete(topic);
+      return null;
+    }
+
+    // A reloaded processor may declare a different limit; in-flight work finishes on the old limiter
+    const existing = this.processorLimiters.get(topic);
+    if (existing && existing.limit === limit) {
+      return existing;
+    }
+
+    const limiter = new ConcurrencyLimiter(limit);
+    this.processorLimiters.set(topic, limiter);
+    return limiter;
+  }
+
+  /**
+   * Describe consumer concurrency
+   * @returns {Object} Settings plus in-flight counts for processors with a limit
+   */
+  getConcurrencyInfo() {
+    const processors = {};
+    for (const [topic, limiter] of this.processorLimiters) {
+      processors[topic] = limiter.getInfo();
+    }
+    return {
+      ...this.concurrencyConfig,
+      mode: this.consumerMode,
+      processors
+    };
+  }
+
+  /**
+   * Process one consumed message with its processor
+   * Failed attempts are retried according to the processor's retry policy, and messages that
+   * still fail are sent to the dead-letter topic so they do not block the partition. Topics with
+   * several processors fan the message out to each of them (the first one's serde decodes it)
+   * @param {Object} args - kafkajs eachMessage arguments
+   * @param {string} args.topic - Topic name
+   * @param {number} args.partition - Partition id
+   * @param {Object} args.message - Raw kafkajs message
+   * @param {Function} args.heartbeat - kafkajs heartbeat function
+   * @returns {Promise<Object>} Processing result
+   */
+  async handleProcessorMessage({ topic, partition, message, heartbeat, context }) {
+    const processor = this.processorRegistry.getProcessor(topic);
+    const processors = typeof this.processorRegistry.getProcessors === 'function'
+      ? this.processorRegistry.getProcessors(topic)
+      : [];
+    const key = message.key ? message.key.toString() : null;
+
+    this.logger.debug('Processing message', {
+      topic,
+      partition,
+      offset: message.offset,
+      key
+    });
+
+    let payload;
+    try {
+      payload = await this.decodeProcessorMessage({ topic, partition, message, processor, heartbeat });
+    } catch (error) {
+      return this.handleProcessingFailure({ topic, partition, message, processor, error, attempts: error.attempts || 1 });
+    }
+
+    const metadata = {
+      topic,
+      partition,
+      offset: message.offset,
+      key,
+      timestamp: message.timestamp,
+      headers: this.decodeMessageHeaders(message.headers),
+      tombstone: payload === null
+    };
+
+    const args = { topic, partition, message, heartbeat, context, payload, metadata };
+    if (processors.length > 1) {
+      return this.fanOutMessage(args, processors);
+    }
+    return this.processWithRetries({ ...args, processor });
+  }
+
+  /**
+   * Decode a consumed message with its processor's serde
+   * Errors flagged retryable (e.g. a schema registry timeout) are retried according to the processor's retry
+   * policy; other decode errors are not, since a payload that cannot be decoded will never succeed
+   * @param {Object} args - { topic, partition, message, processor, heartbeat }
+   * @returns {Promise<*>} Decoded payload
+   * @throws {Error} The last decode error, with `attempts` set
+   */
+  async decodeProcessorMessage({ topic, partition, message, processor, heartbeat }) {
+    const retryPolicy = this.getRetryPolicy(processor);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.deserializeMessage(topic, message, {
+          serde: getProcessorOption(processor, 'serde'),
+          valueSchema: getProcessorOption(processor, 'valueSchema')
+        });
+      } catch (error) {
+        if (error.retryable === undefined) {
+          error.retryable = false;
+        }
+        if (!retryPolicy.shouldRetry(error, attempt)) {
+          error.attempts = attempt;
+          throw error;
+        }
+
+        this.recordProcessingMetric(topic, 'retried');
+        const delay = retryPolicy.getDelay(attempt);
+        this.logger.warn('Retrying message after decode failure', {
+          topic,
+          partition,
+          offset: message.offset,
+          attempt,
+          delay,
+          error: error.message
+        });
+        await this.waitWithHeartbeat(delay, heartbeat);
+      }
+    }
+  }
+
+  /**
+   * Run a decoded message through a processor, retrying it according to the processor's retry policy
+   * @param {Object} args - Message as { topic, partition, message, heartbeat, context, payload, metadata, processor },
+   *   plus `name` to run only that one of the topic's processors
+   * @returns {Promise<Object>} Processing result
+   */
+  async processWithRetries({ topic, partition, message, heartbeat, context, payload, metadata, processor, name }) {
+    const retryPolicy = this.getRetryPolicy(processor);
+    const processOptions = name ? [{ processor: name }] : [];
+
+    for (let attempt = 1; ; attempt++) {
+      let failure;
+      try {
+        // Process using the registry
+        const process = attemptContext => this.processorRegistry.processMessage(topic, payload, metadata, attemptContext, ...processOptions);
+        const result = await this.keepHeartbeating(heartbeat, () => (this.transactionConfig.exactlyOnce
+          ? this.processInTransaction({ topic, partition, message, context }, process)
+          : process(context)));
+
+        if (result && result.status === 'duplicate') {
+          this.recordProcessingMetric(topic, 'duplicates');
+          return result;
+        }
+        if (!result || result.status !== 'error') {
+          this.recordProcessingMetric(topic, 'succeeded');
+          this.logger.debug('Message processed successfully', {
+            topic,
+            partition,
+            offset: message.offset,
+            processor: name,
+            attempts: attempt
+          });
+          return result;
+        }
+
+        failure = this.toProcessingError(result);
+      } catch (error) {
+        failure = error;
+      }
+
+      // A message cut short by shutdown is left uncommitted, so it is redelivered rather than retried or dead-lettered
+      if (typeof this.processorRegistry.isShuttingDown === 'function' && this.processorRegistry.isShuttingDown()) {
+        this.logger.warn('Leaving message uncommitted after shutdown', { topic, partition, offset: message.offset, processor: name });
+        throw failure;
+      }
+      if (!retryPolicy.shouldRetry(failure, attempt)) {
+        return this.handleProcessingFailure({ topic, partition, message, processor, name, error: failure, attempts: attempt });
+      }
+
+      this.recordProcessingMetric(topic, 'retried');
+      const delay = retryPolicy.getDelay(attempt);
+      this.logger.warn('Retrying message after processing failure', {
+        topic,
+        partition,
+        offset: message.offset,
+        processor: name,
+        attempt,
+        delay,
+        error: failure.message
+      });
+      await this.waitWithHeartbeat(delay, heartbeat);
+    }
+  }
+
+  /**
+   * Hand a message to every processor of its topic (sequentially or in parallel, see the registry's fan-out mode)
+   * Each processor retries and fails on its own, with its own retry policy, failure mode and dead-letter topic.
+   * A failure mode that redelivers the message ('retry', 'pause') does so once every processor has finished, and
+   * then every processor sees the message again. Exactly-once mode allows one processor per topic (see the registry),
+   * since separate transactions per processor would publish output again when the message is replayed
+   * @param {Object} args - Message as { topic, partition, message, heartbeat, context, payload, metadata }
+   * @param {Array<Object>} processors - The topic's processors as { name, processor }, in the order they run
+   * @returns {Promise<Object>} { status: 'success' | 'partial' | 'error', results: [{ name, ...result }] }
+   */
+  async fanOutMessage(args, processors) {
+    const { topic } = args;
+    const run = ({ name, processor }) => this.processWithRetries({ ...args, processor, name })
+      .then(value => ({ value }), reason => ({ reason }));
+
+    let outcomes;
+    if (this.processorRegistry.getFanOut(topic) === 'parallel') {
+      outcomes = await Promise.all(processors.map(run));
+    } else {
+      outcomes = [];
+      for (const entry of processors) {
+        outcomes.push(await run(entry));
+      }
+    }
+
+    const rejected = outcomes.find(outcome => 'reason' in outcome);
+    if (rejected) {
+      throw rejected.reason;
+    }
+
+    const results = outcomes.map(({ value }, index) => ({ name: processors[index].name, ...value }));
+    // Dead-lettered and skipped messages are failures that were handled
+    const failed = results.filter(result => ['dead-lettered', 'skipped'].includes(result.status)).length;
+    let status = 'partial';
+    if (failed === 0) {
+      status = 'success';
+    } else if (failed === results.length) {
+      status = 'error';
+    }
+
+    return {
+      status,
+      results,
+      topic,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Run one processing attempt in a transaction that also commits the message's offset
+   * The processor sends its output through `context.transaction`; a failed attempt is aborted so
+   * its output is discarded before the message is retried
+   * @param {Object} args - Message as { topic, partition, message, context }
+   * @param {Function} process - context => processing result
+   * @returns {Promise<Object>} Processing result
+   */
+  async processInTransaction({ topic, partition, message, context }, process) {
+    return this.commitInTransaction({ topic, partition, message }, async tx => {
+      // Sends made through the context join the transaction as well
+      const result = await process({
+        ...context,
+        transaction: tx,
+        send: (target, payload, options) => tx.send(target, payload, options),
+        sendMessages: (target, items, options) => tx.sendMessages(target, items, options)
+      });
+      if (result && result.status === 'error') {
+        throw this.toProcessingError(result);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Commit a message's offset in a transaction, together with anything `work` sends through it
+   * @param {Object} args - Message as { topic, partition, message }
+   * @param {Function} work - async tx => result (optional)
+   * @returns {Promise<*>} Result of work
+   */
+  async commitInTransaction({ topic, partition, message }, work) {
+    return this.transaction(async tx => {
+      const result = work ? await work(tx) : undefined;
+      await tx.sendOffsets([{ topic, partition, offset: (BigInt(message.offset) + 1n).toString() }]);
+      return result;
+    });
+  }
+
+  /**
+   * Handle a message whose retries are exhausted or whose error is not retryable
+   * The processor's failure mode decides what happens next:
+   *   'dead-letter' - send to the dead-letter topic and commit
+   *   'skip'        - log and commit
+   *   'pause'       - pause the partition and leave the offset uncommitted
+   *   'retry'       - re-throw so Kafka redelivers the message in place
+   * @param {Object} failure - Failure details (name of the failed processor when the topic has several)
+   * @returns {Promise<Object>} Failure result for 'dead-letter' and 'skip'
+   */
+  async handleProcessingFailure({ topic, partition, message, processor, name, error, attempts }) {
+    const mode = this.getFailureMode(topic, processor, error.failureMode);
+    this.recordProcessingMetric(topic, 'failed');
+
+    this.logger.error('Error processing message', {
+      topic,
+      partition,
+      offset: message.offset,
+      processor: name,
+      attempts,
+      failureMode: mode,
+      error: error.message
+    });
+
+    const result = {
+      message: error.message,
+      topic,
+      attempts,
+      timestamp: new Date().toISOString()
+    };
+
+    switch (mode) {
+    case 'dead-letter': {
+      const deadLetterTopic = this.getDeadLetterTopic(topic, processor);
+      const failure = { topic, partition, message, processor, name, error, attempts };
+      if (this.transactionConfig.exactlyOnce) {
+        await this.commitInTransaction(failure, tx => this.sendToDeadLetter(deadLetterTopic, failure, tx.transaction));
+      } else {
+        await this.sendToDeadLetter(deadLetterTopic, failure);
+      }
+      this.recordProcessingMetric(topic, 'deadLettered');
+      return { status: 'dead-lettered', ...result, deadLetterTopic };
+    }
+    case 'skip':
+      if (this.transactionConfig.exactlyOnce) {
+        await this.commitInTransaction({ topic, partition, message });
+      }
+      this.recordProcessingMetric(topic, 'skipped');
+      this.logger.warn('Skipping failed message', { topic, partition, offset: message.offset });
+      return { status: 'skipped', ...result };
+    case 'pause':
+      this.recordProcessingMetric(topic, 'paused');
+      this.pausePartition(topic, partition, getProcessorOption(processor, 'pauseDuration', this.failureConfig.pauseDuration));
+      throw error;
+    default:
+      // Re-throw error to let Kafka handle retry logic
+      this.recordProcessingMetric(topic, 'redelivered');
+      throw error;
+    }
+  }
+
+  /**
+   * Get the failure mode for a processor
+   * @param {string} topic - Source topic
+   * @param {Object} processor - Processor instance (may declare `onFailure`)
+   * @param {string} requestedMode - Mode requested by the failure itself (e.g. invalid messages routed to the DLQ)
+   * @returns {string} 'dead-letter', 'skip', 'pause' or 'retry'
+   */
+  getFailureMode(topic, processor, requestedMode) {
+    const usesDeadLetter = this.deadLetterConfig.enabled
+      || getProcessorOption(processor, 'deadLetterTopic') !== undefined;
+    const defaultMode = this.failureConfig.mode || (usesDeadLetter ? 'dead-letter' : 'skip');
+    let mode = requestedMode || getProcessorOption(processor, 'onFailure', defaultMode);
+    mode = mode === 'dlq' ? 'dead-letter' : mode;
+
+    if (!FAILURE_MODES.includes(mode)) {
+      this.logger.warn('Unknown failure mode, using default', { topic, failureMode: mode });
+      mode = defaultMode;
+    }
+
+    // Without a dead-letter topic the message can only be redelivered
+    if (mode === 'dead-letter' && !this.getDeadLetterTopic(topic, processor)) {
+      return 'retry';
+    }
+
+    return mode;
+  }
+
+  /**
+   * Pause consumption of a partition after a failure
+   * @param {string} topic - Topic name
+   * @param {number} partition - Partition id
+   * @param {number} duration - Resume automatically after this many ms (0 = resume manually)
+   */
+  pausePartition(topic, partition, duration = 0) {
+    if (!this.consumer) {
+      return;
+    }
+
+    const id = `${topic}:${partition}`;
+    const existing = this.pausedPartitions.get(id);
+    if (existing && existing.timer) {
+      clearTimeout(existing.timer);
+    }
+
+    this.consumer.pause([{ topic, partitions: [partition] }]);
+
+    const entry = {
+      topic,
+      partition,
+      pausedAt: new Date().toISOString(),
+      resumeAt: duration > 0 ? new Date(Date.now() + duration).toISOString() : null,
+      timer: null
+    };
+
+    if (duration > 0) {
+      entry.timer = setTimeout(() => this.resumePartition(topic, partition), duration);
+      if (entry.timer.unref) {
+        entry.timer.unref();
+      }
+    }
+
+    this.pausedPartitions.set(id, entry);
+    this.logger.warn('Partition paused after processing failure', { topic, partition, resumeAt: entry.resumeAt });
+  }
+
+  /**
+   * Resume a partition paused after a failure
+   * @param {string} topic - Topic name
+   * @param {number} partition - Partition id
+   * @returns {boolean} True if the partition was paused
+   */
+  resumePartition(topic, partition) {
+    const id = `${topic}:${partition}`;
+    const entry = this.pausedPartitions.get(id);
+    if (!entry) {
+      return false;
+    }
+
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+    }
+    this.pausedPartitions.delete(id);
+
+    if (this.consumer) {
+      this.consumer.resume([{ topic, partitions: [partition] }]);
+    }
+
+    this.logger.info('Partition resumed', { topic, partition });
+    return true;
+  }
+
+  /**
+   * Get partitions paused after a failure
+   * @returns {Array<Object>} Paused partitions as { topic, partition, pausedAt, resumeAt }
+   */
+  getPausedPartitions() {
+    return Array.from(this.pausedPartitions.values()).map(({ topic, partition, pausedAt, resumeAt }) => ({
+      topic,
+      partition,
+      pausedAt,
+      resumeAt
+    }));
+  }
+
+  /**
+   * Forget paused partitions and cancel their automatic resumes (the consumer is going away)
+   */
+  clearPausedPartitions() {
+    for (const entry of this.pausedPartitions.values()) {
+      if (entry.timer) {
+        clearTimeout(entry.timer);
+      }
+    }
+    this.pausedPartitions.clear();
+  }
+
+  /**
+   * Increment a processing counter for a topic
+   * @param {string} topic - Topic name
+   * @param {string} name - Counter name
+   */
+  recordProcessingMetric(topic, name) {
+    if (!this.processingMetrics.topics[topic]) {
+      this.processingMetrics.topics[topic] = createProcessingCounters();
+    }
+    this.processingMetrics.topics[topic][name]++;
+    this.processingMetrics.totals[name]++;
+  }
+
+  /**
+   * Get processing metrics
+   * @returns {Object} Totals, per-topic counters and paused partitions
+   */
+  getProcessingMetrics() {
+    const topics = {};
+    for (const [topic, counters] of Object.entries(this.processingMetrics.topics)) {
+      topics[topic] = { ...counters };
+    }
+
+    return {
+      totals: { ...this.processingMetrics.totals },
+      topics,
+      pausedPartitions: this.getPausedPartitions()
+    };
+  }
+
+  /**
+   * Send the original message to a dead-letter topic with headers describing the failure
+   * @param {string} deadLetterTopic - Dead-letter topic name
+   * @param {Object} failure - Failure details (topic, partition, message, processor, name, error, attempts)
+   * @param {Object} transaction - kafkajs transaction to send in (optional, exactly-once mode)
+   * @returns {Promise<Array>} kafkajs send result
+   */
+  async sendToDeadLetter(deadLetterTopic, { topic, partition, message, processor, name, error, attempts }, transaction) {
+    if (!transaction && !this.producer) {
+      await this.initProducer();
+    }
+
+    await this.ensureTopicExists(deadLetterTopic);
+
+    const topicInfo = this.processorRegistry.getProcessorInfo(topic);
+    const processorInfo = name && topicInfo && Array.isArray(topicInfo.processors)
+      ? topicInfo.processors.find(entry => entry.name === name)
+      : topicInfo;
+    const headers = {
+      ...(message.headers || {}),
+      ...encodeHeaders({
+        'dlq.error.message': error.message,
+        'dlq.error.class': error.name,
+        'dlq.error.stack': error.stack,
+        'dlq.attempts': attempts,
+        'dlq.original.topic': topic,
+        'dlq.original.partition': partition,
+        'dlq.original.offset': message.offset,
+        'dlq.original.timestamp': message.timestamp,
+        'dlq.processor': processor ? (processor.name || processor.constructor.name) : undefined,
+        'dlq.processor.name': name,
+        'dlq.processor.version': processorInfo ? processorInfo.version : undefined,
+        'dlq.failed-at': new Date().toISOString()
+      })
+    };
+
+    try {
+      const result = await (transaction || this.producer).send({
+        topic: deadLetterTopic,
+        messages: [{
+          key: message.key,
+          value: message.value,
+          headers
+        }]
+      });
+
+      this.logger.warn('Message sent to dead-letter topic', {
+        topic,
+        partition,
+        offset: message.offset,
+        deadLetterTopic,
+        attempts
+      });
+
+      return result;
+    } catch (sendError) {
+      this.logger.error('Failed to send message to dead-letter topic', {
+        topic,
+        deadLetterTopic,
+        error: sendError.message
+      });
+      throw sendError;
+    }
+  }
+
+  /**
+   * Get the retry policy for a processor
+   * @param {Object} processor - Processor instance (may declare `retryPolicy`)
+   * @returns {RetryPolicy} Retry policy
+   */
+  getRetryPolicy(processor) {
+    return RetryPolicy.from(getProcessorOption(processor, 'retryPolicy'), this.retryDefaults);
+  }
+
+  /**
+   * Get the dead-letter topic for a processor topic
+   * @param {string} topic - Source topic
+   * @param {Object} processor - Processor instance (may declare `deadLetterTopic`, or false to disable)
+   * @returns {string|null} Dead-letter topic, or null when dead-lettering is disabled
+   */
+  getDeadLetterTopic(topic, processor) {
+    const declared = getProcessorOption(processor, 'deadLetterTopic');
+    if (declared === false) {
+      return null;
+    }
+    if (typeof declared === 'string' && declared) {
+      return declared;
+    }
+    if (!this.deadLetterConfig.enabled) {
+      return null;
+    }
+    return `${topic}${this.deadLetterConfig.suffix}`;
+  }
+
+  /**
+   * Turn an error result returned by a processor into an Error
+   * @param {Object} result - Processing result with status 'error'
+   * @returns {Error} Error carrying the result's retryable flag
+   */
+  toProcessingError(result) {
+    const error = result.error instanceof Error
+      ? result.error
+      : new Error(result.message || 'Processor returned an error result');
+
+    if (result.retryable !== undefined && error.retryable === undefined) {
+      error.retryable = result.retryable;
+    }
+
+    return error;
+  }
+
+  /**
+   * Run a task while heartbeating in the background, so long but legitimate processing does not get the
+   * consumer removed from its group
+   * kafkajs only sends a heartbeat once its heartbeatInterval has passed; failures (e.g. a rebalance in
+   * progress) are logged and surface on the consumer's next heartbeat
+   * @param {Function} heartbeat - kafkajs heartbeat function (optional)
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Task result
+   */
+  async keepHeartbeating(heartbeat, task) {
+    if (typeof heartbeat !== 'function') {
+      return task();
+    }
+
+    const interval = parseInt(process.env.CONSUMER_HEARTBEAT_INTERVAL) || 3000;
+    const timer = setInterval(() => {
+      Promise.resolve()
+        .then(heartbeat)
+        .catch(error => this.logger.debug('Heartbeat during processing failed', { error: error.message }));
+    }, interval);
+
+    try {
+      return await task();
+    } finally {
+      clearInterval(timer);
+    }
+  }
+
+  /**
+   * Wait between retries while keeping the consumer group session alive
+   * @param {number} delay - Delay in ms
+   * @param {Function} heartbeat - kafkajs heartbeat function (optional)
+   */
+  async waitWithHeartbeat(delay, heartbeat) {
+    const interval = parseInt(process.env.CONSUMER_HEARTBEAT_INTERVAL) || 3000;
+    let remaining = delay;
+
+    while (remaining > 0) {
+      const step = Math.min(remaining, interval);
+      await new Promise(resolve => setTimeout(resolve, step));
+      remaining -= step;
+
+      if (typeof heartbeat === 'function') {
+        await heartbeat();
+      }
+    }
+  }
+
+  /**
+   * Send message to a specific topic
+   * @param {string} topic - Topic name
+   * @param {*} payload - Message payload, serialized with the topic's serde (null produces a tombstone)
+   * @param {Object} options - Additional options (key, partition, headers, messageId, correlationId, serde, validate, transaction, etc.); without a partition the configured partitioner picks one
+   */
+  async sendMessage(topic, payload, options = {}) {
+    // Auto-initialize producer if not already initialized (transactions bring their own producer)
+    const transaction = options && options.transaction;
+    if (!transaction && !this.producer) {
+      await this.initProducer();
+    }
+
+    try {
+      // Ensure options is an object and topicConfig is properly handled
+      const safeOptions = options && typeof options === 'object' ? options : {};
+      const topicConfig = safeOptions.topicConfig && typeof safeOptions.topicConfig === 'object' ? safeOptions.topicConfig : {};
+      
+      // First, ensure the topic exists
+      await this.ensureTopicExists(topic, topicConfig);
+
+      const message = {
+        topic,
+        messages: [await this.buildRecord(topic, payload, safeOptions)]
+      };
+
+      const result = await (transaction || this.producer).send(message);
+      this.logger.info('Message sent successfully', {
+        topic,
+        partition: result[0].partition,
+        offset: result[0].baseOffset
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to send message', {
+        topic,
+        error: error.message,
+        payload
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send many messages to one topic
+   * The topic is checked once and messages are sent in chunks of `chunkSize` per producer request
+   * @param {string} topic - Topic name
+   * @param {Array<Object>} items - Messages as { key, value, headers, partition, timestamp }
+   * @param {Object} options - Additional options (topicConfig, chunkSize, serde, validate, acks, timeout, compression, transaction)
+   * @returns {Promise<Array<Object>>} Per-record { topic, partition, offset, key } in input order
+   */
+  async sendMessages(topic, items, options = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Messages must be a non-empty array');
+    }
+
+    // Auto-initialize producer if not already initialized (transactions bring their own producer)
+    const transaction = options && options.transaction;
+    if (!transaction && !this.producer) {
+      await this.initProducer();
+    }
+
+    try {
+      const safeOptions = options && typeof options === 'object' ? options : {};
+      const topicConfig = safeOptions.topicConfig && typeof safeOptions.topicConfig === 'object' ? safeOptions.topicConfig : {};
+      const chunkSize = safeOptions.chunkSize || parseInt(process.env.PRODUCER_BATCH_SIZE) || 1000;
+
+      // Ensure the topic exists once for the whole batch
+      await this.ensureTopicExists(topic, topicConfig);
+
+      const records = await Promise.all(items.map(item => this.buildBatchRecord(topic, item, safeOptions)));
+      await this.assignPartitions(topic, records);
+
+      const results = [];
+      for (let start = 0; start < records.length; start += chunkSize) {
+        const chunk = records.slice(start, start + chunkSize);
+        const recordMetadata = await (transaction || this.producer).send({
+          ...this.getSendOptions(safeOptions),
+          topic,
+          messages: chunk
+        });
+        const [chunkResults] = this.mapRecordMetadata([{ topic, records: chunk }], recordMetadata);
+        results.push(...chunkResults);
+      }
+
+      this.logger.info('Messages sent successfully', { topic, count: results.length });
+
+      return results;
     } catch (error) {
-      this.logger.error('Failed to check topic existence', { topic, error: error.message, stack: error.stack });
-      return false;
+      this.logger.error('Failed to send messages', {
+        topic,
+        count: items.length,
+        error: error.message
+      });
+      throw error;
     }
   }
 
   /**
-   * Create a topic with default configuration
-   * @param {string} topic - Topic name
-   * @param {Object} options - Topic creation options
+   * Send messages to several topics in a single producer request
+   * @param {Array<Object>} topicMessages - Entries as { topic, messages: [{ key, value, headers, partition, timestamp }] }
+   * @param {Object} options - Additional options (topicConfig, serde, validate, acks, timeout, compression, transaction)
+   * @returns {Promise<Array<Object>>} Entries as { topic, records: [{ topic, partition, offset, key }] } in input order
    */
-  async createTopic(topic, options = {}) {
-    try {
-      // Validate topic parameter
-      if (!topic || typeof topic !== 'string') {
-        throw new Error('Topic name must be a valid string');
-      }
+  async sendBatch(topicMessages, options = {}) {
+    if (!Array.isArray(topicMessages) || topicMessages.length === 0) {
+      throw new Error('Topic messages must be a non-empty array');
+    }
 
-      // Auto-initialize admin if not already initialized
-      if (!this.admin) {
-        await this.initAdmin();
+    for (const entry of topicMessages) {
+      if (!entry || !entry.topic || typeof entry.topic !== 'string' || !Array.isArray(entry.messages)) {
+        throw new Error('Each batch entry must have a topic and a messages array');
       }
+    }
 
-      // Ensure admin client is connected
-      if (this.admin.isConnected && !this.admin.isConnected()) {
-        this.logger.warn('Admin client disconnected, reconnecting...');
-        await this.admin.connect();
-      }
+    // Auto-initialize producer if not already initialized (transactions bring their own producer)
+    const transaction = options && options.transaction;
+    if (!transaction && !this.producer) {
+      await this.initProducer();
+    }
 
-      // Ensure options is an object and filter out undefined values
+    const topics = [...new Set(topicMessages.map(entry => entry.topic))];
+
+    try {
       const safeOptions = options && typeof options === 'object' ? options : {};
-      
-      const topicConfig = {
-        topic,
-        numPartitions: safeOptions.numPartitions || 1,
-        replicationFactor: safeOptions.replicationFactor || 1,
-        configEntries: safeOptions.configEntries || []
-      };
+      const topicConfig = safeOptions.topicConfig && typeof safeOptions.topicConfig === 'object' ? safeOptions.topicConfig : {};
 
-      // Additional validation to ensure no undefined values in topicConfig
-      if (topicConfig.numPartitions === undefined || topicConfig.replicationFactor === undefined || topicConfig.configEntries === undefined) {
-        throw new Error('Invalid topic configuration: all values must be defined');
+      // Ensure every distinct topic exists once
+      for (const topic of topics) {
+        await this.ensureTopicExists(topic, topicConfig);
       }
 
-      // Validate topicConfig before calling createTopics
-      if (!topicConfig.topic || typeof topicConfig.topic !== 'string') {
-        throw new Error('Invalid topic configuration: topic must be a valid string');
+      const entries = await Promise.all(topicMessages.map(async entry => ({
+        topic: entry.topic,
+        records: await Promise.all(entry.messages.map(item => this.buildBatchRecord(entry.topic, item, safeOptions)))
+      })));
+
+      for (const entry of entries) {
+        await this.assignPartitions(entry.topic, entry.records);
       }
 
-      this.logger.debug('Creating topic with config', { topicConfig });
-      
-      // Ensure we pass an array to createTopics
-      const result = await this.admin.createTopics([topicConfig]);
-      
-      this.logger.info('Topic created successfully', { topic, config: topicConfig, result });
-      return result;
+      const recordMetadata = await (transaction || this.producer).sendBatch({
+        ...this.getSendOptions(safeOptions),
+        topicMessages: entries.map(entry => ({ topic: entry.topic, messages: entry.records }))
+      });
+
+      const results = this.mapRecordMetadata(entries, recordMetadata);
+
+      this.logger.info('Batch sent successfully', {
+        topics,
+        count: entries.reduce((total, entry) => total + entry.records.length, 0)
+      });
+
+      return entries.map((entry, index) => ({
+        topic: entry.topic,
+        records: results[index]
+      }));
     } catch (error) {
-      this.logger.error('Failed to create topic', { topic, error: error.message, stack: error.stack });
+      this.logger.error('Failed to send batch', { topics, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Ensure topic exists, create if it doesn't
-   * @param {string} topic - Topic name
-   * @param {Object} options - Topic creation options
+   * Build a kafkajs record from a payload and per-message options
+   * @param {string} topic - Topic name (selects the serde)
+   * @param {*} payload - Message payload
+   * @param {Object} options - Record options (key, partition, timestamp, headers, serde, valueSchema, contentType, validate)
+   * @returns {Promise<Object>} kafkajs message
    */
-  async ensureTopicExists(topic, options = {}) {
-    try {
-      const exists = await this.topicExists(topic);
-      if (!exists) {
-        this.logger.info('Topic does not exist, creating...', { topic });
-        await this.createTopic(topic, options);
-        return true; // Topic was created
-      }
-      return false; // Topic already existed
-    } catch (error) {
-      this.logger.error('Failed to ensure topic exists', { topic, error: error.message });
-      throw error;
+  async buildRecord(topic, payload, options = {}) {
+    const validate = options.validate !== undefined ? options.validate : this.validateOnSend;
+    if (validate && payload !== null) {
+      this.validatePayload(topic, payload);
+    }
+
+    const serialized = await this.serdes.serialize(payload, {
+      topic,
+      serde: options.serde,
+      valueSchema: options.valueSchema
+    });
+    const record = {
+      key: options.key || null,
+      value: serialized.value,
+      timestamp: options.timestamp || Date.now()
+    };
+
+    // Only pin the partition when explicitly requested, otherwise let the partitioner decide
+    if (options.partition !== undefined && options.partition !== null) {
+      record.partition = options.partition;
+    }
+
+    const headers = {
+      ...createStandardHeaders(this.headerConfig.standardHeaders, {
+        ...options,
+        contentType: options.contentType || serialized.contentType
+      }),
+      ...encodeHeaders(options.headers)
+    };
+    if (Object.keys(headers).length > 0) {
+      record.headers = headers;
     }
+
+    return record;
   }
 
   /**
-   * Initialize the Kafka producer
+   * Decode consumed message headers according to accessor and per-call settings
+   * @param {Object} headers - Raw kafkajs headers
+   * @param {Object} options - Per-call overrides (decodeHeaders, binaryHeaders)
+   * @returns {Object} Decoded headers
    */
-  async initProducer() {
-    try {
-      if (!this.producer) {
-        this.producer = this.kafka.producer({
-          allowAutoTopicCreation: true,
-          transactionTimeout: parseInt(process.env.PRODUCER_TIMEOUT) || 30000,
-          retry: {
-            initialRetryTime: 100,
-            retries: parseInt(process.env.PRODUCER_RETRY_ATTEMPTS) || 3
-          }
-        });
+  decodeMessageHeaders(headers, options = {}) {
+    return decodeHeaders(headers, {
+      decode: options.decodeHeaders !== undefined ? options.decodeHeaders !== false : this.headerConfig.decode,
+      binaryHeaders: options.binaryHeaders || this.headerConfig.binaryHeaders
+    });
+  }
 
-        await this.producer.connect();
-        this.logger.debug('Kafka producer initialized successfully');
-      }
-      return this.producer;
-    } catch (error) {
-      this.logger.error('Failed to initialize producer', { error: error.message });
-      throw error;
+  /**
+   * Validate an outgoing payload against the topic's JSON Schema
+   * @param {string} topic - Topic name
+   * @param {*} payload - Message payload
+   * @throws {SchemaValidationError} When the payload does not match the schema
+   */
+  validatePayload(topic, payload) {
+    const { valid, errors } = this.processorRegistry.validateMessage(topic, payload);
+    if (!valid) {
+      throw new SchemaValidationError(topic, errors);
     }
   }
 
   /**
-   * Initialize the Kafka consumer
+   * Deserialize a consumed message value
+   * @param {string} topic - Topic name
+   * @param {Object} message - Raw kafkajs message
+   * @param {Object} options - Per-call overrides (serde, valueSchema)
+   * @returns {Promise<*>} Decoded value, or null for a tombstone
    */
-  async initConsumer() {
-    try {
-      this.consumer = this.kafka.consumer({
-        groupId: this.config.groupId,
-        sessionTimeout: parseInt(process.env.CONSUMER_SESSION_TIMEOUT) || 30000,
-        heartbeatInterval: parseInt(process.env.CONSUMER_HEARTBEAT_INTERVAL) || 3000,
-        maxBytesPerPartition: parseInt(process.env.CONSUMER_MAX_BYTES) || 1048576
-      });
+  deserializeMessage(topic, message, options = {}) {
+    return this.serdes.deserialize(message.value, {
+      topic,
+      serde: options.serde,
+      valueSchema: options.valueSchema,
+      headers: message.headers
+    });
+  }
 
-      await this.consumer.connect();
-      this.logger.debug('Kafka consumer initialized successfully');
-      
-      // Ensure admin client is initialized before processor discovery
-      if (!this.admin) {
-        await this.initAdmin();
-      }
-      
-      // Automatically discover and subscribe to topics with processors
-      await this.autoSubscribeToProcessorTopics();
-      
-      return this.consumer;
-    } catch (error) {
-      this.logger.error('Failed to initialize consumer', { error: error.message });
-      throw error;
+  /**
+   * Build a kafkajs record from a batch item
+   * Batch-wide headers, serde, valueSchema and correlationId apply to every item unless the item overrides them
+   * @param {string} topic - Topic name
+   * @param {Object} item - Batch item as { key, value, headers, partition, timestamp, serde, valueSchema }
+   * @param {Object} defaults - Batch options (headers, correlationId, serde, valueSchema)
+   * @returns {Promise<Object>} kafkajs message
+   */
+  buildBatchRecord(topic, item, defaults = {}) {
+    if (!item || typeof item !== 'object') {
+      throw new Error('Each message must be an object with a value');
     }
+    return this.buildRecord(topic, item.value, {
+      correlationId: defaults.correlationId,
+      serde: defaults.serde,
+      valueSchema: defaults.valueSchema,
+      validate: defaults.validate,
+      ...item,
+      headers: { ...defaults.headers, ...item.headers }
+    });
   }
 
   /**
-   * Automatically subscribe to all topics that have processors
+   * Pick options that are forwarded to producer.send / producer.sendBatch
+   * @param {Object} options - Caller options
+   * @returns {Object} kafkajs send options
    */
-  async autoSubscribeToProcessorTopics() {
-    try {
-      // Auto-discover processors
-      await this.processorRegistry.autoDiscoverProcessors({
-        kafkaAccessor: this
-      });
-
-      const availableTopics = this.processorRegistry.getAvailableTopics();
-      
-      if (availableTopics.length === 0) {
-        this.logger.info('No processors found - no topics to subscribe to');
-        return;
-      }
-
-      this.logger.info(`Auto-subscribing to ${availableTopics.length} topics with processors:`, availableTopics);
-
-      // Ensure consumer is initialized before subscribing
-      if (!this.consumer) {
-        await this.initConsumer();
+  getSendOptions(options) {
+    const sendOptions = {};
+    for (const name of ['acks', 'timeout', 'compression']) {
+      if (options[name] !== undefined) {
+        sendOptions[name] = options[name];
       }
+    }
+    return sendOptions;
+  }
 
-      // Subscribe to all topics at once
-      await this.consumer.subscribe({
-        topics: availableTopics,
-        fromBeginning: false
-      });
+  /**
+   * Get partition metadata for a topic
+   * @param {string} topic - Topic name
+   * @returns {Promise<Array>} kafkajs partition metadata
+   */
+  async getPartitionMetadata(topic) {
+    if (!this.admin) {
+      await this.initAdmin();
+    }
 
-      // Set up message processing
-      await this.consumer.run({
-        eachMessage: async ({ topic, partition, message }) => {
-          try {
-            const payload = JSON.parse(message.value.toString());
-            const key = message.key ? message.key.toString() : null;
+    const cached = this.topicCache.getPartitions(topic);
+    if (cached) {
+      return cached;
+    }
 
-            const metadata = {
-              topic,
-              partition,
-              offset: message.offset,
-              key,
-              timestamp: message.timestamp,
-              headers: message.headers
-            };
+    const metadata = await this.admin.fetchTopicMetadata({ topics: [topic] });
+    const topicMetadata = metadata && Array.isArray(metadata.topics)
+      ? metadata.topics.find(t => t.name === topic)
+      : null;
 
-            this.logger.debug('Processing message', {
-              topic,
-              partition,
-              offset: message.offset,
-              key
-            });
+    if (!topicMetadata || !Array.isArray(topicMetadata.partitions) || topicMetadata.partitions.length === 0) {
+      throw new Error(`No partition metadata available for topic: ${topic}`);
+    }
 
-            // Process using the registry
-            await this.processorRegistry.processMessage(topic, payload, metadata);
+    this.topicCache.setPartitions(topic, topicMetadata.partitions);
+    return topicMetadata.partitions;
+  }
 
-            this.logger.debug('Message processed successfully', {
-              topic,
-              partition,
-              offset: message.offset
-            });
-          } catch (error) {
-            this.logger.error('Error processing message', {
-              topic,
-              partition,
-              offset: message.offset,
-              error: error.message
-            });
-            
-            // Re-throw error to let Kafka handle retry logic
-            throw error;
-          }
-        }
-      });
+  /**
+   * Resolve partitions up front so results can be matched back to each record
+   * @param {string} topic - Topic name
+   * @param {Array<Object>} records - kafkajs messages (mutated in place)
+   */
+  async assignPartitions(topic, records) {
+    if (records.every(record => record.partition !== undefined)) {
+      return;
+    }
 
-      this.logger.info(`Successfully subscribed to ${availableTopics.length} topics`);
-    } catch (error) {
-      this.logger.error('Failed to auto-subscribe to processor topics', { error: error.message });
-      throw error;
+    const partitionMetadata = await this.getPartitionMetadata(topic);
+    for (const record of records) {
+      if (record.partition === undefined) {
+        record.partition = this.partitioner.partition({ topic, partitionMetadata, message: record });
+      }
     }
   }
 
   /**
-   * Send message to a specific topic
-   * @param {string} topic - Topic name
-   * @param {Object} payload - Message payload (will be JSON stringified)
-   * @param {Object} options - Additional options (key, partition, etc.)
+   * Match kafkajs RecordMetadata back to the records that were sent
+   * Records of the same topic/partition are appended in request order, so each one
+   * gets the partition's base offset plus its position within that partition
+   * @param {Array<Object>} entries - Sent entries as { topic, records }
+   * @param {Array<Object>} recordMetadata - Result of producer.send / producer.sendBatch
+   * @returns {Array<Array<Object>>} Per-entry arrays of { topic, partition, offset, key }
    */
-  async sendMessage(topic, payload, options = {}) {
-    // Auto-initialize producer if not already initialized
-    if (!this.producer) {
-      await this.initProducer();
+  mapRecordMetadata(entries, recordMetadata) {
+    const baseOffsets = new Map();
+    for (const metadata of recordMetadata || []) {
+      baseOffsets.set(`${metadata.topicName}:${metadata.partition}`, metadata.baseOffset);
     }
 
-    try {
-      // Ensure options is an object and topicConfig is properly handled
-      const safeOptions = options && typeof options === 'object' ? options : {};
-      const topicConfig = safeOptions.topicConfig && typeof safeOptions.topicConfig === 'object' ? safeOptions.topicConfig : {};
-      
-      // First, ensure the topic exists
-      await this.ensureTopicExists(topic, topicConfig);
-
-      const message = {
-        topic,
-        messages: [{
-          key: safeOptions.key || null,
-          value: JSON.stringify(payload),
-          partition: safeOptions.partition || 0,
-          timestamp: safeOptions.timestamp || Date.now()
-        }]
-      };
+    const positions = new Map();
+    return entries.map(({ topic, records }) => records.map(record => {
+      const partitionKey = `${topic}:${record.partition}`;
+      const position = positions.get(partitionKey) || 0;
+      positions.set(partitionKey, position + 1);
 
-      const result = await this.producer.send(message);
-      this.logger.info('Message sent successfully', {
-        topic,
-        partition: result[0].partition,
-        offset: result[0].baseOffset
-      });
+      const baseOffset = baseOffsets.get(partitionKey);
+      const offset = baseOffset === undefined || baseOffset === null
+        ? null
+        : (BigInt(baseOffset) + BigInt(position)).toString();
 
-      return result;
-    } catch (error) {
-      this.logger.error('Failed to send message', {
+      return {
         topic,
-        error: error.message,
-        payload
-      });
-      throw error;
-    }
+        partition: record.partition,
+        offset,
+        key: record.key
+      };
+    }));
   }
 
   /**
@@ -392,7 +2489,7 @@ class KafkaAccessor {
    * Note: This is mainly for custom use cases. Use startConsumer() for automatic processing.
    * @param {string} topic - Topic name
    * @param {Function} messageHandler - Function to process messages
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (fromBeginning, serde, valueSchema, decodeHeaders, binaryHeaders, eachBatch)
    */
   async subscribeToTopic(topic, messageHandler, options = {}) {
     // Auto-initialize consumer if not already initialized
@@ -409,11 +2506,22 @@ class KafkaAccessor {
         topic,
         fromBeginning: options.fromBeginning || false
       });
+      this.customTopics.push(topic);
+
+      // kafkajs uses eachBatch instead of eachMessage when both are given, so pass only one
+      if (options.eachBatch) {
+        await this.consumer.run({
+          eachBatch: options.eachBatch,
+          ...(options.eachBatchAutoResolve !== undefined ? { eachBatchAutoResolve: options.eachBatchAutoResolve } : {})
+        });
+        this.logger.info('Successfully subscribed to topic with batch handler', { topic });
+        return;
+      }
 
       await this.consumer.run({
         eachMessage: async ({ topic, partition, message }) => {
           try {
-            const payload = JSON.parse(message.value.toString());
+            const payload = await this.deserializeMessage(topic, message, options);
             const key = message.key ? message.key.toString() : null;
 
             const metadata = {
@@ -422,7 +2530,8 @@ class KafkaAccessor {
               offset: message.offset,
               key,
               timestamp: message.timestamp,
-              headers: message.headers
+              headers: this.decodeMessageHeaders(message.headers, options),
+              tombstone: payload === null
             };
 
             this.logger.info('Processing message with custom handler', {
@@ -432,7 +2541,12 @@ class KafkaAccessor {
               key
             });
 
-            await messageHandler(payload, metadata);
+            // Middleware added with use() wraps custom handlers as well
+            if (typeof this.processorRegistry.handleWithMiddleware === 'function') {
+              await this.processorRegistry.handleWithMiddleware(topic, payload, metadata, messageHandler);
+            } else {
+              await messageHandler(payload, metadata);
+            }
 
             this.logger.debug('Message processed successfully', {
               topic,
@@ -450,8 +2564,7 @@ class KafkaAccessor {
             // Re-throw error to let Kafka handle retry logic
             throw error;
           }
-        },
-        eachBatch: options.eachBatch || null
+        }
       });
 
       this.logger.info('Successfully subscribed to topic with custom handler', { topic });
@@ -470,6 +2583,10 @@ class KafkaAccessor {
    * @param {Object} options - Optional configuration
    * @param {string} options.groupId - Consumer group ID (defaults to client ID)
    * @param {number} options.timeout - Maximum time to wait in milliseconds (optional)
+   * @param {string|Object} options.serde - Serde used to decode the value (defaults to the topic's serde)
+   * @param {string|Object} options.valueSchema - Schema the avro/protobuf serdes decode into
+   * @param {boolean} options.decodeHeaders - Decode header Buffers to strings (defaults to accessor setting)
+   * @param {Array<string>} options.binaryHeaders - Header names to keep as Buffers
    * @returns {Promise<Object>} The message object with key, value, headers, etc.
    */
   async getMessageFromTopic(topic, options = {}) {
@@ -481,7 +2598,8 @@ class KafkaAccessor {
       groupId: `${groupId}-${Date.now()}`, // Ensure unique group ID
       sessionTimeout: parseInt(process.env.CONSUMER_SESSION_TIMEOUT) || 30000,
       heartbeatInterval: parseInt(process.env.CONSUMER_HEARTBEAT_INTERVAL) || 3000,
-      maxBytesPerPartition: parseInt(process.env.CONSUMER_MAX_BYTES) || 1048576
+      maxBytesPerPartition: parseInt(process.env.CONSUMER_MAX_BYTES) || 1048576,
+      readUncommitted: this.transactionConfig.isolationLevel === 'read_uncommitted'
     });
 
     try {
@@ -522,7 +2640,7 @@ class KafkaAccessor {
             }
 
             try {
-              const payload = JSON.parse(message.value.toString());
+              const payload = await this.deserializeMessage(topic, message, options);
               const key = message.key ? message.key.toString() : null;
 
               const messageData = {
@@ -532,7 +2650,8 @@ class KafkaAccessor {
                 key,
                 value: payload,
                 timestamp: message.timestamp,
-                headers: message.headers
+                headers: this.decodeMessageHeaders(message.headers, options),
+                tombstone: payload === null
               };
 
               this.logger.debug('Message received from topic', {
@@ -586,14 +2705,29 @@ class KafkaAccessor {
    */
   async disconnect() {
     try {
+      // Processors still working see context.signal abort while the consumer waits for them to finish
+      if (this.processorRegistry && typeof this.processorRegistry.signalShutdown === 'function') {
+        this.processorRegistry.signalShutdown();
+      }
+
+      // The consumer goes first: running messages still need the producers for outputs, dead letters and transactions
+      if (this.consumer) {
+        // Running messages finish and manual strategies commit them before the consumer leaves the group
+        await this.stopConsumer();
+        this.consumer = null;
+        this.customTopics = [];
+        this.logger.debug('Consumer disconnected');
+      }
+
       if (this.producer) {
         await this.producer.disconnect();
         this.logger.debug('Producer disconnected');
       }
-      
-      if (this.consumer) {
-        await this.consumer.disconnect();
-        this.logger.debug('Consumer disconnected');
+
+      if (this.transactionalProducer) {
+        await this.transactionalProducer.disconnect();
+        this.transactionalProducer = null;
+        this.logger.debug('Transactional producer disconnected');
       }
 
       if (this.admin) {
@@ -601,8 +2735,21 @@ class KafkaAccessor {
         this.logger.debug('Admin client disconnected');
       }
 
-      // Stop processor registry auto-refresh
+      this.clearPausedPartitions();
+
+      // Stop following processor changes
+      this.unwatchProcessorRegistry();
+      this.stopPatternRefresh();
+      if (this.resubscribeTimer) {
+        clearTimeout(this.resubscribeTimer);
+        this.resubscribeTimer = null;
+      }
+
+      // Stop processor registry auto-refresh and destroy processors once the consumer has drained
       if (this.processorRegistry) {
+        if (typeof this.processorRegistry.shutdown === 'function') {
+          await this.processorRegistry.shutdown();
+        }
         this.processorRegistry.stopAutoRefresh();
         this.logger.debug('Processor registry auto-refresh stopped');
       }
@@ -623,7 +2770,8 @@ class KafkaAccessor {
       },
       consumer: {
         connected: this.consumer !== null,
-        initialized: !!this.consumer
+        initialized: !!this.consumer,
+        subscribedTopics: this.subscribedTopics.map(String)
       },
       admin: {
         connected: this.admin !== null,
@@ -634,14 +2782,39 @@ class KafkaAccessor {
         clientId: this.config.clientId,
         groupId: this.config.groupId
       },
+      partitioner: this.partitioner.getInfo(),
+      serdes: this.serdes.getInfo(),
+      schemaRegistry: this.schemaRegistry && this.schemaRegistry.getInfo ? this.schemaRegistry.getInfo() : null,
+      topicCache: {
+        ...this.topicCache.getStats(),
+        skipTopicCheck: this.config.skipTopicCheck
+      },
+      processing: this.getProcessingMetrics(),
+      concurrency: this.getConcurrencyInfo(),
+      commits: this.getCommitInfo(),
+      transactions: this.getTransactionInfo(),
       processorRegistry: this.processorRegistry ? {
         enabled: this.processorRegistry.getAutoRefreshStatus().enabled,
-        processors: this.processorRegistry.getAvailableTopics(),
-        autoRefresh: this.processorRegistry.getAutoRefreshStatus()
+        processors: this.processorRegistry.getAvailableTopics().map(String),
+        autoRefresh: this.processorRegistry.getAutoRefreshStatus(),
+        health: typeof this.processorRegistry.getProcessorHealth === 'function'
+          ? this.processorRegistry.getProcessorHealth()
+          : null
       } : null
     };
   }
 
+  /**
+   * Run every processor's healthCheck hook, then get the health status
+   * @returns {Promise<Object>} Health status with fresh processorRegistry.health results
+   */
+  async checkHealth() {
+    if (this.processorRegistry && typeof this.processorRegistry.checkProcessorHealth === 'function') {
+      await this.processorRegistry.checkProcessorHealth();
+    }
+    return this.getHealthStatus();
+  }
+
   /**
    * Get processor registry information
    */
@@ -654,7 +2827,9 @@ class KafkaAccessor {
       directory: this.processorRegistry.getProcessorsDirectory(),
       availableTopics: this.processorRegistry.getAvailableTopics(),
       autoRefresh: this.processorRegistry.getAutoRefreshStatus(),
-      fileInfo: this.processorRegistry.getProcessorFileInfo()
+      fileInfo: this.processorRegistry.getProcessorFileInfo(),
+      missingTopicPolicy: this.processorRegistry.missingTopicPolicy,
+      pendingTopics: this.processorRegistry.getPendingTopics()
     };
   }
 }
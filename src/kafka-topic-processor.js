@@ -1,18 +1,77 @@
 /**
  * Kafka Topic Processor Class
  * All Kafka topic processors should extend this class
+ *
+ * Optional static settings:
+ *   static topic = 'orders.v1' (topic to consume; defaults to the processor's file name)
+ *   static topics = ['orders', /^orders\..+/] (several topics; a RegExp subscribes to every matching topic)
+ *   static processorName = 'audit' (name among several processors of a topic; defaults to the file name,
+ *     or 'default' for a file named after its topic)
+ *   static priority = 10 (processors of a topic run highest priority first; default 0)
+ *   static retryPolicy = { maxAttempts, initialDelay, maxDelay, multiplier, jitter, retryableErrors, nonRetryableErrors }
+ *   static deadLetterTopic = 'custom-topic' (or false to disable dead-lettering)
+ *   static onFailure = 'dead-letter' | 'skip' | 'pause' | 'retry'
+ *   static pauseDuration = 30000 (ms before a paused partition resumes, 0 = until resumed manually)
+ *   static serde = 'json' | 'string' | 'buffer' | 'ndjson' | 'avro' | 'protobuf' | registered name | { serialize, deserialize }
+ *   static valueSchema = 'orders-value' or { subject, version, id, messageType } (schema avro/protobuf values are decoded into)
+ *   static schema = { type: 'object', ... } (JSON Schema checked before processMessage; or a sibling <topic>.schema.json)
+ *   static onInvalid = 'reject' | 'dead-letter' | 'log' (what happens to messages that fail the schema)
+ *   static timeout = 10000 (ms per message before context.signal aborts and the message fails as retryable;
+ *     default PROCESSORS_TIMEOUT, 0 = no limit)
+ *   static isolation = 'worker' or { poolSize, restartOnCrash } (runs processMessage and processBatch in worker threads;
+ *     default PROCESSORS_ISOLATION, only for processor files)
+ *   static concurrency = 4 (most messages of this processor handled at once, across partitions)
+ *   static maxBatchSize = 500 (most messages per processBatch call)
+ *   static manualAck = true (offsets are committed only after context.ack(); needs a non-auto commit strategy)
+ *   static outputTopic = 'orders-enriched' (topic for output records that do not name one)
+ *   static propagateHeaders = ['tenant-id'] (input headers copied onto output records, besides correlation-id)
+ *   static middleware = [async (ctx, next) => { ... }] (runs around this processor, after the registry's use() middleware)
+ *   static deduplicate = true or { messageId: 'header:message-id' | 'field:order.id' | 'offset' | fn, ttl, store }
+ *     (messages whose id was already processed are skipped before processMessage; batch processors do not deduplicate)
+ *   static config = { apiUrl: 'http://localhost' } (defaults for context.config, overridden by <topic>.config.json
+ *     and PROCESSOR_CONFIG_<TOPIC>_<NAME> environment variables)
+ *
+ * processMessage can emit output records { topic, key, value, headers, partition, timestamp } by returning
+ * { outputs: [...] } or by being a generator (`async *processMessage`) that yields them; the registry
+ * produces them through the owning accessor. Other return values, arrays included, are never produced
+ *
+ * In exactly-once mode, send output through context.transaction so it commits together with the offset
+ *
+ * Lifecycle hooks (all optional and async):
+ *   init(context) runs before the processor receives messages; if it throws, the processor is not activated
+ *   destroy(reason) runs when the processor is deregistered, replaced, cleared or the accessor disconnects
+ *   healthCheck() returns true/false or { healthy, ...details } for KafkaAccessor.checkHealth()
+ *
+ * Batch processors implement processBatch(messages, batchMetadata) instead of processMessage:
+ *   messages is an array of { message, metadata } (metadata as for processMessage)
+ *   batchMetadata is { topic, partition, firstOffset, lastOffset, size, highWatermark, attempt }
+ *   return { failed: [{ offset, error, retryable }] } to retry or dead-letter only those messages;
+ *   throwing fails the whole batch
  */
 
 const winston = require('winston');
 const path = require('path');
+const { getDeclaredTopics } = require('./processor-options');
 
 class KafkaTopicProcessor {
-  constructor() {
-    // Auto-detect topic name from the calling file path
+  /**
+   * @param {Object} context - Processor context injected by the registry (topic, send, sendMessages,
+   *   logger, config, signal, resources); processMessage gets it extended with per-message fields
+   */
+  constructor(context = null) {
+    this.context = context;
+
+    // Topic from the registry, the static topic / topics declaration, or the calling file name
+    const declaredTopics = getDeclaredTopics(this);
+    const declaredTopic = declaredTopics && declaredTopics.find(topic => typeof topic === 'string');
     const stackTrace = new Error().stack;
     const callerFile = stackTrace.split('\n')[2].match(/\((.+):\d+:\d+\)/)?.[1];
     
-    if (callerFile) {
+    if (context && context.topic) {
+      this.topic = context.topic;
+    } else if (declaredTopic) {
+      this.topic = declaredTopic;
+    } else if (callerFile) {
       const fileName = path.basename(callerFile, path.extname(callerFile));
       this.topic = fileName;
     } else {
@@ -36,6 +95,30 @@ class KafkaTopicProcessor {
     });
   }
 
+  /**
+   * Prepare the processor (open connections, warm caches, ...) before it receives messages
+   * @param {Object} _context - Processor context
+   * @returns {Promise<void>}
+   */
+  async init(_context) {
+  }
+
+  /**
+   * Release what init acquired
+   * @param {string} _reason - 'deregistered', 'updated', 'cleared', 'shutdown', ...
+   * @returns {Promise<void>}
+   */
+  async destroy(_reason) {
+  }
+
+  /**
+   * Report whether the processor can do its work
+   * @returns {Promise<boolean|Object>} true/false or { healthy, ...details }
+   */
+  async healthCheck() {
+    return { healthy: true };
+  }
+
   /**
    * Safe JSON stringify that handles circular references
    * @param {*} obj - Object to stringify
@@ -54,9 +137,11 @@ class KafkaTopicProcessor {
    * @param {string} topic - The topic name
    * @param {Object} message - The message content
    * @param {Object} metadata - Message metadata (partition, offset, etc.)
+   * @param {Object} context - Message context; context.ack() marks the message as safe to commit and, in
+   *   exactly-once mode, context.transaction sends output in the transaction that commits the offset
    * @returns {Promise<Object>} Processing result
    */
-  async process(topic, message, metadata) {
+  async process(topic, message, metadata, context = {}) {
     try {
       if (this.logger) {
         this.logger.debug('Received message for topic', { 
@@ -66,8 +151,10 @@ class KafkaTopicProcessor {
         this.logger.debug('Message metadata', { metadata: this.safeStringify(metadata) });
       }
       
-      // Call the actual message processing logic
-      const result = await this.processMessage(message, metadata);
+      // Tombstones (null values) carry no payload, so they get their own hook
+      const result = await this.collectOutputs(message === null
+        ? await this.processTombstone(metadata, context)
+        : await this.processMessage(message, metadata, context));
       
       // Log success
       if (this.logger) {
@@ -88,17 +175,35 @@ class KafkaTopicProcessor {
         });
       }
       
-      return this.createErrorResult(error.message);
+      return this.createErrorResult(error.message, { error });
     }
   }
 
+  /**
+   * Turn output records yielded by a generator into a { outputs } result
+   * @param {*} result - Value returned by processMessage / processTombstone
+   * @returns {Promise<Object>} Processing result
+   */
+  async collectOutputs(result) {
+    if (result && typeof result.next === 'function'
+      && (typeof result[Symbol.asyncIterator] === 'function' || typeof result[Symbol.iterator] === 'function')) {
+      const outputs = [];
+      for await (const record of result) {
+        outputs.push(record);
+      }
+      return { outputs };
+    }
+    return result;
+  }
+
   /**
    * Abstract method to be implemented by subclasses
    * @param {Object} _message - The Kafka message object
    * @param {Object} _metadata - Message metadata
+   * @param {Object} _context - Message context (processor context plus ack and, in exactly-once mode, transaction)
    * @returns {Promise<Object>} Processing result
    */
-  async processMessage(_message, _metadata) {
+  async processMessage(_message, _metadata, _context) {
     // Default implementation - return success
     return {
       status: 'success',
@@ -106,6 +211,20 @@ class KafkaTopicProcessor {
     };
   }
 
+  /**
+   * Handle a tombstone (a message with a null value, usually a delete for its key)
+   * Override to react to deletes; by default tombstones are acknowledged and ignored
+   * @param {Object} _metadata - Message metadata (key, partition, offset, etc.)
+   * @param {Object} _context - Message context (ack)
+   * @returns {Promise<Object>} Processing result
+   */
+  async processTombstone(_metadata, _context) {
+    return {
+      status: 'success',
+      message: 'Tombstone ignored'
+    };
+  }
+
   /**
    * Validate message structure
    * @param {Object} message - Message to validate
@@ -0,0 +1,109 @@
+/**
+ * Kafka Transaction
+ * Handle passed to `kafka.transaction()` callbacks: messages sent and offsets committed through it
+ * become visible to read_committed consumers together when the transaction commits, or not at all
+ */
+
+class KafkaTransaction {
+  /**
+   * @param {Object} accessor - KafkaAccessor that owns the transactional producer
+   * @param {Object} transaction - kafkajs transaction
+   */
+  constructor(accessor, transaction) {
+    this.accessor = accessor;
+    this.transaction = transaction;
+    // Callbacks run once the transaction has committed or aborted
+    this.callbacks = { commit: [], abort: [] };
+  }
+
+  /**
+   * Send a message as part of the transaction
+   * @param {string} topic - Topic name
+   * @param {*} payload - Message payload
+   * @param {Object} options - Same options as KafkaAccessor.sendMessage
+   * @returns {Promise<Array>} kafkajs send result
+   */
+  send(topic, payload, options = {}) {
+    return this.accessor.sendMessage(topic, payload, { ...options, transaction: this.transaction });
+  }
+
+  /**
+   * Send many messages to one topic as part of the transaction
+   * @param {string} topic - Topic name
+   * @param {Array<Object>} items - Messages as { key, value, headers, partition, timestamp }
+   * @param {Object} options - Same options as KafkaAccessor.sendMessages
+   * @returns {Promise<Array<Object>>} Per-record { topic, partition, offset, key }
+   */
+  sendMessages(topic, items, options = {}) {
+    return this.accessor.sendMessages(topic, items, { ...options, transaction: this.transaction });
+  }
+
+  /**
+   * Send messages to several topics as part of the transaction
+   * @param {Array<Object>} topicMessages - Entries as { topic, messages }
+   * @param {Object} options - Same options as KafkaAccessor.sendBatch
+   * @returns {Promise<Array<Object>>} Entries as { topic, records }
+   */
+  sendBatch(topicMessages, options = {}) {
+    return this.accessor.sendBatch(topicMessages, { ...options, transaction: this.transaction });
+  }
+
+  /**
+   * Commit consumer offsets for the accessor's group as part of the transaction
+   * @param {Array<Object>} offsets - Offsets as { topic, partition, offset }, where offset is the next one to consume
+   */
+  async sendOffsets(offsets) {
+    const topics = new Map();
+    for (const { topic, partition, offset } of offsets) {
+      if (!topics.has(topic)) {
+        topics.set(topic, []);
+      }
+      topics.get(topic).push({ partition, offset: String(offset) });
+    }
+
+    await this.transaction.sendOffsets({
+      consumerGroupId: this.accessor.config.groupId,
+      topics: [...topics].map(([topic, partitions]) => ({ topic, partitions }))
+    });
+  }
+
+  /**
+   * Run a callback once the transaction has committed, e.g. to record state that must not outlive an abort
+   * @param {Function} callback - async () => {}
+   */
+  afterCommit(callback) {
+    this.callbacks.commit.push(callback);
+  }
+
+  /**
+   * Run a callback once the transaction has aborted
+   * @param {Function} callback - async () => {}
+   */
+  afterAbort(callback) {
+    this.callbacks.abort.push(callback);
+  }
+
+  /**
+   * Run the callbacks registered for how the transaction ended; failures are logged, not thrown
+   * @param {string} outcome - 'commit' or 'abort'
+   */
+  async settle(outcome) {
+    for (const callback of this.callbacks[outcome]) {
+      try {
+        await callback();
+      } catch (error) {
+        this.accessor.logger.error('Transaction callback failed', { outcome, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Check whether the transaction can still be used
+   * @returns {boolean} True until the transaction commits or aborts
+   */
+  isActive() {
+    return this.transaction.isActive();
+  }
+}
+
+module.exports = KafkaTransaction;
@@ -0,0 +1,146 @@
+/**
+ * Message Headers
+ * Encodes plain header values for producing and decodes Buffer headers for consumers
+ * Also builds the optional standard headers (content-type, message-id, correlation-id, produced-at)
+ */
+
+const crypto = require('crypto');
+
+const STANDARD_HEADERS = ['content-type', 'message-id', 'correlation-id', 'produced-at'];
+
+/**
+ * Encode a single header value into something kafkajs can send
+ * @param {*} value - Header value
+ * @returns {string|Buffer} Encoded value
+ */
+function encodeHeaderValue(value) {
+  if (Buffer.isBuffer(value) || typeof value === 'string') {
+    return value;
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Encode plain header values (strings, numbers, objects, Buffers, arrays) for kafkajs
+ * Null and undefined values are dropped
+ * @param {Object} headers - Plain headers
+ * @returns {Object} Encoded headers
+ */
+function encodeHeaders(headers) {
+  const encoded = {};
+  if (!headers || typeof headers !== 'object') {
+    return encoded;
+  }
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === null || value === undefined) {
+      continue;
+    }
+    encoded[name] = Array.isArray(value)
+      ? value.filter(item => item !== null && item !== undefined).map(encodeHeaderValue)
+      : encodeHeaderValue(value);
+  }
+
+  return encoded;
+}
+
+/**
+ * Decode consumed headers into strings
+ * @param {Object} headers - Raw kafkajs headers (Buffer values)
+ * @param {Object} options - Decode options
+ * @param {boolean} options.decode - Decode Buffers to UTF-8 strings (default: true)
+ * @param {Array<string>} options.binaryHeaders - Header names to keep as Buffers
+ * @returns {Object} Decoded headers
+ */
+function decodeHeaders(headers, options = {}) {
+  if (!headers || typeof headers !== 'object') {
+    return {};
+  }
+
+  if (options.decode === false) {
+    return headers;
+  }
+
+  const binaryHeaders = options.binaryHeaders || [];
+  const decodeValue = value => (Buffer.isBuffer(value) ? value.toString('utf8') : value);
+  const decoded = {};
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (binaryHeaders.includes(name)) {
+      decoded[name] = value;
+    } else {
+      decoded[name] = Array.isArray(value) ? value.map(decodeValue) : decodeValue(value);
+    }
+  }
+
+  return decoded;
+}
+
+/**
+ * Normalize a standard header configuration
+ * @param {boolean|string|Array<string>} config - true/'all', a comma-separated list, or an array of names
+ * @returns {Array<string>} Enabled standard header names
+ */
+function parseStandardHeaders(config) {
+  if (config === true || config === 'all') {
+    return [...STANDARD_HEADERS];
+  }
+
+  const names = Array.isArray(config)
+    ? config
+    : (typeof config === 'string' ? config.split(',') : []);
+
+  return names
+    .map(name => name.trim().toLowerCase())
+    .filter(name => {
+      if (!name) {
+        return false;
+      }
+      if (!STANDARD_HEADERS.includes(name)) {
+        throw new Error(`Unknown standard header: ${name}`);
+      }
+      return true;
+    });
+}
+
+/**
+ * Build the enabled standard headers for an outgoing message
+ * @param {Array<string>} enabled - Enabled standard header names
+ * @param {Object} options - Message options (contentType, messageId, correlationId)
+ * @returns {Object} Standard headers
+ */
+function createStandardHeaders(enabled, options = {}) {
+  const headers = {};
+  if (!enabled || enabled.length === 0) {
+    return headers;
+  }
+
+  const messageId = options.messageId || crypto.randomUUID();
+
+  if (enabled.includes('content-type')) {
+    headers['content-type'] = options.contentType || 'application/json';
+  }
+  if (enabled.includes('message-id')) {
+    headers['message-id'] = messageId;
+  }
+  if (enabled.includes('correlation-id')) {
+    // A message without a correlation id starts a new chain keyed by its own id
+    headers['correlation-id'] = options.correlationId || messageId;
+  }
+  if (enabled.includes('produced-at')) {
+    headers['produced-at'] = new Date().toISOString();
+  }
+
+  return headers;
+}
+
+module.exports = {
+  encodeHeaders,
+  decodeHeaders,
+  parseStandardHeaders,
+  createStandardHeaders,
+  STANDARD_HEADERS
+};
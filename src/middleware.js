@@ -0,0 +1,130 @@
+/**
+ * Middleware
+ * Koa-style middleware around processor execution: each function gets the message context and a `next`
+ * that runs the rest of the chain (ending with the processor), and may change the message, metadata or
+ * result, answer without calling next, or catch what the processor throws
+ *
+ * The context is { topic, name, processor, message, metadata, context, logger, result, state }
+ */
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Compose middleware into one function
+ * @param {Array<Function>} middleware - async (ctx, next) => {}
+ * @returns {Function} (ctx, last) => Promise, where last runs after the final middleware calls next
+ */
+function compose(middleware) {
+  for (const fn of middleware) {
+    if (typeof fn !== 'function') {
+      throw new TypeError(`Middleware must be a function, got ${typeof fn}`);
+    }
+  }
+
+  return (ctx, last) => {
+    let index = -1;
+    const dispatch = async position => {
+      if (position <= index) {
+        throw new Error('next() called multiple times');
+      }
+      index = position;
+      const fn = position === middleware.length ? last : middleware[position];
+      if (!fn) {
+        return undefined;
+      }
+      return fn(ctx, () => dispatch(position + 1));
+    };
+    return dispatch(0);
+  };
+}
+
+/**
+ * Copy a payload with sensitive fields replaced
+ * A path without dots ('password') matches that field at any depth; a dotted path ('card.number') matches
+ * from the top of the payload
+ * @param {*} value - Payload
+ * @param {Array<string>} paths - Fields to hide
+ * @param {string} replacement - Value shown instead (default '[REDACTED]')
+ * @returns {*} Redacted copy (the payload itself is left untouched)
+ */
+function redact(value, paths = [], replacement = REDACTED) {
+  const anywhere = new Set(paths.filter(redactPath => !redactPath.includes('.')));
+  const rooted = paths.filter(redactPath => redactPath.includes('.')).map(redactPath => redactPath.split('.'));
+
+  const walk = (node, trail) => {
+    if (Array.isArray(node)) {
+      return node.map(item => walk(item, trail));
+    }
+    if (!node || typeof node !== 'object' || Buffer.isBuffer(node) || node instanceof Date) {
+      return node;
+    }
+
+    const copy = {};
+    for (const [field, fieldValue] of Object.entries(node)) {
+      const fieldTrail = [...trail, field];
+      const hidden = anywhere.has(field) || rooted.some(segments => segments.length === fieldTrail.length
+        && segments.every((segment, position) => segment === fieldTrail[position]));
+      copy[field] = hidden ? replacement : walk(fieldValue, fieldTrail);
+    }
+    return copy;
+  };
+
+  return walk(value, []);
+}
+
+/**
+ * Middleware that measures how long the rest of the chain takes
+ * The duration is kept as ctx.state.durationMs and logged at debug level
+ * @param {Object} options - Timing options
+ * @param {Object} options.logger - Logger (default: the processor's context logger)
+ * @param {Function} options.onTiming - Called with { topic, name, durationMs, status }, e.g. to feed metrics
+ * @returns {Function} Middleware
+ */
+function timing({ logger, onTiming } = {}) {
+  return async (ctx, next) => {
+    const start = process.hrtime.bigint();
+    let status = 'error';
+    try {
+      await next();
+      status = ctx.result && ctx.result.status ? ctx.result.status : 'success';
+    } finally {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+      ctx.state.durationMs = durationMs;
+      (logger || ctx.logger).debug('Message handled', { topic: ctx.topic, processor: ctx.name, durationMs, status });
+      if (onTiming) {
+        onTiming({ topic: ctx.topic, name: ctx.name, durationMs, status });
+      }
+    }
+  };
+}
+
+/**
+ * Middleware that logs each payload before it is processed, with sensitive fields redacted
+ * @param {Object} options - Logging options
+ * @param {Array<string>} options.redact - Fields to hide (see redact)
+ * @param {string} options.level - Log level (default 'info')
+ * @param {boolean} options.headers - Log the message headers too (default false)
+ * @param {Object} options.logger - Logger (default: the processor's context logger)
+ * @returns {Function} Middleware
+ */
+function logPayload({ redact: paths = [], level = 'info', headers = false, logger } = {}) {
+  return async (ctx, next) => {
+    const { topic, partition, offset } = ctx.metadata || {};
+    (logger || ctx.logger)[level]('Message received', {
+      topic: topic || ctx.topic,
+      partition,
+      offset,
+      processor: ctx.name,
+      payload: redact(ctx.message, paths),
+      ...(headers && ctx.metadata ? { headers: redact(ctx.metadata.headers, paths) } : {})
+    });
+    await next();
+  };
+}
+
+module.exports = {
+  compose,
+  redact,
+  timing,
+  logPayload
+};
@@ -0,0 +1,297 @@
+/**
+ * Kafka Partitioners
+ * Pluggable partitioning strategies for the producer, configurable per accessor or per topic
+ * Supports murmur2 (Java client compatible), round-robin, sticky and custom functions
+ */
+
+const { Partitioners } = require('kafkajs');
+
+// Constants used by the Java client's murmur2 implementation
+const MURMUR2_SEED = 0x9747b28c;
+const MURMUR2_M = 0x5bd1e995;
+const MURMUR2_R = 24;
+
+const PARTITIONER_STRATEGIES = ['default', 'murmur2', 'round-robin', 'sticky'];
+
+/**
+ * Compute the murmur2 hash of a key exactly like org.apache.kafka.common.utils.Utils.murmur2
+ * @param {string|Buffer} key - Message key
+ * @returns {number} Signed 32-bit hash
+ */
+function murmur2(key) {
+  const data = Buffer.isBuffer(key) ? key : Buffer.from(String(key));
+  const length = data.length;
+  let h = (MURMUR2_SEED ^ length) | 0;
+  const length4 = length >> 2;
+
+  for (let i = 0; i < length4; i++) {
+    const i4 = i * 4;
+    let k = (data[i4] & 0xff) |
+      ((data[i4 + 1] & 0xff) << 8) |
+      ((data[i4 + 2] & 0xff) << 16) |
+      ((data[i4 + 3] & 0xff) << 24);
+    k = Math.imul(k, MURMUR2_M);
+    k ^= k >>> MURMUR2_R;
+    k = Math.imul(k, MURMUR2_M);
+    h = Math.imul(h, MURMUR2_M);
+    h ^= k;
+  }
+
+  // Handle the last few bytes of the input (intentional fall-through)
+  const tail = length & ~3;
+  switch (length % 4) {
+  case 3:
+    h ^= (data[tail + 2] & 0xff) << 16;
+    // falls through
+  case 2:
+    h ^= (data[tail + 1] & 0xff) << 8;
+    // falls through
+  case 1:
+    h ^= data[tail] & 0xff;
+    h = Math.imul(h, MURMUR2_M);
+  }
+
+  h ^= h >>> 13;
+  h = Math.imul(h, MURMUR2_M);
+  h ^= h >>> 15;
+
+  return h;
+}
+
+/**
+ * Convert a signed hash to a positive number the same way the Java client does
+ * @param {number} hash - Signed 32-bit hash
+ * @returns {number} Positive hash
+ */
+function toPositive(hash) {
+  return hash & 0x7fffffff;
+}
+
+/**
+ * Get partitions that currently have a leader, falling back to all partitions
+ * @param {Array} partitionMetadata - Partition metadata from kafkajs
+ * @returns {Array<number>} Sorted partition ids
+ */
+function getAvailablePartitions(partitionMetadata = []) {
+  const withLeader = partitionMetadata.filter(p => p.leader === undefined || p.leader >= 0);
+  const candidates = withLeader.length > 0 ? withLeader : partitionMetadata;
+  return candidates.map(p => p.partitionId).sort((a, b) => a - b);
+}
+
+/**
+ * Pick the partition for a key using murmur2
+ * @param {string|Buffer} key - Message key
+ * @param {number} numPartitions - Total number of partitions
+ * @returns {number} Partition id
+ */
+function partitionForKey(key, numPartitions) {
+  return toPositive(murmur2(key)) % numPartitions;
+}
+
+function hasKey(message) {
+  return !!message && message.key !== null && message.key !== undefined;
+}
+
+/**
+ * Murmur2 strategy: keyed messages hash like the Java client, keyless ones round-robin
+ */
+function createMurmur2Partitioner() {
+  const counters = new Map();
+
+  return ({ topic, partitionMetadata, message }) => {
+    const numPartitions = partitionMetadata.length;
+    if (hasKey(message)) {
+      return partitionForKey(message.key, numPartitions);
+    }
+
+    const available = getAvailablePartitions(partitionMetadata);
+    const next = counters.get(topic) || 0;
+    counters.set(topic, next + 1);
+    return available[next % available.length];
+  };
+}
+
+/**
+ * Round-robin strategy: spread every message evenly, ignoring keys
+ */
+function createRoundRobinPartitioner() {
+  const counters = new Map();
+
+  return ({ topic, partitionMetadata }) => {
+    const available = getAvailablePartitions(partitionMetadata);
+    const next = counters.get(topic) || 0;
+    counters.set(topic, next + 1);
+    return available[next % available.length];
+  };
+}
+
+/**
+ * Sticky strategy: keyed messages hash with murmur2, keyless messages stick to one
+ * partition for `batchSize` messages before moving on
+ * @param {Object} options - Strategy options
+ * @param {number} options.batchSize - Messages sent to a partition before switching
+ */
+function createStickyPartitioner(options = {}) {
+  const batchSize = options.batchSize || 100;
+  const sticky = new Map();
+
+  return ({ topic, partitionMetadata, message }) => {
+    const numPartitions = partitionMetadata.length;
+    if (hasKey(message)) {
+      return partitionForKey(message.key, numPartitions);
+    }
+
+    const available = getAvailablePartitions(partitionMetadata);
+    let state = sticky.get(topic);
+
+    if (!state || state.count >= batchSize || !available.includes(state.partition)) {
+      const previous = state ? state.partition : null;
+      const choices = available.length > 1 ? available.filter(p => p !== previous) : available;
+      state = {
+        partition: choices[Math.floor(Math.random() * choices.length)],
+        count: 0
+      };
+      sticky.set(topic, state);
+    }
+
+    state.count++;
+    return state.partition;
+  };
+}
+
+/**
+ * kafkajs default partitioner, or the murmur2 strategy when kafkajs does not expose one
+ */
+function createDefaultPartitioner() {
+  if (Partitioners && typeof Partitioners.DefaultPartitioner === 'function') {
+    return Partitioners.DefaultPartitioner();
+  }
+  return createMurmur2Partitioner();
+}
+
+/**
+ * Create a partitioner function from a strategy definition
+ * @param {string|Function|Object} strategy - Strategy name, custom function, or { strategy, ...options }
+ * @returns {Function} Partitioner ({ topic, partitionMetadata, message }) => partition
+ */
+function createPartitioner(strategy = 'default') {
+  if (typeof strategy === 'function') {
+    return strategy;
+  }
+
+  const definition = typeof strategy === 'string' ? { strategy } : (strategy || {});
+  const name = definition.strategy || 'default';
+
+  if (typeof name === 'function') {
+    return name;
+  }
+
+  switch (name) {
+  case 'default':
+    return createDefaultPartitioner();
+  case 'murmur2':
+  case 'java':
+    return createMurmur2Partitioner();
+  case 'round-robin':
+    return createRoundRobinPartitioner();
+  case 'sticky':
+    return createStickyPartitioner(definition);
+  default:
+    throw new Error(`Unknown partitioner strategy: ${name}`);
+  }
+}
+
+/**
+ * Routes partitioning decisions to a per-topic strategy or the accessor-wide default
+ */
+class TopicPartitioner {
+  /**
+   * @param {Object} options - Partitioner options
+   * @param {string|Function|Object} options.partitioner - Default strategy for all topics
+   * @param {Object} options.topicPartitioners - Map of topic name to strategy
+   */
+  constructor(options = {}) {
+    this.defaultStrategy = options.partitioner || 'default';
+    this.defaultPartitioner = createPartitioner(this.defaultStrategy);
+    this.topicPartitioners = new Map();
+
+    const topicPartitioners = options.topicPartitioners || {};
+    for (const [topic, strategy] of Object.entries(topicPartitioners)) {
+      this.setTopicPartitioner(topic, strategy);
+    }
+  }
+
+  /**
+   * Use a specific strategy for a topic
+   * @param {string} topic - Topic name
+   * @param {string|Function|Object} strategy - Strategy definition
+   */
+  setTopicPartitioner(topic, strategy) {
+    if (!topic || typeof topic !== 'string') {
+      throw new Error('Topic must be a valid string');
+    }
+    this.topicPartitioners.set(topic, {
+      strategy,
+      partitioner: createPartitioner(strategy)
+    });
+  }
+
+  /**
+   * Remove a topic-specific strategy so the topic uses the default again
+   * @param {string} topic - Topic name
+   * @returns {boolean} True if a strategy was removed
+   */
+  removeTopicPartitioner(topic) {
+    return this.topicPartitioners.delete(topic);
+  }
+
+  /**
+   * Choose a partition for a message
+   * @param {Object} args - kafkajs partitioner arguments
+   * @param {string} args.topic - Topic name
+   * @param {Array} args.partitionMetadata - Partition metadata for the topic
+   * @param {Object} args.message - Message being produced
+   * @returns {number} Partition id
+   */
+  partition({ topic, partitionMetadata, message }) {
+    const entry = this.topicPartitioners.get(topic);
+    const partitioner = entry ? entry.partitioner : this.defaultPartitioner;
+    return partitioner({ topic, partitionMetadata, message });
+  }
+
+  /**
+   * Build the factory kafkajs expects for the producer `createPartitioner` option
+   * @returns {Function} Partitioner factory
+   */
+  toKafkaPartitioner() {
+    return () => args => this.partition(args);
+  }
+
+  /**
+   * Describe the configured strategies
+   * @returns {Object} Strategy information
+   */
+  getInfo() {
+    const describe = strategy => {
+      const name = typeof strategy === 'object' && strategy !== null ? strategy.strategy : strategy;
+      return typeof name === 'function' ? 'custom' : (name || 'default');
+    };
+    const topics = {};
+    for (const [topic, entry] of this.topicPartitioners) {
+      topics[topic] = describe(entry.strategy);
+    }
+    return {
+      default: describe(this.defaultStrategy),
+      topics
+    };
+  }
+}
+
+module.exports = {
+  TopicPartitioner,
+  createPartitioner,
+  murmur2,
+  toPositive,
+  partitionForKey,
+  PARTITIONER_STRATEGIES
+};
@@ -0,0 +1,89 @@
+/**
+ * Processor Context
+ * Builds the context processors receive at construction time and, extended per message, as the
+ * third argument of processMessage: send helpers bound to the accessor, a child logger, per-processor
+ * configuration, a shutdown signal and the resources shared by the host application
+ */
+
+const fs = require('fs');
+
+/**
+ * Get the environment variable prefix holding a processor's configuration
+ * @param {string} topic - Processor topic
+ * @returns {string} Prefix, e.g. PROCESSOR_CONFIG_ORDERS_ENRICHED_ for orders-enriched
+ */
+function getConfigEnvPrefix(topic) {
+  return `PROCESSOR_CONFIG_${topic.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_`;
+}
+
+/**
+ * Load a processor's configuration
+ * Later sources win: the processor's static `config` defaults, then a <topic>.config.json file, then
+ * PROCESSOR_CONFIG_<TOPIC>_<NAME> environment variables (API_URL becomes apiUrl, values stay strings)
+ * @param {string} topic - Processor topic
+ * @param {Object} options - Config sources
+ * @param {Object} options.defaults - Defaults declared by the processor
+ * @param {string} options.configFile - Path of the JSON config file (optional)
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @returns {Object} Configuration
+ */
+function loadProcessorConfig(topic, { defaults = {}, configFile, env = process.env } = {}) {
+  let fileConfig = {};
+  if (configFile && fs.existsSync(configFile)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid processor config file ${configFile}: ${error.message}`);
+    }
+  }
+
+  const prefix = getConfigEnvPrefix(topic);
+  const envConfig = {};
+  for (const [name, value] of Object.entries(env)) {
+    if (name.startsWith(prefix) && name.length > prefix.length) {
+      const key = name.slice(prefix.length).toLowerCase().replace(/_+([a-z0-9])/g, (_, char) => char.toUpperCase());
+      envConfig[key] = value;
+    }
+  }
+
+  return { ...defaults, ...fileConfig, ...envConfig };
+}
+
+/**
+ * Create a processor context
+ * @param {Object} options - Context parts
+ * @param {string} options.topic - Processor topic
+ * @param {Object} options.accessor - KafkaAccessor used by send / sendMessages (optional)
+ * @param {Object} options.logger - Logger scoped to the processor
+ * @param {Object} options.config - Processor configuration
+ * @param {Object} options.resources - Resources shared by the host application
+ * @param {Function} options.getSignal - Returns the current shutdown AbortSignal
+ * @returns {Object} Context
+ */
+function createProcessorContext({ topic, accessor, logger, config, resources, getSignal }) {
+  const requireAccessor = () => {
+    if (!accessor) {
+      throw new Error(`Processor for topic ${topic} has no KafkaAccessor to send messages with`);
+    }
+    return accessor;
+  };
+
+  return {
+    topic,
+    accessor: accessor || null,
+    logger,
+    config,
+    resources,
+    get signal() {
+      return getSignal();
+    },
+    send: (target, payload, options) => requireAccessor().sendMessage(target, payload, options),
+    sendMessages: (target, items, options) => requireAccessor().sendMessages(target, items, options)
+  };
+}
+
+module.exports = {
+  createProcessorContext,
+  loadProcessorConfig,
+  getConfigEnvPrefix
+};
@@ -0,0 +1,80 @@
+/**
+ * Processor Options
+ * Reads declarative settings from processors, either as instance properties
+ * or as static properties on the processor class
+ */
+
+/**
+ * Get a processor setting
+ * @param {Object} processor - Processor instance or plain processor object
+ * @param {string} name - Setting name (e.g. 'retryPolicy')
+ * @param {*} defaultValue - Value returned when the processor does not declare the setting
+ * @returns {*} Setting value
+ */
+function getProcessorOption(processor, name, defaultValue) {
+  if (!processor) {
+    return defaultValue;
+  }
+
+  if (processor[name] !== undefined) {
+    return processor[name];
+  }
+
+  const ProcessorClass = processor.constructor;
+  if (ProcessorClass && ProcessorClass !== Object && ProcessorClass[name] !== undefined) {
+    return ProcessorClass[name];
+  }
+
+  return defaultValue;
+}
+
+/**
+ * Get the topics a processor declares with `topic` or `topics` (a string, a RegExp or an array of them)
+ * Classes declare them as statics and plain processor objects as properties; KafkaTopicProcessor instances
+ * carry a detected `topic` property, so only their class is read
+ * @param {Object|Function} processor - Processor instance, plain processor object or processor class
+ * @returns {Array<string|RegExp>|null} Declared topics, or null when the processor declares none
+ */
+function getDeclaredTopics(processor) {
+  if (!processor) {
+    return null;
+  }
+
+  const isPlainObject = typeof processor === 'object' && (!processor.constructor || processor.constructor === Object);
+  const source = typeof processor === 'function' || isPlainObject ? processor : processor.constructor;
+  const declaration = source.topics !== undefined ? source.topics : source.topic;
+  if (declaration === undefined || declaration === null) {
+    return null;
+  }
+
+  const topics = Array.isArray(declaration) ? declaration : [declaration];
+  if (topics.length === 0) {
+    throw new Error('Processor declares an empty topics list');
+  }
+  for (const topic of topics) {
+    if (!(topic instanceof RegExp) && (typeof topic !== 'string' || topic === '')) {
+      throw new Error(`Processor topics must be non-empty strings or RegExps, got ${String(topic)}`);
+    }
+  }
+  return topics;
+}
+
+/**
+ * Check whether a declared topic (name or RegExp) covers a topic
+ * @param {string|RegExp} declared - Declared topic
+ * @param {string} topic - Topic name
+ * @returns {boolean} True on an exact name or pattern match
+ */
+function matchesTopic(declared, topic) {
+  if (declared instanceof RegExp) {
+    declared.lastIndex = 0;
+    return declared.test(topic);
+  }
+  return declared === topic;
+}
+
+module.exports = {
+  getProcessorOption,
+  getDeclaredTopics,
+  matchesTopic
+};
@@ -8,6 +8,45 @@ const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const winston = require('winston');
+const { getProcessorOption, getDeclaredTopics, matchesTopic } = require('./processor-options');
+const { SchemaValidator, SchemaValidationError, normalizeInvalidAction } = require('./schema-validator');
+const { createProcessorContext, loadProcessorConfig } = require('./processor-context');
+const { compose } = require('./middleware');
+const { createDedupStore, getMessageId, isValidMessageId } = require('./dedup-store');
+const { ProcessorTimeoutError, runWithTimeout } = require('./processor-timeout');
+const { WorkerProcessor } = require('./worker-pool');
+
+const MISSING_TOPIC_POLICIES = ['create', 'wait', 'skip'];
+const FAN_OUT_MODES = ['sequential', 'parallel'];
+const ISOLATION_MODES = ['none', 'worker'];
+// Name of processors registered without one; registering again without a name replaces them
+const DEFAULT_PROCESSOR_NAME = 'default';
+// Name of the deduplication store configured with the dedupStore option
+const DEFAULT_DEDUP_STORE = 'default';
+// Input headers copied onto every output record so pipelines keep one correlation chain
+const PROPAGATED_HEADERS = ['correlation-id'];
+
+/**
+ * Get the registry key of a topic or topic pattern
+ * Patterns are keyed by their source (e.g. '/^events\\..+/'), which cannot clash with a Kafka topic name
+ * @param {string|RegExp} topic - Topic name or pattern
+ * @returns {string} Key
+ */
+function topicKey(topic) {
+  return topic instanceof RegExp ? String(topic) : topic;
+}
+
+/**
+ * Get the id of one named processor on a topic
+ * Versions, schemas, contexts, lifecycle states and health are kept per id; the default processor's id is
+ * the topic key itself, other processors get '<key>#<name>' ('#' cannot appear in a Kafka topic name)
+ * @param {string} key - Topic key
+ * @param {string} name - Processor name
+ * @returns {string} Registration id
+ */
+function registrationId(key, name) {
+  return name === DEFAULT_PROCESSOR_NAME ? key : `${key}#${name}`;
+}
 
 class ProcessorRegistry extends EventEmitter {
   constructor(options = {}) {
@@ -18,6 +57,26 @@ class ProcessorRegistry extends EventEmitter {
     this.autoRefresh = options.autoRefresh !== false; // Default to true
     this.refreshInterval = options.refreshInterval || 5000; // 5 seconds
     this.fileExtensions = options.fileExtensions || ['.js'];
+    // What happens to messages that fail their topic's JSON Schema: 'reject', 'dead-letter' or 'log'
+    this.invalidMessageAction = normalizeInvalidAction(
+      options.invalidMessageAction || process.env.SCHEMA_INVALID_ACTION || 'reject'
+    );
+    // What happens to processors whose topic does not exist yet: 'create', 'wait' or 'skip'
+    this.missingTopicPolicy = options.missingTopicPolicy || process.env.PROCESSORS_MISSING_TOPIC_POLICY || 'wait';
+    if (!MISSING_TOPIC_POLICIES.includes(this.missingTopicPolicy)) {
+      throw new Error(`Invalid missing topic policy: ${this.missingTopicPolicy}. Expected one of ${MISSING_TOPIC_POLICIES.join(', ')}`);
+    }
+    // How a message reaches the processors of a topic: 'sequential' (one after another) or 'parallel'
+    this.fanOut = this.normalizeFanOut(options.fanOut || process.env.PROCESSORS_FAN_OUT || 'sequential');
+    // Set by an accessor in exactly-once mode, which commits a message's output and offset in one transaction
+    // and so allows one processor per topic
+    this.exactlyOnce = !!options.exactlyOnce;
+    this.topicPollInterval = options.topicPollInterval || parseInt(process.env.PROCESSORS_TOPIC_POLL_INTERVAL) || 10000;
+    // Settings for topics created by the 'create' policy
+    this.topicConfig = options.topicConfig || {
+      numPartitions: parseInt(process.env.PROCESSORS_TOPIC_PARTITIONS) || 1,
+      replicationFactor: parseInt(process.env.PROCESSORS_TOPIC_REPLICATION_FACTOR) || 1
+    };
     
     // Initialize logger
     this.logger = winston.createLogger({
@@ -35,21 +94,74 @@ class ProcessorRegistry extends EventEmitter {
       ]
     });
     
-    // Internal state
+    // Internal state: the first processor of each topic (or pattern) by key, and every named processor of
+    // each topic in the order they run (priority, then registration order)
     this.processors = new Map();
-    this.processorVersions = new Map();
+    this.topicProcessors = new Map();
+    this.registrationCount = 0;
+    this.topicFanOut = new Map(); // Fan-out mode overrides, by key
+    this.processorVersions = new Map(); // By registration id, like schemas, contexts, states and health
     this.processorFiles = new Map(); // Track file paths
+    this.pendingTopics = new Map(); // Processors waiting for their topic
+    this.topicPatterns = new Map(); // Pattern subscriptions, by key
+    this.schemaValidator = new SchemaValidator();
     this.registryStats = {
       totalRegistered: 0,
       totalDeregistered: 0,
       totalUpdated: 0,
       lastUpdated: null,
-      autoRefreshCount: 0
+      autoRefreshCount: 0,
+      invalidMessages: 0,
+      outputMessages: 0,
+      duplicateMessages: 0,
+      timeouts: 0
     };
     
     // Auto-refresh functionality
     this.refreshTimer = null;
     this.watcher = null;
+    this.topicPollTimer = null;
+    // Accessor used for topic checks once autoDiscoverProcessors is given one
+    this.kafkaAccessor = null;
+    // Accessor that owns the registry and produces processor outputs
+    this.owner = options.kafkaAccessor || null;
+    // Processor contexts: shared resources (DB pools, caches, ...), per-topic contexts and the shutdown signal
+    this.resources = { ...(options.resources || {}) };
+    this.processorContexts = new Map();
+    this.shutdownController = new AbortController();
+    // Lifecycle: per-topic init state ({ status, ready, error }), init runs per processor (shared by the
+    // topics it is registered for), destroy hooks still running and the latest healthCheck results
+    this.processorStates = new Map();
+    this.processorInits = new WeakMap();
+    this.pendingDestroys = new Set();
+    this.processorHealth = {};
+    // Middleware added with use(), in order, as { topic, fn } (topic null for every topic)
+    this.middleware = [];
+    // Deduplication: named stores (the default one built now, so a bad configuration fails at startup rather
+    // than on every message), the stores the registry created and closes on shutdown, the default TTL and how
+    // long an id is held while its message is being processed
+    this.dedupStores = new Map();
+    this.ownedDedupStores = new Set();
+    this.registerDedupStore(DEFAULT_DEDUP_STORE, options.dedupStore || {
+      type: process.env.PROCESSORS_DEDUP_STORE || 'memory',
+      path: process.env.PROCESSORS_DEDUP_PATH,
+      maxEntries: parseInt(process.env.PROCESSORS_DEDUP_MAX_ENTRIES) || undefined
+    });
+    this.dedupTtl = options.dedupTtl || parseInt(process.env.PROCESSORS_DEDUP_TTL) || 24 * 60 * 60 * 1000;
+    this.dedupReservationTtl = options.dedupReservationTtl || parseInt(process.env.PROCESSORS_DEDUP_RESERVATION_TTL) || 30000;
+    // Where processor classes loaded from files run: 'none' (the consumer's event loop) or 'worker' (worker
+    // threads), unless they declare their own `isolation`
+    this.isolation = options.isolation || process.env.PROCESSORS_ISOLATION || 'none';
+    this.workerPoolSize = options.workerPoolSize || parseInt(process.env.PROCESSORS_WORKER_POOL_SIZE) || 1;
+    this.workerRestartOnCrash = options.workerRestartOnCrash !== undefined
+      ? options.workerRestartOnCrash
+      : process.env.PROCESSORS_WORKER_RESTART !== 'false';
+    this.getProcessorIsolation({}); // Fails early on an unknown mode
+    // Milliseconds a processor may spend on one message unless it sets its own `timeout` (0 = no limit)
+    this.processorTimeout = this.normalizeTimeout(options.processorTimeout !== undefined
+      ? options.processorTimeout
+      : parseInt(process.env.PROCESSORS_TIMEOUT) || 0);
+    this.healthCheckTimeout = options.healthCheckTimeout || parseInt(process.env.PROCESSORS_HEALTH_CHECK_TIMEOUT) || 5000;
     
     // Initialize auto-refresh if enabled
     if (this.autoRefresh) {
@@ -72,6 +184,11 @@ class ProcessorRegistry extends EventEmitter {
         this.logger.error('Auto-refresh error', { error: error.message });
       }
     }, this.refreshInterval);
+
+    // Refreshing alone should not keep the process alive
+    if (this.refreshTimer.unref) {
+      this.refreshTimer.unref();
+    }
     
     this.logger.debug('Auto-refresh started', { processorsDir: this.processorsDir });
   }
@@ -89,6 +206,8 @@ class ProcessorRegistry extends EventEmitter {
       this.watcher.close();
       this.watcher = null;
     }
+
+    this.stopTopicPolling();
     
     this.logger.debug('Auto-refresh stopped');
   }
@@ -143,21 +262,36 @@ class ProcessorRegistry extends EventEmitter {
   /**
    * Load processor from file
    * @param {string} filePath - Path to processor file
+   * @param {Object} loadedModule - Module already required by readProcessorFile (optional)
    * @returns {Object|null} Processor instance or null if failed
    */
-  loadProcessorFromFile(filePath) {
+  loadProcessorFromFile(filePath, loadedModule = null) {
     try {
-      // Resolve the absolute path
-      const absolutePath = path.resolve(filePath);
-      
-      // Clear require cache to ensure fresh load
-      delete require.cache[absolutePath];
-      
-      const processorModule = require(absolutePath);
+      let processorModule = loadedModule;
+      if (!processorModule) {
+        // Resolve the absolute path
+        const absolutePath = path.resolve(filePath);
+        
+        // Clear require cache to ensure fresh load
+        delete require.cache[absolutePath];
+        
+        processorModule = require(absolutePath);
+      }
       const ProcessorClass = processorModule.default || processorModule;
       
       if (typeof ProcessorClass === 'function') {
-        return new ProcessorClass();
+        // Reloaded files get a fresh context so config file changes are picked up
+        const fileName = path.basename(filePath, path.extname(filePath));
+        const topics = this.resolveFileTopics(ProcessorClass, fileName);
+        const name = this.resolveFileProcessorName(ProcessorClass, fileName, topics);
+        // Named processors read their config under their file name
+        const configName = name === DEFAULT_PROCESSOR_NAME && typeof topics[0] === 'string' ? topics[0] : fileName;
+        const context = this.createContext(topicKey(topics[0]), ProcessorClass.config, configName);
+        this.processorContexts.set(registrationId(topicKey(topics[0]), name), context);
+        const isolation = this.getProcessorIsolation(ProcessorClass);
+        return isolation
+          ? this.createWorkerProcessor(ProcessorClass, filePath, topicKey(topics[0]), name, context, isolation)
+          : new ProcessorClass(context);
       } else if (typeof processorModule === 'object' && processorModule.process) {
         return processorModule;
       }
@@ -170,6 +304,95 @@ class ProcessorRegistry extends EventEmitter {
     }
   }
 
+  /**
+   * Get where a processor runs (`isolation` static or property, else the registry default)
+   * 'worker' or { poolSize, restartOnCrash } runs a processor class from a file in worker threads
+   * @param {Object|Function} processor - Processor class or instance
+   * @returns {Object|null} { poolSize, restartOnCrash } for worker isolation, or null
+   */
+  getProcessorIsolation(processor) {
+    const setting = getProcessorOption(processor, 'isolation', this.isolation);
+    const { mode = 'worker', poolSize = this.workerPoolSize, restartOnCrash = this.workerRestartOnCrash } = typeof setting === 'object'
+      ? setting
+      : { mode: setting };
+    if (!ISOLATION_MODES.includes(mode)) {
+      throw new Error(`Invalid processor isolation: ${mode}. Expected one of ${ISOLATION_MODES.join(', ')}`);
+    }
+    return mode === 'worker' ? { poolSize, restartOnCrash } : null;
+  }
+
+  /**
+   * Create the stand-in for a processor class that runs in worker threads
+   * Each worker loads the file and constructs the processor with a copy of the context's config; calls to
+   * send, sendMessages and ack come back to the main thread
+   * @param {Function} ProcessorClass - Processor class
+   * @param {string} filePath - Processor file
+   * @param {string} key - Topic key
+   * @param {string} name - Processor name
+   * @param {Object} context - The processor's context on the main thread
+   * @param {Object} isolation - { poolSize, restartOnCrash }
+   * @returns {WorkerProcessor} Processor
+   */
+  createWorkerProcessor(ProcessorClass, filePath, key, name, context, isolation) {
+    return new WorkerProcessor(ProcessorClass, {
+      workerData: { filePath: path.resolve(filePath), topic: key, name, config: context.config },
+      size: isolation.poolSize,
+      restartOnCrash: isolation.restartOnCrash,
+      logger: this.logger,
+      getContext: () => this.getProcessorContext(key, name),
+      onCrash: (error, { restarting }) => this.emit('processor:crashed', { topic: key, name, error, restarting })
+    });
+  }
+
+  /**
+   * Get the topics a processor file subscribes to: the topic names and patterns it declares, or its file name
+   * @param {Object|Function} processor - Processor class, instance or plain processor object
+   * @param {string} fileName - File name without extension
+   * @returns {Array<string|RegExp>} Topics and patterns
+   */
+  resolveFileTopics(processor, fileName) {
+    return getDeclaredTopics(processor) || [fileName];
+  }
+
+  /**
+   * Get the name a processor file registers under: its `processorName`, the default name when the file is
+   * named after one of its topics (or declares none), or else the file name, so several files can share a topic
+   * @param {Object|Function} processor - Processor class, instance or plain processor object
+   * @param {string} fileName - File name without extension
+   * @param {Array<string|RegExp>} topics - Topics the file subscribes to
+   * @returns {string} Processor name
+   */
+  resolveFileProcessorName(processor, fileName, topics) {
+    const declared = getProcessorOption(processor, 'processorName');
+    if (declared) {
+      return declared;
+    }
+    return topics.includes(fileName) ? DEFAULT_PROCESSOR_NAME : fileName;
+  }
+
+  /**
+   * Require a processor file and read the topics it declares, without instantiating it
+   * @param {string} filePath - Path to processor file
+   * @returns {Object} { processorModule, topics }; processorModule is null when the file cannot be required
+   */
+  readProcessorFile(filePath) {
+    const fileName = path.basename(filePath, path.extname(filePath));
+    let processorModule;
+    try {
+      const absolutePath = path.resolve(filePath);
+      delete require.cache[absolutePath];
+      processorModule = require(absolutePath);
+    } catch (error) {
+      // loadProcessorFromFile reports the error
+      return { processorModule: null, topics: [fileName] };
+    }
+
+    return {
+      processorModule,
+      topics: this.resolveFileTopics(processorModule.default || processorModule, fileName)
+    };
+  }
+
   /**
    * Auto-discover and register processors from directory
    * @param {Object} options - Discovery options
@@ -177,7 +400,11 @@ class ProcessorRegistry extends EventEmitter {
    */
   async autoDiscoverProcessors(options = {}) {
     const forceRefresh = options.forceRefresh || false;
-    const kafkaAccessor = options.kafkaAccessor;
+    // Remember the accessor so timed refreshes can still check topics
+    if (options.kafkaAccessor) {
+      this.kafkaAccessor = options.kafkaAccessor;
+    }
+    const kafkaAccessor = this.kafkaAccessor;
     const discoveredProcessors = [];
     const errors = [];
     
@@ -203,9 +430,12 @@ class ProcessorRegistry extends EventEmitter {
     for (const filePath of currentFiles) {
       const fileName = path.basename(filePath, path.extname(filePath));
       const existingFile = this.processorFiles.get(fileName);
+      // Files registered for only some of their topics are read again once a missing topic exists
+      const missingTopicReady = !!existingFile && availableTopics !== null
+        && existingFile.missingTopics.some(topic => availableTopics.includes(topic));
       
       // Check if file has changed
-      if (existingFile && !forceRefresh) {
+      if (existingFile && !forceRefresh && !missingTopicReady) {
         try {
           const stats = fs.statSync(filePath);
           if (stats.mtime.getTime() === existingFile.mtime.getTime()) {
@@ -216,40 +446,81 @@ class ProcessorRegistry extends EventEmitter {
         }
       }
       
-      // Only register processor if topic exists in Kafka (if we have topic list)
-      if (availableTopics !== null && !availableTopics.includes(fileName)) {
-        this.logger.debug('Skipping processor', { fileName, reason: 'topic not found in Kafka' });
+      // Topics come from the processor's topic / topics declaration, falling back to the file name
+      let declaredTopics;
+      let processorModule;
+      try {
+        ({ processorModule, topics: declaredTopics } = this.readProcessorFile(filePath));
+      } catch (error) {
+        this.logger.error('Invalid topic declaration in processor file', { filePath, error: error.message });
+        errors.push({ filePath, error: error.message });
+        continue;
+      }
+
+      // Only register processor for topics that exist in Kafka (if we have topic list)
+      const topics = [];
+      for (const topic of declaredTopics) {
+        if (topic instanceof RegExp || availableTopics === null || availableTopics.includes(topic)
+          || await this.handleMissingTopic(topic, filePath, kafkaAccessor)) {
+          topics.push(topic);
+        }
+      }
+      if (topics.length === 0) {
         continue;
       }
       
       // Load and register processor
-      const processor = this.loadProcessorFromFile(filePath);
+      const processor = this.loadProcessorFromFile(filePath, processorModule);
       if (processor) {
         try {
-          // Use filename as topic name (remove .js extension)
-          const topic = fileName;
-          
-          // Register processor
-          const result = this.registerProcessor(topic, processor, {
-            source: 'auto-discovery',
-            filePath: filePath
-          });
+          const name = this.resolveFileProcessorName(processor, fileName, declaredTopics);
+
+          // Initialize first so a processor whose init fails never replaces the one already running
+          await this.initProcessor(topicKey(topics[0]), processor, name);
+
+          // Register processor, with a sibling <file>.schema.json if the processor declares no schema
+          const schemaFile = path.join(this.processorsDir, `${fileName}.schema.json`);
+          const registered = [];
+          for (const topic of topics) {
+            const result = this.registerProcessor(topic, processor, {
+              source: 'auto-discovery',
+              filePath: filePath,
+              name,
+              ...(fs.existsSync(schemaFile) ? { schemaFile } : {})
+            });
+            if (result.success) {
+              registered.push({ topic: topicKey(topic), filePath, result });
+              this.logger.debug('Registered processor for topic', { topic });
+            }
+          }
+
+          // Topics (or a processor name) the file declared before but no longer does
+          const declaredKeys = declaredTopics.map(topicKey);
+          for (const versionInfo of this.processorVersions.values()) {
+            if (versionInfo.options.source === 'auto-discovery' && versionInfo.options.filePath === filePath
+              && (!declaredKeys.includes(versionInfo.topic) || versionInfo.name !== name)) {
+              this.deregisterProcessor(versionInfo.topic, { reason: 'undeclared', name: versionInfo.name });
+            }
+          }
           
-          if (result.success) {
+          if (registered.length === 0) {
+            await this.destroyProcessor(topicKey(topics[0]), processor, 'rejected');
+          } else {
             // Track file info
             try {
               const stats = fs.statSync(filePath);
               this.processorFiles.set(fileName, {
                 filePath,
                 mtime: stats.mtime,
-                size: stats.size
+                size: stats.size,
+                topics: registered.map(entry => entry.topic),
+                missingTopics: declaredTopics.filter(topic => typeof topic === 'string' && !topics.includes(topic))
               });
             } catch (error) {
               this.logger.warn('Could not track file info', { filePath });
             }
             
-            discoveredProcessors.push({ topic, filePath, result });
-            this.logger.debug('Registered processor for topic', { topic });
+            discoveredProcessors.push(...registered);
           }
         } catch (error) {
           errors.push({ filePath, error: error.message });
@@ -257,15 +528,20 @@ class ProcessorRegistry extends EventEmitter {
       }
     }
     
+    // Forget pending processors whose files were removed
+    for (const [topic, pending] of this.pendingTopics) {
+      if (!fs.existsSync(pending.filePath)) {
+        this.pendingTopics.delete(topic);
+      }
+    }
+    
     // Remove processors for files that no longer exist
-    const existingTopics = Array.from(this.processors.keys());
-    for (const topic of existingTopics) {
-      const processorInfo = this.processorVersions.get(topic);
-      if (processorInfo && processorInfo.options.source === 'auto-discovery') {
+    for (const processorInfo of Array.from(this.processorVersions.values())) {
+      if (processorInfo.options.source === 'auto-discovery') {
         const filePath = processorInfo.options.filePath;
         if (!fs.existsSync(filePath)) {
-          this.logger.debug('Removing processor for deleted file', { topic });
-          this.deregisterProcessor(topic);
+          this.logger.debug('Removing processor for deleted file', { topic: processorInfo.topic, name: processorInfo.name });
+          this.deregisterProcessor(processorInfo.topic, { name: processorInfo.name });
         }
       }
     }
@@ -282,6 +558,139 @@ class ProcessorRegistry extends EventEmitter {
     };
   }
 
+  /**
+   * Apply the missing topic policy to a processor whose topic does not exist
+   * @param {string} topic - Topic named by the processor file
+   * @param {string} filePath - Processor file path
+   * @param {Object} kafkaAccessor - Accessor used to create the topic
+   * @returns {Promise<boolean>} True if the topic now exists and the processor can be registered
+   */
+  async handleMissingTopic(topic, filePath, kafkaAccessor) {
+    if (this.missingTopicPolicy === 'skip') {
+      this.markTopicPending(topic, filePath, 'skipped');
+      return false;
+    }
+
+    if (this.missingTopicPolicy === 'create' && kafkaAccessor && typeof kafkaAccessor.createTopic === 'function') {
+      try {
+        await kafkaAccessor.createTopic(topic, this.topicConfig);
+        this.logger.info('Created topic for processor', { topic, config: this.topicConfig });
+        return true;
+      } catch (error) {
+        // Fall back to waiting, e.g. when the client may not create topics
+        this.logger.warn('Could not create topic for processor, waiting for it instead', { topic, error: error.message });
+        this.markTopicPending(topic, filePath, 'waiting', error.message);
+        return false;
+      }
+    }
+
+    this.markTopicPending(topic, filePath, 'waiting');
+    return false;
+  }
+
+  /**
+   * Record a processor that is not registered because its topic is missing
+   * @param {string} topic - Topic name
+   * @param {string} filePath - Processor file path
+   * @param {string} status - 'waiting' (polled until the topic exists) or 'skipped'
+   * @param {string} error - Topic creation error, if any
+   */
+  markTopicPending(topic, filePath, status, error) {
+    const existing = this.pendingTopics.get(topic);
+    this.pendingTopics.set(topic, {
+      topic,
+      filePath,
+      status,
+      since: existing ? existing.since : new Date().toISOString(),
+      lastChecked: new Date().toISOString(),
+      checks: existing ? existing.checks + 1 : 1,
+      ...(error ? { error } : {})
+    });
+
+    if (!existing) {
+      this.emit('processor:pending', { topic, filePath, status });
+      if (status === 'skipped') {
+        this.logger.warn('Skipping processor, topic not found in Kafka', { topic, filePath });
+      } else {
+        this.logger.info('Processor waiting for topic to be created', { topic, filePath });
+      }
+    }
+
+    if (status === 'waiting') {
+      this.startTopicPolling();
+    }
+  }
+
+  /**
+   * Get processors that are not registered because their topic is missing
+   * @returns {Array<Object>} Pending entries as { topic, filePath, status, since, lastChecked, checks, error }
+   */
+  getPendingTopics() {
+    return Array.from(this.pendingTopics.values()).map(pending => ({ ...pending }));
+  }
+
+  /**
+   * Poll topic metadata while processors are waiting for their topics
+   */
+  startTopicPolling() {
+    if (this.topicPollTimer) {
+      return;
+    }
+
+    this.topicPollTimer = setInterval(async () => {
+      try {
+        await this.checkPendingTopics();
+      } catch (error) {
+        this.logger.error('Pending topic check error', { error: error.message });
+      }
+    }, this.topicPollInterval);
+
+    if (this.topicPollTimer.unref) {
+      this.topicPollTimer.unref();
+    }
+  }
+
+  /**
+   * Stop polling for pending topics
+   */
+  stopTopicPolling() {
+    if (this.topicPollTimer) {
+      clearInterval(this.topicPollTimer);
+      this.topicPollTimer = null;
+    }
+  }
+
+  /**
+   * Register waiting processors whose topics have been created
+   * @returns {Promise<Array<string>>} Topics that became available
+   */
+  async checkPendingTopics() {
+    const waiting = Array.from(this.pendingTopics.values()).filter(pending => pending.status === 'waiting');
+    if (waiting.length === 0) {
+      this.stopTopicPolling();
+      return [];
+    }
+
+    if (!this.kafkaAccessor || !this.kafkaAccessor.admin) {
+      return [];
+    }
+
+    const topics = await this.kafkaAccessor.admin.listTopics();
+    const checkedAt = new Date().toISOString();
+    for (const pending of waiting) {
+      pending.lastChecked = checkedAt;
+      pending.checks++;
+    }
+
+    const ready = waiting.filter(pending => topics.includes(pending.topic)).map(pending => pending.topic);
+    if (ready.length > 0) {
+      this.logger.info('Topics for waiting processors are available', { topics: ready });
+      await this.autoDiscoverProcessors({ kafkaAccessor: this.kafkaAccessor });
+    }
+
+    return ready;
+  }
+
   /**
    * Refresh processors (alias for autoDiscoverProcessors)
    * @param {Object} options - Refresh options
@@ -314,48 +723,73 @@ class ProcessorRegistry extends EventEmitter {
   }
 
   /**
-   * Register a processor for a topic
-   * @param {string} topic - The Kafka topic name
+   * Register a processor for a topic, or for every topic matching a pattern
+   * A topic can have several processors told apart by name; registering a name again replaces its processor
+   * @param {string|RegExp} topicOrPattern - The Kafka topic name or a pattern (registered under its source)
    * @param {Object} processor - The processor instance
-   * @param {Object} options - Registration options
+   * @param {Object} options - Registration options (name: default the processor's `processorName` or 'default';
+   *   priority: higher runs first, default the processor's `priority` or 0)
    * @returns {Object} Registration result
    */
-  registerProcessor(topic, processor, options = {}) {
+  registerProcessor(topicOrPattern, processor, options = {}) {
+    const topic = topicKey(topicOrPattern);
+    let name;
     try {
       // Validate inputs
       if (!topic || typeof topic !== 'string') {
-        throw new Error('Topic must be a valid string');
+        throw new Error('Topic must be a valid string or RegExp');
       }
       
       if (!processor || typeof processor.process !== 'function') {
         throw new Error('Processor must have a process method');
       }
 
+      name = this.getProcessorName(processor, options);
+      this.checkDeclaredTopic(topicOrPattern, processor);
+      this.checkSharedTopic(topic, name, processor);
+      this.getProcessorMiddleware(processor);
+      this.getProcessorDeduplication(processor);
+      this.getProcessorTimeout(processor);
+
       // Check if processor already exists
-      const existingProcessor = this.processors.get(topic);
-      const isUpdate = !!existingProcessor;
+      const existing = this.getRegistration(topic, name);
+      const existingProcessor = existing ? existing.processor : undefined;
+      const isUpdate = !!existing;
+
+      // Compile the schema first so an invalid schema leaves the registry unchanged
+      const id = registrationId(topic, name);
+      this.applyProcessorSchema(id, processor, options);
       
       // Generate processor version
       const version = this.generateProcessorVersion(processor);
       
       // Store processor and version
-      this.processors.set(topic, processor);
-      this.processorVersions.set(topic, {
+      this.storeProcessor(topic, name, processor, options, existing);
+      if (topicOrPattern instanceof RegExp) {
+        this.topicPatterns.set(topic, topicOrPattern);
+      }
+      this.processorVersions.set(id, {
+        topic,
+        name,
         version,
         registeredAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
         options
       });
+      this.pendingTopics.delete(topic);
+      if (existingProcessor !== processor) {
+        this.replaceProcessorState(topic, processor, existingProcessor, 'updated', name);
+      }
 
       // Update stats
       if (isUpdate) {
         this.registryStats.totalUpdated++;
-        this.emit('processor:updated', { topic, processor, version, options });
-        this.logger.info('Updated processor for topic', { topic, version });
+        this.emit('processor:updated', { topic, name, processor, version, options });
+        this.logger.info('Updated processor for topic', { topic, name, version });
       } else {
         this.registryStats.totalRegistered++;
-        this.emit('processor:registered', { topic, processor, version, options });
-        this.logger.info('Registered processor for topic', { topic, version });
+        this.emit('processor:registered', { topic, name, processor, version, options });
+        this.logger.info('Registered processor for topic', { topic, name, version });
       }
 
       this.registryStats.lastUpdated = new Date().toISOString();
@@ -363,6 +797,7 @@ class ProcessorRegistry extends EventEmitter {
       return {
         success: true,
         topic,
+        name,
         version,
         action: isUpdate ? 'updated' : 'registered',
         timestamp: new Date().toISOString()
@@ -372,62 +807,93 @@ class ProcessorRegistry extends EventEmitter {
       const result = {
         success: false,
         topic,
+        ...(name ? { name } : {}),
         error: error.message,
         timestamp: new Date().toISOString()
       };
       
       this.emit('processor:error', result);
-      this.logger.error('Failed to register processor for topic', { topic, error: error.message });
+      this.logger.error('Failed to register processor for topic', { topic, name, error: error.message });
       
       return result;
     }
   }
 
   /**
-   * Deregister a processor for a topic
-   * @param {string} topic - The Kafka topic name
-   * @param {Object} options - Deregistration options
+   * Deregister a topic's processors, or only the one named by `options.name`
+   * Destroy hooks run in the background; shutdown() waits for them
+   * @param {string|RegExp} topicOrPattern - The Kafka topic name, or the pattern the processor was registered for
+   * @param {Object} options - Deregistration options (name; reason passed to destroy, default 'deregistered')
    * @returns {Object} Deregistration result
    */
-  deregisterProcessor(topic, options = {}) {
+  deregisterProcessor(topicOrPattern, options = {}) {
+    const topic = topicKey(topicOrPattern);
     try {
       // Validate inputs
       if (!topic || typeof topic !== 'string') {
-        throw new Error('Topic must be a valid string');
+        throw new Error('Topic must be a valid string or RegExp');
       }
 
       // Check if processor exists
-      if (!this.processors.has(topic)) {
+      const registrations = this.topicProcessors.get(topic);
+      if (!registrations) {
         throw new Error(`No processor found for topic: ${topic}`);
       }
+      const removed = options.name
+        ? registrations.filter(registration => registration.name === options.name)
+        : registrations;
+      if (removed.length === 0) {
+        throw new Error(`No processor named ${options.name} found for topic: ${topic}`);
+      }
 
-      // Get processor info before removal
-      const processor = this.processors.get(topic);
-      const versionInfo = this.processorVersions.get(topic);
+      const remaining = registrations.filter(registration => !removed.includes(registration));
+      if (remaining.length > 0) {
+        this.topicProcessors.set(topic, remaining);
+        this.processors.set(topic, remaining[0].processor);
+      } else {
+        this.processors.delete(topic);
+        this.topicProcessors.delete(topic);
+        this.topicPatterns.delete(topic);
+      }
 
-      // Remove processor and version info
-      this.processors.delete(topic);
-      this.processorVersions.delete(topic);
+      // Remove each processor's version info, schema, context and lifecycle state
+      const versions = removed.map(({ name, processor }) => {
+        const id = registrationId(topic, name);
+        const versionInfo = this.processorVersions.get(id);
+        const state = this.processorStates.get(id);
 
-      // Update stats
-      this.registryStats.totalDeregistered++;
-      this.registryStats.lastUpdated = new Date().toISOString();
+        this.processorVersions.delete(id);
+        this.schemaValidator.removeTopicSchema(id);
+        this.processorContexts.delete(id);
+        this.processorStates.delete(id);
+        delete this.processorHealth[id];
+        if (!this.isProcessorRegistered(processor)) {
+          this.destroyProcessor(id, processor, options.reason || 'deregistered', state);
+        }
 
-      // Emit event
-      this.emit('processor:deregistered', { 
-        topic, 
-        processor, 
-        versionInfo, 
-        options 
+        this.registryStats.totalDeregistered++;
+        this.emit('processor:deregistered', { 
+          topic, 
+          name,
+          processor, 
+          versionInfo, 
+          options 
+        });
+        return versionInfo;
       });
 
-      this.logger.info('Deregistered processor for topic', { topic });
+      // Update stats
+      this.registryStats.lastUpdated = new Date().toISOString();
+
+      const names = removed.map(registration => registration.name);
+      this.logger.info('Deregistered processor for topic', { topic, names });
 
       return {
         success: true,
         topic,
+        names,
         action: 'deregistered',
-        version: versionInfo?.version,
+        version: versions[0]?.version,
         timestamp: new Date().toISOString()
       };
 
@@ -448,16 +914,18 @@ class ProcessorRegistry extends EventEmitter {
 
   /**
    * Update an existing processor
-   * @param {string} topic - The Kafka topic name
+   * @param {string|RegExp} topicOrPattern - The Kafka topic name or pattern
    * @param {Object} processor - The new processor instance
-   * @param {Object} options - Update options
+   * @param {Object} options - Update options (name and priority as for registerProcessor)
    * @returns {Object} Update result
    */
-  updateProcessor(topic, processor, options = {}) {
+  updateProcessor(topicOrPattern, processor, options = {}) {
+    const topic = topicKey(topicOrPattern);
+    let name;
     try {
       // Validate inputs
       if (!topic || typeof topic !== 'string') {
-        throw new Error('Topic must be a valid string');
+        throw new Error('Topic must be a valid string or RegExp');
       }
       
       if (!processor || typeof processor.process !== 'function') {
@@ -469,16 +937,34 @@ class ProcessorRegistry extends EventEmitter {
         throw new Error(`No processor found for topic: ${topic}. Use registerProcessor instead.`);
       }
 
+      name = this.getProcessorName(processor, options);
+      const existing = this.getRegistration(topic, name);
+      if (!existing) {
+        throw new Error(`No processor named ${name} found for topic: ${topic}. Use registerProcessor instead.`);
+      }
+
+      this.checkDeclaredTopic(topicOrPattern, processor);
+      this.checkSharedTopic(topic, name, processor);
+      this.getProcessorMiddleware(processor);
+      this.getProcessorDeduplication(processor);
+      this.getProcessorTimeout(processor);
+
       // Get old processor info
-      const oldProcessor = this.processors.get(topic);
-      const oldVersion = this.processorVersions.get(topic);
+      const id = registrationId(topic, name);
+      const oldProcessor = existing.processor;
+      const oldVersion = this.processorVersions.get(id);
+
+      this.applyProcessorSchema(id, processor, options);
 
       // Update processor
-      this.processors.set(topic, processor);
+      this.storeProcessor(topic, name, processor, options, existing);
+      if (oldProcessor !== processor) {
+        this.replaceProcessorState(topic, processor, oldProcessor, 'updated', name);
+      }
       
       // Update version info
       const newVersion = this.generateProcessorVersion(processor);
-      this.processorVersions.set(topic, {
+      this.processorVersions.set(id, {
         ...oldVersion,
         version: newVersion,
         updatedAt: new Date().toISOString(),
@@ -493,6 +979,7 @@ class ProcessorRegistry extends EventEmitter {
       // Emit event
       this.emit('processor:updated', { 
         topic, 
+        name,
         processor, 
         oldProcessor,
         version: newVersion,
@@ -500,11 +987,12 @@ class ProcessorRegistry extends EventEmitter {
         options 
       });
 
-      this.logger.info('Updated processor for topic', { topic, oldVersion: oldVersion.version, newVersion: newVersion });
+      this.logger.info('Updated processor for topic', { topic, name, oldVersion: oldVersion.version, newVersion: newVersion });
 
       return {
         success: true,
         topic,
+        name,
         version: newVersion,
         previousVersion: oldVersion.version,
         action: 'updated',
@@ -515,68 +1003,248 @@ class ProcessorRegistry extends EventEmitter {
       const result = {
         success: false,
         topic,
+        ...(name ? { name } : {}),
         error: error.message,
         timestamp: new Date().toISOString()
       };
       
       this.emit('processor:error', result);
-      this.logger.error('Failed to update processor for topic', { topic, error: error.message });
+      this.logger.error('Failed to update processor for topic', { topic, name, error: error.message });
       
       return result;
     }
   }
 
+  /**
+   * Get the name a processor is registered under
+   * @param {Object} processor - The processor instance
+   * @param {Object} options - Registration options (name)
+   * @returns {string} Processor name
+   */
+  getProcessorName(processor, options = {}) {
+    const name = options.name || getProcessorOption(processor, 'processorName') || DEFAULT_PROCESSOR_NAME;
+    if (typeof name !== 'string') {
+      throw new Error(`Processor name must be a string, got ${typeof name}`);
+    }
+    return name;
+  }
+
+  /**
+   * Batch processors receive whole batches of a partition, so they cannot share a topic with other processors.
+   * Neither can processors in exactly-once mode: each would commit its output in its own transaction, and a
+   * replay of the message would publish the output of those that had committed again
+   * @param {string} topic - Topic key
+   * @param {string} name - Name the processor is registered under
+   * @param {Object} processor - The processor instance
+   */
+  checkSharedTopic(topic, name, processor) {
+    const others = (this.topicProcessors.get(topic) || []).filter(registration => registration.name !== name);
+    if (others.length > 0 && this.exactlyOnce) {
+      throw new Error(`Exactly-once processing allows one processor per topic; ${topic} already has ${others.map(registration => registration.name).join(', ')}`);
+    }
+    const involved = [processor, ...others.map(registration => registration.processor)];
+    if (others.length > 0 && involved.some(candidate => typeof candidate.processBatch === 'function')) {
+      throw new Error(`Batch processors cannot share topic ${topic} with other processors`);
+    }
+  }
+
+  /**
+   * Store a named processor and keep the topic's processors in the order they run
+   * @param {string} topic - Topic key
+   * @param {string} name - Processor name
+   * @param {Object} processor - The processor instance
+   * @param {Object} options - Registration options (priority)
+   * @param {Object} existing - Registration it replaces (optional), whose place among equal priorities it keeps
+   */
+  storeProcessor(topic, name, processor, options, existing) {
+    const priority = options.priority !== undefined ? options.priority : getProcessorOption(processor, 'priority', 0);
+    if (typeof priority !== 'number' || Number.isNaN(priority)) {
+      throw new Error(`Processor priority must be a number, got ${priority}`);
+    }
+
+    const registrations = (this.topicProcessors.get(topic) || []).filter(registration => registration !== existing);
+    registrations.push({ name, processor, priority, sequence: existing ? existing.sequence : this.registrationCount++ });
+    registrations.sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+
+    this.topicProcessors.set(topic, registrations);
+    this.processors.set(topic, registrations[0].processor);
+  }
+
+  /**
+   * Get one of a topic key's registrations
+   * @param {string} key - Topic key
+   * @param {string|null} name - Processor name, or null for the topic's first processor
+   * @returns {Object|null} Registration as { name, processor, priority, sequence }
+   */
+  getRegistration(key, name = null) {
+    const registrations = this.topicProcessors.get(key) || [];
+    const registration = name === null
+      ? registrations[0]
+      : registrations.find(candidate => candidate.name === name);
+    return registration || null;
+  }
+
+  /**
+   * List every registration with its id
+   * @returns {Array<Object>} Entries as { key, id, name, processor }
+   */
+  listRegistrations() {
+    const list = [];
+    for (const [key, registrations] of this.topicProcessors) {
+      for (const { name, processor } of registrations) {
+        list.push({ key, id: registrationId(key, name), name, processor });
+      }
+    }
+    return list;
+  }
+
+  /**
+   * Make sure a processor that declares its topics is registered for one of them
+   * A topic must be declared or match a declared pattern; a pattern must be declared as is
+   * @param {string|RegExp} topic - The Kafka topic name or pattern
+   * @param {Object} processor - The processor instance
+   */
+  checkDeclaredTopic(topic, processor) {
+    const declared = getDeclaredTopics(processor);
+    const covers = candidate => (topic instanceof RegExp
+      ? topicKey(candidate) === topicKey(topic)
+      : matchesTopic(candidate, topic));
+    if (declared && !declared.some(covers)) {
+      throw new Error(`Processor declares topics ${declared.map(String).join(', ')} and cannot be registered for topic: ${topic}`);
+    }
+  }
+
+  /**
+   * Get the key of the processor handling a topic
+   * Exact topic registrations win; otherwise the first matching pattern, longest pattern source first
+   * (ties by source), so precedence does not depend on the order processors were loaded in
+   * @param {string|RegExp} topic - The Kafka topic name, or a pattern to look up as registered
+   * @returns {string} Key of the matching registration, or the topic itself when none matches
+   */
+  resolveProcessorKey(topic) {
+    const key = topicKey(topic);
+    if (this.processors.has(key) || topic instanceof RegExp) {
+      return key;
+    }
+
+    const patterns = [...this.topicPatterns]
+      .sort(([a], [b]) => b.length - a.length || (a < b ? -1 : 1));
+    const match = patterns.find(([, pattern]) => matchesTopic(pattern, topic));
+    return match ? match[0] : key;
+  }
+
   /**
    * Get processor for a specific topic
-   * @param {string} topic - The Kafka topic name
+   * @param {string|RegExp} topic - The Kafka topic name (matched against patterns too) or a registered pattern
+   * @param {string|null} name - Processor name, or null for the first of the topic's processors
    * @returns {Object|null} The processor instance or null if not found
    */
-  getProcessor(topic) {
-    return this.processors.get(topic) || null;
+  getProcessor(topic, name = null) {
+    const registration = this.getRegistration(this.resolveProcessorKey(topic), name);
+    return registration ? registration.processor : null;
+  }
+
+  /**
+   * Get every processor of a topic, in the order they run
+   * @param {string|RegExp} topic - The Kafka topic name (matched against patterns too) or a registered pattern
+   * @returns {Array<Object>} Entries as { name, processor, priority }
+   */
+  getProcessors(topic) {
+    const registrations = this.topicProcessors.get(this.resolveProcessorKey(topic)) || [];
+    return registrations.map(({ name, processor, priority }) => ({ name, processor, priority }));
+  }
+
+  /**
+   * Set how messages reach the processors of one topic, overriding the registry's fan-out mode
+   * @param {string|RegExp} topic - The Kafka topic name or a registered pattern
+   * @param {string} mode - 'sequential' or 'parallel'
+   */
+  setTopicFanOut(topic, mode) {
+    this.topicFanOut.set(topicKey(topic), this.normalizeFanOut(mode));
+  }
+
+  /**
+   * Get how messages reach the processors of a topic
+   * @param {string|RegExp} topic - The Kafka topic name (matched against patterns too) or a registered pattern
+   * @returns {string} 'sequential' or 'parallel'
+   */
+  getFanOut(topic) {
+    return this.topicFanOut.get(this.resolveProcessorKey(topic)) || this.fanOut;
+  }
+
+  /**
+   * Check a fan-out mode
+   * @param {string} mode - Fan-out mode
+   * @returns {string} The mode
+   */
+  normalizeFanOut(mode) {
+    if (!FAN_OUT_MODES.includes(mode)) {
+      throw new Error(`Invalid fan-out mode: ${mode}. Expected one of ${FAN_OUT_MODES.join(', ')}`);
+    }
+    return mode;
   }
 
   /**
    * Check if a topic has a processor
-   * @param {string} topic - The Kafka topic name
+   * @param {string|RegExp} topic - The Kafka topic name (matched against patterns too) or a registered pattern
    * @returns {boolean} True if processor exists
    */
   hasProcessor(topic) {
-    return this.processors.has(topic);
+    return this.processors.has(this.resolveProcessorKey(topic));
   }
 
   /**
    * Get all available topics
-   * @returns {Array<string>} List of topics with processors
+   * @returns {Array<string|RegExp>} Topics with processors, and the patterns processors subscribe to
    */
   getAvailableTopics() {
-    return Array.from(this.processors.keys());
+    return Array.from(this.processors.keys(), key => this.topicPatterns.get(key) || key);
   }
 
   /**
    * Get processor information for a specific topic
+   * The top-level fields describe the topic's first processor; `processors` lists all of them in the order they run
    * @param {string} topic - The Kafka topic name
    * @returns {Object|null} Processor info or null if not found
    */
   getProcessorInfo(topic) {
-    if (!this.processors.has(topic)) {
+    const key = topicKey(topic);
+    if (!this.processors.has(key)) {
       return null;
     }
 
-    const processor = this.processors.get(topic);
-    const versionInfo = this.processorVersions.get(topic);
+    const processors = this.topicProcessors.get(key).map(({ name, processor, priority }) => {
+      const id = registrationId(key, name);
+      const versionInfo = this.processorVersions.get(id);
+      return {
+        name,
+        priority,
+        processor: {
+          name: processor.name || processor.constructor.name,
+          description: processor.description || 'No description',
+          hasProcessMethod: typeof processor.process === 'function',
+          hasGetInfoMethod: typeof processor.getInfo === 'function'
+        },
+        version: versionInfo.version,
+        hasSchema: this.schemaValidator.getTopicSchema(id) !== null,
+        registeredAt: versionInfo.registeredAt,
+        updatedAt: versionInfo.updatedAt,
+        options: versionInfo.options
+      };
+    });
+    const [first] = processors;
 
     return {
-      topic,
-      processor: {
-        name: processor.name || processor.constructor.name,
-        description: processor.description || 'No description',
-        hasProcessMethod: typeof processor.process === 'function',
-        hasGetInfoMethod: typeof processor.getInfo === 'function'
-      },
-      version: versionInfo.version,
-      registeredAt: versionInfo.registeredAt,
-      updatedAt: versionInfo.updatedAt,
-      options: versionInfo.options
+      topic: key,
+      pattern: this.topicPatterns.has(key),
+      processor: first.processor,
+      version: first.version,
+      hasSchema: first.hasSchema,
+      registeredAt: first.registeredAt,
+      updatedAt: first.updatedAt,
+      options: first.options,
+      fanOut: this.getFanOut(key),
+      processors
     };
   }
 
@@ -600,40 +1268,719 @@ class ProcessorRegistry extends EventEmitter {
     return {
       ...this.registryStats,
       currentProcessors: this.processors.size,
-      currentTopics: this.getAvailableTopics()
+      pendingProcessors: this.pendingTopics.size,
+      currentTopics: Array.from(this.processors.keys())
     };
   }
 
   /**
-   * Remove a processor for a topic (alias for deregisterProcessor)
-   * @param {string} topic - The Kafka topic name
-   * @param {Object} options - Removal options
-   * @returns {Object} Removal result
+   * Get the context for a topic's processor, creating it on first use
+   * Topics handled by a pattern processor share the pattern's context
+   * @param {string|RegExp} topic - The Kafka topic name or a registered pattern
+   * @param {string|null} name - Processor name, or null for the first of the topic's processors
+   * @returns {Object} Context (topic, accessor, send, sendMessages, logger, config, signal, resources)
    */
-  removeProcessor(topic, options = {}) {
-    return this.deregisterProcessor(topic, options);
+  getProcessorContext(topic, name = null) {
+    const key = this.resolveProcessorKey(topic);
+    const registration = this.getRegistration(key, name);
+    const processorName = registration ? registration.name : (name || DEFAULT_PROCESSOR_NAME);
+    const id = registrationId(key, processorName);
+    if (!this.processorContexts.has(id)) {
+      this.processorContexts.set(id, this.createRegistrationContext(key, processorName, registration && registration.processor));
+    }
+    return this.processorContexts.get(id);
   }
 
   /**
-   * Clear all processors
-   * @param {Object} options - Clear options
-   * @returns {Object} Clear result
+   * Build the context of one of a topic's processors
+   * A topic's default processor reads its config under the topic; named and pattern processors read it under
+   * their file name, if they came from one (named processors fall back to their name, patterns to just the defaults)
+   * @param {string} key - Topic key
+   * @param {string} name - Processor name
+   * @param {Object} processor - The processor instance (may declare static `config` defaults)
+   * @returns {Object} Context
    */
-  clear(options = {}) {
-    try {
-      const topics = this.getAvailableTopics();
-      const clearedCount = topics.length;
+  createRegistrationContext(key, name, processor) {
+    const filePath = this.processorVersions.get(registrationId(key, name))?.options.filePath;
+    const fileName = filePath ? path.basename(filePath, path.extname(filePath)) : null;
+    let configName = key;
+    if (name !== DEFAULT_PROCESSOR_NAME) {
+      configName = fileName || name;
+    } else if (this.topicPatterns.has(key)) {
+      configName = fileName;
+    }
+    return this.createContext(key, getProcessorOption(processor, 'config'), configName);
+  }
 
-      // Clear all processors
-      this.processors.clear();
-      this.processorVersions.clear();
+  /**
+   * Build a processor context
+   * @param {string} topic - The Kafka topic name or pattern key
+   * @param {Object} defaults - Configuration defaults declared by the processor (static `config`)
+   * @param {string|null} configName - Name of the config file and environment prefix (default: the topic);
+   *   null keeps just the defaults
+   * @returns {Object} Context
+   */
+  createContext(topic, defaults, configName = topic) {
+    return createProcessorContext({
+      topic,
+      accessor: this.owner,
+      logger: this.logger.child({ service: 'kafka-topic-processor', topic }),
+      config: configName
+        ? loadProcessorConfig(configName, {
+          defaults: defaults || {},
+          configFile: path.join(this.processorsDir, `${configName}.config.json`)
+        })
+        : { ...(defaults || {}) },
+      resources: this.resources,
+      getSignal: () => this.shutdownController.signal
+    });
+  }
 
-      // Update stats
-      this.registryStats.lastUpdated = new Date().toISOString();
+  /**
+   * Add middleware around processor execution, for every topic or for the topics one name or pattern covers
+   * Middleware runs in the order it was added, before the processor's own `middleware`, for each processor
+   * of a topic and around subscribeToTopic handlers
+   * @param {string|RegExp|Function} topicOrMiddleware - Topic name or pattern, or the middleware itself
+   * @param {Function} middleware - async (ctx, next) => {} when a topic is given
+   * @returns {ProcessorRegistry} The registry, so calls can be chained
+   */
+  use(topicOrMiddleware, middleware) {
+    const topic = typeof topicOrMiddleware === 'function' ? null : topicOrMiddleware;
+    const fn = typeof topicOrMiddleware === 'function' ? topicOrMiddleware : middleware;
+    if (topic !== null && !(topic instanceof RegExp) && (typeof topic !== 'string' || topic === '')) {
+      throw new Error('Middleware topic must be a valid string or RegExp');
+    }
+    if (typeof fn !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
 
-      // Emit event
-      this.emit('registry:cleared', { 
-        clearedCount, 
+    this.middleware.push({ topic, fn });
+    this.logger.debug('Added middleware', { topic: topic === null ? 'all' : String(topic) });
+    return this;
+  }
+
+  /**
+   * Get the middleware added with use() that applies to a topic
+   * @param {string} topic - The Kafka topic name
+   * @returns {Array<Function>} Middleware in the order it runs
+   */
+  getTopicMiddleware(topic) {
+    return this.middleware
+      .filter(entry => entry.topic === null || matchesTopic(entry.topic, topic))
+      .map(entry => entry.fn);
+  }
+
+  /**
+   * Get a processor's own middleware (`middleware` property or static)
+   * @param {Object} processor - The processor instance
+   * @returns {Array<Function>} Middleware
+   */
+  getProcessorMiddleware(processor) {
+    const middleware = getProcessorOption(processor, 'middleware', []);
+    if (!Array.isArray(middleware) || middleware.some(fn => typeof fn !== 'function')) {
+      throw new Error('Processor middleware must be an array of functions');
+    }
+    return middleware;
+  }
+
+  /**
+   * Check a processor timeout
+   * @param {number} timeout - Milliseconds, 0 for no limit
+   * @returns {number} The timeout
+   */
+  normalizeTimeout(timeout) {
+    if (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout < 0) {
+      throw new Error(`Invalid processor timeout: ${timeout}. Expected a number of milliseconds (0 = no limit)`);
+    }
+    return timeout;
+  }
+
+  /**
+   * Get how long a processor may spend on one message (`timeout` property or static, else the registry default)
+   * @param {Object} processor - The processor instance
+   * @returns {number} Milliseconds, 0 for no limit
+   */
+  getProcessorTimeout(processor) {
+    return this.normalizeTimeout(getProcessorOption(processor, 'timeout', this.processorTimeout));
+  }
+
+  /**
+   * Record a processor timing out on a message
+   * @param {string} topic - The Kafka topic name
+   * @param {string} name - Processor name
+   * @param {number} timeout - Milliseconds the processor had
+   * @returns {ProcessorTimeoutError} Error the message fails with
+   */
+  handleProcessorTimeout(topic, name, timeout) {
+    const error = new ProcessorTimeoutError(topic, name, timeout);
+    this.registryStats.timeouts++;
+    this.emit('processor:timeout', { topic, name, timeout, error });
+    this.logger.warn('Processor timed out', { topic, name, timeout });
+    return error;
+  }
+
+  /**
+   * Add a named deduplication store that processors can pick with `deduplicate: { store: name }`
+   * @param {string} name - Store name
+   * @param {Object} store - Store implementing has / add (see dedup-store), or { type, path, maxEntries }
+   */
+  registerDedupStore(name, store) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Deduplication store name must be a valid string');
+    }
+    const created = createDedupStore(store);
+    if (created !== store) {
+      this.ownedDedupStores.add(created);
+    }
+    this.dedupStores.set(name, created);
+    this.logger.debug('Registered deduplication store', { name });
+  }
+
+  /**
+   * Get a deduplication store by name
+   * @param {string|Object} store - Store name, or a store instance
+   * @returns {Object} Store
+   */
+  getDedupStore(store = DEFAULT_DEDUP_STORE) {
+    if (typeof store === 'object') {
+      return store;
+    }
+    if (!this.dedupStores.has(store)) {
+      throw new Error(`Unknown deduplication store: ${store}`);
+    }
+    return this.dedupStores.get(store);
+  }
+
+  /**
+   * Close the deduplication stores the registry created (pending file writes, SQLite databases)
+   * Stores passed in as instances are left to their owner
+   * @returns {Promise<void>}
+   */
+  async closeDedupStores() {
+    await Promise.all([...this.ownedDedupStores].map(async store => {
+      if (typeof store.close !== 'function') {
+        return;
+      }
+      try {
+        await store.close();
+      } catch (error) {
+        this.logger.error('Error closing deduplication store', { error: error.message });
+      }
+    }));
+  }
+
+  /**
+   * Get a processor's deduplication settings (`deduplicate` property or static)
+   * `deduplicate: true` uses the message-id header, the registry's default TTLs and the default store
+   * @param {Object} processor - The processor instance
+   * @returns {Object|null} { messageId, ttl, reservationTtl, store }, or null when the processor does not deduplicate
+   */
+  getProcessorDeduplication(processor) {
+    const setting = getProcessorOption(processor, 'deduplicate');
+    if (!setting) {
+      return null;
+    }
+
+    const {
+      messageId = 'header:message-id',
+      ttl = this.dedupTtl,
+      reservationTtl = this.dedupReservationTtl,
+      store = DEFAULT_DEDUP_STORE
+    } = setting === true ? {} : setting;
+    if (!isValidMessageId(messageId)) {
+      throw new Error(`Invalid deduplicate messageId: ${messageId}. Expected header:<name>, field:<path>, offset or a function`);
+    }
+    if (typeof ttl !== 'number' || !(ttl > 0)) {
+      throw new Error(`Invalid deduplicate ttl: ${ttl}. Expected a positive number of milliseconds`);
+    }
+    if (typeof reservationTtl !== 'number' || !(reservationTtl > 0)) {
+      throw new Error(`Invalid deduplicate reservationTtl: ${reservationTtl}. Expected a positive number of milliseconds`);
+    }
+    if (typeof store !== 'string' && !(store && typeof store.has === 'function' && typeof store.add === 'function')) {
+      throw new Error('Invalid deduplicate store: expected a store name or an object implementing has and add');
+    }
+    return { messageId, ttl, reservationTtl, store };
+  }
+
+  /**
+   * Look up a message in its processor's deduplication store, reserving its id for reservationTtl
+   * Keys are scoped to the processor's registration, so processors sharing a topic deduplicate on their own.
+   * Stores with reserve() claim the id in one step, so copies processed at the same time cannot both pass;
+   * other stores are only checked with has().
+   * @param {string} id - Registration id
+   * @param {Object} deduplication - Settings from getProcessorDeduplication
+   * @param {*} message - Message payload
+   * @param {Object} metadata - Message metadata
+   * @returns {Promise<Object|null>} { key, messageId, duplicate, reserved }, or null when the message carries no id
+   */
+  async checkDuplicate(id, deduplication, message, metadata) {
+    const messageId = getMessageId(deduplication.messageId, message, metadata);
+    if (messageId === null) {
+      this.logger.debug('Message has no id to deduplicate by', { topic: metadata && metadata.topic, processor: id });
+      return null;
+    }
+
+    const key = `${id}:${messageId}`;
+    const store = this.getDedupStore(deduplication.store);
+    if (typeof store.reserve === 'function') {
+      const reserved = await store.reserve(key, deduplication.reservationTtl);
+      return { key, messageId, duplicate: !reserved, reserved };
+    }
+    return { key, messageId, duplicate: await store.has(key), reserved: false };
+  }
+
+  /**
+   * Remember that a message was processed
+   * A store that fails here only costs deduplication of a later copy, so the message still succeeds
+   * @param {Object} deduplication - Settings from getProcessorDeduplication
+   * @param {string} key - Store key from checkDuplicate
+   */
+  async recordProcessed(deduplication, key) {
+    try {
+      await this.getDedupStore(deduplication.store).add(key, deduplication.ttl);
+    } catch (error) {
+      this.logger.warn('Could not record processed message for deduplication', { key, error: error.message });
+    }
+  }
+
+  /**
+   * Release the id reserved for a message that failed, so a retry or a redelivered copy is processed
+   * A store that fails here keeps the id until its reservationTtl runs out
+   * @param {Object} deduplication - Settings from getProcessorDeduplication
+   * @param {string} key - Store key from checkDuplicate
+   */
+  async releaseReservation(deduplication, key) {
+    try {
+      await this.getDedupStore(deduplication.store).delete(key);
+    } catch (error) {
+      this.logger.warn('Could not release deduplication reservation', { key, error: error.message });
+    }
+  }
+
+  /**
+   * Keep the id of a processed message, or release its reservation when processing failed
+   * Inside a transaction the id is kept once the transaction commits and released if it aborts, so a message
+   * whose offset commit failed is processed again rather than skipped as a duplicate
+   * @param {Object} deduplication - Settings from getProcessorDeduplication
+   * @param {Object} seen - Result of checkDuplicate
+   * @param {boolean} succeeded - Whether processing succeeded
+   * @param {Object} context - Message context, with `transaction` in exactly-once mode
+   */
+  async settleDeduplication(deduplication, seen, succeeded, context) {
+    const transaction = context && context.transaction;
+    if (succeeded && transaction && typeof transaction.afterCommit === 'function') {
+      transaction.afterCommit(() => this.recordProcessed(deduplication, seen.key));
+      if (seen.reserved) {
+        transaction.afterAbort(() => this.releaseReservation(deduplication, seen.key));
+      }
+    } else if (succeeded) {
+      await this.recordProcessed(deduplication, seen.key);
+    } else if (seen.reserved) {
+      await this.releaseReservation(deduplication, seen.key);
+    }
+  }
+
+  /**
+   * Create the context middleware receives
+   * @param {string} topic - The Kafka topic name
+   * @param {*} message - The message payload
+   * @param {Object} metadata - Message metadata
+   * @param {Object} context - Processor message context, if any
+   * @param {Object} processor - The processor about to run, if any
+   * @param {string|null} name - Name the processor is registered under
+   * @returns {Object} { topic, name, processor, message, metadata, context, logger, result, state }
+   */
+  createMiddlewareContext(topic, message, metadata, context, processor = null, name = null) {
+    return {
+      topic,
+      name,
+      processor,
+      message,
+      metadata,
+      context,
+      logger: context && context.logger ? context.logger : this.logger,
+      result: undefined,
+      state: {}
+    };
+  }
+
+  /**
+   * Run a custom message handler (KafkaAccessor.subscribeToTopic) inside the middleware added with use()
+   * @param {string} topic - The Kafka topic name
+   * @param {*} message - The message payload
+   * @param {Object} metadata - Message metadata
+   * @param {Function} handler - (message, metadata) => result
+   * @returns {Promise<*>} The handler's result, as left by the middleware
+   */
+  async handleWithMiddleware(topic, message, metadata, handler) {
+    const ctx = this.createMiddlewareContext(topic, message, metadata, null);
+    await compose(this.getTopicMiddleware(topic))(ctx, async () => {
+      ctx.result = await handler(ctx.message, ctx.metadata);
+    });
+    return ctx.result;
+  }
+
+  /**
+   * Share a resource (DB pool, cache, client, ...) with every processor as context.resources[name]
+   * @param {string} name - Resource name
+   * @param {*} resource - Resource
+   */
+  registerResource(name, resource) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Resource name must be a valid string');
+    }
+    this.resources[name] = resource;
+    this.logger.debug('Registered processor resource', { name });
+  }
+
+  /**
+   * Get a shared resource
+   * @param {string} name - Resource name
+   * @returns {*} Resource, or undefined when none is registered
+   */
+  getResource(name) {
+    return this.resources[name];
+  }
+
+  /**
+   * Remove a shared resource
+   * @param {string} name - Resource name
+   * @returns {boolean} True if a resource was removed
+   */
+  removeResource(name) {
+    if (!(name in this.resources)) {
+      return false;
+    }
+    delete this.resources[name];
+    return true;
+  }
+
+  /**
+   * Abort the signal processors see as context.signal, e.g. to cancel long-running work on shutdown
+   * The signal stays aborted until resetShutdownSignal() is called when processing starts again
+   * @param {*} reason - Abort reason
+   */
+  signalShutdown(reason = new Error('Processors are shutting down')) {
+    this.shutdownController.abort(reason);
+  }
+
+  /**
+   * Check whether the shutdown signal has been aborted
+   * @returns {boolean} True from signalShutdown() until resetShutdownSignal()
+   */
+  isShuttingDown() {
+    return this.shutdownController.signal.aborted;
+  }
+
+  /**
+   * Give processors a fresh context.signal after a shutdown, when they start processing again
+   */
+  resetShutdownSignal() {
+    if (this.shutdownController.signal.aborted) {
+      this.shutdownController = new AbortController();
+    }
+  }
+
+  /**
+   * Run a processor's init hook with its context, once per processor until it is destroyed
+   * @param {string} topic - The Kafka topic name
+   * @param {Object} processor - The processor instance
+   * @param {string} name - Name the processor is registered under
+   * @returns {Promise<void>} Rejects with the error init threw
+   */
+  initProcessor(topic, processor, name = DEFAULT_PROCESSOR_NAME) {
+    if (!this.processorInits.has(processor)) {
+      const init = this.runProcessorInit(topic, processor, name);
+      this.processorInits.set(processor, init);
+      // A processor whose init failed runs it again if it is registered again
+      init.catch(() => this.processorInits.delete(processor));
+    }
+    return this.processorInits.get(processor);
+  }
+
+  /**
+   * Call a processor's init hook, reporting failures
+   * @param {string} topic - The Kafka topic name
+   * @param {Object} processor - The processor instance
+   * @param {string} name - Name the processor is registered under
+   * @returns {Promise<void>} Rejects with the error init threw
+   */
+  async runProcessorInit(topic, processor, name = DEFAULT_PROCESSOR_NAME) {
+    if (typeof processor.init === 'function') {
+      const id = registrationId(topic, name);
+      if (!this.processorContexts.has(id)) {
+        this.processorContexts.set(id, this.createRegistrationContext(topic, name, processor));
+      }
+
+      try {
+        await processor.init(this.processorContexts.get(id));
+      } catch (error) {
+        this.emit('processor:error', {
+          success: false,
+          topic,
+          name,
+          action: 'init',
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+        this.logger.error('Failed to initialize processor for topic', { topic, name, error: error.message });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Start a registered processor's init hook; messages for the topic wait until it settles
+   * A processor whose init fails is deregistered without being destroyed
+   * @param {string} topic - The Kafka topic name
+   * @param {Object} processor - The processor instance
+   * @param {string} name - Name the processor is registered under
+   * @returns {Object} Lifecycle state { status, ready, error }
+   */
+  startProcessorInit(topic, processor, name = DEFAULT_PROCESSOR_NAME) {
+    const state = { status: 'initializing', ready: null, error: null };
+    state.ready = this.initProcessor(topic, processor, name).then(() => {
+      state.status = 'active';
+    }, error => {
+      state.status = 'failed';
+      state.error = error.message;
+      const registration = this.getRegistration(topic, name);
+      if (registration && registration.processor === processor) {
+        this.deregisterProcessor(topic, { name, reason: 'init-failed' });
+      }
+    });
+
+    this.processorStates.set(registrationId(topic, name), state);
+    return state;
+  }
+
+  /**
+   * Start a new processor's lifecycle and destroy the one it replaces
+   * @param {string} topic - The Kafka topic name
+   * @param {Object} processor - The new processor
+   * @param {Object} oldProcessor - The replaced processor (optional)
+   * @param {string} reason - Reason passed to the old processor's destroy hook
+   * @param {string} name - Name the processors are registered under
+   */
+  replaceProcessorState(topic, processor, oldProcessor, reason, name = DEFAULT_PROCESSOR_NAME) {
+    const id = registrationId(topic, name);
+    const oldState = this.processorStates.get(id);
+    this.startProcessorInit(topic, processor, name);
+    if (oldProcessor && !this.isProcessorRegistered(oldProcessor)) {
+      this.destroyProcessor(id, oldProcessor, reason, oldState);
+    }
+  }
+
+  /**
+   * Check whether a processor is still registered for any topic
+   * @param {Object} processor - The processor instance
+   * @returns {boolean} True if some topic still routes to it
+   */
+  isProcessorRegistered(processor) {
+    return this.listRegistrations().some(registration => registration.processor === processor);
+  }
+
+  /**
+   * Run a processor's destroy hook; errors are logged, never thrown
+   * @param {string} topic - The Kafka topic name
+   * @param {Object} processor - The processor instance
+   * @param {string} reason - 'deregistered', 'updated', 'cleared', 'shutdown', ...
+   * @param {Object} state - Lifecycle state; processors that never became active are not destroyed
+   * @returns {Promise<void>} Resolves once destroy has finished
+   */
+  destroyProcessor(topic, processor, reason, state = null) {
+    const destroying = (async () => {
+      if (state) {
+        await state.ready;
+        if (state.status !== 'active') {
+          return;
+        }
+      }
+      // A destroyed processor has to run init again before it is used
+      this.processorInits.delete(processor);
+      if (typeof processor.destroy !== 'function') {
+        return;
+      }
+
+      try {
+        await processor.destroy(reason);
+        this.logger.debug('Destroyed processor for topic', { topic, reason });
+      } catch (error) {
+        this.logger.error('Error destroying processor for topic', { topic, reason, error: error.message });
+      }
+    })();
+
+    this.pendingDestroys.add(destroying);
+    destroying.then(() => this.pendingDestroys.delete(destroying));
+    return destroying;
+  }
+
+  /**
+   * Wait for a topic's processor to finish initializing
+   * Processors destroyed by shutdown are initialized again when messages arrive after a reconnect
+   * @param {string|RegExp} topic - The Kafka topic name (matched against patterns too) or a registered pattern
+   * @param {string|null} name - Processor name, or null for the first of the topic's processors
+   * @returns {Promise<Object|null>} The active processor, or null if there is none or its init failed
+   */
+  async waitForProcessor(topic, name = null) {
+    const key = this.resolveProcessorKey(topic);
+    const registration = this.getRegistration(key, name);
+    if (!registration) {
+      return null;
+    }
+
+    const id = registrationId(key, registration.name);
+    let state = this.processorStates.get(id);
+    if (!state) {
+      return registration.processor;
+    }
+
+    for (;;) {
+      await state.ready;
+      const current = this.processorStates.get(id);
+      const registered = this.getRegistration(key, registration.name);
+      if (current && current !== state) {
+        state = current;
+      } else if (state.status === 'destroyed' && registered) {
+        // Processors destroyed by shutdown start again for messages after a reconnect
+        this.resetShutdownSignal();
+        state = this.startProcessorInit(key, registered.processor, registration.name);
+      } else {
+        break;
+      }
+    }
+
+    const active = this.getRegistration(key, registration.name);
+    return state.status === 'active' && active ? active.processor : null;
+  }
+
+  /**
+   * Abort the shutdown signal and destroy every processor
+   * Processors stay registered and are initialized again if they see messages after a reconnect
+   * @param {string} reason - Reason passed to destroy hooks
+   * @returns {Promise<void>} Resolves once every destroy hook has finished
+   */
+  async shutdown(reason = 'shutdown') {
+    this.signalShutdown();
+
+    const destroyed = new Map();
+    for (const { id, processor } of this.listRegistrations()) {
+      if (!destroyed.has(processor)) {
+        destroyed.set(processor, this.destroyProcessor(id, processor, reason, this.processorStates.get(id)));
+      }
+      this.processorStates.set(id, { status: 'destroyed', ready: destroyed.get(processor), error: null });
+    }
+
+    await Promise.all(this.pendingDestroys);
+    await this.closeDedupStores();
+    this.logger.debug('Processors shut down', { reason });
+  }
+
+  /**
+   * Run every active processor's healthCheck hook and remember the results
+   * healthCheck may return a boolean or { healthy, ...details }; throwing or timing out counts as unhealthy
+   * @returns {Promise<Object>} Processor health as returned by getProcessorHealth
+   */
+  async checkProcessorHealth() {
+    const results = {};
+
+    await Promise.all(this.listRegistrations().map(async ({ id, processor }) => {
+      const state = this.processorStates.get(id);
+      let health = { healthy: !state || state.status === 'active' };
+
+      if (health.healthy && typeof processor.healthCheck === 'function') {
+        let timer;
+        try {
+          const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`Health check timed out after ${this.healthCheckTimeout}ms`)), this.healthCheckTimeout);
+          });
+          const result = await Promise.race([processor.healthCheck(), timeout]);
+          health = typeof result === 'object' && result !== null
+            ? { ...result, healthy: result.healthy !== false }
+            : { healthy: result !== false };
+        } catch (error) {
+          health = { healthy: false, error: error.message };
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+
+      results[id] = { ...health, checkedAt: new Date().toISOString() };
+    }));
+
+    this.processorHealth = results;
+    return this.getProcessorHealth();
+  }
+
+  /**
+   * Get each processor's lifecycle status and latest healthCheck result
+   * Processors are listed by topic, or as '<topic>#<name>' for named processors
+   * @returns {Object} { healthy, processors: { [topic]: { status, healthy, checkedAt, ... } } }
+   */
+  getProcessorHealth() {
+    const processors = {};
+    for (const { id } of this.listRegistrations()) {
+      const state = this.processorStates.get(id);
+      const status = state ? state.status : 'active';
+      const checked = this.processorHealth[id] || { healthy: status === 'active', checkedAt: null };
+      processors[id] = {
+        ...checked,
+        status,
+        healthy: status === 'active' && checked.healthy,
+        ...(state && state.error ? { error: state.error } : {})
+      };
+    }
+
+    return {
+      healthy: Object.values(processors).every(processor => processor.healthy),
+      processors
+    };
+  }
+
+  /**
+   * Remove a processor for a topic (alias for deregisterProcessor)
+   * @param {string} topic - The Kafka topic name
+   * @param {Object} options - Removal options
+   * @returns {Object} Removal result
+   */
+  removeProcessor(topic, options = {}) {
+    return this.deregisterProcessor(topic, options);
+  }
+
+  /**
+   * Clear all processors
+   * @param {Object} options - Clear options
+   * @returns {Object} Clear result
+   */
+  clear(options = {}) {
+    try {
+      const topics = this.getAvailableTopics();
+      const clearedCount = topics.length;
+
+      const destroyed = new Set();
+      for (const { id, processor } of this.listRegistrations()) {
+        if (!destroyed.has(processor)) {
+          destroyed.add(processor);
+          this.destroyProcessor(id, processor, 'cleared', this.processorStates.get(id));
+        }
+      }
+
+      // Clear all processors
+      this.processors.clear();
+      this.topicProcessors.clear();
+      this.processorVersions.clear();
+      this.schemaValidator.clear();
+      this.processorContexts.clear();
+      this.processorStates.clear();
+      this.topicPatterns.clear();
+      this.processorHealth = {};
+
+      // Update stats
+      this.registryStats.lastUpdated = new Date().toISOString();
+
+      // Emit event
+      this.emit('registry:cleared', { 
+        clearedCount, 
         topics, 
         options 
       });
@@ -662,6 +2009,94 @@ class ProcessorRegistry extends EventEmitter {
     }
   }
 
+  /**
+   * Set or clear a topic's JSON Schema from the processor's static `schema` or a schema file
+   * @param {string} topic - The Kafka topic name
+   * @param {Object} processor - The processor instance
+   * @param {Object} options - Registration options (schemaFile)
+   */
+  applyProcessorSchema(topic, processor, options = {}) {
+    let schema = getProcessorOption(processor, 'schema');
+
+    if (!schema && options.schemaFile) {
+      try {
+        schema = JSON.parse(fs.readFileSync(options.schemaFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read schema file ${options.schemaFile}: ${error.message}`);
+      }
+    }
+
+    if (schema) {
+      this.schemaValidator.setTopicSchema(topic, schema);
+    } else {
+      this.schemaValidator.removeTopicSchema(topic);
+    }
+  }
+
+  /**
+   * Use a JSON Schema for a topic, e.g. to validate sends to topics without a local processor
+   * @param {string} topic - The Kafka topic name
+   * @param {Object} schema - JSON Schema
+   */
+  setTopicSchema(topic, schema) {
+    this.schemaValidator.setTopicSchema(topic, schema);
+  }
+
+  /**
+   * Validate a payload against its topic's JSON Schema
+   * @param {string} topic - The Kafka topic name
+   * @param {*} message - The message payload
+   * @param {string|null} name - Processor whose schema applies, or null for the first of the topic's processors
+   * @returns {{ valid: boolean, errors: Array<Object> }} Validation result
+   */
+  validateMessage(topic, message, name = null) {
+    const processorKey = this.resolveProcessorKey(topic);
+    const registration = this.getRegistration(processorKey, name);
+    const id = registration ? registrationId(processorKey, registration.name) : processorKey;
+    // A named processor's own schema applies to it; otherwise a schema set for the topic itself wins over
+    // the one of a pattern processor matching it
+    if (id !== processorKey && this.schemaValidator.getTopicSchema(id) !== null) {
+      return this.schemaValidator.validate(id, message);
+    }
+    const key = this.schemaValidator.getTopicSchema(topic) !== null ? topic : processorKey;
+    return this.schemaValidator.validate(key, message);
+  }
+
+  /**
+   * Apply the invalid-message action to a payload that failed validation
+   * @param {string} topic - The Kafka topic name
+   * @param {Object} processor - The processor instance (may declare `onInvalid`)
+   * @param {Array<Object>} errors - Validation errors
+   * @returns {Object|null} Error result, or null when processing should continue
+   */
+  handleInvalidMessage(topic, processor, errors) {
+    const action = normalizeInvalidAction(getProcessorOption(processor, 'onInvalid', this.invalidMessageAction));
+    const error = new SchemaValidationError(topic, errors);
+
+    this.registryStats.invalidMessages++;
+    this.emit('message:invalid', { topic, errors, action });
+
+    if (action === 'log') {
+      this.logger.warn('Processing message that failed schema validation', { topic, error: error.message });
+      return null;
+    }
+
+    this.logger.warn('Rejected message that failed schema validation', { topic, action, error: error.message });
+    if (action === 'dead-letter') {
+      error.failureMode = 'dead-letter';
+    }
+
+    return {
+      status: 'error',
+      message: error.message,
+      error,
+      validationErrors: errors,
+      topic,
+      processor: processor.constructor.name,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   /**
    * Generate a version for a processor
    * @param {Object} processor - The processor instance
@@ -726,24 +2161,153 @@ class ProcessorRegistry extends EventEmitter {
    * @param {string} topic - The Kafka topic name
    * @param {Object} message - The message payload
    * @param {Object} metadata - Message metadata
+   * Output records the processor returns (`outputs`) are produced through the owning accessor before the
+   * result is returned, so a failed send fails (and retries) the message. Messages wait for the processor's
+   * init hook; a processor whose init failed is gone, so its messages fail like those of an unknown topic.
+   * A topic with several processors hands the message to each of them, one after another or in parallel
+   * (getFanOut); a failing processor does not stop the others, and the result aggregates theirs as
+   * { status: 'success' | 'partial' | 'error', results: [{ name, ...result }] }
+   * @param {Object} context - Message context (ack, transaction)
+   * @param {Object} options - { processor: name } runs only that processor, e.g. to retry it on its own
    * @returns {Promise<Object>} Processing result
    */
-  async processMessage(topic, message, metadata) {
-    const processor = this.getProcessor(topic);
+  async processMessage(topic, message, metadata, context, options = {}) {
+    const registrations = options.processor ? [] : this.getProcessors(topic);
+    if (registrations.length < 2) {
+      return this.runProcessor(topic, options.processor || null, message, metadata, context);
+    }
+
+    const run = ({ name }) => this.runProcessor(topic, name, message, metadata, context);
+    let results;
+    if (this.getFanOut(topic) === 'parallel') {
+      results = await Promise.all(registrations.map(run));
+    } else {
+      results = [];
+      for (const registration of registrations) {
+        results.push(await run(registration));
+      }
+    }
+
+    const failed = results.filter(result => result.status === 'error').length;
+    let status = 'partial';
+    if (failed === 0) {
+      status = 'success';
+    } else if (failed === results.length) {
+      status = 'error';
+    }
+
+    return {
+      status,
+      ...(failed > 0 ? { message: `${failed} of ${results.length} processors failed for topic: ${topic}` } : {}),
+      results: results.map((result, index) => ({ name: registrations[index].name, ...result })),
+      topic,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Process a message with one of a topic's processors
+   * The processor runs inside the middleware added with use() for the topic, then its own `middleware`;
+   * errors are turned into error results, so one processor failing never affects the others. Processors
+   * that `deduplicate` skip messages they already processed, returning { status: 'duplicate', messageId }.
+   * Processors with a `timeout` get an error result (ProcessorTimeoutError, retryable) once it passes, and
+   * context.signal aborts so they can stop
+   * @param {string} topic - The Kafka topic name
+   * @param {string|null} name - Processor name, or null for the first of the topic's processors
+   * @param {Object} message - The message payload
+   * @param {Object} metadata - Message metadata
+   * @param {Object} context - Message context; named processors get their own logger and config in it
+   * @returns {Promise<Object>} Processing result
+   */
+  async runProcessor(topic, name, message, metadata, context) {
+    const processor = await this.waitForProcessor(topic, name);
     
     if (!processor) {
-      this.logger.warn('No processor found for topic', { topic });
+      this.logger.warn('No processor found for topic', { topic, name });
       return {
         status: 'error',
-        message: `No processor found for topic: ${topic}`,
+        message: name
+          ? `No processor named ${name} found for topic: ${topic}`
+          : `No processor found for topic: ${topic}`,
         topic,
         timestamp: new Date().toISOString()
       };
     }
 
+    let processorContext = context;
+    let deduplication = null;
+    let seen = null;
     try {
-      this.logger.debug('Processing message from topic', { topic });
-      const result = await processor.process(topic, message, metadata);
+      if (name && context) {
+        const { logger, config } = this.getProcessorContext(topic, name);
+        processorContext = { ...context, logger, config };
+      }
+
+      const key = this.resolveProcessorKey(topic);
+      const registration = this.getRegistration(key, name);
+      const processorName = registration ? registration.name : name;
+
+      // Copies of messages the processor already handled are skipped before anything else runs
+      deduplication = this.getProcessorDeduplication(processor);
+      seen = deduplication
+        ? await this.checkDuplicate(registrationId(key, processorName), deduplication, message, metadata)
+        : null;
+      if (seen && seen.duplicate) {
+        this.registryStats.duplicateMessages++;
+        this.emit('message:duplicate', { topic, name: processorName, messageId: seen.messageId });
+        this.logger.info('Skipped duplicate message', { topic, name: processorName, messageId: seen.messageId });
+        return {
+          status: 'duplicate',
+          messageId: seen.messageId,
+          topic,
+          processor: processor.constructor.name,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      // Middleware may change the message and metadata before the processor sees them, and the result after
+      const middleware = [...this.getTopicMiddleware(topic), ...this.getProcessorMiddleware(processor)];
+      const execute = async signal => {
+        // With a timeout the processor sees a signal that aborts when time is up (or on shutdown)
+        const runContext = signal ? { ...processorContext, signal } : processorContext;
+        const ctx = this.createMiddlewareContext(topic, message, metadata, runContext, processor, processorName);
+        await compose(middleware)(ctx, async () => {
+          // Tombstones carry no payload to validate
+          if (ctx.message !== null) {
+            const validation = this.validateMessage(topic, ctx.message, name);
+            const invalidResult = validation.valid ? null : this.handleInvalidMessage(topic, processor, validation.errors);
+            if (invalidResult) {
+              ctx.result = invalidResult;
+              return;
+            }
+          }
+
+          this.logger.debug('Processing message from topic', { topic, name });
+          ctx.result = await processor.process(topic, ctx.message, ctx.metadata, runContext);
+          // A processor that finishes after timing out must not produce outputs for a message being retried
+          if (signal && signal.reason instanceof ProcessorTimeoutError) {
+            throw signal.reason;
+          }
+
+          const { result } = ctx;
+          if (result && result.status !== 'error' && Array.isArray(result.outputs) && result.outputs.length > 0) {
+            await this.produceOutputs(topic, processor, result.outputs, ctx.metadata, runContext);
+          }
+        });
+        return ctx;
+      };
+
+      const timeout = this.getProcessorTimeout(processor);
+      const { result } = timeout > 0
+        ? await runWithTimeout(execute, {
+          timeout,
+          signal: processorContext ? processorContext.signal : undefined,
+          onTimeout: () => this.handleProcessorTimeout(topic, processorName, timeout)
+        })
+        : await execute(null);
+      if (seen) {
+        await this.settleDeduplication(deduplication, seen, !result || result.status !== 'error', processorContext);
+      }
       
       return {
         ...result,
@@ -753,16 +2317,166 @@ class ProcessorRegistry extends EventEmitter {
       };
       
     } catch (error) {
-      this.logger.error('Error processing message from topic', { topic, error: error.message });
+      this.logger.error('Error processing message from topic', { topic, name, error: error.message });
+      if (seen && seen.reserved) {
+        await this.releaseReservation(deduplication, seen.key);
+      }
       return {
         status: 'error',
         message: error.message,
+        error,
         topic,
         processor: processor.constructor.name,
         timestamp: new Date().toISOString()
       };
     }
   }
+
+  /**
+   * Produce a processor's output records
+   * Records are { topic, key, value, headers, partition, timestamp }; records without a topic go to the
+   * processor's `outputTopic`. The input's correlation id (or its message id) and any `propagateHeaders`
+   * are carried across. Inside an exactly-once transaction the records commit with the input offset.
+   * @param {string} topic - Input topic
+   * @param {Object} processor - Processor that returned the records
+   * @param {Array<Object>} outputs - Output records
+   * @param {Object} metadata - Input message metadata
+   * @param {Object} context - Message context (transaction)
+   * @returns {Promise<Array<Object>>} Entries as { topic, records } from sendBatch
+   */
+  async produceOutputs(topic, processor, outputs, metadata = {}, context = {}) {
+    const sender = context && context.transaction ? context.transaction : (this.owner || this.kafkaAccessor);
+    if (!sender || typeof sender.sendBatch !== 'function') {
+      throw new Error(`Processor for topic ${topic} returned output records but the registry has no KafkaAccessor to produce them`);
+    }
+
+    const outputTopic = getProcessorOption(processor, 'outputTopic');
+    const byTopic = new Map();
+    for (const record of outputs) {
+      const target = record && (record.topic || outputTopic);
+      if (!target || record.value === undefined) {
+        const error = new Error(`Output records of the processor for topic ${topic} need a topic (or outputTopic) and a value`);
+        error.retryable = false;
+        throw error;
+      }
+      if (!byTopic.has(target)) {
+        byTopic.set(target, []);
+      }
+      byTopic.get(target).push(record);
+    }
+
+    const inputHeaders = metadata.headers || {};
+    const headers = {};
+    for (const name of [...PROPAGATED_HEADERS, ...getProcessorOption(processor, 'propagateHeaders', [])]) {
+      if (inputHeaders[name] !== undefined && inputHeaders[name] !== null) {
+        headers[name] = inputHeaders[name];
+      }
+    }
+    // A message without a correlation id starts a chain keyed by its own id
+    const correlationId = headers['correlation-id'] || inputHeaders['message-id'];
+    if (correlationId) {
+      headers['correlation-id'] = correlationId;
+    }
+
+    const result = await sender.sendBatch(
+      [...byTopic].map(([target, messages]) => ({ topic: target, messages })),
+      { headers, correlationId: correlationId ? correlationId.toString() : undefined }
+    );
+
+    this.registryStats.outputMessages += outputs.length;
+    this.logger.debug('Processor outputs produced', { topic, outputTopics: [...byTopic.keys()], count: outputs.length });
+    return result;
+  }
+
+  /**
+   * Process a batch using a processor that implements processBatch
+   * Messages failing the topic's schema are left out of the call and reported as failed (unless onInvalid is 'log').
+   * processBatch may return { failed: [{ offset, error }] } to fail single messages; throwing or returning
+   * status 'error' fails every message passed in.
+   * @param {string} topic - The Kafka topic name
+   * @param {Array<Object>} entries - Messages as { message, metadata }
+   * @param {Object} batchMetadata - Batch metadata (topic, partition, firstOffset, lastOffset, size, attempt)
+   * @returns {Promise<Object>} Result as { status: 'success' | 'partial' | 'error', processed, failed: [{ offset, error }] }
+   */
+  async processBatch(topic, entries, batchMetadata) {
+    const processor = await this.waitForProcessor(topic);
+    const toFailures = (failedEntries, error) => failedEntries.map(entry => ({ offset: entry.metadata.offset, error }));
+
+    if (!processor || typeof processor.processBatch !== 'function') {
+      this.logger.warn('No batch processor found for topic', { topic });
+      return {
+        status: 'error',
+        processed: 0,
+        failed: toFailures(entries, new Error(`No batch processor found for topic: ${topic}`))
+      };
+    }
+
+    const failed = [];
+    const accepted = [];
+    for (const entry of entries) {
+      // Tombstones carry no payload to validate
+      const validation = entry.message === null ? { valid: true } : this.validateMessage(topic, entry.message);
+      const invalidResult = validation.valid ? null : this.handleInvalidMessage(topic, processor, validation.errors);
+      if (invalidResult) {
+        failed.push({ offset: entry.metadata.offset, error: invalidResult.error });
+      } else {
+        accepted.push(entry);
+      }
+    }
+
+    if (accepted.length > 0) {
+      try {
+        this.logger.debug('Processing batch from topic', { topic, size: accepted.length });
+        const result = await processor.processBatch(accepted, batchMetadata);
+
+        if (result && Array.isArray(result.failed)) {
+          const acceptedOffsets = new Set(accepted.map(entry => String(entry.metadata.offset)));
+          for (const failure of result.failed) {
+            if (acceptedOffsets.has(String(failure.offset))) {
+              failed.push({ offset: failure.offset, error: this.toBatchError(failure) });
+            }
+          }
+        } else if (result && result.status === 'error') {
+          failed.push(...toFailures(accepted, this.toBatchError(result)));
+        }
+      } catch (error) {
+        this.logger.error('Error processing batch from topic', { topic, error: error.message });
+        failed.push(...toFailures(accepted, error));
+      }
+    }
+
+    let status = 'partial';
+    if (failed.length === 0) {
+      status = 'success';
+    } else if (failed.length === entries.length) {
+      status = 'error';
+    }
+
+    return {
+      status,
+      processed: entries.length - failed.length,
+      failed
+    };
+  }
+
+  /**
+   * Turn a failure reported by processBatch into an Error
+   * @param {Object} failure - { error, message, retryable } where error may be an Error or a string
+   * @returns {Error} Error carrying `retryable` when the failure sets it
+   */
+  toBatchError(failure) {
+    let error;
+    if (failure.error instanceof Error) {
+      error = failure.error;
+    } else {
+      error = new Error(failure.error || failure.message || 'Batch processor reported a failure');
+    }
+
+    if (failure.retryable !== undefined && error.retryable === undefined) {
+      error.retryable = failure.retryable;
+    }
+    return error;
+  }
 }
 
 module.exports = ProcessorRegistry;
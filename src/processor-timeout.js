@@ -0,0 +1,73 @@
+/**
+ * Processor Timeout
+ * Limits how long one processor may spend on a message, and tells it to stop through an AbortSignal
+ */
+
+/**
+ * Error raised when a processor does not finish a message in time
+ * Timeouts are retried: the next attempt may find the stuck dependency working again
+ */
+class ProcessorTimeoutError extends Error {
+  /**
+   * @param {string} topic - Topic of the message
+   * @param {string|null} name - Name of the processor
+   * @param {number} timeout - Milliseconds the processor had
+   */
+  constructor(topic, name, timeout) {
+    super(`Processor ${name || 'default'} for topic ${topic} timed out after ${timeout}ms`);
+    this.name = 'ProcessorTimeoutError';
+    this.code = 'PROCESSOR_TIMEOUT';
+    this.topic = topic;
+    this.processorName = name;
+    this.timeout = timeout;
+    this.retryable = true;
+  }
+}
+
+/**
+ * Run a task with an AbortSignal that aborts once the timeout passes or the parent signal aborts
+ * The returned promise rejects with the timeout error as soon as the time is up; the task keeps running
+ * until it notices the signal, and whatever it returns or throws afterwards is ignored
+ * @param {Function} task - signal => Promise
+ * @param {Object} options - Timeout options
+ * @param {number} options.timeout - Milliseconds before the task times out
+ * @param {AbortSignal} options.signal - Parent signal, e.g. the shutdown signal (optional)
+ * @param {Function} options.onTimeout - Returns the error to abort and reject with
+ * @returns {Promise<*>} Task result
+ */
+async function runWithTimeout(task, { timeout, signal, onTimeout }) {
+  const controller = new AbortController();
+  const abortFromParent = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) {
+      abortFromParent();
+    } else {
+      signal.addEventListener('abort', abortFromParent, { once: true });
+    }
+  }
+
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = onTimeout();
+      controller.abort(error);
+      reject(error);
+    }, timeout);
+  });
+  const running = Promise.resolve().then(() => task(controller.signal));
+  running.catch(() => {});
+
+  try {
+    return await Promise.race([running, expired]);
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', abortFromParent);
+    }
+  }
+}
+
+module.exports = {
+  ProcessorTimeoutError,
+  runWithTimeout
+};
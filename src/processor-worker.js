@@ -0,0 +1,167 @@
+/**
+ * Processor Worker
+ * Entry point of the worker threads started by WorkerPool: loads one processor file, builds its context
+ * (send, sendMessages and ack are forwarded to the main thread) and runs the methods the pool asks for
+ */
+
+const path = require('path');
+const winston = require('winston');
+const { parentPort, workerData, threadId } = require('worker_threads');
+const { createProcessorContext } = require('./processor-context');
+const { serializeError, deserializeError, reviveBuffers } = require('./worker-pool');
+
+const { filePath, topic, config } = workerData;
+const calls = new Map();
+const tasks = new Map();
+const shutdownController = new AbortController();
+let callCount = 0;
+
+/**
+ * Call a context method on the main thread
+ * @param {string} method - Method name, e.g. 'send' or 'transaction.send'
+ * @param {Array} args - Arguments
+ * @param {number|null} taskId - Message the call belongs to, or null for the processor's own context
+ * @returns {Promise<*>} Result
+ */
+function callMain(method, args, taskId = null) {
+  return new Promise((resolve, reject) => {
+    const callId = ++callCount;
+    calls.set(callId, { resolve, reject });
+    parentPort.postMessage({ type: 'call', callId, taskId, method, args });
+  });
+}
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'kafka-topic-processor', topic, worker: threadId },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Resources of the main thread cannot cross threads; processors open their own in init
+const context = createProcessorContext({
+  topic,
+  accessor: {
+    sendMessage: (...args) => callMain('send', args),
+    sendMessages: (...args) => callMain('sendMessages', args)
+  },
+  logger,
+  config,
+  resources: {},
+  getSignal: () => shutdownController.signal
+});
+
+/**
+ * Build the context of one message
+ * @param {number} id - Task id
+ * @param {AbortSignal} signal - Aborts when the main thread gives up on the message
+ * @param {boolean} hasTransaction - Whether the message is processed in an exactly-once transaction
+ * @returns {Object} Message context
+ */
+function createMessageContext(id, signal, hasTransaction) {
+  return {
+    ...context,
+    signal,
+    send: (...args) => callMain('send', args, id),
+    sendMessages: (...args) => callMain('sendMessages', args, id),
+    ack: () => callMain('ack', [], id),
+    ...(hasTransaction ? {
+      transaction: {
+        send: (...args) => callMain('transaction.send', args, id),
+        sendMessages: (...args) => callMain('transaction.sendMessages', args, id),
+        sendBatch: (...args) => callMain('transaction.sendBatch', args, id)
+      }
+    } : {})
+  };
+}
+
+/**
+ * Run a method of the processor
+ * @param {Object} processor - Processor instance
+ * @param {Object} task - { id, method, args, hasTransaction, abortReason }
+ * @returns {Promise<*>} Method result
+ */
+async function runTask(processor, { id, method, args, hasTransaction, abortReason }) {
+  const controller = new AbortController();
+  tasks.set(id, controller);
+  // The signal aborted before the task was sent
+  if (abortReason) {
+    controller.abort(deserializeError(abortReason));
+  }
+
+  try {
+    if (method === 'process') {
+      const [messageTopic, message, metadata] = reviveBuffers(args);
+      return await processor.process(messageTopic, message, metadata, createMessageContext(id, controller.signal, hasTransaction));
+    }
+    if (method === 'processBatch') {
+      return await processor.processBatch(...reviveBuffers(args));
+    }
+    if (method === 'destroy') {
+      shutdownController.abort();
+    }
+    return typeof processor[method] === 'function' ? await processor[method](...args) : undefined;
+  } finally {
+    tasks.delete(id);
+  }
+}
+
+/**
+ * Load the processor file and run its init hook
+ * @returns {Promise<Object>} Processor instance
+ */
+async function loadProcessor() {
+  const processorModule = require(path.resolve(filePath));
+  const ProcessorClass = processorModule.default || processorModule;
+  const processor = new ProcessorClass(context);
+  if (typeof processor.init === 'function') {
+    await processor.init(context);
+  }
+  return processor;
+}
+
+const loading = loadProcessor();
+
+parentPort.on('message', async data => {
+  if (data.type === 'call-result') {
+    const call = calls.get(data.callId);
+    calls.delete(data.callId);
+    if (call && data.error) {
+      call.reject(deserializeError(data.error));
+    } else if (call) {
+      call.resolve(reviveBuffers(data.value));
+    }
+  } else if (data.type === 'abort') {
+    const controller = tasks.get(data.id);
+    if (controller) {
+      controller.abort(deserializeError(data.reason));
+    }
+  } else if (data.type === 'task') {
+    try {
+      const value = await runTask(await loading, data);
+      const resultError = !!(value && value.error instanceof Error);
+      parentPort.postMessage({
+        type: 'result',
+        id: data.id,
+        value: resultError ? { ...value, error: serializeError(value.error) } : value,
+        resultError
+      });
+    } catch (error) {
+      parentPort.postMessage({ type: 'result', id: data.id, error: serializeError(error) });
+    }
+  }
+});
+
+// The pool stops workers that fail to start
+loading.then(
+  () => parentPort.postMessage({ type: 'ready' }),
+  error => parentPort.postMessage({ type: 'failed', error: serializeError(error) })
+);
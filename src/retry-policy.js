@@ -0,0 +1,125 @@
+/**
+ * Retry Policy
+ * Decides whether a failed message should be retried and how long to wait before the next attempt
+ * Supports exponential backoff with jitter and retryable / non-retryable error classes
+ */
+
+class RetryPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {number} options.maxAttempts - Total attempts including the first one (default: 3)
+   * @param {number} options.initialDelay - Delay before the first retry in ms (default: 100)
+   * @param {number} options.maxDelay - Upper bound for any delay in ms (default: 30000)
+   * @param {number} options.multiplier - Backoff multiplier per attempt (default: 2)
+   * @param {number} options.jitter - Random spread as a fraction of the delay, 0-1 (default: 0.2)
+   * @param {Array<Function|string>} options.retryableErrors - Only these errors are retried (classes or names/codes)
+   * @param {Array<Function|string>} options.nonRetryableErrors - These errors are never retried (classes or names/codes)
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : 3;
+    this.initialDelay = options.initialDelay !== undefined ? options.initialDelay : 100;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 30000;
+    this.multiplier = options.multiplier !== undefined ? options.multiplier : 2;
+    this.jitter = options.jitter !== undefined ? options.jitter : 0.2;
+    this.retryableErrors = options.retryableErrors || [];
+    this.nonRetryableErrors = options.nonRetryableErrors || [];
+
+    if (this.maxAttempts < 1) {
+      throw new Error('Retry policy maxAttempts must be at least 1');
+    }
+    if (this.jitter < 0 || this.jitter > 1) {
+      throw new Error('Retry policy jitter must be between 0 and 1');
+    }
+  }
+
+  /**
+   * Create a policy from a RetryPolicy instance or plain options
+   * @param {RetryPolicy|Object} policy - Policy or options
+   * @param {Object} defaults - Options used for anything the policy does not set
+   * @returns {RetryPolicy} Policy instance
+   */
+  static from(policy, defaults = {}) {
+    if (policy instanceof RetryPolicy) {
+      return policy;
+    }
+    return new RetryPolicy({ ...defaults, ...(policy || {}) });
+  }
+
+  /**
+   * Check if an error matches a list of error classes or names/codes
+   * @param {Error} error - The error
+   * @param {Array<Function|string>} list - Error classes or names/codes
+   * @returns {boolean} True if the error matches
+   */
+  static matches(error, list) {
+    return list.some(entry => {
+      if (typeof entry === 'function') {
+        return error instanceof entry;
+      }
+      return error.name === entry || error.code === entry;
+    });
+  }
+
+  /**
+   * Check if an error can be retried
+   * An explicit `error.retryable` flag wins over the configured error lists
+   * @param {Error} error - The error
+   * @returns {boolean} True if the error is retryable
+   */
+  isRetryable(error) {
+    if (!error) {
+      return true;
+    }
+    if (error.retryable === true || error.retryable === false) {
+      return error.retryable;
+    }
+    if (RetryPolicy.matches(error, this.nonRetryableErrors)) {
+      return false;
+    }
+    if (this.retryableErrors.length > 0) {
+      return RetryPolicy.matches(error, this.retryableErrors);
+    }
+    return true;
+  }
+
+  /**
+   * Check if another attempt should be made
+   * @param {Error} error - The error from the last attempt
+   * @param {number} attempt - Number of attempts made so far
+   * @returns {boolean} True if the message should be retried
+   */
+  shouldRetry(error, attempt) {
+    return attempt < this.maxAttempts && this.isRetryable(error);
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * @param {number} attempt - Number of attempts made so far (1 for the first retry)
+   * @returns {number} Delay in ms
+   */
+  getDelay(attempt) {
+    const base = Math.min(this.maxDelay, this.initialDelay * Math.pow(this.multiplier, Math.max(0, attempt - 1)));
+    const spread = base * this.jitter;
+    const delay = base - spread + Math.random() * spread * 2;
+    return Math.max(0, Math.min(this.maxDelay, Math.round(delay)));
+  }
+
+  /**
+   * Describe the policy
+   * @returns {Object} Policy settings
+   */
+  toJSON() {
+    const describe = entry => (typeof entry === 'function' ? entry.name : entry);
+    return {
+      maxAttempts: this.maxAttempts,
+      initialDelay: this.initialDelay,
+      maxDelay: this.maxDelay,
+      multiplier: this.multiplier,
+      jitter: this.jitter,
+      retryableErrors: this.retryableErrors.map(describe),
+      nonRetryableErrors: this.nonRetryableErrors.map(describe)
+    };
+  }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,275 @@
+/**
+ * Schema Registry
+ * Resolves Avro and Protobuf schemas by id or subject, either from a Confluent-compatible
+ * schema registry over HTTP or from a local directory of .avsc / .proto files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { murmur2, toPositive } = require('./partitioners');
+
+const SCHEMA_FILE_TYPES = {
+  '.avsc': 'AVRO',
+  '.proto': 'PROTOBUF'
+};
+
+/**
+ * Client for a Confluent-compatible schema registry REST API
+ * Schemas by id never change, so they are cached for the life of the client;
+ * subject versions (including 'latest') are cached for `cacheTtl`
+ */
+class SchemaRegistryClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.url - Registry base URL
+   * @param {string} options.username - Basic auth user (optional)
+   * @param {string} options.password - Basic auth password (optional)
+   * @param {Object} options.headers - Extra request headers (optional)
+   * @param {number} options.cacheTtl - How long subject versions are cached in ms (default: 300000)
+   * @param {Function} options.fetch - fetch implementation (defaults to the global fetch)
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('Schema registry url is required');
+    }
+
+    this.url = options.url.replace(/\/+$/, '');
+    this.cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : 300000;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.headers = {
+      Accept: 'application/vnd.schemaregistry.v1+json',
+      ...(options.headers || {})
+    };
+    if (options.username) {
+      const credentials = Buffer.from(`${options.username}:${options.password || ''}`).toString('base64');
+      this.headers.Authorization = `Basic ${credentials}`;
+    }
+
+    if (typeof this.fetch !== 'function') {
+      throw new Error('Schema registry client requires a global fetch (Node 18+) or options.fetch');
+    }
+
+    this.schemasById = new Map();
+    this.subjectVersions = new Map();
+  }
+
+  /**
+   * Call the registry
+   * @param {string} requestPath - Path below the base URL
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async request(requestPath) {
+    let response;
+    try {
+      response = await this.fetch(`${this.url}${requestPath}`, { headers: this.headers });
+    } catch (error) {
+      const requestError = new Error(`Schema registry request failed: ${error.message}`);
+      requestError.retryable = true;
+      throw requestError;
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(`Schema registry request failed: ${response.status} ${body.message || response.statusText || ''}`.trim());
+      error.status = response.status;
+      error.retryable = response.status >= 500;
+      throw error;
+    }
+    return body;
+  }
+
+  /**
+   * Get a schema by its global id
+   * @param {number} id - Schema id
+   * @returns {Promise<Object>} Schema as { id, schemaType, schema }
+   */
+  getSchemaById(id) {
+    if (!this.schemasById.has(id)) {
+      const pending = this.request(`/schemas/ids/${id}`).then(body => ({
+        id,
+        schemaType: body.schemaType || 'AVRO',
+        schema: body.schema
+      }));
+      // Do not keep failed lookups around
+      pending.catch(() => this.schemasById.delete(id));
+      this.schemasById.set(id, pending);
+    }
+    return this.schemasById.get(id);
+  }
+
+  /**
+   * Get a version of a subject
+   * @param {string} subject - Subject name (e.g. 'orders-value')
+   * @param {number|string} version - Version number or 'latest' (default: 'latest')
+   * @returns {Promise<Object>} Schema as { id, subject, version, schemaType, schema }
+   */
+  async getSchema(subject, version = 'latest') {
+    const cacheKey = `${subject}@${version}`;
+    const cached = this.subjectVersions.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.schema;
+    }
+
+    const body = await this.request(`/subjects/${encodeURIComponent(subject)}/versions/${version}`);
+    const schema = {
+      id: body.id,
+      subject: body.subject || subject,
+      version: body.version,
+      schemaType: body.schemaType || 'AVRO',
+      schema: body.schema
+    };
+
+    this.subjectVersions.set(cacheKey, { schema, expiresAt: Date.now() + this.cacheTtl });
+    this.schemasById.set(schema.id, Promise.resolve({ id: schema.id, schemaType: schema.schemaType, schema: schema.schema }));
+    return schema;
+  }
+
+  /**
+   * Describe the registry
+   * @returns {Object} Registry information
+   */
+  getInfo() {
+    return {
+      type: 'remote',
+      url: this.url,
+      cachedSchemas: this.schemasById.size
+    };
+  }
+}
+
+/**
+ * File-based registry for tests and offline development
+ * Each `<subject>.avsc` or `<subject>.proto` file in the directory is version 1 of that subject.
+ * Ids are derived from the subject name so they stay stable when files are added or removed.
+ */
+class LocalSchemaRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string} options.directory - Directory containing schema files
+   */
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('Local schema registry directory is required');
+    }
+
+    this.directory = options.directory;
+    this.schemasById = null;
+    this.schemasBySubject = null;
+  }
+
+  /**
+   * Read every schema file in the directory
+   */
+  load() {
+    if (!fs.existsSync(this.directory)) {
+      throw new Error(`Schema directory not found: ${this.directory}`);
+    }
+
+    const schemasById = new Map();
+    const schemasBySubject = new Map();
+
+    const files = fs.readdirSync(this.directory)
+      .filter(file => SCHEMA_FILE_TYPES[path.extname(file)])
+      .sort();
+
+    for (const file of files) {
+      const subject = path.basename(file, path.extname(file));
+      const id = toPositive(murmur2(subject)) || 1;
+
+      if (schemasById.has(id)) {
+        throw new Error(`Schema id collision between ${schemasById.get(id).subject} and ${subject}`);
+      }
+
+      const schema = {
+        id,
+        subject,
+        version: 1,
+        schemaType: SCHEMA_FILE_TYPES[path.extname(file)],
+        schema: fs.readFileSync(path.join(this.directory, file), 'utf8')
+      };
+      schemasById.set(id, schema);
+      schemasBySubject.set(subject, schema);
+    }
+
+    this.schemasById = schemasById;
+    this.schemasBySubject = schemasBySubject;
+  }
+
+  /**
+   * Ensure the directory has been read
+   */
+  ensureLoaded() {
+    if (!this.schemasById) {
+      this.load();
+    }
+  }
+
+  /**
+   * Get a schema by id
+   * @param {number} id - Schema id
+   * @returns {Promise<Object>} Schema as { id, subject, version, schemaType, schema }
+   */
+  async getSchemaById(id) {
+    this.ensureLoaded();
+    const schema = this.schemasById.get(id);
+    if (!schema) {
+      throw new Error(`Schema not found: ${id}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Get a subject's schema
+   * @param {string} subject - Subject name (file name without extension)
+   * @param {number|string} version - 'latest' or 1 (local subjects have a single version)
+   * @returns {Promise<Object>} Schema as { id, subject, version, schemaType, schema }
+   */
+  async getSchema(subject, version = 'latest') {
+    this.ensureLoaded();
+    const schema = this.schemasBySubject.get(subject);
+    if (!schema || (version !== 'latest' && Number(version) !== schema.version)) {
+      throw new Error(`Schema not found: ${subject} version ${version}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Describe the registry
+   * @returns {Object} Registry information
+   */
+  getInfo() {
+    return {
+      type: 'local',
+      directory: this.directory,
+      subjects: this.schemasBySubject ? [...this.schemasBySubject.keys()] : []
+    };
+  }
+}
+
+/**
+ * Create a schema registry from configuration
+ * @param {Object} config - { url, username, password } for a remote registry, { directory } for a
+ *   local one, or an object already implementing getSchemaById / getSchema
+ * @returns {Object|null} Registry, or null when nothing is configured
+ */
+function createSchemaRegistry(config) {
+  if (!config) {
+    return null;
+  }
+  if (typeof config.getSchemaById === 'function' && typeof config.getSchema === 'function') {
+    return config;
+  }
+  if (config.url) {
+    return new SchemaRegistryClient(config);
+  }
+  if (config.directory) {
+    return new LocalSchemaRegistry(config);
+  }
+  return null;
+}
+
+module.exports = {
+  SchemaRegistryClient,
+  LocalSchemaRegistry,
+  createSchemaRegistry
+};
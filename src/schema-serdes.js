@@ -0,0 +1,311 @@
+/**
+ * Schema Serdes
+ * Avro and Protobuf serdes using the Confluent wire format:
+ *   magic byte 0 | 4-byte big-endian schema id | (Protobuf only) message indexes | payload
+ * Schemas are resolved through a schema registry (see schema-registry.js)
+ */
+
+const avro = require('avsc');
+const protobuf = require('protobufjs');
+
+const MAGIC_BYTE = 0;
+
+/**
+ * Write a zigzag varint (used for Protobuf message indexes)
+ * @param {number} value - Non-negative integer
+ * @returns {Array<number>} Bytes
+ */
+function encodeVarint(value) {
+  const bytes = [];
+  let remaining = value * 2;
+  while (remaining > 0x7f) {
+    bytes.push((remaining & 0x7f) | 0x80);
+    remaining = Math.floor(remaining / 128);
+  }
+  bytes.push(remaining);
+  return bytes;
+}
+
+/**
+ * Read a zigzag varint
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Read position
+ * @returns {{ value: number, offset: number }} Value and the next read position
+ */
+function decodeVarint(buffer, offset) {
+  let result = 0;
+  let shift = 0;
+  let byte;
+  do {
+    if (offset >= buffer.length) {
+      throw new Error('Truncated message indexes');
+    }
+    byte = buffer[offset++];
+    result += (byte & 0x7f) * Math.pow(2, shift);
+    shift += 7;
+  } while (byte & 0x80);
+
+  const value = result % 2 === 0 ? result / 2 : -(result + 1) / 2;
+  return { value, offset };
+}
+
+/**
+ * Frame a payload in the Confluent wire format
+ * @param {number} schemaId - Registry schema id
+ * @param {Buffer} payload - Encoded message
+ * @param {Array<number>} messageIndexes - Protobuf message indexes (omit for Avro)
+ * @returns {Buffer} Framed message
+ */
+function encodeWireFormat(schemaId, payload, messageIndexes) {
+  const header = Buffer.alloc(5);
+  header.writeUInt8(MAGIC_BYTE, 0);
+  header.writeUInt32BE(schemaId, 1);
+
+  if (!messageIndexes) {
+    return Buffer.concat([header, payload]);
+  }
+
+  // The common case of the first message type is written as a single 0
+  const indexes = messageIndexes.length === 1 && messageIndexes[0] === 0
+    ? [0]
+    : [...encodeVarint(messageIndexes.length), ...messageIndexes.flatMap(encodeVarint)];
+  return Buffer.concat([header, Buffer.from(indexes), payload]);
+}
+
+/**
+ * Read the Confluent wire format framing
+ * @param {Buffer} buffer - Framed message
+ * @param {Object} options - Decode options
+ * @param {boolean} options.messageIndexes - Read Protobuf message indexes after the schema id
+ * @returns {{ schemaId: number, messageIndexes: Array<number>|undefined, payload: Buffer }} Parts
+ */
+function decodeWireFormat(buffer, options = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 5 || buffer[0] !== MAGIC_BYTE) {
+    throw new Error('Message is not in the schema registry wire format (missing magic byte)');
+  }
+
+  const schemaId = buffer.readUInt32BE(1);
+  if (!options.messageIndexes) {
+    return { schemaId, payload: buffer.subarray(5) };
+  }
+
+  let { value: count, offset } = decodeVarint(buffer, 5);
+  const messageIndexes = [];
+  if (count === 0) {
+    messageIndexes.push(0);
+  }
+  while (count-- > 0) {
+    const index = decodeVarint(buffer, offset);
+    messageIndexes.push(index.value);
+    offset = index.offset;
+  }
+
+  return { schemaId, messageIndexes, payload: buffer.subarray(offset) };
+}
+
+/**
+ * Normalize a `valueSchema` declaration
+ * @param {string|Object} valueSchema - Subject name, or { subject, version, id, messageType }
+ * @returns {Object} Declaration object
+ */
+function normalizeValueSchema(valueSchema) {
+  if (typeof valueSchema === 'string') {
+    return { subject: valueSchema };
+  }
+  return valueSchema || {};
+}
+
+/**
+ * Look up the schema a declaration (or the topic's default subject) refers to
+ * @param {Object} registry - Schema registry
+ * @param {string} schemaType - Expected schema type ('AVRO' or 'PROTOBUF')
+ * @param {Object} args - Serde arguments (topic, valueSchema)
+ * @returns {Promise<Object>} Schema as { id, schemaType, schema }
+ */
+async function resolveSchema(registry, schemaType, args) {
+  const declared = normalizeValueSchema(args.valueSchema);
+  const subject = declared.subject || `${args.topic}-value`;
+  const schema = declared.id !== undefined
+    ? await registry.getSchemaById(declared.id)
+    : await registry.getSchema(subject, declared.version || 'latest');
+
+  if (schema.schemaType !== schemaType) {
+    throw new Error(`Schema ${schema.subject || schema.id} is ${schema.schemaType}, expected ${schemaType}`);
+  }
+  return schema;
+}
+
+/**
+ * Mark an error as caused by the message itself so it is never retried
+ * @param {string} message - Error message
+ * @returns {Error} Non-retryable error
+ */
+function schemaError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Create the Avro serde
+ * Producers write with the declared (or `<topic>-value`) subject; consumers decode with the writer
+ * schema from the message, or resolve into the schema a processor declares as `valueSchema`
+ * @param {Object} registry - Schema registry
+ * @returns {Object} Serde
+ */
+function createAvroSerde(registry) {
+  const types = new Map();
+  const resolvers = new Map();
+
+  const compile = schema => {
+    if (!types.has(schema.id)) {
+      types.set(schema.id, avro.Type.forSchema(JSON.parse(schema.schema)));
+    }
+    return types.get(schema.id);
+  };
+
+  return {
+    contentType: 'application/vnd.apache.avro',
+
+    async serialize(value, args = {}) {
+      const schema = await resolveSchema(registry, 'AVRO', args);
+      const type = compile(schema);
+
+      const invalidPaths = [];
+      type.isValid(value, { errorHook: fieldPath => invalidPaths.push(fieldPath.join('.') || '(root)') });
+      if (invalidPaths.length > 0) {
+        throw schemaError(`Value does not match Avro schema ${schema.subject || schema.id}: invalid ${invalidPaths.join(', ')}`);
+      }
+
+      return encodeWireFormat(schema.id, type.toBuffer(value));
+    },
+
+    async deserialize(buffer, args = {}) {
+      const { schemaId, payload } = decodeWireFormat(buffer);
+      const writerType = compile(await registry.getSchemaById(schemaId));
+
+      if (!args.valueSchema) {
+        return writerType.fromBuffer(payload);
+      }
+
+      const readerSchema = await resolveSchema(registry, 'AVRO', args);
+      if (readerSchema.id === schemaId) {
+        return writerType.fromBuffer(payload);
+      }
+
+      const readerType = compile(readerSchema);
+      const resolverKey = `${readerSchema.id}:${schemaId}`;
+      if (!resolvers.has(resolverKey)) {
+        try {
+          resolvers.set(resolverKey, readerType.createResolver(writerType));
+        } catch (error) {
+          throw schemaError(`Writer schema ${schemaId} is not compatible with ${readerSchema.subject || readerSchema.id}: ${error.message}`);
+        }
+      }
+      return readerType.fromBuffer(payload, resolvers.get(resolverKey));
+    }
+  };
+}
+
+/**
+ * Create the Protobuf serde
+ * Producers encode with `valueSchema.messageType` or the first message in the schema; consumers
+ * decode with the type named by the message indexes and get plain objects (int64 as strings)
+ * @param {Object} registry - Schema registry
+ * @returns {Object} Serde
+ */
+function createProtobufSerde(registry) {
+  const compiled = new Map();
+
+  const compile = schema => {
+    if (!compiled.has(schema.id)) {
+      const parsed = protobuf.parse(schema.schema, { keepCase: true });
+      compiled.set(schema.id, {
+        root: parsed.root,
+        namespace: parsed.package ? parsed.root.lookup(parsed.package) : parsed.root
+      });
+    }
+    return compiled.get(schema.id);
+  };
+
+  const messageTypes = namespace => (namespace.nestedArray || []).filter(nested => nested instanceof protobuf.Type);
+
+  const typeForIndexes = (file, indexes) => {
+    let scope = file.namespace;
+    let type = null;
+    for (const index of indexes) {
+      type = messageTypes(scope)[index];
+      if (!type) {
+        throw schemaError(`Unknown message index path ${indexes.join('.')}`);
+      }
+      scope = type;
+    }
+    return type;
+  };
+
+  const indexesForType = (file, type) => {
+    const indexes = [];
+    for (let current = type; current !== file.namespace; current = current.parent) {
+      if (!current.parent) {
+        throw schemaError(`Type ${typeName(type)} is not defined in this schema`);
+      }
+      indexes.unshift(messageTypes(current.parent).indexOf(current));
+    }
+    return indexes;
+  };
+
+  const typeName = type => type.fullName.replace(/^\./, '');
+
+  return {
+    contentType: 'application/x-protobuf',
+
+    async serialize(value, args = {}) {
+      const schema = await resolveSchema(registry, 'PROTOBUF', args);
+      const file = compile(schema);
+      const { messageType } = normalizeValueSchema(args.valueSchema);
+      const type = messageType ? file.root.lookupType(messageType) : messageTypes(file.namespace)[0];
+
+      if (!type) {
+        throw schemaError(`Protobuf schema ${schema.subject || schema.id} defines no message types`);
+      }
+
+      // fromObject converts compatible values (numeric strings, enum names) and throws on structural mismatches
+      let message;
+      try {
+        message = type.fromObject(value);
+      } catch (error) {
+        throw schemaError(`Value does not match Protobuf type ${typeName(type)}: ${error.message}`);
+      }
+      const invalid = type.verify(message);
+      if (invalid) {
+        throw schemaError(`Value does not match Protobuf type ${typeName(type)}: ${invalid}`);
+      }
+
+      return encodeWireFormat(schema.id, Buffer.from(type.encode(message).finish()), indexesForType(file, type));
+    },
+
+    async deserialize(buffer, args = {}) {
+      const { schemaId, messageIndexes, payload } = decodeWireFormat(buffer, { messageIndexes: true });
+      const type = typeForIndexes(compile(await registry.getSchemaById(schemaId)), messageIndexes);
+
+      const { messageType } = normalizeValueSchema(args.valueSchema);
+      if (messageType && typeName(type) !== messageType.replace(/^\./, '')) {
+        throw schemaError(`Expected Protobuf type ${messageType} but message is ${typeName(type)}`);
+      }
+
+      return type.toObject(type.decode(payload), {
+        longs: String,
+        enums: String,
+        bytes: Buffer,
+        defaults: true
+      });
+    }
+  };
+}
+
+module.exports = {
+  createAvroSerde,
+  createProtobufSerde,
+  encodeWireFormat,
+  decodeWireFormat
+};
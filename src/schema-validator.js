@@ -0,0 +1,130 @@
+/**
+ * Schema Validator
+ * Validates message payloads against per-topic JSON Schemas and reports every failing field
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const INVALID_MESSAGE_ACTIONS = ['reject', 'dead-letter', 'log'];
+
+/**
+ * Error raised for payloads that do not match their topic's schema
+ * Validation failures are never retried because the payload will not change
+ */
+class SchemaValidationError extends Error {
+  /**
+   * @param {string} topic - Topic the payload belongs to
+   * @param {Array<Object>} errors - Validation errors as { path, message, keyword, params }
+   */
+  constructor(topic, errors) {
+    super(`Message for topic ${topic} failed schema validation: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.topic = topic;
+    this.errors = errors;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Normalize an invalid-message action
+ * @param {string} action - 'reject', 'dead-letter' (or 'dlq') or 'log'
+ * @returns {string} Normalized action
+ */
+function normalizeInvalidAction(action) {
+  const normalized = action === 'dlq' ? 'dead-letter' : action;
+  if (!INVALID_MESSAGE_ACTIONS.includes(normalized)) {
+    throw new Error(`Invalid message action: ${action}. Expected one of ${INVALID_MESSAGE_ACTIONS.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Create the Ajv instance a topic's schema is compiled in
+ * Each topic gets its own, so a schema with an `$id` can be compiled again when it is reloaded, replaced or
+ * shared by several topics (Ajv refuses to add a second schema with the same `$id`)
+ * @returns {Ajv} Ajv instance
+ */
+function createAjv() {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  return ajv;
+}
+
+class SchemaValidator {
+  constructor() {
+    this.validators = new Map();
+  }
+
+  /**
+   * Use a JSON Schema for a topic, replacing any previous schema
+   * @param {string} topic - Topic name
+   * @param {Object} schema - JSON Schema
+   */
+  setTopicSchema(topic, schema) {
+    let validate;
+    try {
+      validate = createAjv().compile(schema);
+    } catch (error) {
+      throw new Error(`Invalid JSON Schema for topic ${topic}: ${error.message}`);
+    }
+    this.validators.set(topic, { schema, validate });
+  }
+
+  /**
+   * Remove a topic's schema
+   * @param {string} topic - Topic name
+   * @returns {boolean} True if a schema was removed
+   */
+  removeTopicSchema(topic) {
+    return this.validators.delete(topic);
+  }
+
+  /**
+   * Get a topic's schema
+   * @param {string} topic - Topic name
+   * @returns {Object|null} JSON Schema or null
+   */
+  getTopicSchema(topic) {
+    const entry = this.validators.get(topic);
+    return entry ? entry.schema : null;
+  }
+
+  /**
+   * Remove every schema
+   */
+  clear() {
+    this.validators.clear();
+  }
+
+  /**
+   * Validate a payload against its topic's schema
+   * Topics without a schema accept every payload
+   * @param {string} topic - Topic name
+   * @param {*} payload - Message payload
+   * @returns {{ valid: boolean, errors: Array<Object> }} Result with { path, message, keyword, params } errors
+   */
+  validate(topic, payload) {
+    const entry = this.validators.get(topic);
+    if (!entry || entry.validate(payload)) {
+      return { valid: true, errors: [] };
+    }
+
+    return {
+      valid: false,
+      errors: entry.validate.errors.map(error => ({
+        path: error.instancePath || '/',
+        message: error.message,
+        keyword: error.keyword,
+        params: error.params
+      }))
+    };
+  }
+}
+
+module.exports = {
+  SchemaValidator,
+  SchemaValidationError,
+  normalizeInvalidAction,
+  INVALID_MESSAGE_ACTIONS
+};
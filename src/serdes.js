@@ -0,0 +1,257 @@
+/**
+ * Serdes
+ * Serializers/deserializers for message values, selectable per send, per processor, per topic
+ * or through the content-type header, with built-in JSON, string, Buffer and NDJSON codecs
+ * Codec serialize/deserialize functions may be synchronous or return a promise
+ */
+
+const jsonSerde = {
+  contentType: 'application/json',
+  serialize: value => JSON.stringify(value),
+  deserialize: buffer => JSON.parse(buffer.toString('utf8'))
+};
+
+const stringSerde = {
+  contentType: 'text/plain',
+  serialize: value => (Buffer.isBuffer(value) ? value : String(value)),
+  deserialize: buffer => buffer.toString('utf8')
+};
+
+const bufferSerde = {
+  contentType: 'application/octet-stream',
+  serialize: value => {
+    if (Buffer.isBuffer(value)) {
+      return value;
+    }
+    if (typeof value === 'string' || value instanceof Uint8Array) {
+      return Buffer.from(value);
+    }
+    throw new TypeError('Buffer serde expects a Buffer, Uint8Array or string value');
+  },
+  deserialize: buffer => buffer
+};
+
+const ndjsonSerde = {
+  contentType: 'application/x-ndjson',
+  serialize: value => {
+    const items = Array.isArray(value) ? value : [value];
+    return items.map(item => `${JSON.stringify(item)}\n`).join('');
+  },
+  deserialize: buffer => buffer
+    .toString('utf8')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line))
+};
+
+const BUILT_IN_SERDES = {
+  json: jsonSerde,
+  string: stringSerde,
+  buffer: bufferSerde,
+  ndjson: ndjsonSerde
+};
+
+/**
+ * Normalize a content-type header value (drops parameters such as charset)
+ * @param {string|Buffer} contentType - Header value
+ * @returns {string|null} Lower-case media type
+ */
+function normalizeContentType(contentType) {
+  if (Array.isArray(contentType)) {
+    contentType = contentType[0];
+  }
+  if (contentType === null || contentType === undefined) {
+    return null;
+  }
+  const mediaType = contentType.toString().split(';')[0].trim().toLowerCase();
+  return mediaType || null;
+}
+
+/**
+ * Check that a value looks like a codec
+ * @param {*} codec - Candidate codec
+ * @returns {boolean} True if the codec has serialize and deserialize functions
+ */
+function isSerde(codec) {
+  return !!codec && typeof codec.serialize === 'function' && typeof codec.deserialize === 'function';
+}
+
+/**
+ * Holds the available codecs and decides which one applies to a topic
+ * Resolution order: explicit serde (send option or processor `serde`), topic serde,
+ * content-type header (consume only), default serde
+ */
+class SerdeRegistry {
+  /**
+   * @param {Object} options - Serde options
+   * @param {string|Object} options.serde - Default serde name or codec (default: 'json')
+   * @param {Object} options.serdes - Map of name to custom codec to register
+   * @param {Object} options.topicSerdes - Map of topic name to serde name or codec
+   */
+  constructor(options = {}) {
+    this.serdes = new Map();
+    this.contentTypes = new Map();
+    this.topicSerdes = new Map();
+
+    for (const [name, codec] of Object.entries(BUILT_IN_SERDES)) {
+      this.register(name, codec);
+    }
+    for (const [name, codec] of Object.entries(options.serdes || {})) {
+      this.register(name, codec);
+    }
+
+    this.defaultSerde = options.serde || 'json';
+    this.get(this.defaultSerde);
+
+    for (const [topic, serde] of Object.entries(options.topicSerdes || {})) {
+      this.setTopicSerde(topic, serde);
+    }
+  }
+
+  /**
+   * Register a codec under a name, replacing any codec with the same name
+   * @param {string} name - Serde name
+   * @param {Object} codec - Codec as { serialize(value, args), deserialize(buffer, args), contentType }
+   */
+  register(name, codec) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Serde name must be a valid string');
+    }
+    if (!isSerde(codec)) {
+      throw new Error(`Serde ${name} must implement serialize and deserialize`);
+    }
+
+    this.serdes.set(name, { ...codec, name });
+
+    const contentType = normalizeContentType(codec.contentType);
+    if (contentType) {
+      this.contentTypes.set(contentType, name);
+    }
+  }
+
+  /**
+   * Look up a codec
+   * @param {string|Object} serde - Serde name or codec
+   * @returns {Object} Codec
+   */
+  get(serde) {
+    if (isSerde(serde)) {
+      return serde;
+    }
+    const codec = this.serdes.get(serde);
+    if (!codec) {
+      throw new Error(`Unknown serde: ${serde}`);
+    }
+    return codec;
+  }
+
+  /**
+   * Find the codec registered for a content type
+   * @param {string|Buffer} contentType - Content-type header value
+   * @returns {Object|null} Codec, or null when no codec matches
+   */
+  forContentType(contentType) {
+    const name = this.contentTypes.get(normalizeContentType(contentType));
+    return name ? this.serdes.get(name) : null;
+  }
+
+  /**
+   * Use a specific serde for a topic
+   * @param {string} topic - Topic name
+   * @param {string|Object} serde - Serde name or codec
+   */
+  setTopicSerde(topic, serde) {
+    if (!topic || typeof topic !== 'string') {
+      throw new Error('Topic must be a valid string');
+    }
+    this.get(serde);
+    this.topicSerdes.set(topic, serde);
+  }
+
+  /**
+   * Remove a topic-specific serde so the topic uses the default again
+   * @param {string} topic - Topic name
+   * @returns {boolean} True if a serde was removed
+   */
+  removeTopicSerde(topic) {
+    return this.topicSerdes.delete(topic);
+  }
+
+  /**
+   * Pick the codec for a message
+   * @param {Object} args - Resolution inputs
+   * @param {string} args.topic - Topic name
+   * @param {string|Object} args.serde - Explicit serde (send option or processor declaration)
+   * @param {string|Buffer} args.contentType - Content-type header of a consumed message
+   * @returns {Object} Codec
+   */
+  resolve({ topic, serde, contentType } = {}) {
+    if (serde) {
+      return this.get(serde);
+    }
+    if (topic && this.topicSerdes.has(topic)) {
+      return this.get(this.topicSerdes.get(topic));
+    }
+    if (contentType) {
+      const codec = this.forContentType(contentType);
+      if (codec) {
+        return codec;
+      }
+    }
+    return this.get(this.defaultSerde);
+  }
+
+  /**
+   * Serialize a message value
+   * A null value is passed through unchanged so it is produced as a tombstone
+   * @param {*} value - Message value
+   * @param {Object} args - Resolution inputs (topic, serde) plus codec arguments (e.g. valueSchema)
+   * @returns {Promise<{ value: string|Buffer|null, contentType: string|undefined }>} Serialized value
+   */
+  async serialize(value, args = {}) {
+    const codec = this.resolve(args);
+    return {
+      value: value === null ? null : await codec.serialize(value, args),
+      contentType: codec.contentType
+    };
+  }
+
+  /**
+   * Deserialize a consumed message value
+   * Tombstones (null values) deserialize to null without calling the codec
+   * @param {Buffer|null} buffer - Raw message value
+   * @param {Object} args - Resolution inputs (topic, serde, headers) plus codec arguments (e.g. valueSchema)
+   * @returns {Promise<*>} Decoded value
+   */
+  async deserialize(buffer, args = {}) {
+    if (buffer === null || buffer === undefined) {
+      return null;
+    }
+    const headers = args.headers || {};
+    const codec = this.resolve({ ...args, contentType: headers['content-type'] });
+    return codec.deserialize(Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer), args);
+  }
+
+  /**
+   * Describe the configured serdes
+   * @returns {Object} Serde information
+   */
+  getInfo() {
+    const describe = serde => (typeof serde === 'string' ? serde : (serde.name || 'custom'));
+    const topics = {};
+    for (const [topic, serde] of this.topicSerdes) {
+      topics[topic] = describe(serde);
+    }
+    return {
+      default: describe(this.defaultSerde),
+      topics,
+      registered: [...this.serdes.keys()]
+    };
+  }
+}
+
+module.exports = {
+  SerdeRegistry,
+  normalizeContentType,
+  BUILT_IN_SERDES
+};
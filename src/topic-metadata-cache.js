@@ -0,0 +1,157 @@
+/**
+ * Topic Metadata Cache
+ * Caches topic existence and partition metadata so producers do not hit the admin API on every send
+ * Supports separate TTLs for positive and negative entries plus hit/miss counters
+ */
+
+class TopicMetadataCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {boolean} options.enabled - Enable caching (default: true)
+   * @param {number} options.ttl - Lifetime of "topic exists" and partition entries in ms (default: 60000)
+   * @param {number} options.negativeTtl - Lifetime of "topic missing" entries in ms (default: 5000)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.ttl = options.ttl !== undefined ? options.ttl : 60000;
+    this.negativeTtl = options.negativeTtl !== undefined ? options.negativeTtl : 5000;
+
+    this.existence = new Map();
+    this.partitions = new Map();
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      negativeHits: 0,
+      invalidations: 0
+    };
+  }
+
+  /**
+   * Look up whether a topic exists
+   * @param {string} topic - Topic name
+   * @returns {boolean|undefined} Cached existence, or undefined on a miss
+   */
+  getExists(topic) {
+    const entry = this.getEntry(this.existence, topic);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.stats.hits++;
+    if (!entry.value) {
+      this.stats.negativeHits++;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Record whether a topic exists
+   * @param {string} topic - Topic name
+   * @param {boolean} exists - Whether the topic exists
+   */
+  setExists(topic, exists) {
+    if (!this.enabled) {
+      return;
+    }
+    this.existence.set(topic, {
+      value: !!exists,
+      expiresAt: Date.now() + (exists ? this.ttl : this.negativeTtl)
+    });
+  }
+
+  /**
+   * Record every topic from a listTopics() result as existing
+   * @param {Array<string>} topics - Topic names
+   */
+  setTopics(topics) {
+    for (const topic of topics) {
+      this.setExists(topic, true);
+    }
+  }
+
+  /**
+   * Look up cached partition metadata
+   * @param {string} topic - Topic name
+   * @returns {Array|undefined} Partition metadata, or undefined on a miss
+   */
+  getPartitions(topic) {
+    const entry = this.getEntry(this.partitions, topic);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Record partition metadata for a topic
+   * @param {string} topic - Topic name
+   * @param {Array} partitions - kafkajs partition metadata
+   */
+  setPartitions(topic, partitions) {
+    if (!this.enabled) {
+      return;
+    }
+    this.partitions.set(topic, {
+      value: partitions,
+      expiresAt: Date.now() + this.ttl
+    });
+  }
+
+  /**
+   * Drop cached entries for one topic, or for all topics when none is given
+   * @param {string} topic - Topic name (optional)
+   */
+  invalidate(topic) {
+    if (topic) {
+      this.existence.delete(topic);
+      this.partitions.delete(topic);
+    } else {
+      this.existence.clear();
+      this.partitions.clear();
+    }
+    this.stats.invalidations++;
+  }
+
+  /**
+   * Get a live entry, evicting it if expired
+   * @param {Map} store - Entry store
+   * @param {string} topic - Topic name
+   * @returns {Object|null} Entry or null
+   */
+  getEntry(store, topic) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const entry = store.get(topic);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      store.delete(topic);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Cache configuration and counters
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      ttl: this.ttl,
+      negativeTtl: this.negativeTtl,
+      size: this.existence.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = TopicMetadataCache;
@@ -0,0 +1,561 @@
+/**
+ * Worker Pool
+ * Runs one processor file in a pool of worker threads, so CPU-heavy or crashing processors cannot block or
+ * take down the consumer's event loop. Messages and results cross threads by structured clone; context calls
+ * (send, sendMessages, ack, context.transaction) made in a worker run on the main thread
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'processor-worker.js');
+// Context methods a worker may call on the main thread, for the message being processed or the processor
+const CONTEXT_METHODS = ['send', 'sendMessages', 'ack', 'transaction.send', 'transaction.sendMessages', 'transaction.sendBatch'];
+const MAX_RESTART_DELAY = 30000;
+
+/**
+ * Error raised for messages whose worker died while processing them
+ * Crashes are retried: the message goes to a restarted worker
+ */
+class WorkerCrashError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Error} cause - What the worker died of, if known
+   */
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'WorkerCrashError';
+    this.code = 'WORKER_CRASHED';
+    this.cause = cause;
+    this.retryable = true;
+  }
+}
+
+/**
+ * Turn an error into a plain object that survives structured clone with its name, code and retry flags
+ * @param {Error} error - Error
+ * @returns {Object} { name, message, stack, code, retryable, failureMode }
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { name: 'Error', message: String(error) };
+  }
+  const { name, message, stack, code, retryable, failureMode } = error;
+  return { name, message, stack, code, retryable, failureMode };
+}
+
+/**
+ * Rebuild an error sent by serializeError
+ * @param {Object} data - Serialized error
+ * @returns {Error} Error with the original name, stack and flags
+ */
+function deserializeError(data) {
+  const error = new Error(data.message);
+  for (const field of ['name', 'stack', 'code', 'retryable', 'failureMode']) {
+    if (data[field] !== undefined) {
+      error[field] = data[field];
+    }
+  }
+  return error;
+}
+
+/**
+ * Check for an object literal or a structured clone of one, from any realm
+ * @param {*} value - Value
+ * @returns {boolean} Whether value is a plain object
+ */
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === null || Object.getPrototypeOf(prototype) === null;
+}
+
+/**
+ * Turn the Uint8Arrays structured clone makes of Buffers back into Buffers
+ * @param {*} value - Cloned value
+ * @returns {*} Value with Buffers restored (plain objects and arrays are copied)
+ */
+function reviveBuffers(value) {
+  // Tag checks rather than instanceof, so values cloned into another realm (e.g. a vm context) are revived too
+  if (Object.prototype.toString.call(value) === '[object Uint8Array]') {
+    return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+  if (Array.isArray(value)) {
+    return value.map(reviveBuffers);
+  }
+  if (isPlainObject(value)) {
+    const revived = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+      revived[field] = reviveBuffers(fieldValue);
+    }
+    return revived;
+  }
+  return value;
+}
+
+class WorkerPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {Object} options.workerData - { filePath, topic, name, config } for processor-worker.js
+   * @param {number} options.size - Number of worker threads (default 1)
+   * @param {boolean} options.restartOnCrash - Replace workers that die (default true)
+   * @param {number} options.restartDelay - Milliseconds before the first restart, doubled while restarts keep failing (default 1000)
+   * @param {Object} options.logger - Logger
+   * @param {Function} options.getContext - Returns the processor's context, for calls made outside a message
+   * @param {Function} options.onCrash - Called with (error, { restarting }) when a worker dies
+   * @param {string} options.script - Worker script (default processor-worker.js)
+   */
+  constructor(options = {}) {
+    this.workerData = options.workerData;
+    this.size = options.size || 1;
+    if (!Number.isInteger(this.size) || this.size < 1) {
+      throw new Error(`Worker pool size must be a positive integer, got ${options.size}`);
+    }
+    this.restartOnCrash = options.restartOnCrash !== false;
+    this.baseRestartDelay = options.restartDelay || 1000;
+    this.restartDelay = this.baseRestartDelay;
+    this.logger = options.logger;
+    this.getContext = options.getContext || (() => null);
+    this.onCrash = options.onCrash || (() => {});
+    this.script = options.script || WORKER_SCRIPT;
+
+    this.workers = new Set();
+    this.tasks = new Map();
+    this.taskCount = 0;
+    this.restarts = 0;
+    this.running = false;
+    this.starting = null;
+    this.restartTimers = new Set();
+    // Why the last worker died when it was not replaced; tasks fail until start() is called again
+    this.crashError = null;
+    // Tasks waiting for a worker while every worker is restarting
+    this.waiting = [];
+  }
+
+  /**
+   * Start the workers; each loads the processor file and runs its init hook
+   * @returns {Promise<void>} Resolves once every worker is ready, rejects if one fails to start
+   */
+  start() {
+    if (this.running) {
+      return Promise.resolve();
+    }
+    if (!this.starting) {
+      this.starting = Promise.all(Array.from({ length: this.size }, () => this.spawn().ready))
+        .then(() => {
+          this.running = true;
+          this.crashError = null;
+        })
+        .catch(async error => {
+          await this.terminate();
+          throw error;
+        })
+        .finally(() => {
+          this.starting = null;
+        });
+    }
+    return this.starting;
+  }
+
+  /**
+   * Start one worker thread
+   * @returns {Object} Worker entry { worker, ready, tasks, isReady, stopping }
+   */
+  spawn() {
+    const entry = {
+      worker: new Worker(this.script, { workerData: this.workerData }),
+      tasks: new Set(),
+      isReady: false,
+      stopping: false
+    };
+    entry.ready = new Promise((resolve, reject) => {
+      entry.resolveReady = resolve;
+      entry.rejectReady = reject;
+    });
+    // Handled by start(), or by exit when a restarted worker fails
+    entry.ready.catch(() => {});
+
+    entry.worker.on('message', data => this.handleMessage(entry, data));
+    entry.worker.on('error', error => {
+      entry.error = error;
+    });
+    entry.worker.on('exit', code => this.handleExit(entry, code));
+    this.workers.add(entry);
+    return entry;
+  }
+
+  /**
+   * Handle a message from a worker
+   * @param {Object} entry - Worker entry
+   * @param {Object} data - { type: 'ready' | 'failed' | 'result' | 'call', ... }
+   */
+  handleMessage(entry, data) {
+    if (data.type === 'ready') {
+      entry.isReady = true;
+      this.restartDelay = this.baseRestartDelay;
+      entry.resolveReady();
+      this.flushWaiting();
+    } else if (data.type === 'failed') {
+      entry.startError = deserializeError(data.error);
+      entry.rejectReady(entry.startError);
+      entry.worker.terminate();
+    } else if (data.type === 'result') {
+      const task = this.tasks.get(data.id);
+      if (task) {
+        this.finishTask(task);
+        if (data.error) {
+          task.reject(deserializeError(data.error));
+        } else {
+          const value = reviveBuffers(data.value);
+          // Error results carry their error serialized
+          if (data.resultError) {
+            value.error = deserializeError(value.error);
+          }
+          task.resolve(value);
+        }
+      }
+    } else if (data.type === 'call') {
+      this.handleCall(entry, data);
+    }
+  }
+
+  /**
+   * Run a context method a worker called and send back its result
+   * @param {Object} entry - Worker entry
+   * @param {Object} data - { callId, taskId, method, args }
+   */
+  async handleCall(entry, { callId, taskId, method, args }) {
+    try {
+      if (!CONTEXT_METHODS.includes(method)) {
+        throw new Error(`Unknown context method: ${method}`);
+      }
+      const task = taskId !== null ? this.tasks.get(taskId) : null;
+      const context = task ? task.context : this.getContext();
+      const [owner, fn] = method.includes('.') ? method.split('.') : [null, method];
+      const target = owner ? context && context[owner] : context;
+      if (!target || typeof target[fn] !== 'function') {
+        throw new Error(`context.${method} is not available for this message`);
+      }
+      const value = await target[fn](...reviveBuffers(args));
+      entry.worker.postMessage({ type: 'call-result', callId, value });
+    } catch (error) {
+      entry.worker.postMessage({ type: 'call-result', callId, error: serializeError(error) });
+    }
+  }
+
+  /**
+   * Fail the tasks of a worker that exited, and replace it unless the pool is stopping
+   * @param {Object} entry - Worker entry
+   * @param {number} code - Exit code
+   */
+  handleExit(entry, code) {
+    this.workers.delete(entry);
+    if (entry.stopping) {
+      return;
+    }
+
+    const cause = entry.startError || entry.error || null;
+    const error = new WorkerCrashError(
+      `Worker for ${this.describe()} exited with code ${code}${cause ? `: ${cause.message}` : ''}`,
+      cause
+    );
+    entry.rejectReady(error);
+    for (const task of [...entry.tasks]) {
+      this.finishTask(task);
+      task.reject(error);
+    }
+
+    // Workers that never got ready are reported by start(); later deaths are crashes
+    const restarting = this.running && this.restartOnCrash;
+    if (this.running) {
+      this.logger.error('Processor worker crashed', { processor: this.describe(), code, error: cause ? cause.message : undefined, restarting });
+      this.onCrash(error, { restarting });
+    }
+    if (restarting) {
+      this.scheduleRestart();
+    } else if (this.workers.size === 0) {
+      // Nothing replaces the last worker, so the pool is down rather than waiting for a restart
+      if (this.running) {
+        this.running = false;
+        this.crashError = error;
+      }
+      this.rejectWaiting(error);
+    }
+  }
+
+  /**
+   * Replace a crashed worker after a delay that doubles while replacements keep failing
+   */
+  scheduleRestart() {
+    const delay = this.restartDelay;
+    this.restartDelay = Math.min(this.restartDelay * 2, MAX_RESTART_DELAY);
+
+    const timer = setTimeout(() => {
+      this.restartTimers.delete(timer);
+      if (this.running) {
+        this.restarts++;
+        this.spawn();
+      }
+    }, delay);
+    this.restartTimers.add(timer);
+  }
+
+  /**
+   * Run a processor method in the least busy worker
+   * @param {string} method - 'process', 'processBatch' or 'healthCheck'
+   * @param {Array} args - Method arguments (structured-cloneable)
+   * @param {Object} options - { context: message context for calls from the worker, signal: AbortSignal }
+   * @returns {Promise<*>} Method result
+   */
+  async run(method, args, { context = null, signal } = {}) {
+    // A pool whose workers crashed and were not replaced is not restarted by the next message
+    if (this.crashError) {
+      throw new WorkerCrashError(`No worker is running for ${this.describe()}`, this.crashError);
+    }
+    await this.start();
+    const entry = await this.acquireWorker();
+
+    return new Promise((resolve, reject) => {
+      const id = ++this.taskCount;
+      const task = { id, entry, context, resolve, reject };
+      this.tasks.set(id, task);
+      entry.tasks.add(task);
+
+      if (signal) {
+        task.abort = () => entry.worker.postMessage({ type: 'abort', id, reason: serializeError(signal.reason) });
+        signal.addEventListener('abort', task.abort, { once: true });
+        task.signal = signal;
+      }
+
+      try {
+        entry.worker.postMessage({
+          type: 'task',
+          id,
+          method,
+          args,
+          hasTransaction: !!(context && context.transaction),
+          abortReason: signal && signal.aborted ? serializeError(signal.reason) : null
+        });
+      } catch (error) {
+        this.finishTask(task);
+        reject(new Error(`Message for ${this.describe()} cannot be passed to a worker thread: ${error.message}`));
+      }
+    });
+  }
+
+  /**
+   * Stop tracking a task
+   * @param {Object} task - Task
+   */
+  finishTask(task) {
+    this.tasks.delete(task.id);
+    task.entry.tasks.delete(task);
+    if (task.signal) {
+      task.signal.removeEventListener('abort', task.abort);
+    }
+  }
+
+  /**
+   * Get the ready worker with the fewest tasks, waiting while every worker is being restarted
+   * @returns {Promise<Object>} Worker entry
+   */
+  acquireWorker() {
+    const ready = [...this.workers].filter(entry => entry.isReady && !entry.stopping);
+    if (ready.length > 0) {
+      return Promise.resolve(ready.reduce((least, entry) => (entry.tasks.size < least.tasks.size ? entry : least)));
+    }
+    if (!this.running) {
+      return Promise.reject(new WorkerCrashError(`No worker is running for ${this.describe()}`));
+    }
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  /**
+   * Hand waiting tasks to workers that became ready
+   */
+  flushWaiting() {
+    const waiting = this.waiting;
+    this.waiting = [];
+    for (const waiter of waiting) {
+      this.acquireWorker().then(waiter.resolve, waiter.reject);
+    }
+  }
+
+  /**
+   * Fail every waiting task
+   * @param {Error} error - Error to fail them with
+   */
+  rejectWaiting(error) {
+    const waiting = this.waiting;
+    this.waiting = [];
+    for (const waiter of waiting) {
+      waiter.reject(error);
+    }
+  }
+
+  /**
+   * Run a method in every ready worker
+   * @param {string} method - 'destroy' or 'healthCheck'
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Array<Object>>} Per worker { value } or { error }
+   */
+  broadcast(method, args = []) {
+    const ready = [...this.workers].filter(entry => entry.isReady && !entry.stopping);
+    return Promise.all(ready.map(entry => new Promise((resolve, reject) => {
+      const id = ++this.taskCount;
+      const task = { id, entry, context: null, resolve, reject };
+      this.tasks.set(id, task);
+      entry.tasks.add(task);
+      entry.worker.postMessage({ type: 'task', id, method, args, hasTransaction: false, abortReason: null });
+    }).then(value => ({ value }), error => ({ error }))));
+  }
+
+  /**
+   * Run the processor's destroy hook in every worker, then stop the workers
+   * @param {string} reason - Reason passed to destroy
+   * @returns {Promise<void>}
+   */
+  async stop(reason) {
+    if (this.starting) {
+      await this.starting.catch(() => {});
+    }
+    if (!this.running) {
+      return;
+    }
+
+    const outcomes = await this.broadcast('destroy', [reason]);
+    await this.terminate();
+    const failed = outcomes.find(outcome => outcome.error);
+    if (failed) {
+      throw failed.error;
+    }
+  }
+
+  /**
+   * Stop every worker without running destroy hooks
+   * @returns {Promise<void>}
+   */
+  async terminate() {
+    this.running = false;
+    for (const timer of this.restartTimers) {
+      clearTimeout(timer);
+    }
+    this.restartTimers.clear();
+
+    const error = new WorkerCrashError(`Workers for ${this.describe()} were stopped`);
+    await Promise.all([...this.workers].map(entry => {
+      entry.stopping = true;
+      for (const task of [...entry.tasks]) {
+        this.finishTask(task);
+        task.reject(error);
+      }
+      return entry.worker.terminate();
+    }));
+    this.workers.clear();
+    this.rejectWaiting(error);
+  }
+
+  /**
+   * Describe the pool
+   * @returns {Object} { size, running, ready, busy, restarts }
+   */
+  getInfo() {
+    const workers = [...this.workers];
+    return {
+      size: this.size,
+      running: this.running,
+      ready: workers.filter(entry => entry.isReady).length,
+      busy: this.tasks.size,
+      restarts: this.restarts
+    };
+  }
+
+  /**
+   * Name the pool's processor in logs and errors
+   * @returns {string} '<file> (<topic>)'
+   */
+  describe() {
+    const { filePath, topic } = this.workerData || {};
+    return `processor ${filePath ? path.basename(filePath) : 'unknown'} (${topic})`;
+  }
+}
+
+/**
+ * Stand-in the registry registers for a processor class that runs in worker threads
+ * It passes for the processor class (settings such as retryPolicy or schema and the class name are read from
+ * it) and runs process, processBatch and the lifecycle hooks in a WorkerPool
+ */
+class WorkerProcessor {
+  /**
+   * @param {Function} ProcessorClass - Processor class, loaded on the main thread to read its settings
+   * @param {Object} poolOptions - WorkerPool options
+   */
+  constructor(ProcessorClass, poolOptions) {
+    Object.defineProperty(this, 'constructor', { value: ProcessorClass });
+    this.pool = new WorkerPool(poolOptions);
+    if (typeof ProcessorClass.prototype.processBatch === 'function') {
+      this.processBatch = (messages, batchMetadata) => this.pool.run('processBatch', [messages, batchMetadata]);
+    }
+  }
+
+  /**
+   * Start the workers, which run the processor's init hook
+   */
+  async init() {
+    await this.pool.start();
+  }
+
+  /**
+   * Run the processor's destroy hook in every worker and stop them
+   * @param {string} reason - Reason passed to destroy
+   */
+  async destroy(reason) {
+    await this.pool.stop(reason);
+  }
+
+  /**
+   * Run the processor's healthCheck in every worker
+   * @returns {Promise<Object>} { healthy, workers: [per-worker result], pool }; healthy while every worker is
+   */
+  async healthCheck() {
+    const workers = (await this.pool.broadcast('healthCheck')).map(({ value, error }) => {
+      if (error) {
+        return { healthy: false, error: error.message };
+      }
+      return typeof value === 'object' && value !== null
+        ? { ...value, healthy: value.healthy !== false }
+        : { healthy: value !== false };
+    });
+    const pool = this.pool.getInfo();
+
+    return {
+      healthy: pool.running && workers.length === pool.size && workers.every(worker => worker.healthy),
+      workers,
+      pool
+    };
+  }
+
+  /**
+   * Process a message in a worker
+   * context.signal aborting (timeout or shutdown) aborts the signal the processor sees in the worker
+   * @param {string} topic - The topic name
+   * @param {*} message - The message payload
+   * @param {Object} metadata - Message metadata
+   * @param {Object} context - Message context
+   * @returns {Promise<Object>} Processing result
+   */
+  process(topic, message, metadata, context) {
+    return this.pool.run('process', [topic, message, metadata], { context, signal: context ? context.signal : undefined });
+  }
+}
+
+module.exports = {
+  WorkerPool,
+  WorkerProcessor,
+  WorkerCrashError,
+  serializeError,
+  deserializeError,
+  reviveBuffers
+};
@@ -0,0 +1,78 @@
+const { ConcurrencyLimiter, OffsetTracker } = require('../src/concurrency');
+
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+describe('ConcurrencyLimiter', () => {
+  it('should validate the limit', () => {
+    expect(() => new ConcurrencyLimiter(0)).toThrow('Concurrency limit must be a positive integer, got 0');
+    expect(() => new ConcurrencyLimiter(1.5)).toThrow('Concurrency limit must be a positive integer, got 1.5');
+  });
+
+  it('should run at most limit tasks at once in FIFO order', async () => {
+    const limiter = new ConcurrencyLimiter(2);
+    const started = [];
+    const releases = {};
+    const task = name => () => new Promise(resolve => {
+      started.push(name);
+      releases[name] = resolve;
+    });
+
+    const runs = ['a', 'b', 'c', 'd'].map(name => limiter.run(task(name)));
+    await flushPromises();
+
+    expect(started).toEqual(['a', 'b']);
+    expect(limiter.getInfo()).toEqual({ limit: 2, active: 2, waiting: 2 });
+
+    releases.b();
+    await flushPromises();
+    expect(started).toEqual(['a', 'b', 'c']);
+
+    releases.a();
+    releases.c();
+    await flushPromises();
+    releases.d();
+    await Promise.all(runs);
+
+    expect(started).toEqual(['a', 'b', 'c', 'd']);
+    expect(limiter.getInfo()).toEqual({ limit: 2, active: 0, waiting: 0 });
+  });
+
+  it('should free the slot when a task fails', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+
+    await expect(limiter.run(async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(limiter.getInfo().active).toBe(0);
+    await expect(limiter.run(async () => 'ok')).resolves.toBe('ok');
+  });
+});
+
+describe('OffsetTracker', () => {
+  it('should only advance over contiguous completed offsets', () => {
+    const tracker = new OffsetTracker(['10', '11', '12', '14']);
+
+    expect(tracker.getCommittableOffset()).toBeNull();
+    expect(tracker.complete('11')).toBeNull();
+    expect(tracker.complete('12')).toBeNull();
+    expect(tracker.complete('10')).toBe('12');
+    expect(tracker.getCommittableOffset()).toBe('12');
+    expect(tracker.complete('14')).toBe('14');
+  });
+
+  it('should ignore redelivered and already committed offsets', () => {
+    const tracker = new OffsetTracker();
+
+    expect(tracker.add('5')).toBe(true);
+    expect(tracker.add('6')).toBe(true);
+    expect(tracker.add('5')).toBe(false);
+    expect(tracker.complete('5')).toBe('5');
+    expect(tracker.complete('5')).toBeNull();
+    expect(tracker.complete('6')).toBe('6');
+  });
+});
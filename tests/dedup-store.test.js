@@ -0,0 +1,265 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const {
+  MemoryDedupStore,
+  FileDedupStore,
+  SqliteDedupStore,
+  createDedupStore,
+  getMessageId,
+  isValidMessageId
+} = require('../src/dedup-store');
+
+// better-sqlite3 finds its native binding through the real fs functions
+jest.mock('fs', () => ({
+  ...jest.requireActual('fs'),
+  existsSync: jest.fn(),
+  readFileSync: jest.fn(),
+  promises: {
+    mkdir: jest.fn(),
+    writeFile: jest.fn(),
+    rename: jest.fn()
+  }
+}));
+
+describe('dedup-store', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('MemoryDedupStore', () => {
+    it('should remember keys until their ttl runs out', async () => {
+      jest.useFakeTimers({ now: 1000 });
+      const store = new MemoryDedupStore();
+
+      await store.add('orders:1', 500);
+
+      expect(await store.has('orders:1')).toBe(true);
+      expect(await store.has('orders:2')).toBe(false);
+      jest.setSystemTime(1500);
+      expect(await store.has('orders:1')).toBe(false);
+      expect(store.size).toBe(0);
+    });
+
+    it('should evict the least recently seen key once full', async () => {
+      const store = new MemoryDedupStore({ maxEntries: 2 });
+      await store.add('a', 60000);
+      await store.add('b', 60000);
+      await store.has('a');
+
+      await store.add('c', 60000);
+
+      expect(await store.has('a')).toBe(true);
+      expect(await store.has('b')).toBe(false);
+      expect(await store.has('c')).toBe(true);
+    });
+
+    it('should delete and clear keys', async () => {
+      const store = new MemoryDedupStore();
+      await store.add('a', 60000);
+      await store.add('b', 60000);
+
+      await store.delete('a');
+      expect(await store.has('a')).toBe(false);
+      await store.clear();
+      expect(store.size).toBe(0);
+    });
+
+    it('should reserve a key only for one of concurrent callers, and again once it expired', async () => {
+      jest.useFakeTimers({ now: 1000 });
+      const store = new MemoryDedupStore();
+
+      expect(await Promise.all([store.reserve('orders:1', 500), store.reserve('orders:1', 500)])).toEqual([true, false]);
+      expect(await store.has('orders:1')).toBe(true);
+      jest.setSystemTime(1500);
+      expect(await store.reserve('orders:1', 500)).toBe(true);
+    });
+
+    it('should reject invalid sizes', () => {
+      expect(() => new MemoryDedupStore({ maxEntries: -1 })).toThrow('maxEntries must be a positive integer');
+    });
+  });
+
+  describe('FileDedupStore', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      fs.existsSync.mockReturnValue(false);
+      fs.promises.mkdir.mockResolvedValue();
+      fs.promises.writeFile.mockResolvedValue();
+      fs.promises.rename.mockResolvedValue();
+    });
+
+    it('should load unexpired keys saved by an earlier run', async () => {
+      jest.useFakeTimers({ now: 1000 });
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(JSON.stringify({ entries: [['old', 500], ['fresh', 5000]] }));
+
+      const store = new FileDedupStore({ path: '/data/dedup.json' });
+
+      expect(fs.readFileSync).toHaveBeenCalledWith('/data/dedup.json', 'utf8');
+      expect(await store.has('old')).toBe(false);
+      expect(await store.has('fresh')).toBe(true);
+    });
+
+    it('should save keys through a temporary file', async () => {
+      jest.useFakeTimers({ now: 1000 });
+      const store = new FileDedupStore({ path: '/data/dedup.json' });
+
+      await store.add('orders:1', 500);
+
+      expect(fs.promises.writeFile).toHaveBeenCalledWith('/data/dedup.json.tmp', JSON.stringify({ entries: [['orders:1', 1500]] }));
+      expect(fs.promises.rename).toHaveBeenCalledWith('/data/dedup.json.tmp', '/data/dedup.json');
+    });
+
+    it('should share one write between changes made while a write is running', async () => {
+      let finishWrite;
+      fs.promises.writeFile.mockImplementationOnce(() => new Promise(resolve => {
+        finishWrite = resolve;
+      }));
+      const store = new FileDedupStore({ path: '/data/dedup.json' });
+
+      const first = store.add('a', 60000);
+      await new Promise(resolve => setImmediate(resolve));
+      const second = store.add('b', 60000);
+      const third = store.add('c', 60000);
+      finishWrite();
+      await Promise.all([first, second, third]);
+
+      expect(fs.promises.writeFile).toHaveBeenCalledTimes(2);
+      expect(JSON.parse(fs.promises.writeFile.mock.calls[1][1]).entries.map(([key]) => key)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should save reserved keys but not failed reservations', async () => {
+      const store = new FileDedupStore({ path: '/data/dedup.json' });
+
+      expect(await store.reserve('orders:1', 60000)).toBe(true);
+      expect(await store.reserve('orders:1', 60000)).toBe(false);
+
+      expect(fs.promises.writeFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should require a path and a readable file', () => {
+      expect(() => new FileDedupStore()).toThrow('Deduplication store file path is required');
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('{oops');
+      expect(() => new FileDedupStore({ path: '/data/dedup.json' })).toThrow('Invalid deduplication store file /data/dedup.json');
+    });
+  });
+
+  describe('SqliteDedupStore', () => {
+    const actualFs = jest.requireActual('fs');
+    let dir;
+
+    beforeEach(() => {
+      fs.existsSync.mockImplementation(actualFs.existsSync);
+      fs.readFileSync.mockImplementation(actualFs.readFileSync);
+      dir = actualFs.mkdtempSync(path.join(os.tmpdir(), 'dedup-store-'));
+    });
+
+    afterEach(() => {
+      actualFs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should keep keys in a database file across restarts and reopen it after close with better-sqlite3', async () => {
+      const file = path.join(dir, 'dedup.db');
+      const store = new SqliteDedupStore({ path: file });
+      await store.add('orders:1', 60000);
+      await store.close();
+
+      const reopened = new SqliteDedupStore({ path: file });
+
+      expect(await reopened.has('orders:1')).toBe(true);
+      expect(await reopened.has('orders:2')).toBe(false);
+      await reopened.delete('orders:1');
+      expect(await reopened.has('orders:1')).toBe(false);
+      await reopened.close();
+      expect(reopened.database.open).toBe(false);
+
+      await reopened.add('orders:3', 60000);
+      expect(reopened.database.open).toBe(true);
+      expect(await reopened.has('orders:3')).toBe(true);
+      await reopened.close();
+    });
+
+    it('should forget keys once their ttl runs out and leave a given database open', async () => {
+      jest.useFakeTimers({ now: 1000, doNotFake: ['setImmediate', 'nextTick'] });
+      const database = new Database(':memory:');
+      const store = new SqliteDedupStore({ database, table: 'seen' });
+
+      await store.add('orders:1', 500);
+      expect(database.prepare('SELECT key FROM seen').all()).toEqual([{ key: 'orders:1' }]);
+      expect(await store.has('orders:1')).toBe(true);
+      jest.setSystemTime(1500);
+
+      expect(await store.has('orders:1')).toBe(false);
+      await store.close();
+      expect(database.open).toBe(true);
+      database.close();
+    });
+
+    it('should reserve a key unless it holds a live one', async () => {
+      jest.useFakeTimers({ now: 1000, doNotFake: ['setImmediate', 'nextTick'] });
+      const database = new Database(':memory:');
+      const store = new SqliteDedupStore({ database });
+
+      expect(await store.reserve('orders:1', 500)).toBe(true);
+      expect(await store.reserve('orders:1', 500)).toBe(false);
+      jest.setSystemTime(1500);
+      expect(await store.reserve('orders:1', 500)).toBe(true);
+      expect(database.prepare('SELECT expires_at FROM processed_messages WHERE key = ?').get('orders:1')).toEqual({ expires_at: 2000 });
+      database.close();
+    });
+
+    it('should explain how to get better-sqlite3 when it is missing', () => {
+      jest.doMock('better-sqlite3', () => {
+        throw new Error('Cannot find module');
+      }, { virtual: true });
+
+      expect(() => new SqliteDedupStore({ path: 'dedup.db' })).toThrow('npm install better-sqlite3');
+      jest.dontMock('better-sqlite3');
+    });
+
+    it('should refuse unsafe table names', () => {
+      expect(() => new SqliteDedupStore({ database: new Database(':memory:'), table: 'x; DROP TABLE y' })).toThrow('Invalid deduplication table name');
+    });
+  });
+
+  describe('createDedupStore', () => {
+    it('should create stores by type and pass store instances through', () => {
+      const custom = { has: jest.fn(), add: jest.fn() };
+      fs.existsSync.mockReturnValue(false);
+
+      expect(createDedupStore()).toBeInstanceOf(MemoryDedupStore);
+      expect(createDedupStore({ type: 'file', path: '/data/dedup.json' })).toBeInstanceOf(FileDedupStore);
+      expect(createDedupStore(custom)).toBe(custom);
+      expect(() => createDedupStore({ type: 'redis' })).toThrow('Invalid deduplication store type: redis');
+    });
+  });
+
+  describe('getMessageId', () => {
+    const metadata = { topic: 'orders', partition: 2, offset: '41', headers: { 'message-id': 'm-1' } };
+
+    it('should read ids from headers, payload fields, offsets or a function', () => {
+      expect(getMessageId('header:message-id', {}, metadata)).toBe('m-1');
+      expect(getMessageId('field:order.id', { order: { id: 7 } }, metadata)).toBe('7');
+      expect(getMessageId('offset', {}, metadata)).toBe('orders:2:41');
+      expect(getMessageId((message, meta) => `${meta.topic}/${message.id}`, { id: 3 }, metadata)).toBe('orders/3');
+    });
+
+    it('should return null when the message has no id', () => {
+      expect(getMessageId('header:idempotency-key', {}, metadata)).toBeNull();
+      expect(getMessageId('field:order.id', { order: null }, metadata)).toBeNull();
+      expect(getMessageId('field:id', 'plain text', metadata)).toBeNull();
+    });
+
+    it('should tell valid settings from invalid ones', () => {
+      expect(isValidMessageId('header:message-id')).toBe(true);
+      expect(isValidMessageId('field:id')).toBe(true);
+      expect(isValidMessageId('offset')).toBe(true);
+      expect(isValidMessageId(() => 'id')).toBe(true);
+      expect(isValidMessageId('header:')).toBe(false);
+      expect(isValidMessageId('key')).toBe(false);
+    });
+  });
+});
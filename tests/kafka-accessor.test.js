@@ -1,17 +1,25 @@
 const KafkaAccessor = require('../src/kafka-accessor');
+const { SchemaValidationError } = require('../src/schema-validator');
+const { ProcessorTimeoutError } = require('../src/processor-timeout');
 
 // Mock kafkajs
 const mockProducer = {
   connect: jest.fn().mockResolvedValue(),
   disconnect: jest.fn().mockResolvedValue(),
-  send: jest.fn().mockResolvedValue([{ partition: 0, baseOffset: '123' }])
+  send: jest.fn().mockResolvedValue([{ partition: 0, baseOffset: '123' }]),
+  sendBatch: jest.fn().mockResolvedValue([])
 };
 
 const mockConsumer = {
   connect: jest.fn().mockResolvedValue(),
   disconnect: jest.fn().mockResolvedValue(),
   subscribe: jest.fn().mockResolvedValue(),
-  run: jest.fn().mockResolvedValue()
+  run: jest.fn().mockResolvedValue(),
+  pause: jest.fn(),
+  resume: jest.fn(),
+  commitOffsets: jest.fn().mockResolvedValue(),
+  on: jest.fn(),
+  events: { GROUP_JOIN: 'consumer.group_join' }
 };
 
 const mockAdmin = {
@@ -19,6 +27,9 @@ const mockAdmin = {
   disconnect: jest.fn().mockResolvedValue(),
   listTopics: jest.fn().mockResolvedValue(['existing-topic']),
   createTopics: jest.fn().mockResolvedValue(),
+  fetchTopicMetadata: jest.fn().mockResolvedValue({
+    topics: [{ name: 'existing-topic', partitions: [{ partitionId: 0, leader: 0 }] }]
+  }),
   isConnected: jest.fn().mockReturnValue(true)
 };
 
@@ -38,7 +49,10 @@ jest.mock('winston', () => ({
     info: jest.fn(),
     error: jest.fn(),
     debug: jest.fn(),
-    warn: jest.fn()
+    warn: jest.fn(),
+    child: jest.fn(function () {
+      return this;
+    })
   }),
   format: {
     combine: jest.fn(),
@@ -114,6 +128,10 @@ describe('KafkaAccessor', () => {
       expect(customAccessor.config.clientId).toBe('custom-client');
       expect(customAccessor.config.groupId).toBe('custom-group');
     });
+
+    it('should let the processor registry produce processor outputs through the accessor', () => {
+      expect(accessor.processorRegistry.owner).toBe(accessor);
+    });
   });
 
   describe('admin client', () => {
@@ -316,6 +334,121 @@ describe('KafkaAccessor', () => {
     });
   });
 
+  describe('topic cache', () => {
+    beforeEach(() => {
+      mockAdmin.listTopics.mockResolvedValue(['existing-topic']);
+    });
+
+    it('should only list topics once for repeated sends', async () => {
+      for (let i = 0; i < 5; i++) {
+        await accessor.sendMessage('existing-topic', { n: i });
+      }
+
+      expect(mockAdmin.listTopics).toHaveBeenCalledTimes(1);
+      expect(mockProducer.send).toHaveBeenCalledTimes(5);
+
+      const { topicCache } = accessor.getHealthStatus();
+      expect(topicCache.misses).toBe(1);
+      expect(topicCache.hits).toBe(4);
+    });
+
+    it('should share one listTopics request between concurrent checks', async () => {
+      await accessor.initAdmin();
+
+      await Promise.all([
+        accessor.topicExists('existing-topic'),
+        accessor.topicExists('existing-topic'),
+        accessor.topicExists('other-topic')
+      ]);
+
+      expect(mockAdmin.listTopics).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refresh entries after the TTL expires', async () => {
+      await accessor.initAdmin();
+
+      await accessor.topicExists('existing-topic');
+      jest.advanceTimersByTime(60001);
+      await accessor.topicExists('existing-topic');
+
+      expect(mockAdmin.listTopics).toHaveBeenCalledTimes(2);
+    });
+
+    it('should cache missing topics for the shorter negative TTL', async () => {
+      await accessor.initAdmin();
+
+      expect(await accessor.topicExists('missing-topic')).toBe(false);
+      expect(await accessor.topicExists('missing-topic')).toBe(false);
+      expect(mockAdmin.listTopics).toHaveBeenCalledTimes(1);
+      expect(accessor.getHealthStatus().topicCache.negativeHits).toBe(1);
+
+      jest.advanceTimersByTime(5001);
+      await accessor.topicExists('missing-topic');
+
+      expect(mockAdmin.listTopics).toHaveBeenCalledTimes(2);
+    });
+
+    it('should bypass the cache when refresh is requested', async () => {
+      await accessor.initAdmin();
+
+      await accessor.topicExists('existing-topic');
+      await accessor.topicExists('existing-topic', { refresh: true });
+
+      expect(mockAdmin.listTopics).toHaveBeenCalledTimes(2);
+    });
+
+    it('should mark topics as existing once createTopic runs', async () => {
+      await accessor.initAdmin();
+
+      expect(await accessor.topicExists('new-topic')).toBe(false);
+      await accessor.createTopic('new-topic');
+
+      expect(await accessor.topicExists('new-topic')).toBe(true);
+      expect(mockAdmin.listTopics).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not cache failed lookups', async () => {
+      await accessor.initAdmin();
+      mockAdmin.listTopics.mockRejectedValueOnce(new Error('Broker unavailable'));
+
+      expect(await accessor.topicExists('existing-topic')).toBe(false);
+      expect(await accessor.topicExists('existing-topic')).toBe(true);
+    });
+
+    it('should invalidate cached topics on demand', async () => {
+      await accessor.initAdmin();
+
+      await accessor.topicExists('existing-topic');
+      accessor.invalidateTopicCache('existing-topic');
+      await accessor.topicExists('existing-topic');
+
+      expect(mockAdmin.listTopics).toHaveBeenCalledTimes(2);
+    });
+
+    it('should query the cluster every time when the cache is disabled', async () => {
+      const uncachedAccessor = new KafkaAccessor({ topicCache: { enabled: false } });
+      uncachedAccessor.processorRegistry.stopAutoRefresh();
+      await uncachedAccessor.initAdmin();
+
+      await uncachedAccessor.topicExists('existing-topic');
+      await uncachedAccessor.topicExists('existing-topic');
+
+      expect(mockAdmin.listTopics).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip topic checks entirely when configured', async () => {
+      const trustingAccessor = new KafkaAccessor({ skipTopicCheck: true });
+      trustingAccessor.processorRegistry.stopAutoRefresh();
+
+      await trustingAccessor.sendMessage('any-topic', { message: 'test' });
+
+      expect(mockAdmin.listTopics).not.toHaveBeenCalled();
+      expect(mockAdmin.createTopics).not.toHaveBeenCalled();
+      expect(mockProducer.send).toHaveBeenCalled();
+      expect(trustingAccessor.getHealthStatus().topicCache.skipTopicCheck).toBe(true);
+    });
+  });
+
   describe('producer', () => {
     it('should initialize producer successfully', async () => {
       const producer = await accessor.initProducer();
@@ -324,6 +457,7 @@ describe('KafkaAccessor', () => {
       expect(mockKafka.producer).toHaveBeenCalledWith({
         allowAutoTopicCreation: true,
         transactionTimeout: 30000,
+        createPartitioner: expect.any(Function),
         retry: {
           initialRetryTime: 100,
           retries: 3
@@ -352,6 +486,508 @@ describe('KafkaAccessor', () => {
     });
   });
 
+  describe('batch produce', () => {
+    const threePartitions = (name) => ({
+      topics: [{
+        name,
+        partitions: [0, 1, 2].map(partitionId => ({ partitionId, leader: 0 }))
+      }]
+    });
+
+    it('should send many messages with one topic check and one request', async () => {
+      mockAdmin.listTopics.mockResolvedValue(['events']);
+      mockProducer.send.mockResolvedValueOnce([
+        { topicName: 'events', partition: 0, baseOffset: '10' },
+        { topicName: 'events', partition: 1, baseOffset: '20' }
+      ]);
+
+      const results = await accessor.sendMessages('events', [
+        { value: { n: 1 }, partition: 0 },
+        { value: { n: 2 }, partition: 1 },
+        { value: { n: 3 }, partition: 0, headers: { source: 'etl' } }
+      ]);
+
+      expect(mockAdmin.listTopics).toHaveBeenCalledTimes(1);
+      expect(mockProducer.send).toHaveBeenCalledTimes(1);
+      expect(mockProducer.send.mock.calls[0][0].messages[2]).toEqual({
+        key: null,
+        value: JSON.stringify({ n: 3 }),
+        partition: 0,
+        timestamp: expect.any(Number),
+        headers: { source: 'etl' }
+      });
+      expect(results).toEqual([
+        { topic: 'events', partition: 0, offset: '10', key: null },
+        { topic: 'events', partition: 1, offset: '20', key: null },
+        { topic: 'events', partition: 0, offset: '11', key: null }
+      ]);
+    });
+
+    it('should resolve partitions from keys so results line up with inputs', async () => {
+      mockAdmin.listTopics.mockResolvedValue(['events']);
+      mockAdmin.fetchTopicMetadata.mockResolvedValueOnce(threePartitions('events'));
+      mockProducer.send.mockImplementationOnce(async ({ messages }) => {
+        const partitions = [...new Set(messages.map(m => m.partition))];
+        return partitions.map(partition => ({ topicName: 'events', partition, baseOffset: String(partition * 100) }));
+      });
+
+      const items = ['a', 'user-1', 'a'].map(key => ({ key, value: { key } }));
+      const results = await accessor.sendMessages('events', items);
+
+      const { partitionForKey } = require('../src/partitioners');
+      const partitionA = partitionForKey('a', 3);
+      expect(results[0]).toEqual({ topic: 'events', partition: partitionA, offset: String(partitionA * 100), key: 'a' });
+      expect(results[2]).toEqual({ topic: 'events', partition: partitionA, offset: String(partitionA * 100 + 1), key: 'a' });
+      expect(results[1].partition).toBe(partitionForKey('user-1', 3));
+    });
+
+    it('should split large inputs into chunks', async () => {
+      mockAdmin.listTopics.mockResolvedValue(['events']);
+      mockProducer.send.mockImplementation(async ({ messages }) => [
+        { topicName: 'events', partition: 0, baseOffset: String(messages[0].value.length) }
+      ]);
+
+      const items = Array.from({ length: 5 }, (_, i) => ({ value: i, partition: 0 }));
+      const results = await accessor.sendMessages('events', items, { chunkSize: 2 });
+
+      expect(mockProducer.send).toHaveBeenCalledTimes(3);
+      expect(results).toHaveLength(5);
+      expect(results.map(r => r.offset)).toEqual(['1', '2', '1', '2', '1']);
+
+      mockProducer.send.mockResolvedValue([{ partition: 0, baseOffset: '123' }]);
+    });
+
+    it('should forward acks, timeout and compression', async () => {
+      mockAdmin.listTopics.mockResolvedValue(['events']);
+
+      await accessor.sendMessages('events', [{ value: 1, partition: 0 }], { acks: -1, timeout: 5000 });
+
+      expect(mockProducer.send).toHaveBeenCalledWith(expect.objectContaining({ acks: -1, timeout: 5000, topic: 'events' }));
+    });
+
+    it('should reject empty or invalid input', async () => {
+      await expect(accessor.sendMessages('events', [])).rejects.toThrow('Messages must be a non-empty array');
+      await expect(accessor.sendMessages('events', [null])).rejects.toThrow('Each message must be an object with a value');
+    });
+
+    it('should send to several topics in a single sendBatch call', async () => {
+      mockAdmin.listTopics.mockResolvedValue(['orders', 'audit']);
+      mockProducer.sendBatch.mockResolvedValueOnce([
+        { topicName: 'orders', partition: 0, baseOffset: '5' },
+        { topicName: 'audit', partition: 2, baseOffset: '40' }
+      ]);
+
+      const results = await accessor.sendBatch([
+        { topic: 'orders', messages: [{ value: { id: 1 }, partition: 0 }, { value: { id: 2 }, partition: 0 }] },
+        { topic: 'audit', messages: [{ value: { id: 1 }, partition: 2 }] },
+        { topic: 'orders', messages: [{ value: { id: 3 }, partition: 0 }] }
+      ]);
+
+      expect(mockAdmin.listTopics).toHaveBeenCalledTimes(1);
+      expect(mockProducer.sendBatch).toHaveBeenCalledTimes(1);
+      expect(mockProducer.sendBatch.mock.calls[0][0].topicMessages).toHaveLength(3);
+      expect(results).toEqual([
+        {
+          topic: 'orders',
+          records: [
+            { topic: 'orders', partition: 0, offset: '5', key: null },
+            { topic: 'orders', partition: 0, offset: '6', key: null }
+          ]
+        },
+        { topic: 'audit', records: [{ topic: 'audit', partition: 2, offset: '40', key: null }] },
+        { topic: 'orders', records: [{ topic: 'orders', partition: 0, offset: '7', key: null }] }
+      ]);
+    });
+
+    it('should create missing topics once per batch', async () => {
+      mockAdmin.listTopics.mockResolvedValue([]);
+      mockAdmin.fetchTopicMetadata.mockImplementation(async ({ topics }) => threePartitions(topics[0]));
+
+      await accessor.sendBatch([
+        { topic: 'new-a', messages: [{ key: 'k', value: 1 }] },
+        { topic: 'new-a', messages: [{ key: 'k', value: 2 }] }
+      ]);
+
+      expect(mockAdmin.createTopics).toHaveBeenCalledTimes(1);
+
+      mockAdmin.fetchTopicMetadata.mockResolvedValue({
+        topics: [{ name: 'existing-topic', partitions: [{ partitionId: 0, leader: 0 }] }]
+      });
+    });
+
+    it('should return null offsets when the broker does not report them', async () => {
+      mockAdmin.listTopics.mockResolvedValue(['events']);
+      mockProducer.send.mockResolvedValueOnce([]);
+
+      const results = await accessor.sendMessages('events', [{ value: 1, partition: 0 }], { acks: 0 });
+
+      expect(results[0].offset).toBeNull();
+    });
+
+    it('should validate sendBatch entries', async () => {
+      await expect(accessor.sendBatch([])).rejects.toThrow('Topic messages must be a non-empty array');
+      await expect(accessor.sendBatch([{ topic: 'a' }])).rejects.toThrow('Each batch entry must have a topic and a messages array');
+    });
+
+    it('should fail clearly when partition metadata is missing', async () => {
+      mockAdmin.listTopics.mockResolvedValue(['events']);
+      mockAdmin.fetchTopicMetadata.mockResolvedValueOnce({ topics: [] });
+
+      await expect(accessor.sendMessages('events', [{ key: 'a', value: 1 }]))
+        .rejects.toThrow('No partition metadata available for topic: events');
+    });
+  });
+
+  describe('message headers', () => {
+    it('should encode caller headers on send', async () => {
+      await accessor.sendMessage('test-topic', { message: 'test' }, {
+        headers: { source: 'api', attempt: 2, context: { tenant: 'acme' } }
+      });
+
+      expect(mockProducer.send.mock.calls[0][0].messages[0].headers).toEqual({
+        source: 'api',
+        attempt: '2',
+        context: '{"tenant":"acme"}'
+      });
+    });
+
+    it('should add configured standard headers with caller ids', async () => {
+      const headerAccessor = new KafkaAccessor({ standardHeaders: true });
+      headerAccessor.processorRegistry.stopAutoRefresh();
+
+      await headerAccessor.sendMessage('test-topic', { message: 'test' }, {
+        messageId: 'msg-1',
+        correlationId: 'corr-1',
+        headers: { 'content-type': 'application/vnd.custom+json' }
+      });
+
+      expect(mockProducer.send.mock.calls[0][0].messages[0].headers).toEqual({
+        'content-type': 'application/vnd.custom+json',
+        'message-id': 'msg-1',
+        'correlation-id': 'corr-1',
+        'produced-at': expect.any(String)
+      });
+    });
+
+    it('should read standard headers from the environment', () => {
+      const originalEnv = process.env;
+      process.env = { ...originalEnv, KAFKA_STANDARD_HEADERS: 'message-id,produced-at' };
+
+      const envAccessor = new KafkaAccessor();
+      envAccessor.processorRegistry.stopAutoRefresh();
+
+      expect(envAccessor.headerConfig.standardHeaders).toEqual(['message-id', 'produced-at']);
+
+      process.env = originalEnv;
+    });
+
+    it('should apply batch headers and correlation ids to every item', async () => {
+      const headerAccessor = new KafkaAccessor({ standardHeaders: ['correlation-id'] });
+      headerAccessor.processorRegistry.stopAutoRefresh();
+      mockAdmin.listTopics.mockResolvedValue(['events']);
+
+      await headerAccessor.sendMessages('events', [
+        { value: 1, partition: 0 },
+        { value: 2, partition: 0, headers: { source: 'override' }, correlationId: 'own' }
+      ], { headers: { source: 'etl' }, correlationId: 'job-7' });
+
+      const [first, second] = mockProducer.send.mock.calls[0][0].messages;
+      expect(first.headers).toEqual({ 'correlation-id': 'job-7', source: 'etl' });
+      expect(second.headers).toEqual({ 'correlation-id': 'own', source: 'override' });
+    });
+
+    it('should decode headers before they reach the processor registry', async () => {
+      const mockProcessorRegistry = {
+        autoDiscoverProcessors: jest.fn().mockResolvedValue(),
+        getAvailableTopics: jest.fn().mockReturnValue(['topic1']),
+        getProcessor: jest.fn().mockReturnValue(null),
+        processMessage: jest.fn().mockResolvedValue({ status: 'success' })
+      };
+      accessor.processorRegistry = mockProcessorRegistry;
+      accessor.admin = mockAdmin;
+
+      await accessor.autoSubscribeToProcessorTopics();
+      const { eachMessage } = mockConsumer.run.mock.calls[0][0];
+
+      await eachMessage({
+        topic: 'topic1',
+        partition: 0,
+        message: {
+          value: Buffer.from('{"a":1}'),
+          key: null,
+          offset: '1',
+          timestamp: '0',
+          headers: { 'correlation-id': Buffer.from('corr-1') }
+        }
+      });
+
+      expect(mockProcessorRegistry.processMessage).toHaveBeenCalledWith('topic1', { a: 1 }, expect.objectContaining({
+        headers: { 'correlation-id': 'corr-1' }
+      }), expect.objectContaining({ ack: expect.any(Function) }));
+    });
+
+    it('should keep raw headers when a subscription opts out of decoding', async () => {
+      const messageHandler = jest.fn();
+      const signature = Buffer.from([1, 2]);
+
+      await accessor.subscribeToTopic('test-topic', messageHandler, { decodeHeaders: false });
+      const { eachMessage } = mockConsumer.run.mock.calls[0][0];
+
+      await eachMessage({
+        topic: 'test-topic',
+        partition: 0,
+        message: { value: Buffer.from('{}'), key: null, offset: '1', timestamp: '0', headers: { signature } }
+      });
+
+      expect(messageHandler.mock.calls[0][1].headers.signature).toBe(signature);
+    });
+  });
+
+  describe('serdes', () => {
+    const rawMessage = (value, headers = {}) => ({
+      value,
+      key: Buffer.from('k1'),
+      offset: '1',
+      timestamp: '0',
+      headers
+    });
+
+    it('should serialize with the topic serde and set its content type', async () => {
+      const serdeAccessor = new KafkaAccessor({ standardHeaders: ['content-type'], topicSerdes: { logs: 'string' } });
+      serdeAccessor.processorRegistry.stopAutoRefresh();
+      mockAdmin.listTopics.mockResolvedValue(['logs']);
+
+      await serdeAccessor.sendMessage('logs', 'plain line');
+
+      const [record] = mockProducer.send.mock.calls[0][0].messages;
+      expect(record.value).toBe('plain line');
+      expect(record.headers).toEqual({ 'content-type': 'text/plain' });
+    });
+
+    it('should let a send override the serde', async () => {
+      await accessor.sendMessages('test-topic', [{ value: [{ a: 1 }, { a: 2 }], partition: 0 }], { serde: 'ndjson' });
+
+      expect(mockProducer.send.mock.calls[0][0].messages[0].value).toBe('{"a":1}\n{"a":2}\n');
+    });
+
+    it('should produce a tombstone for a null payload', async () => {
+      await accessor.sendMessage('test-topic', null, { key: 'user-1' });
+
+      const [record] = mockProducer.send.mock.calls[0][0].messages;
+      expect(record.key).toBe('user-1');
+      expect(record.value).toBeNull();
+    });
+
+    it('should use custom serdes registered on the accessor', async () => {
+      accessor.registerSerde('csv', {
+        contentType: 'text/csv',
+        serialize: row => row.join(','),
+        deserialize: buffer => buffer.toString().split(',')
+      });
+      accessor.setTopicSerde('rows', 'csv');
+      const messageHandler = jest.fn();
+
+      await accessor.subscribeToTopic('rows', messageHandler);
+      const { eachMessage } = mockConsumer.run.mock.calls[0][0];
+      await eachMessage({ topic: 'rows', partition: 0, message: rawMessage(Buffer.from('a,b')) });
+
+      expect(messageHandler).toHaveBeenCalledWith(['a', 'b'], expect.objectContaining({ tombstone: false }));
+      expect(accessor.getHealthStatus().serdes.topics).toEqual({ rows: 'csv' });
+    });
+
+    it('should reject unknown serdes', () => {
+      expect(() => accessor.setTopicSerde('rows', 'xml')).toThrow('Unknown serde: xml');
+      expect(() => new KafkaAccessor({ serde: 'xml' })).toThrow('Unknown serde: xml');
+    });
+
+    it('should pick the serde from the content-type header', async () => {
+      const messageHandler = jest.fn();
+
+      await accessor.subscribeToTopic('test-topic', messageHandler);
+      const { eachMessage } = mockConsumer.run.mock.calls[0][0];
+      await eachMessage({
+        topic: 'test-topic',
+        partition: 0,
+        message: rawMessage(Buffer.from('not json'), { 'content-type': Buffer.from('text/plain; charset=utf-8') })
+      });
+
+      expect(messageHandler.mock.calls[0][0]).toBe('not json');
+    });
+
+    it('should pass tombstones to custom handlers as null', async () => {
+      const messageHandler = jest.fn();
+
+      await accessor.subscribeToTopic('test-topic', messageHandler);
+      const { eachMessage } = mockConsumer.run.mock.calls[0][0];
+      await eachMessage({ topic: 'test-topic', partition: 0, message: rawMessage(null) });
+
+      expect(messageHandler).toHaveBeenCalledWith(null, expect.objectContaining({ key: 'k1', tombstone: true }));
+    });
+
+    it('should produce and consume avro through the configured schema registry', async () => {
+      const schema = {
+        id: 5,
+        subject: 'orders-value',
+        version: 1,
+        schemaType: 'AVRO',
+        schema: JSON.stringify({ type: 'record', name: 'Order', fields: [{ name: 'id', type: 'string' }] })
+      };
+      const avroAccessor = new KafkaAccessor({
+        schemaRegistry: {
+          getSchemaById: jest.fn().mockResolvedValue(schema),
+          getSchema: jest.fn().mockResolvedValue(schema)
+        },
+        topicSerdes: { orders: 'avro' }
+      });
+      avroAccessor.processorRegistry.stopAutoRefresh();
+      mockAdmin.listTopics.mockResolvedValue(['orders']);
+      const messageHandler = jest.fn();
+
+      await avroAccessor.sendMessage('orders', { id: 'o-1' });
+      const [record] = mockProducer.send.mock.calls[0][0].messages;
+      await avroAccessor.subscribeToTopic('orders', messageHandler);
+      const { eachMessage } = mockConsumer.run.mock.calls[0][0];
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage(record.value) });
+
+      expect(record.value.readUInt32BE(1)).toBe(5);
+      expect(messageHandler.mock.calls[0][0]).toEqual({ id: 'o-1' });
+      expect(avroAccessor.getHealthStatus().serdes.registered).toEqual(expect.arrayContaining(['avro', 'protobuf']));
+    });
+
+    it('should only offer schema serdes when a schema registry is configured', () => {
+      expect(() => accessor.setTopicSerde('orders', 'avro')).toThrow('Unknown serde: avro');
+    });
+
+    it('should decode processor messages with the processor serde and deliver tombstones', async () => {
+      class RawProcessor {
+        async process() {}
+      }
+      RawProcessor.serde = 'buffer';
+      const mockProcessorRegistry = {
+        autoDiscoverProcessors: jest.fn().mockResolvedValue(),
+        getAvailableTopics: jest.fn().mockReturnValue(['images']),
+        getProcessor: jest.fn().mockReturnValue(new RawProcessor()),
+        processMessage: jest.fn().mockResolvedValue({ status: 'success' })
+      };
+      accessor.processorRegistry = mockProcessorRegistry;
+      accessor.admin = mockAdmin;
+      const image = Buffer.from([0xff, 0xd8]);
+
+      await accessor.autoSubscribeToProcessorTopics();
+      const { eachMessage } = mockConsumer.run.mock.calls[0][0];
+      await eachMessage({ topic: 'images', partition: 0, message: rawMessage(image) });
+      await eachMessage({ topic: 'images', partition: 0, message: rawMessage(null) });
+
+      expect(mockProcessorRegistry.processMessage.mock.calls[0][1]).toEqual(image);
+      expect(mockProcessorRegistry.processMessage).toHaveBeenLastCalledWith('images', null, expect.objectContaining({
+        tombstone: true
+      }), expect.any(Object));
+    });
+  });
+
+  describe('schema validation', () => {
+    const userSchema = {
+      type: 'object',
+      required: ['email'],
+      properties: { email: { type: 'string' } }
+    };
+
+    it('should reject outgoing payloads that fail the topic schema when validation is enabled', async () => {
+      accessor.processorRegistry.setTopicSchema('users', userSchema);
+      mockAdmin.listTopics.mockResolvedValue(['users']);
+
+      await expect(accessor.sendMessage('users', { email: 42 }, { validate: true })).rejects.toMatchObject({
+        name: 'SchemaValidationError',
+        errors: [expect.objectContaining({ path: '/email', message: 'must be string' })]
+      });
+      expect(mockProducer.send).not.toHaveBeenCalled();
+    });
+
+    it('should validate every send when validateOnSend is set', async () => {
+      const validatingAccessor = new KafkaAccessor({ validateOnSend: true });
+      validatingAccessor.processorRegistry.stopAutoRefresh();
+      validatingAccessor.processorRegistry.setTopicSchema('users', userSchema);
+      mockAdmin.listTopics.mockResolvedValue(['users']);
+
+      await expect(validatingAccessor.sendMessages('users', [
+        { value: { email: 'a@example.com' }, partition: 0 },
+        { value: {}, partition: 0 }
+      ])).rejects.toThrow("Message for topic users failed schema validation: / must have required property 'email'");
+
+      await validatingAccessor.sendMessage('users', { email: 'a@example.com' });
+      await validatingAccessor.sendMessage('users', {}, { validate: false });
+      expect(mockProducer.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not validate sends by default', async () => {
+      accessor.processorRegistry.setTopicSchema('users', userSchema);
+      mockAdmin.listTopics.mockResolvedValue(['users']);
+
+      await accessor.sendMessage('users', {});
+
+      expect(mockProducer.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should dead-letter invalid messages when the registry asks for it, regardless of the failure mode', async () => {
+      const processor = { name: 'UsersProcessor', process: jest.fn(), onFailure: 'skip' };
+      const error = new SchemaValidationError('users', [{ path: '/email', message: 'must be string' }]);
+      error.failureMode = 'dead-letter';
+      accessor.processorRegistry = {
+        autoDiscoverProcessors: jest.fn().mockResolvedValue(),
+        getAvailableTopics: jest.fn().mockReturnValue(['users']),
+        getProcessor: jest.fn().mockReturnValue(processor),
+        getProcessorInfo: jest.fn().mockReturnValue(null),
+        processMessage: jest.fn().mockResolvedValue({ status: 'error', message: error.message, error })
+      };
+      accessor.admin = mockAdmin;
+      accessor.deadLetterConfig.enabled = true;
+      mockAdmin.listTopics.mockResolvedValue(['users', 'users.DLQ']);
+
+      await accessor.autoSubscribeToProcessorTopics();
+      const { eachMessage } = mockConsumer.run.mock.calls[0][0];
+      await eachMessage({
+        topic: 'users',
+        partition: 0,
+        message: { value: Buffer.from('{"email":1}'), key: null, offset: '7', timestamp: '0', headers: {} },
+        heartbeat: jest.fn()
+      });
+
+      expect(accessor.processorRegistry.processMessage).toHaveBeenCalledTimes(1);
+      expect(mockProducer.send.mock.calls[0][0].topic).toBe('users.DLQ');
+      expect(mockProducer.send.mock.calls[0][0].messages[0].headers['dlq.error.class']).toBe('SchemaValidationError');
+    });
+  });
+
+  describe('partitioner', () => {
+    it('should pass the configured partitioner to the producer', async () => {
+      const customAccessor = new KafkaAccessor({
+        partitioner: 'round-robin',
+        topicPartitioners: { audit: () => 1 }
+      });
+      customAccessor.processorRegistry.stopAutoRefresh();
+
+      await customAccessor.initProducer();
+
+      const { createPartitioner } = mockKafka.producer.mock.calls[0][0];
+      const partitioner = createPartitioner();
+      const partitionMetadata = [{ partitionId: 0, leader: 0 }, { partitionId: 1, leader: 0 }];
+
+      expect(partitioner({ topic: 'audit', partitionMetadata, message: {} })).toBe(1);
+      expect(partitioner({ topic: 'other', partitionMetadata, message: {} })).toBe(0);
+      expect(partitioner({ topic: 'other', partitionMetadata, message: {} })).toBe(1);
+    });
+
+    it('should apply topic partitioners set after the producer is created', async () => {
+      await accessor.initProducer();
+      accessor.setTopicPartitioner('orders', () => 2);
+
+      const partitioner = mockKafka.producer.mock.calls[0][0].createPartitioner();
+
+      expect(partitioner({ topic: 'orders', partitionMetadata: [], message: {} })).toBe(2);
+      expect(accessor.getHealthStatus().partitioner.topics).toEqual({ orders: 'custom' });
+    });
+  });
+
   describe('consumer', () => {
     it('should initialize consumer successfully', async () => {
       const consumer = await accessor.initConsumer();
@@ -361,7 +997,8 @@ describe('KafkaAccessor', () => {
         groupId: 'kafka-accessor-group',
         sessionTimeout: 30000,
         heartbeatInterval: 3000,
-        maxBytesPerPartition: 1048576
+        maxBytesPerPartition: 1048576,
+        readUncommitted: false
       });
     });
 
@@ -434,7 +1071,8 @@ describe('KafkaAccessor', () => {
         groupId: expect.stringMatching(/^test-client-\d+$/),
         sessionTimeout: 30000,
         heartbeatInterval: 3000,
-        maxBytesPerPartition: 1048576
+        maxBytesPerPartition: 1048576,
+        readUncommitted: false
       });
 
       expect(mockDedicatedConsumer.connect).toHaveBeenCalled();
@@ -452,8 +1090,31 @@ describe('KafkaAccessor', () => {
         key: 'test-key',
         value: { message: 'test' },
         timestamp: mockMessage.message.timestamp,
-        headers: {}
+        headers: {},
+        tombstone: false
+      });
+    });
+
+    it('should decode message headers to strings', async () => {
+      mockDedicatedConsumer.run.mockImplementation(({ eachMessage }) => {
+        eachMessage({
+          topic: 'test-topic',
+          partition: 0,
+          message: {
+            offset: '1',
+            key: null,
+            value: Buffer.from('{}'),
+            timestamp: '0',
+            headers: { 'message-id': Buffer.from('msg-1'), signature: Buffer.from([7]) }
+          }
+        });
+        return Promise.resolve();
       });
+
+      const message = await accessor.getMessageFromTopic('test-topic', { binaryHeaders: ['signature'] });
+
+      expect(message.headers['message-id']).toBe('msg-1');
+      expect(Buffer.isBuffer(message.headers.signature)).toBe(true);
     });
 
     it('should use custom group ID when provided', async () => {
@@ -480,7 +1141,8 @@ describe('KafkaAccessor', () => {
         groupId: expect.stringMatching(/^custom-group-\d+$/),
         sessionTimeout: 30000,
         heartbeatInterval: 3000,
-        maxBytesPerPartition: 1048576
+        maxBytesPerPartition: 1048576,
+        readUncommitted: false
       });
     });
 
@@ -646,21 +1308,85 @@ describe('KafkaAccessor', () => {
       expect(mockKafka.consumer().disconnect).toHaveBeenCalled();
       expect(mockKafka.admin().disconnect).toHaveBeenCalled();
     });
-  });
 
-  describe('health status', () => {
-    it('should return health status for all components', () => {
-      const status = accessor.getHealthStatus();
+    it('should disconnect the consumer before the producers and create a new one when started again', async () => {
+      await accessor.initProducer();
+      await accessor.initConsumer();
+
+      await accessor.disconnect();
+
+      expect(mockConsumer.disconnect.mock.invocationCallOrder[0]).toBeLessThan(mockProducer.disconnect.mock.invocationCallOrder[0]);
+      expect(accessor.consumer).toBeNull();
+
+      mockKafka.consumer.mockClear();
+      await accessor.startConsumer();
+      expect(mockKafka.consumer).toHaveBeenCalledTimes(1);
+      expect(accessor.consumer).toBe(mockConsumer);
+    });
+  });
+
+  describe('health status', () => {
+    it('should return health status for all components', () => {
+      const status = accessor.getHealthStatus();
       
       expect(status).toEqual({
         producer: { connected: false, initialized: false },
-        consumer: { connected: false, initialized: false },
+        consumer: { connected: false, initialized: false, subscribedTopics: [] },
         admin: { connected: false, initialized: false },
         config: {
           brokers: 'localhost:9092',
           clientId: 'test-client',
           groupId: 'kafka-accessor-group'
         },
+        partitioner: { default: 'default', topics: {} },
+        serdes: { default: 'json', topics: {}, registered: ['json', 'string', 'buffer', 'ndjson'] },
+        schemaRegistry: null,
+        topicCache: {
+          enabled: true,
+          ttl: 60000,
+          negativeTtl: 5000,
+          size: 0,
+          hits: 0,
+          misses: 0,
+          negativeHits: 0,
+          invalidations: 0,
+          skipTopicCheck: false
+        },
+        processing: {
+          totals: {
+            succeeded: 0,
+            failed: 0,
+            retried: 0,
+            deadLettered: 0,
+            skipped: 0,
+            paused: 0,
+            redelivered: 0,
+            duplicates: 0
+          },
+          topics: {},
+          pausedPartitions: []
+        },
+        concurrency: {
+          partitionsConsumedConcurrently: 1,
+          keyParallelism: 1,
+          mode: null,
+          processors: {}
+        },
+        commits: {
+          strategy: 'auto',
+          interval: 5000,
+          threshold: 100,
+          lastCommitAt: null,
+          uncommitted: []
+        },
+        transactions: {
+          exactlyOnce: false,
+          idempotent: false,
+          transactionalId: `test-client-${require('os').hostname()}-tx`,
+          isolationLevel: 'read_committed',
+          committed: 0,
+          aborted: 0
+        },
         processorRegistry: {
           enabled: true,
           processors: [],
@@ -670,7 +1396,8 @@ describe('KafkaAccessor', () => {
             isRunning: true,
             lastRefresh: null,
             refreshCount: 0
-          }
+          },
+          health: { healthy: true, processors: {} }
         }
       });
     });
@@ -698,6 +1425,18 @@ describe('KafkaAccessor', () => {
       expect(info.autoRefresh.enabled).toBe(true);
     });
 
+    it('should include processors waiting for their topic', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', missingTopicPolicy: 'skip' });
+      accessor.processorRegistry.markTopicPending('new-topic', './processors/new-topic.js', 'skipped');
+
+      const info = accessor.getProcessorRegistryInfo();
+
+      expect(info.missingTopicPolicy).toBe('skip');
+      expect(info.pendingTopics).toEqual([
+        expect.objectContaining({ topic: 'new-topic', filePath: './processors/new-topic.js', status: 'skipped' })
+      ]);
+    });
+
     it('should handle processor registry when not initialized', () => {
       accessor.processorRegistry = null;
       
@@ -713,6 +1452,7 @@ describe('KafkaAccessor', () => {
       const mockProcessorRegistry = {
         autoDiscoverProcessors: jest.fn().mockResolvedValue(),
         getAvailableTopics: jest.fn().mockReturnValue(['topic1', 'topic2']),
+        getProcessor: jest.fn().mockReturnValue(null),
         processMessage: jest.fn().mockResolvedValue()
       };
       
@@ -758,11 +1498,15 @@ describe('KafkaAccessor', () => {
       const mockProcessorRegistry = {
         autoDiscoverProcessors: jest.fn().mockResolvedValue(),
         getAvailableTopics: jest.fn().mockReturnValue(['topic1']),
+        getProcessor: jest.fn().mockReturnValue(null),
         processMessage: jest.fn().mockResolvedValue()
       };
       
       accessor.processorRegistry = mockProcessorRegistry;
       accessor.admin = mockAdmin;
+
+      // In retry mode the error is re-thrown so Kafka redelivers the message
+      accessor.failureConfig.mode = 'retry';
       
       await accessor.autoSubscribeToProcessorTopics();
       
@@ -784,77 +1528,1647 @@ describe('KafkaAccessor', () => {
     });
   });
 
-  describe('sendMessage edge cases', () => {
-    it('should handle message sending with all optional parameters', async () => {
-      const payload = { message: 'test' };
-      const options = {
-        key: 'test-key',
-        partition: 1,
-        timestamp: 1234567890,
-        topicConfig: { numPartitions: 3, replicationFactor: 2 }
-      };
-      
-      const result = await accessor.sendMessage('test-topic', payload, options);
-      
-      expect(result).toEqual([{ partition: 0, baseOffset: '123' }]);
-      expect(mockProducer.send).toHaveBeenCalledWith({
-        topic: 'test-topic',
-        messages: [{
-          key: 'test-key',
-          value: JSON.stringify(payload),
-          partition: 1,
-          timestamp: 1234567890
-        }]
+  describe('concurrency', () => {
+    const flushPromises = async () => {
+      for (let i = 0; i < 30; i++) {
+        await Promise.resolve();
+      }
+    };
+
+    const createBatch = keys => ({
+      topic: 'orders',
+      partition: 0,
+      messages: keys.map((key, offset) => ({
+        offset: String(offset),
+        key: key === null ? null : Buffer.from(key),
+        value: Buffer.from('{}'),
+        headers: {}
+      }))
+    });
+
+    const createBatchPayload = batch => ({
+      batch,
+      resolveOffset: jest.fn(),
+      heartbeat: jest.fn().mockResolvedValue(),
+      commitOffsetsIfNecessary: jest.fn().mockResolvedValue(),
+      isRunning: () => true,
+      isStale: () => false
+    });
+
+    // Each call waits until the test completes its offset
+    const controlHandler = () => {
+      const pending = {};
+      const started = [];
+      accessor.handleProcessorMessage = jest.fn(({ message }) => new Promise((resolve, reject) => {
+        started.push(message.offset);
+        pending[message.offset] = { resolve, reject };
+      }));
+      return { pending, started };
+    };
+
+    const registry = topics => ({
+      autoDiscoverProcessors: jest.fn().mockResolvedValue(),
+      getAvailableTopics: jest.fn().mockReturnValue(topics),
+      getProcessor: jest.fn().mockReturnValue(null)
+    });
+
+    it('should pass partitionsConsumedConcurrently to the consumer', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', partitionsConsumedConcurrently: 4 });
+      accessor.processorRegistry = registry(['orders']);
+      accessor.admin = mockAdmin;
+
+      await accessor.autoSubscribeToProcessorTopics();
+
+      expect(mockConsumer.run).toHaveBeenCalledWith({
+        partitionsConsumedConcurrently: 4,
+        eachMessage: expect.any(Function)
       });
     });
 
-    it('should handle message sending with null key', async () => {
-      const payload = { message: 'test' };
-      const options = { key: null };
-      
-      await accessor.sendMessage('test-topic', payload, options);
-      
-      expect(mockProducer.send).toHaveBeenCalledWith({
-        topic: 'test-topic',
-        messages: [{
-          key: null,
-          value: JSON.stringify(payload),
-          partition: 0,
-          timestamp: expect.any(Number)
-        }]
+    it('should consume batches without auto-resolve when keys run in parallel', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', keyParallelism: 8 });
+      accessor.processorRegistry = registry(['orders']);
+      accessor.admin = mockAdmin;
+
+      await accessor.autoSubscribeToProcessorTopics();
+
+      expect(mockConsumer.run).toHaveBeenCalledWith({
+        partitionsConsumedConcurrently: 1,
+        eachBatchAutoResolve: false,
+        eachBatch: expect.any(Function)
       });
     });
 
-    it('should handle message sending with undefined options', async () => {
-      const payload = { message: 'test' };
-      
-      await accessor.sendMessage('test-topic', payload);
-      
-      expect(mockProducer.send).toHaveBeenCalledWith({
-        topic: 'test-topic',
-        messages: [{
-          key: null,
-          value: JSON.stringify(payload),
-          partition: 0,
-          timestamp: expect.any(Number)
-        }]
+    it('should validate concurrency settings', () => {
+      expect(() => new KafkaAccessor({ brokers: 'localhost:9092', keyParallelism: 2.5 }))
+        .toThrow('keyParallelism must be a positive integer, got 2.5');
+    });
+
+    it('should process different keys in parallel and keep each key in order', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', keyParallelism: 3 });
+      const { pending, started } = controlHandler();
+      const payload = createBatchPayload(createBatch(['a', 'b', 'a', 'c']));
+
+      const done = accessor.handleProcessorBatch(payload);
+      await flushPromises();
+
+      // Offset 2 waits for offset 0, which has the same key
+      expect(started).toEqual(['0', '1', '3']);
+
+      pending['1'].resolve();
+      await flushPromises();
+      expect(payload.resolveOffset).not.toHaveBeenCalled();
+
+      pending['0'].resolve();
+      await flushPromises();
+      expect(payload.resolveOffset).toHaveBeenLastCalledWith('1');
+      expect(started).toEqual(['0', '1', '3', '2']);
+
+      pending['3'].resolve();
+      await flushPromises();
+      expect(payload.resolveOffset).toHaveBeenCalledTimes(1);
+
+      pending['2'].resolve();
+      await done;
+
+      expect(payload.resolveOffset).toHaveBeenLastCalledWith('3');
+      expect(payload.commitOffsetsIfNecessary).toHaveBeenCalled();
+    });
+
+    it('should not commit past a lower offset that finishes last', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', keyParallelism: 2, commitStrategy: 'per-message' });
+      accessor.consumer = mockConsumer;
+      const { pending, started } = controlHandler();
+
+      // Offset 1 waits for offset 0, so offset 2 starts before it
+      const done = accessor.handleProcessorBatch(createBatchPayload(createBatch(['a', 'a', 'b'])));
+      await flushPromises();
+      pending['0'].resolve();
+      await flushPromises();
+      expect(started).toEqual(['0', '2', '1']);
+
+      pending['2'].resolve();
+      await flushPromises();
+      await accessor.commitChain;
+      expect(mockConsumer.commitOffsets.mock.calls).toEqual([[[{ topic: 'orders', partition: 0, offset: '1' }]]]);
+
+      pending['1'].resolve();
+      await done;
+      await accessor.commitChain;
+      expect(mockConsumer.commitOffsets).toHaveBeenLastCalledWith([{ topic: 'orders', partition: 0, offset: '3' }]);
+    });
+
+    it('should cap in-flight messages per partition', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', keyParallelism: 2 });
+      const { pending, started } = controlHandler();
+
+      const done = accessor.handleProcessorBatch(createBatchPayload(createBatch([null, null, null])));
+      await flushPromises();
+      expect(started).toEqual(['0', '1']);
+
+      pending['0'].resolve();
+      await flushPromises();
+      expect(started).toEqual(['0', '1', '2']);
+
+      pending['1'].resolve();
+      pending['2'].resolve();
+      await done;
+    });
+
+    it('should stop the batch and commit only completed offsets before a failure', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', keyParallelism: 2 });
+      const { pending, started } = controlHandler();
+      const payload = createBatchPayload(createBatch(['a', 'b', 'c', 'd']));
+
+      const done = accessor.handleProcessorBatch(payload);
+      await flushPromises();
+
+      pending['1'].reject(new Error('Downstream unavailable'));
+      await flushPromises();
+      pending['0'].resolve();
+
+      await expect(done).rejects.toThrow('Downstream unavailable');
+      expect(payload.resolveOffset).toHaveBeenCalledTimes(1);
+      expect(payload.resolveOffset).toHaveBeenCalledWith('0');
+      // Remaining messages are left for redelivery
+      expect(started).toEqual(['0', '1']);
+    });
+
+    it('should limit processors that declare a concurrency', async () => {
+      class LimitedProcessor {
+        static concurrency = 1;
+        async process() {}
+      }
+      accessor.processorRegistry = { getProcessor: jest.fn().mockReturnValue(new LimitedProcessor()) };
+      const { pending, started } = controlHandler();
+
+      const first = accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: { offset: '0' } });
+      const second = accessor.dispatchProcessorMessage({ topic: 'orders', partition: 1, message: { offset: '1' } });
+      await flushPromises();
+
+      expect(started).toEqual(['0']);
+      expect(accessor.getConcurrencyInfo().processors.orders).toEqual({ limit: 1, active: 1, waiting: 1 });
+
+      pending['0'].resolve();
+      await flushPromises();
+      expect(started).toEqual(['0', '1']);
+
+      pending['1'].resolve();
+      await Promise.all([first, second]);
+    });
+  });
+
+  describe('batch processors', () => {
+    class BulkInsertProcessor {
+      static retryPolicy = { maxAttempts: 2, initialDelay: 0, jitter: 0 };
+      constructor(processBatch) {
+        this.processBatch = jest.fn(processBatch || (async () => ({ status: 'success' })));
+      }
+      async process() {
+        return { status: 'success' };
+      }
+    }
+
+    const createPayload = (count, options = {}) => ({
+      batch: {
+        topic: 'orders',
+        partition: 0,
+        highWatermark: String(count),
+        messages: Array.from({ length: count }, (_, offset) => ({
+          offset: String(offset),
+          key: Buffer.from(`key-${offset}`),
+          value: Buffer.from(JSON.stringify({ id: offset })),
+          timestamp: '1700000000000',
+          headers: {}
+        }))
+      },
+      resolveOffset: jest.fn(),
+      heartbeat: jest.fn().mockResolvedValue(),
+      commitOffsetsIfNecessary: jest.fn().mockResolvedValue(),
+      isRunning: () => true,
+      isStale: () => false,
+      ...options
+    });
+
+    beforeEach(() => {
+      accessor.processorRegistry.stopAutoRefresh();
+      accessor.deadLetterConfig.enabled = true;
+    });
+
+    it('should consume with eachBatch when a processor implements processBatch', async () => {
+      accessor.processorRegistry.registerProcessor('orders', new BulkInsertProcessor());
+      accessor.processorRegistry.autoDiscoverProcessors = jest.fn().mockResolvedValue();
+      accessor.admin = mockAdmin;
+
+      await accessor.autoSubscribeToProcessorTopics();
+
+      expect(mockConsumer.run).toHaveBeenCalledWith({
+        partitionsConsumedConcurrently: 1,
+        eachBatchAutoResolve: false,
+        eachBatch: expect.any(Function)
       });
+      expect(accessor.getConcurrencyInfo().mode).toBe('batch');
     });
 
-    it('should handle message sending with empty payload', async () => {
-      const payload = {};
-      
-      await accessor.sendMessage('test-topic', payload);
-      
-      expect(mockProducer.send).toHaveBeenCalledWith({
-        topic: 'test-topic',
-        messages: [{
-          key: null,
-          value: '{}',
-          partition: 0,
-          timestamp: expect.any(Number)
-        }]
+    it('should restart in batch mode when a processor gains processBatch', async () => {
+      accessor.processorRegistry.registerProcessor('orders', { process: jest.fn() });
+      accessor.processorRegistry.autoDiscoverProcessors = jest.fn().mockResolvedValue();
+      accessor.admin = mockAdmin;
+      await accessor.autoSubscribeToProcessorTopics();
+      expect(accessor.consumerMode).toBe('message');
+
+      accessor.processorRegistry.registerProcessor('orders', new BulkInsertProcessor());
+      await accessor.reconcileSubscriptions();
+
+      expect(mockConsumer.disconnect).toHaveBeenCalled();
+      expect(mockConsumer.run).toHaveBeenLastCalledWith(expect.objectContaining({ eachBatch: expect.any(Function) }));
+      expect(accessor.consumerMode).toBe('batch');
+    });
+
+    it('should pass decoded messages in chunks of maxBatchSize and commit each chunk', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', batch: { maxSize: 2 }, deadLetter: { enabled: true } });
+      accessor.processorRegistry.stopAutoRefresh();
+      const processor = new BulkInsertProcessor();
+      accessor.processorRegistry.registerProcessor('orders', processor);
+      const payload = createPayload(3);
+
+      await accessor.handleProcessorBatch(payload);
+
+      expect(processor.processBatch).toHaveBeenCalledTimes(2);
+      const [entries, batchMetadata] = processor.processBatch.mock.calls[0];
+      expect(entries.map(entry => entry.message)).toEqual([{ id: 0 }, { id: 1 }]);
+      expect(entries[1].metadata).toEqual(expect.objectContaining({ topic: 'orders', partition: 0, offset: '1', key: 'key-1' }));
+      expect(batchMetadata).toEqual({
+        topic: 'orders',
+        partition: 0,
+        firstOffset: '0',
+        lastOffset: '1',
+        size: 2,
+        highWatermark: '3',
+        attempt: 1
+      });
+      expect(payload.resolveOffset.mock.calls).toEqual([['1'], ['2']]);
+      expect(payload.commitOffsetsIfNecessary).toHaveBeenCalledTimes(2);
+      expect(accessor.getProcessingMetrics().totals.succeeded).toBe(3);
+    });
+
+    it('should let processors declare their own maxBatchSize', async () => {
+      const processor = new BulkInsertProcessor();
+      processor.maxBatchSize = 1;
+      accessor.processorRegistry.registerProcessor('orders', processor);
+
+      await accessor.handleProcessorBatch(createPayload(3));
+
+      expect(processor.processBatch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should retry only the messages reported as failed', async () => {
+      const processor = new BulkInsertProcessor(async (entries, batchMetadata) => (
+        batchMetadata.attempt === 1 ? { failed: [{ offset: '1', error: 'Deadlock detected' }] } : { status: 'success' }
+      ));
+      accessor.processorRegistry.registerProcessor('orders', processor);
+      const payload = createPayload(3);
+
+      await accessor.handleProcessorBatch(payload);
+
+      expect(processor.processBatch).toHaveBeenCalledTimes(2);
+      expect(processor.processBatch.mock.calls[1][0].map(entry => entry.metadata.offset)).toEqual(['1']);
+      expect(payload.resolveOffset).toHaveBeenCalledWith('2');
+      expect(accessor.getProcessingMetrics().totals).toEqual(expect.objectContaining({ succeeded: 3, retried: 1 }));
+    });
+
+    it('should dead-letter messages that keep failing and commit the rest', async () => {
+      const processor = new BulkInsertProcessor(async () => ({
+        failed: [{ offset: '2', error: new Error('Constraint violation') }]
+      }));
+      accessor.processorRegistry.registerProcessor('orders', processor);
+      const sendToDeadLetter = jest.spyOn(accessor, 'sendToDeadLetter').mockResolvedValue();
+      const payload = createPayload(4);
+
+      await accessor.handleProcessorBatch(payload);
+
+      expect(processor.processBatch).toHaveBeenCalledTimes(2);
+      expect(sendToDeadLetter).toHaveBeenCalledTimes(1);
+      expect(sendToDeadLetter).toHaveBeenCalledWith('orders.DLQ', expect.objectContaining({
+        message: payload.batch.messages[2],
+        attempts: 2
+      }));
+      expect(payload.resolveOffset).toHaveBeenLastCalledWith('3');
+    });
+
+    it('should fail every message when processBatch throws', async () => {
+      const processor = new BulkInsertProcessor(async () => {
+        const error = new Error('Bulk insert rejected');
+        error.retryable = false;
+        throw error;
+      });
+      accessor.processorRegistry.registerProcessor('orders', processor);
+      const sendToDeadLetter = jest.spyOn(accessor, 'sendToDeadLetter').mockResolvedValue();
+
+      await accessor.handleProcessorBatch(createPayload(2));
+
+      expect(processor.processBatch).toHaveBeenCalledTimes(1);
+      expect(sendToDeadLetter).toHaveBeenCalledTimes(2);
+    });
+
+    it('should resolve offsets before a failure that is redelivered', async () => {
+      class RedeliverProcessor extends BulkInsertProcessor {
+        static onFailure = 'retry';
+        static retryPolicy = { maxAttempts: 1 };
+      }
+      const processor = new RedeliverProcessor(async () => ({ failed: [{ offset: '2', error: 'Timeout' }] }));
+      accessor.processorRegistry.registerProcessor('orders', processor);
+      const payload = createPayload(4);
+
+      await expect(accessor.handleProcessorBatch(payload)).rejects.toThrow('Timeout');
+
+      expect(payload.resolveOffset.mock.calls).toEqual([['1']]);
+      expect(payload.commitOffsetsIfNecessary).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('offset commits', () => {
+    const rawMessage = offset => ({
+      offset,
+      key: null,
+      value: Buffer.from('{"id":1}'),
+      timestamp: '0',
+      headers: {}
+    });
+
+    const useRegistry = (processor = {}) => {
+      accessor.processorRegistry = {
+        getProcessor: jest.fn().mockReturnValue(processor),
+        processMessage: jest.fn().mockResolvedValue({ status: 'success' }),
+        stopAutoRefresh: jest.fn()
+      };
+      accessor.consumer = mockConsumer;
+    };
+
+    it('should reject unknown commit strategies', () => {
+      expect(() => new KafkaAccessor({ brokers: 'localhost:9092', commitStrategy: 'sometimes' }))
+        .toThrow('Invalid commit strategy: sometimes. Expected one of auto, per-message, periodic');
+    });
+
+    it('should turn off kafkajs auto-commit for manual strategies', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', commitStrategy: 'per-message' });
+      accessor.processorRegistry = {
+        autoDiscoverProcessors: jest.fn().mockResolvedValue(),
+        getAvailableTopics: jest.fn().mockReturnValue(['orders']),
+        getProcessor: jest.fn().mockReturnValue(null),
+        stopAutoRefresh: jest.fn()
+      };
+      accessor.admin = mockAdmin;
+
+      await accessor.autoSubscribeToProcessorTopics();
+
+      expect(mockConsumer.run).toHaveBeenCalledWith(expect.objectContaining({ autoCommit: false }));
+    });
+
+    it('should let running messages finish and commit them before the consumer disconnects', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', commitStrategy: 'periodic' });
+      let started;
+      let finish;
+      const processing = new Promise(resolve => { started = resolve; });
+      accessor.processorRegistry = {
+        autoDiscoverProcessors: jest.fn().mockResolvedValue(),
+        getAvailableTopics: jest.fn().mockReturnValue(['orders']),
+        getProcessor: jest.fn().mockReturnValue(null),
+        getProcessorInfo: jest.fn().mockReturnValue(null),
+        processMessage: jest.fn(() => new Promise(resolve => {
+          finish = () => resolve({ status: 'success' });
+          started();
+        })),
+        stopAutoRefresh: jest.fn()
+      };
+      accessor.admin = mockAdmin;
+      await accessor.autoSubscribeToProcessorTopics();
+      const { eachMessage } = mockConsumer.run.mock.calls[0][0];
+
+      const handling = eachMessage({ topic: 'orders', partition: 0, message: rawMessage('7'), heartbeat: jest.fn() });
+      await processing;
+      const disconnecting = accessor.disconnect();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(mockConsumer.pause).toHaveBeenCalledWith([{ topic: 'orders' }]);
+      expect(mockConsumer.disconnect).not.toHaveBeenCalled();
+
+      finish();
+      await handling;
+      await disconnecting;
+
+      expect(mockConsumer.commitOffsets).toHaveBeenCalledWith([{ topic: 'orders', partition: 0, offset: '8' }]);
+      expect(mockConsumer.commitOffsets.mock.invocationCallOrder[0]).toBeLessThan(mockConsumer.disconnect.mock.invocationCallOrder[0]);
+    });
+
+    it('should commit after each processed message with the per-message strategy', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', commitStrategy: 'per-message' });
+      useRegistry();
+
+      await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 2, message: rawMessage('41') });
+      await accessor.commitChain;
+
+      expect(mockConsumer.commitOffsets).toHaveBeenCalledWith([{ topic: 'orders', partition: 2, offset: '42' }]);
+      expect(accessor.getCommitInfo().uncommitted).toEqual([]);
+    });
+
+    it('should only commit the highest contiguous completed offset', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', commitStrategy: 'per-message' });
+      accessor.consumer = mockConsumer;
+
+      accessor.trackOffset('orders', 0, '5');
+      accessor.trackOffset('orders', 0, '6');
+      accessor.completeOffset('orders', 0, '6');
+      await accessor.commitChain;
+      expect(mockConsumer.commitOffsets).not.toHaveBeenCalled();
+
+      accessor.completeOffset('orders', 0, '5');
+      await accessor.commitChain;
+      expect(mockConsumer.commitOffsets).toHaveBeenCalledWith([{ topic: 'orders', partition: 0, offset: '7' }]);
+    });
+
+    it('should wait for context.ack() from processors with manualAck', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', commitStrategy: 'per-message' });
+      useRegistry({ manualAck: true });
+      let context;
+      accessor.processorRegistry.processMessage.mockImplementation(async (topic, message, metadata, messageContext) => {
+        context = messageContext;
+        return { status: 'success' };
       });
+
+      await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage('9') });
+      await accessor.commitChain;
+      expect(mockConsumer.commitOffsets).not.toHaveBeenCalled();
+
+      context.ack();
+      await accessor.commitChain;
+      expect(mockConsumer.commitOffsets).toHaveBeenCalledWith([{ topic: 'orders', partition: 0, offset: '10' }]);
+    });
+
+    it('should commit duplicates without waiting for context.ack()', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', commitStrategy: 'per-message' });
+      useRegistry({ manualAck: true });
+      accessor.processorRegistry.processMessage.mockResolvedValue({ status: 'duplicate', messageId: 'm-1' });
+
+      await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage('9') });
+      await accessor.commitChain;
+
+      expect(mockConsumer.commitOffsets).toHaveBeenCalledWith([{ topic: 'orders', partition: 0, offset: '10' }]);
+    });
+
+    it('should commit every commitThreshold messages with the periodic strategy', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', commitStrategy: 'periodic', commitThreshold: 2 });
+      useRegistry();
+
+      await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage('0') });
+      await accessor.commitChain;
+      expect(mockConsumer.commitOffsets).not.toHaveBeenCalled();
+      expect(accessor.getCommitInfo().uncommitted).toEqual([{ topic: 'orders', partition: 0, offset: '1' }]);
+
+      await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage('1') });
+      await accessor.commitChain;
+      expect(mockConsumer.commitOffsets).toHaveBeenCalledWith([{ topic: 'orders', partition: 0, offset: '2' }]);
+    });
+
+    it('should commit every commitInterval with the periodic strategy', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', commitStrategy: 'periodic', commitInterval: 1000 });
+      useRegistry();
+      accessor.startCommitTimer();
+
+      await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage('3') });
+      jest.advanceTimersByTime(1000);
+      await accessor.commitChain;
+
+      expect(mockConsumer.commitOffsets).toHaveBeenCalledWith([{ topic: 'orders', partition: 0, offset: '4' }]);
+    });
+
+    it('should flush pending offsets on disconnect', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', commitStrategy: 'periodic' });
+      useRegistry();
+      await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 1, message: rawMessage('7') });
+
+      await accessor.disconnect();
+
+      expect(mockConsumer.commitOffsets).toHaveBeenCalledWith([{ topic: 'orders', partition: 1, offset: '8' }]);
+      expect(mockConsumer.commitOffsets.mock.invocationCallOrder[0])
+        .toBeLessThan(mockConsumer.disconnect.mock.invocationCallOrder[0]);
+    });
+
+    it('should commit explicit offsets with any strategy', async () => {
+      accessor.consumer = mockConsumer;
+
+      const committed = await accessor.commitOffsets([{ topic: 'orders', partition: 0, offset: '100' }]);
+
+      expect(committed).toEqual([{ topic: 'orders', partition: 0, offset: '100' }]);
+      expect(mockConsumer.commitOffsets).toHaveBeenCalledWith([{ topic: 'orders', partition: 0, offset: '100' }]);
+    });
+
+    it('should forget offsets of partitions lost in a rebalance', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', commitStrategy: 'periodic' });
+      await accessor.createConsumer();
+      const [event, onGroupJoin] = mockConsumer.on.mock.calls[0];
+      expect(event).toBe('consumer.group_join');
+
+      accessor.trackOffset('orders', 0, '1');
+      accessor.completeOffset('orders', 0, '1');
+      accessor.trackOffset('orders', 1, '1');
+      accessor.completeOffset('orders', 1, '1');
+      onGroupJoin({ payload: { memberAssignment: { orders: [1] } } });
+
+      expect(accessor.getUncommittedOffsets()).toEqual([{ topic: 'orders', partition: 1, offset: '2' }]);
+    });
+
+    it('should read committed offsets through the admin client', async () => {
+      accessor.admin = mockAdmin;
+      mockAdmin.fetchOffsets = jest.fn().mockResolvedValue([
+        { topic: 'orders', partitions: [{ partition: 0, offset: '42', metadata: null }] }
+      ]);
+
+      const offsets = await accessor.getCommittedOffsets('orders');
+
+      expect(mockAdmin.fetchOffsets).toHaveBeenCalledWith({ groupId: 'kafka-accessor-group', topics: ['orders'] });
+      expect(offsets).toEqual([{ partition: 0, offset: '42', metadata: null }]);
+    });
+  });
+
+  describe('transactions', () => {
+    let mockTransaction;
+    let mockTransactionalProducer;
+
+    const rawMessage = offset => ({
+      offset,
+      key: Buffer.from('customer-1'),
+      value: Buffer.from('{"amount":10}'),
+      timestamp: '0',
+      headers: {}
+    });
+
+    const createAccessor = options => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', skipTopicCheck: true, ...options });
+      accessor.kafka = {
+        ...mockKafka,
+        producer: jest.fn(config => (config.transactionalId ? mockTransactionalProducer : mockProducer))
+      };
+      return accessor;
+    };
+
+    beforeEach(() => {
+      let active = false;
+      mockTransaction = {
+        send: jest.fn().mockResolvedValue([{ partition: 0, baseOffset: '7' }]),
+        sendBatch: jest.fn().mockResolvedValue([]),
+        sendOffsets: jest.fn().mockResolvedValue(),
+        commit: jest.fn(async () => { active = false; }),
+        abort: jest.fn(async () => { active = false; }),
+        isActive: jest.fn(() => active)
+      };
+      mockTransactionalProducer = {
+        connect: jest.fn().mockResolvedValue(),
+        disconnect: jest.fn().mockResolvedValue(),
+        transaction: jest.fn(async () => {
+          active = true;
+          return mockTransaction;
+        })
+      };
+    });
+
+    it('should create an idempotent producer when configured', async () => {
+      createAccessor({ idempotent: true });
+
+      await accessor.initProducer();
+
+      expect(accessor.kafka.producer).toHaveBeenCalledWith(expect.objectContaining({
+        idempotent: true,
+        maxInFlightRequests: 1,
+        retry: { initialRetryTime: 100, retries: Number.MAX_SAFE_INTEGER }
+      }));
+    });
+
+    it('should commit messages sent in a transaction', async () => {
+      createAccessor({ transactionalId: 'billing-1' });
+
+      const result = await accessor.transaction(async tx => {
+        await tx.send('invoices', { amount: 10 }, { key: 'customer-1' });
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(accessor.kafka.producer).toHaveBeenCalledWith(expect.objectContaining({
+        transactionalId: 'billing-1',
+        idempotent: true
+      }));
+      expect(mockTransaction.send).toHaveBeenCalledWith({
+        topic: 'invoices',
+        messages: [expect.objectContaining({ key: 'customer-1', value: '{"amount":10}' })]
+      });
+      expect(mockTransaction.commit).toHaveBeenCalled();
+      expect(mockProducer.send).not.toHaveBeenCalled();
+      expect(accessor.getTransactionInfo()).toEqual(expect.objectContaining({ committed: 1, aborted: 0 }));
+    });
+
+    it('should abort the transaction and rethrow when the function fails', async () => {
+      createAccessor();
+
+      await expect(accessor.transaction(async tx => {
+        await tx.send('invoices', { amount: 10 });
+        throw new Error('Ledger unavailable');
+      })).rejects.toThrow('Ledger unavailable');
+
+      expect(mockTransaction.abort).toHaveBeenCalled();
+      expect(mockTransaction.commit).not.toHaveBeenCalled();
+      expect(accessor.getTransactionInfo()).toEqual(expect.objectContaining({ committed: 0, aborted: 1 }));
+    });
+
+    it('should run transactions one at a time', async () => {
+      createAccessor();
+      let release;
+      let started;
+      const firstStarted = new Promise(resolve => { started = resolve; });
+      const first = accessor.transaction(() => new Promise(resolve => {
+        release = resolve;
+        started();
+      }));
+      const second = accessor.transaction(async () => 'second');
+
+      await firstStarted;
+      expect(mockTransactionalProducer.transaction).toHaveBeenCalledTimes(1);
+
+      release();
+      await first;
+      await expect(second).resolves.toBe('second');
+      expect(mockTransactionalProducer.transaction).toHaveBeenCalledTimes(2);
+    });
+
+    it('should send offsets for the consumer group grouped by topic', async () => {
+      createAccessor();
+
+      await accessor.transaction(tx => tx.sendOffsets([
+        { topic: 'orders', partition: 0, offset: '5' },
+        { topic: 'orders', partition: 1, offset: 9 }
+      ]));
+
+      expect(mockTransaction.sendOffsets).toHaveBeenCalledWith({
+        consumerGroupId: 'kafka-accessor-group',
+        topics: [{ topic: 'orders', partitions: [{ partition: 0, offset: '5' }, { partition: 1, offset: '9' }] }]
+      });
+    });
+
+    it('should reject exactly-once processing with manual commit strategies or key parallelism', () => {
+      expect(() => new KafkaAccessor({ exactlyOnce: true, commitStrategy: 'per-message' }))
+        .toThrow('Exactly-once processing commits offsets in transactions and cannot use the per-message commit strategy');
+      expect(() => new KafkaAccessor({ exactlyOnce: true, keyParallelism: 4 }))
+        .toThrow('cannot use keyParallelism');
+      expect(() => new KafkaAccessor({ exactlyOnce: true, isolationLevel: 'read_uncommitted' }))
+        .toThrow('Exactly-once processing requires the read_committed isolation level');
+    });
+
+    it('should require an explicit transactional id for exactly-once processing', () => {
+      expect(() => new KafkaAccessor({ exactlyOnce: true }))
+        .toThrow('Exactly-once processing requires a transactionalId (KAFKA_TRANSACTIONAL_ID) that is unique and stable per instance');
+      expect(new KafkaAccessor({ exactlyOnce: true, transactionalId: 'billing-1' }).getTransactionInfo().transactionalId).toBe('billing-1');
+    });
+
+    it('should give ad-hoc transactions an id unique to the host by default', () => {
+      expect(new KafkaAccessor({ clientId: 'billing' }).getTransactionInfo().transactionalId)
+        .toBe(`billing-${require('os').hostname()}-tx`);
+    });
+
+    describe('exactly-once processing', () => {
+      let processor;
+
+      beforeEach(() => {
+        createAccessor({ exactlyOnce: true, transactionalId: 'billing-1', deadLetter: { enabled: true } });
+        processor = { name: 'BillingProcessor' };
+        accessor.processorRegistry = {
+          autoDiscoverProcessors: jest.fn().mockResolvedValue(),
+          getAvailableTopics: jest.fn().mockReturnValue(['orders']),
+          getProcessor: jest.fn().mockReturnValue(processor),
+          getProcessorInfo: jest.fn().mockReturnValue(null),
+          processMessage: jest.fn(async (topic, message, metadata, context) => {
+            await context.transaction.send('invoices', { amount: message.amount });
+            return { status: 'success' };
+          }),
+          stopAutoRefresh: jest.fn()
+        };
+        accessor.admin = mockAdmin;
+        accessor.retryDefaults = { ...accessor.retryDefaults, initialDelay: 0, jitter: 0 };
+      });
+
+      it('should run the consumer without auto-commit', async () => {
+        await accessor.autoSubscribeToProcessorTopics();
+
+        expect(mockConsumer.run).toHaveBeenCalledWith(expect.objectContaining({ autoCommit: false }));
+      });
+
+      it('should make the processor registry refuse several processors per topic', () => {
+        expect(new KafkaAccessor({ exactlyOnce: true, transactionalId: 'billing-1' }).processorRegistry.exactlyOnce).toBe(true);
+        expect(new KafkaAccessor().processorRegistry.exactlyOnce).toBe(false);
+      });
+
+      it('should refuse batch processors', () => {
+        processor.processBatch = jest.fn();
+
+        expect(() => accessor.getProcessorConsumerMode(['orders']))
+          .toThrow('Exactly-once processing does not support batch processors (topics: orders)');
+      });
+
+      it('should commit the output and the offset in one transaction', async () => {
+        const result = await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 2, message: rawMessage('41') });
+
+        expect(result).toEqual({ status: 'success' });
+        expect(mockTransaction.send).toHaveBeenCalledWith({
+          topic: 'invoices',
+          messages: [expect.objectContaining({ value: '{"amount":10}' })]
+        });
+        expect(mockTransaction.sendOffsets).toHaveBeenCalledWith({
+          consumerGroupId: 'kafka-accessor-group',
+          topics: [{ topic: 'orders', partitions: [{ partition: 2, offset: '42' }] }]
+        });
+        expect(mockTransaction.commit).toHaveBeenCalledTimes(1);
+        expect(mockConsumer.commitOffsets).not.toHaveBeenCalled();
+      });
+
+      it('should route context.send through the transaction', async () => {
+        accessor.processorRegistry.processMessage.mockImplementationOnce(async (topic, message, metadata, context) => {
+          await context.send('invoices', { amount: message.amount });
+          return { status: 'success' };
+        });
+
+        await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage('5') });
+
+        expect(mockTransaction.send).toHaveBeenCalledWith(expect.objectContaining({ topic: 'invoices' }));
+        expect(mockProducer.send).not.toHaveBeenCalled();
+      });
+
+      it('should abort failed attempts so retries do not duplicate output', async () => {
+        accessor.processorRegistry.processMessage
+          .mockImplementationOnce(async (topic, message, metadata, context) => {
+            await context.transaction.send('invoices', { amount: message.amount });
+            return { status: 'error', message: 'Ledger timeout' };
+          });
+
+        await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage('5') });
+
+        expect(mockTransaction.abort).toHaveBeenCalledTimes(1);
+        expect(mockTransaction.commit).toHaveBeenCalledTimes(1);
+        expect(mockTransaction.sendOffsets).toHaveBeenCalledTimes(1);
+        expect(accessor.getTransactionInfo()).toEqual(expect.objectContaining({ committed: 1, aborted: 1 }));
+      });
+
+      it('should only remember a deduplicated message once its transaction commits', async () => {
+        createAccessor({ exactlyOnce: true, transactionalId: 'billing-1' });
+        accessor.admin = mockAdmin;
+        accessor.retryDefaults = { ...accessor.retryDefaults, initialDelay: 0, jitter: 0 };
+        mockAdmin.fetchTopicMetadata.mockResolvedValueOnce({ topics: [{ name: 'invoices', partitions: [{ partitionId: 0, leader: 0 }] }] });
+        const process = jest.fn().mockResolvedValue({ status: 'success', outputs: [{ value: { amount: 10 } }] });
+        accessor.processorRegistry.registerProcessor('orders', { process, outputTopic: 'invoices', deduplicate: { messageId: 'offset' } });
+        mockTransaction.commit.mockRejectedValueOnce(Object.assign(new Error('Coordinator not available'), { retryable: true }));
+
+        const result = await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage('5') });
+
+        expect(result.status).toBe('success');
+        expect(process).toHaveBeenCalledTimes(2);
+        expect(mockTransaction.sendBatch).toHaveBeenCalledTimes(2);
+        expect(mockTransaction.sendBatch.mock.calls[1][0].topicMessages).toEqual([expect.objectContaining({ topic: 'invoices' })]);
+        expect(accessor.getTransactionInfo()).toEqual(expect.objectContaining({ committed: 1, aborted: 1 }));
+
+        const redelivered = await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage('5') });
+        expect(redelivered.status).toBe('duplicate');
+        expect(process).toHaveBeenCalledTimes(2);
+      });
+
+      it('should dead-letter in the same transaction as the offset commit', async () => {
+        accessor.processorRegistry.processMessage.mockRejectedValue(Object.assign(new Error('Bad invoice'), { retryable: false }));
+
+        const result = await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage('5') });
+
+        expect(result.status).toBe('dead-lettered');
+        expect(mockTransaction.send).toHaveBeenCalledWith(expect.objectContaining({ topic: 'orders.DLQ' }));
+        expect(mockTransaction.sendOffsets).toHaveBeenCalledWith({
+          consumerGroupId: 'kafka-accessor-group',
+          topics: [{ topic: 'orders', partitions: [{ partition: 0, offset: '6' }] }]
+        });
+        expect(mockProducer.send).not.toHaveBeenCalled();
+      });
+
+      it('should commit the offset of skipped messages', async () => {
+        processor.onFailure = 'skip';
+        accessor.processorRegistry.processMessage.mockRejectedValue(Object.assign(new Error('Bad invoice'), { retryable: false }));
+
+        const result = await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage('5') });
+
+        expect(result.status).toBe('skipped');
+        expect(mockTransaction.send).not.toHaveBeenCalled();
+        expect(mockTransaction.sendOffsets).toHaveBeenCalledTimes(1);
+        expect(mockTransaction.commit).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe('processor context', () => {
+    const rawMessage = {
+      offset: '3',
+      key: null,
+      value: Buffer.from('{"id":1}'),
+      timestamp: '0',
+      headers: {}
+    };
+
+    it('should pass the processor context, extended with ack, to processors', async () => {
+      accessor.registerResource('db', { query: jest.fn() });
+      accessor.processorRegistry.registerProcessor('orders', { process: jest.fn().mockResolvedValue({ status: 'success' }) });
+      const processMessage = jest.spyOn(accessor.processorRegistry, 'processMessage');
+
+      await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage });
+
+      const context = processMessage.mock.calls[0][3];
+      expect(context.ack).toEqual(expect.any(Function));
+      expect(context.topic).toBe('orders');
+      expect(context.resources.db).toBe(accessor.processorRegistry.getResource('db'));
+      expect(context.config).toBe(accessor.processorRegistry.getProcessorContext('orders').config);
+      expect(context.signal.aborted).toBe(false);
+    });
+
+    it('should send through the accessor from the context', async () => {
+      accessor.processorRegistry.registerProcessor('orders', { process: jest.fn() });
+      const sendMessage = jest.spyOn(accessor, 'sendMessage').mockResolvedValue([]);
+
+      await accessor.processorRegistry.getProcessorContext('orders').send('audit', { id: 1 });
+
+      expect(sendMessage).toHaveBeenCalledWith('audit', { id: 1 }, undefined);
+    });
+
+    it('should abort the context signal on disconnect until processing starts again', async () => {
+      const context = accessor.processorRegistry.getProcessorContext('orders');
+      const { signal } = context;
+
+      await accessor.disconnect();
+
+      expect(signal.aborted).toBe(true);
+      expect(context.signal.aborted).toBe(true);
+
+      jest.spyOn(accessor.processorRegistry, 'autoDiscoverProcessors').mockResolvedValue();
+      jest.spyOn(accessor.processorRegistry, 'getAvailableTopics').mockReturnValue([]);
+      await accessor.autoSubscribeToProcessorTopics();
+
+      expect(context.signal.aborted).toBe(false);
+    });
+
+    it('should abort the context signal while a handler is still running and leave its message uncommitted', async () => {
+      let started;
+      const processing = new Promise(resolve => { started = resolve; });
+      const sendToDeadLetter = jest.spyOn(accessor, 'sendToDeadLetter');
+      accessor.processorRegistry.registerProcessor('orders', {
+        process: jest.fn((topic, message, metadata, context) => new Promise((resolve, reject) => {
+          context.signal.addEventListener('abort', () => reject(context.signal.reason));
+          started();
+        }))
+      });
+      await accessor.createConsumer();
+      const handling = accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage })
+        .catch(error => error);
+      await processing;
+
+      // kafkajs waits for running handlers before the consumer disconnects
+      let abortedWhileRunning;
+      mockConsumer.disconnect.mockImplementationOnce(async () => {
+        abortedWhileRunning = accessor.processorRegistry.isShuttingDown();
+        return handling;
+      });
+      await accessor.disconnect();
+
+      expect(abortedWhileRunning).toBe(true);
+      expect((await handling).message).toBe('Processors are shutting down');
+      expect(sendToDeadLetter).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processor lifecycle', () => {
+    it('should destroy processors on disconnect', async () => {
+      const processor = { process: jest.fn(), destroy: jest.fn().mockResolvedValue() };
+      accessor.processorRegistry.registerProcessor('orders', processor);
+
+      await accessor.disconnect();
+
+      expect(processor.destroy).toHaveBeenCalledWith('shutdown');
+    });
+
+    it('should include processor health checks in the health status', async () => {
+      accessor.processorRegistry.registerProcessor('orders', {
+        process: jest.fn(),
+        healthCheck: jest.fn().mockResolvedValue({ healthy: false, reason: 'pool exhausted' })
+      });
+      await accessor.processorRegistry.waitForProcessor('orders');
+
+      const status = await accessor.checkHealth();
+
+      expect(status.processorRegistry.health).toEqual({
+        healthy: false,
+        processors: {
+          orders: expect.objectContaining({ status: 'active', healthy: false, reason: 'pool exhausted' })
+        }
+      });
+    });
+  });
+
+  describe('middleware', () => {
+    it('should register middleware on the processor registry', () => {
+      const middleware = jest.fn();
+
+      expect(accessor.use('orders', middleware)).toBe(accessor);
+      expect(accessor.processorRegistry.getTopicMiddleware('orders')).toEqual([middleware]);
+    });
+
+    it('should run manual subscription handlers inside the middleware', async () => {
+      const messageHandler = jest.fn();
+      accessor.use(async (ctx, next) => {
+        ctx.message = { ...ctx.message, traced: true };
+        await next();
+      });
+      await accessor.subscribeToTopic('test-topic', messageHandler);
+
+      await mockConsumer.run.mock.calls[0][0].eachMessage({
+        topic: 'test-topic',
+        partition: 0,
+        message: { value: Buffer.from('{"id":1}'), key: null, offset: '5', timestamp: '0', headers: {} }
+      });
+
+      expect(messageHandler).toHaveBeenCalledWith({ id: 1, traced: true }, expect.objectContaining({ offset: '5' }));
+    });
+  });
+
+  describe('multiple processors per topic', () => {
+    const rawMessage = () => ({
+      offset: '7',
+      key: Buffer.from('order-1'),
+      value: Buffer.from('{"id":1}'),
+      timestamp: '0',
+      headers: {}
+    });
+    let audit;
+    let index;
+
+    beforeEach(() => {
+      accessor.admin = mockAdmin;
+      accessor.retryDefaults = { ...accessor.retryDefaults, initialDelay: 0, jitter: 0 };
+      mockAdmin.listTopics.mockResolvedValue(['orders', 'orders.index.DLQ']);
+      audit = { name: 'AuditProcessor', process: jest.fn().mockResolvedValue({ status: 'success' }) };
+      index = {
+        name: 'IndexProcessor',
+        deadLetterTopic: 'orders.index.DLQ',
+        retryPolicy: { maxAttempts: 2 },
+        process: jest.fn().mockRejectedValue(new Error('search cluster down'))
+      };
+      accessor.processorRegistry.registerProcessor('orders', audit, { name: 'audit' });
+      accessor.processorRegistry.registerProcessor('orders', index, { name: 'index' });
+    });
+
+    it('should retry and dead-letter each processor on its own', async () => {
+      const result = await accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage() });
+
+      expect(result).toEqual(expect.objectContaining({
+        status: 'partial',
+        results: [
+          expect.objectContaining({ name: 'audit', status: 'success' }),
+          expect.objectContaining({ name: 'index', status: 'dead-lettered', deadLetterTopic: 'orders.index.DLQ', attempts: 2 })
+        ]
+      }));
+      expect(audit.process).toHaveBeenCalledTimes(1);
+      expect(index.process).toHaveBeenCalledTimes(2);
+      expect(mockProducer.send).toHaveBeenCalledTimes(1);
+      const sent = mockProducer.send.mock.calls[0][0];
+      expect(sent.topic).toBe('orders.index.DLQ');
+      expect(sent.messages[0].headers).toEqual(expect.objectContaining({
+        'dlq.processor': 'IndexProcessor',
+        'dlq.processor.name': 'index'
+      }));
+    });
+
+    it('should redeliver the message after every processor has run when one fails in retry mode', async () => {
+      index.onFailure = 'retry';
+
+      await expect(accessor.dispatchProcessorMessage({ topic: 'orders', partition: 0, message: rawMessage() }))
+        .rejects.toThrow('search cluster down');
+      expect(audit.process).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('dynamic subscriptions', () => {
+    const EventEmitter = require('events');
+    let registry;
+    let topics;
+
+    beforeEach(() => {
+      topics = ['topic1'];
+      registry = Object.assign(new EventEmitter(), {
+        autoDiscoverProcessors: jest.fn().mockResolvedValue(),
+        getAvailableTopics: jest.fn(() => [...topics]),
+        getProcessor: jest.fn().mockReturnValue(null),
+        stopAutoRefresh: jest.fn()
+      });
+      accessor.processorRegistry = registry;
+      accessor.admin = mockAdmin;
+    });
+
+    it('should resubscribe when a processor is registered at runtime', async () => {
+      await accessor.autoSubscribeToProcessorTopics();
+      expect(accessor.subscribedTopics).toEqual(['topic1']);
+
+      topics.push('topic2');
+      registry.emit('processor:registered', { topic: 'topic2' });
+      // Several registrations within the delay cause a single restart
+      registry.emit('processor:registered', { topic: 'topic2' });
+      jest.advanceTimersByTime(1000);
+      await accessor.pendingResubscribe;
+
+      expect(mockConsumer.disconnect).toHaveBeenCalledTimes(1);
+      expect(mockKafka.consumer).toHaveBeenCalledTimes(2);
+      expect(mockKafka.consumer).toHaveBeenLastCalledWith(expect.objectContaining({ groupId: accessor.config.groupId }));
+      expect(mockConsumer.subscribe).toHaveBeenLastCalledWith({ topics: ['topic1', 'topic2'], fromBeginning: false });
+      expect(mockConsumer.run).toHaveBeenCalledTimes(2);
+      expect(accessor.subscribedTopics).toEqual(['topic1', 'topic2']);
+    });
+
+    it('should drop topics whose processors are deregistered', async () => {
+      topics = ['topic1', 'topic2'];
+      await accessor.autoSubscribeToProcessorTopics();
+
+      topics = ['topic2'];
+      const changes = await accessor.reconcileSubscriptions();
+
+      expect(changes).toEqual({ added: [], removed: ['topic1'] });
+      expect(mockConsumer.subscribe).toHaveBeenLastCalledWith({ topics: ['topic2'], fromBeginning: false });
+    });
+
+    it('should stop consuming when the last processor is removed', async () => {
+      await accessor.autoSubscribeToProcessorTopics();
+
+      topics = [];
+      await accessor.reconcileSubscriptions();
+
+      expect(mockConsumer.disconnect).toHaveBeenCalled();
+      expect(accessor.consumer).toBeNull();
+      expect(accessor.subscribedTopics).toEqual([]);
+    });
+
+    it('should start consuming when the first processor is registered', async () => {
+      topics = [];
+      await accessor.autoSubscribeToProcessorTopics();
+      expect(mockConsumer.run).not.toHaveBeenCalled();
+
+      topics = ['topic1'];
+      registry.emit('processor:registered', { topic: 'topic1' });
+      jest.advanceTimersByTime(1000);
+      await accessor.pendingResubscribe;
+
+      expect(mockConsumer.subscribe).toHaveBeenCalledWith({ topics: ['topic1'], fromBeginning: false });
+      expect(mockConsumer.run).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not restart the consumer when the topic set is unchanged', async () => {
+      await accessor.autoSubscribeToProcessorTopics();
+
+      const changes = await accessor.reconcileSubscriptions();
+
+      expect(changes).toEqual({ added: [], removed: [] });
+      expect(mockConsumer.disconnect).not.toHaveBeenCalled();
+    });
+
+    it('should keep custom subscriptions by not restarting a consumer they share', async () => {
+      await accessor.autoSubscribeToProcessorTopics();
+      const consumer = accessor.consumer;
+      await accessor.subscribeToTopic('audit', jest.fn());
+
+      topics.push('topic2');
+      const changes = await accessor.reconcileSubscriptions();
+
+      expect(changes).toEqual({ added: [], removed: [] });
+      expect(mockConsumer.disconnect).not.toHaveBeenCalled();
+      expect(accessor.consumer).toBe(consumer);
+      expect(accessor.subscribedTopics).toEqual(['topic1']);
+      expect(accessor.logger.warn).toHaveBeenCalledWith(
+        'Processor subscriptions not updated while custom subscriptions share the consumer',
+        { added: ['topic2'], removed: [], customTopics: ['audit'] }
+      );
+
+      await accessor.disconnect();
+      expect(accessor.customTopics).toEqual([]);
+    });
+
+    it('should log and keep running when resubscribing fails', async () => {
+      await accessor.autoSubscribeToProcessorTopics();
+      mockConsumer.subscribe.mockRejectedValueOnce(new Error('Rebalance in progress'));
+
+      topics.push('topic2');
+      registry.emit('processor:registered', { topic: 'topic2' });
+      jest.advanceTimersByTime(1000);
+      await accessor.pendingResubscribe;
+
+      expect(accessor.logger.error).toHaveBeenCalledWith('Failed to update processor subscriptions', { error: 'Rebalance in progress' });
+    });
+
+    it('should subscribe to patterns and resubscribe when new topics match them', async () => {
+      const pattern = /^events\..+/;
+      topics = ['topic1', pattern];
+      mockAdmin.listTopics.mockResolvedValue(['topic1', 'events.tenant-1', 'orders']);
+      await accessor.autoSubscribeToProcessorTopics();
+
+      expect(mockConsumer.subscribe).toHaveBeenCalledWith({ topics: ['topic1', pattern], fromBeginning: false });
+      expect(accessor.patternTopics).toEqual(['events.tenant-1']);
+      expect(accessor.subscribedTopics.map(String)).toEqual(['topic1', '/^events\\..+/']);
+
+      mockAdmin.listTopics.mockResolvedValue(['topic1', 'events.tenant-1', 'events.tenant-2']);
+      await jest.advanceTimersByTimeAsync(30000);
+      await jest.advanceTimersByTimeAsync(1000);
+      await accessor.pendingResubscribe;
+
+      expect(mockConsumer.disconnect).toHaveBeenCalledTimes(1);
+      expect(mockConsumer.run).toHaveBeenCalledTimes(2);
+      expect(accessor.patternTopics).toEqual(['events.tenant-1', 'events.tenant-2']);
+
+      await accessor.disconnect();
+      expect(accessor.patternRefreshTimer).toBeNull();
+      mockAdmin.listTopics.mockResolvedValue(['existing-topic']);
+    });
+
+    it('should not restart the consumer while the topics matching patterns are unchanged', async () => {
+      topics = [/^events\..+/];
+      mockAdmin.listTopics.mockResolvedValue(['events.tenant-1']);
+      await accessor.autoSubscribeToProcessorTopics();
+
+      const changes = await accessor.reconcileSubscriptions();
+
+      expect(changes).toEqual({ added: [], removed: [] });
+      expect(mockConsumer.disconnect).not.toHaveBeenCalled();
+      accessor.stopPatternRefresh();
+      mockAdmin.listTopics.mockResolvedValue(['existing-topic']);
+    });
+
+    it('should stop listening on disconnect', async () => {
+      await accessor.autoSubscribeToProcessorTopics();
+      expect(registry.listenerCount('processor:registered')).toBe(1);
+
+      await accessor.disconnect();
+
+      expect(registry.listenerCount('processor:registered')).toBe(0);
+      expect(registry.listenerCount('processor:deregistered')).toBe(0);
+    });
+
+    it('should not listen when dynamic subscriptions are disabled', async () => {
+      accessor = new KafkaAccessor({ brokers: 'localhost:9092', dynamicSubscriptions: false });
+      accessor.processorRegistry = registry;
+      accessor.admin = mockAdmin;
+
+      await accessor.autoSubscribeToProcessorTopics();
+
+      expect(registry.listenerCount('processor:registered')).toBe(0);
+    });
+  });
+
+  describe('retry and dead-letter handling', () => {
+    let processor;
+    let mockProcessorRegistry;
+    let eachMessage;
+
+    const rawMessage = (value = '{"id":1}') => ({
+      value: Buffer.from(value),
+      key: Buffer.from('order-1'),
+      offset: '42',
+      timestamp: '1700000000000',
+      headers: { 'correlation-id': Buffer.from('corr-1') }
+    });
+
+    beforeEach(async () => {
+      processor = { name: 'OrdersProcessor', process: jest.fn() };
+      mockProcessorRegistry = {
+        autoDiscoverProcessors: jest.fn().mockResolvedValue(),
+        getAvailableTopics: jest.fn().mockReturnValue(['orders']),
+        getProcessor: jest.fn().mockReturnValue(processor),
+        getProcessorInfo: jest.fn().mockReturnValue({ version: '1700000000000-abc' }),
+        processMessage: jest.fn()
+      };
+
+      accessor.processorRegistry = mockProcessorRegistry;
+      accessor.admin = mockAdmin;
+      accessor.retryDefaults = { ...accessor.retryDefaults, initialDelay: 0, jitter: 0 };
+      accessor.deadLetterConfig.enabled = true;
+      mockAdmin.listTopics.mockResolvedValue(['orders', 'orders.DLQ']);
+
+      await accessor.autoSubscribeToProcessorTopics();
+      eachMessage = mockConsumer.run.mock.calls[0][0].eachMessage;
+    });
+
+    it('should retry error results and stop once processing succeeds', async () => {
+      mockProcessorRegistry.processMessage
+        .mockResolvedValueOnce({ status: 'error', message: 'Temporary failure' })
+        .mockResolvedValueOnce({ status: 'success' });
+
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() });
+
+      expect(mockProcessorRegistry.processMessage).toHaveBeenCalledTimes(2);
+      expect(mockProducer.send).not.toHaveBeenCalled();
+    });
+
+    it('should dead-letter the original message with failure headers after retries run out', async () => {
+      const error = new Error('Database unavailable');
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'error', message: error.message, error });
+      const message = rawMessage();
+
+      await eachMessage({ topic: 'orders', partition: 3, message, heartbeat: jest.fn() });
+
+      expect(mockProcessorRegistry.processMessage).toHaveBeenCalledTimes(3);
+      expect(mockProducer.send).toHaveBeenCalledTimes(1);
+
+      const sent = mockProducer.send.mock.calls[0][0];
+      expect(sent.topic).toBe('orders.DLQ');
+      expect(sent.messages[0].key).toBe(message.key);
+      expect(sent.messages[0].value).toBe(message.value);
+      expect(sent.messages[0].headers).toEqual(expect.objectContaining({
+        'correlation-id': message.headers['correlation-id'],
+        'dlq.error.message': 'Database unavailable',
+        'dlq.error.class': 'Error',
+        'dlq.error.stack': error.stack,
+        'dlq.attempts': '3',
+        'dlq.original.topic': 'orders',
+        'dlq.original.partition': '3',
+        'dlq.original.offset': '42',
+        'dlq.processor': 'OrdersProcessor',
+        'dlq.processor.version': '1700000000000-abc'
+      }));
+    });
+
+    it('should retry thrown errors the same way as error results', async () => {
+      mockProcessorRegistry.processMessage
+        .mockRejectedValueOnce(new Error('Boom'))
+        .mockResolvedValueOnce({ status: 'success' });
+
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() });
+
+      expect(mockProcessorRegistry.processMessage).toHaveBeenCalledTimes(2);
+    });
+
+    it('should dead-letter non-retryable error classes immediately', async () => {
+      class ValidationError extends Error {}
+      processor.retryPolicy = { nonRetryableErrors: [ValidationError] };
+      const error = new ValidationError('Bad order');
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'error', message: error.message, error });
+
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() });
+
+      expect(mockProcessorRegistry.processMessage).toHaveBeenCalledTimes(1);
+      expect(mockProducer.send.mock.calls[0][0].messages[0].headers['dlq.attempts']).toBe('1');
+    });
+
+    it('should honour retryable: false on error results', async () => {
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'error', message: 'Invalid', retryable: false });
+
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() });
+
+      expect(mockProcessorRegistry.processMessage).toHaveBeenCalledTimes(1);
+      expect(mockProducer.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use the retry policy declared on the processor class', async () => {
+      class OrdersProcessor {
+        async process() {}
+      }
+      OrdersProcessor.retryPolicy = { maxAttempts: 5, initialDelay: 0, jitter: 0 };
+      mockProcessorRegistry.getProcessor.mockReturnValue(new OrdersProcessor());
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'error', message: 'Nope' });
+
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() });
+
+      expect(mockProcessorRegistry.processMessage).toHaveBeenCalledTimes(5);
+    });
+
+    it('should send to a custom dead-letter topic declared by the processor', async () => {
+      processor.deadLetterTopic = 'orders-failures';
+      processor.retryPolicy = { maxAttempts: 1 };
+      mockAdmin.listTopics.mockResolvedValue(['orders', 'orders-failures']);
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'error', message: 'Nope' });
+
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() });
+
+      expect(mockProducer.send.mock.calls[0][0].topic).toBe('orders-failures');
+    });
+
+    it('should re-throw when the processor disables dead-lettering', async () => {
+      processor.deadLetterTopic = false;
+      processor.retryPolicy = { maxAttempts: 1 };
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'error', message: 'Nope' });
+
+      await expect(eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() }))
+        .rejects.toThrow('Nope');
+      expect(mockProducer.send).not.toHaveBeenCalled();
+    });
+
+    it('should dead-letter messages that cannot be decoded without retrying', async () => {
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage('invalid-json'), heartbeat: jest.fn() });
+
+      expect(mockProcessorRegistry.processMessage).not.toHaveBeenCalled();
+      expect(mockProducer.send.mock.calls[0][0].topic).toBe('orders.DLQ');
+    });
+
+    it('should retry decode errors flagged retryable, such as schema registry timeouts', async () => {
+      const outage = Object.assign(new Error('Schema registry request timed out'), { retryable: true });
+      jest.spyOn(accessor, 'deserializeMessage')
+        .mockRejectedValueOnce(outage)
+        .mockResolvedValueOnce({ id: 1 });
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'success' });
+
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() });
+
+      expect(accessor.deserializeMessage).toHaveBeenCalledTimes(2);
+      expect(mockProcessorRegistry.processMessage).toHaveBeenCalledWith('orders', { id: 1 }, expect.any(Object), expect.anything());
+      expect(mockProducer.send).not.toHaveBeenCalled();
+    });
+
+    it('should create the dead-letter topic when it does not exist', async () => {
+      mockAdmin.listTopics.mockResolvedValue(['orders']);
+      processor.retryPolicy = { maxAttempts: 1 };
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'error', message: 'Nope' });
+
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() });
+
+      expect(mockAdmin.createTopics).toHaveBeenCalledWith([expect.objectContaining({ topic: 'orders.DLQ' })]);
+    });
+
+    it('should re-throw when the dead-letter send fails so the message is not lost', async () => {
+      processor.retryPolicy = { maxAttempts: 1 };
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'error', message: 'Nope' });
+      mockProducer.send.mockRejectedValueOnce(new Error('DLQ unavailable'));
+
+      await expect(eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() }))
+        .rejects.toThrow('DLQ unavailable');
+    });
+
+    it('should count successes, retries and dead-lettered messages per topic', async () => {
+      mockProcessorRegistry.processMessage
+        .mockResolvedValueOnce({ status: 'success' })
+        .mockResolvedValue({ status: 'error', message: 'Nope' });
+
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() });
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() });
+
+      const metrics = accessor.getProcessingMetrics();
+      expect(metrics.topics.orders).toEqual(expect.objectContaining({
+        succeeded: 1,
+        retried: 2,
+        failed: 1,
+        deadLettered: 1
+      }));
+      expect(metrics.totals.deadLettered).toBe(1);
+    });
+
+    it('should count duplicates without retrying them', async () => {
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'duplicate', messageId: 'm-1' });
+
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() });
+
+      expect(mockProcessorRegistry.processMessage).toHaveBeenCalledTimes(1);
+      expect(accessor.getProcessingMetrics().topics.orders).toEqual(expect.objectContaining({ duplicates: 1, succeeded: 0 }));
+    });
+
+    it('should skip and commit failed messages in skip mode', async () => {
+      processor.onFailure = 'skip';
+      processor.retryPolicy = { maxAttempts: 1 };
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'error', message: 'Nope' });
+
+      await expect(accessor.handleProcessorMessage({
+        topic: 'orders',
+        partition: 0,
+        message: rawMessage(),
+        heartbeat: jest.fn()
+      })).resolves.toEqual(expect.objectContaining({ status: 'skipped', attempts: 1 }));
+
+      expect(mockProducer.send).not.toHaveBeenCalled();
+      expect(accessor.getProcessingMetrics().topics.orders.skipped).toBe(1);
+    });
+
+    it('should re-throw for redelivery in retry mode', async () => {
+      processor.onFailure = 'retry';
+      processor.retryPolicy = { maxAttempts: 1 };
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'error', message: 'Nope' });
+
+      await expect(eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() }))
+        .rejects.toThrow('Nope');
+
+      expect(mockProducer.send).not.toHaveBeenCalled();
+      expect(accessor.getProcessingMetrics().totals.redelivered).toBe(1);
+    });
+
+    it('should pause the partition and leave the offset uncommitted in pause mode', async () => {
+      processor.onFailure = 'pause';
+      processor.retryPolicy = { maxAttempts: 1 };
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'error', message: 'Downstream down' });
+
+      await expect(eachMessage({ topic: 'orders', partition: 2, message: rawMessage(), heartbeat: jest.fn() }))
+        .rejects.toThrow('Downstream down');
+
+      expect(mockConsumer.pause).toHaveBeenCalledWith([{ topic: 'orders', partitions: [2] }]);
+      expect(accessor.getPausedPartitions()).toEqual([
+        expect.objectContaining({ topic: 'orders', partition: 2, resumeAt: null })
+      ]);
+
+      expect(accessor.resumePartition('orders', 2)).toBe(true);
+      expect(mockConsumer.resume).toHaveBeenCalledWith([{ topic: 'orders', partitions: [2] }]);
+      expect(accessor.getPausedPartitions()).toEqual([]);
+      expect(accessor.resumePartition('orders', 2)).toBe(false);
+    });
+
+    it('should resume paused partitions automatically after the pause duration', async () => {
+      class OrdersProcessor {
+        async process() {}
+      }
+      OrdersProcessor.onFailure = 'pause';
+      OrdersProcessor.pauseDuration = 30000;
+      OrdersProcessor.retryPolicy = { maxAttempts: 1 };
+      mockProcessorRegistry.getProcessor.mockReturnValue(new OrdersProcessor());
+      mockProcessorRegistry.processMessage.mockResolvedValue({ status: 'error', message: 'Nope' });
+
+      await expect(eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() }))
+        .rejects.toThrow('Nope');
+      expect(accessor.getPausedPartitions()[0].resumeAt).not.toBeNull();
+
+      jest.advanceTimersByTime(30000);
+
+      expect(mockConsumer.resume).toHaveBeenCalledWith([{ topic: 'orders', partitions: [0] }]);
+      expect(accessor.getPausedPartitions()).toEqual([]);
+    });
+
+    it('should only dead-letter once dead-lettering is turned on', () => {
+      const originalEnv = process.env;
+      const createWithEnv = (env, options) => {
+        process.env = env;
+        const created = new KafkaAccessor(options);
+        created.processorRegistry.stopAutoRefresh();
+        return created;
+      };
+
+      try {
+        const env = { ...originalEnv };
+        delete env.DLQ_ENABLED;
+
+        expect(createWithEnv(env).getDeadLetterTopic('orders', {})).toBeNull();
+        expect(createWithEnv(env, { deadLetter: { enabled: true } }).getDeadLetterTopic('orders', {})).toBe('orders.DLQ');
+        expect(createWithEnv({ ...env, DLQ_ENABLED: 'true' }).getDeadLetterTopic('orders', {})).toBe('orders.DLQ');
+        expect(createWithEnv(env).getDeadLetterTopic('orders', { deadLetterTopic: 'orders-failed' })).toBe('orders-failed');
+      } finally {
+        process.env = originalEnv;
+      }
+    });
+
+    it('should accept dlq as an alias and fall back to the default for unknown modes', () => {
+      expect(accessor.getFailureMode('orders', { onFailure: 'dlq' })).toBe('dead-letter');
+      expect(accessor.getFailureMode('orders', { onFailure: 'explode' })).toBe('dead-letter');
+    });
+
+    it('should use the accessor-wide failure mode by default', () => {
+      const skippingAccessor = new KafkaAccessor({ failureMode: 'skip' });
+      skippingAccessor.processorRegistry.stopAutoRefresh();
+
+      expect(skippingAccessor.getFailureMode('orders', processor)).toBe('skip');
+    });
+
+    it('should log and skip failed messages by default unless dead-lettering is on', () => {
+      accessor.deadLetterConfig.enabled = false;
+
+      expect(accessor.getFailureMode('orders', {})).toBe('skip');
+      expect(accessor.getFailureMode('orders', { deadLetterTopic: 'orders-failed' })).toBe('dead-letter');
+      expect(accessor.getFailureMode('orders', { deadLetterTopic: false })).toBe('retry');
+
+      accessor.deadLetterConfig.enabled = true;
+      expect(accessor.getFailureMode('orders', {})).toBe('dead-letter');
+    });
+
+    it('should reject invalid accessor-wide failure modes', () => {
+      expect(() => new KafkaAccessor({ failureMode: 'ignore' })).toThrow('Invalid failure mode: ignore');
+    });
+
+    it('should retry processors that timed out', async () => {
+      processor.retryPolicy = { retryableErrors: ['ECONNRESET'] };
+      mockProcessorRegistry.processMessage
+        .mockResolvedValueOnce({ status: 'error', message: 'timed out', error: new ProcessorTimeoutError('orders', null, 1000) })
+        .mockResolvedValueOnce({ status: 'success' });
+
+      await eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat: jest.fn() });
+
+      expect(mockProcessorRegistry.processMessage).toHaveBeenCalledTimes(2);
+      expect(mockProducer.send).not.toHaveBeenCalled();
+    });
+
+    it('should heartbeat while a processor is still working', async () => {
+      let finish;
+      mockProcessorRegistry.processMessage.mockImplementation(() => new Promise(resolve => {
+        finish = resolve;
+      }));
+      const heartbeat = jest.fn().mockResolvedValue();
+
+      const pending = eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat });
+      await jest.advanceTimersByTimeAsync(9000);
+      finish({ status: 'success' });
+      await pending;
+      await jest.advanceTimersByTimeAsync(9000);
+
+      expect(heartbeat).toHaveBeenCalledTimes(3);
+    });
+
+    it('should heartbeat while waiting between retries', async () => {
+      accessor.retryDefaults = { ...accessor.retryDefaults, initialDelay: 7000, maxAttempts: 2 };
+      mockProcessorRegistry.processMessage
+        .mockResolvedValueOnce({ status: 'error', message: 'Slow down' })
+        .mockResolvedValueOnce({ status: 'success' });
+      const heartbeat = jest.fn().mockResolvedValue();
+
+      const pending = eachMessage({ topic: 'orders', partition: 0, message: rawMessage(), heartbeat });
+      await jest.advanceTimersByTimeAsync(7000);
+      await pending;
+
+      expect(heartbeat).toHaveBeenCalledTimes(3);
+      expect(mockProcessorRegistry.processMessage).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('sendMessage edge cases', () => {
+    it('should handle message sending with all optional parameters', async () => {
+      const payload = { message: 'test' };
+      const options = {
+        key: 'test-key',
+        partition: 1,
+        timestamp: 1234567890,
+        topicConfig: { numPartitions: 3, replicationFactor: 2 }
+      };
+      
+      const result = await accessor.sendMessage('test-topic', payload, options);
+      
+      expect(result).toEqual([{ partition: 0, baseOffset: '123' }]);
+      expect(mockProducer.send).toHaveBeenCalledWith({
+        topic: 'test-topic',
+        messages: [{
+          key: 'test-key',
+          value: JSON.stringify(payload),
+          partition: 1,
+          timestamp: 1234567890
+        }]
+      });
+    });
+
+    it('should handle message sending with null key', async () => {
+      const payload = { message: 'test' };
+      const options = { key: null };
+      
+      await accessor.sendMessage('test-topic', payload, options);
+      
+      expect(mockProducer.send).toHaveBeenCalledWith({
+        topic: 'test-topic',
+        messages: [{
+          key: null,
+          value: JSON.stringify(payload),
+          timestamp: expect.any(Number)
+        }]
+      });
+    });
+
+    it('should handle message sending with undefined options', async () => {
+      const payload = { message: 'test' };
+      
+      await accessor.sendMessage('test-topic', payload);
+      
+      expect(mockProducer.send).toHaveBeenCalledWith({
+        topic: 'test-topic',
+        messages: [{
+          key: null,
+          value: JSON.stringify(payload),
+          timestamp: expect.any(Number)
+        }]
+      });
+    });
+
+    it('should handle message sending with empty payload', async () => {
+      const payload = {};
+      
+      await accessor.sendMessage('test-topic', payload);
+      
+      expect(mockProducer.send).toHaveBeenCalledWith({
+        topic: 'test-topic',
+        messages: [{
+          key: null,
+          value: '{}',
+          timestamp: expect.any(Number)
+        }]
+      });
+    });
+
+    it('should pin partition 0 when explicitly requested', async () => {
+      await accessor.sendMessage('test-topic', { message: 'test' }, { partition: 0 });
+
+      expect(mockProducer.send.mock.calls[0][0].messages[0].partition).toBe(0);
+    });
+
+    it('should leave partition selection to the partitioner when no partition is given', async () => {
+      await accessor.sendMessage('test-topic', { message: 'test' }, { key: 'user-1' });
+
+      expect(mockProducer.send.mock.calls[0][0].messages[0]).not.toHaveProperty('partition');
     });
 
     it('should handle undefined topicConfig gracefully without Kafka admin error', async () => {
@@ -900,7 +3214,6 @@ describe('KafkaAccessor', () => {
         fromBeginning: true
       });
       expect(mockConsumer.run).toHaveBeenCalledWith({
-        eachMessage: expect.any(Function),
         eachBatch: options.eachBatch
       });
     });
@@ -1030,6 +3343,7 @@ describe('KafkaAccessor', () => {
       expect(mockKafka.producer).toHaveBeenCalledWith({
         allowAutoTopicCreation: true,
         transactionTimeout: 30000,
+        createPartitioner: expect.any(Function),
         retry: {
           initialRetryTime: 100,
           retries: 3
@@ -1044,7 +3358,8 @@ describe('KafkaAccessor', () => {
         groupId: 'kafka-accessor-group',
         sessionTimeout: 30000,
         heartbeatInterval: 3000,
-        maxBytesPerPartition: 1048576
+        maxBytesPerPartition: 1048576,
+        readUncommitted: false
       });
     });
   });
@@ -77,6 +77,27 @@ describe('KafkaTopicProcessor', () => {
       global.Error = originalError;
     });
 
+    it('should keep the injected context and take the topic from it', () => {
+      const context = { topic: 'orders', config: { apiUrl: 'http://localhost' } };
+      const withContext = new KafkaTopicProcessor(context);
+
+      expect(withContext.context).toBe(context);
+      expect(withContext.topic).toBe('orders');
+    });
+
+    it('should take the topic from a static declaration before the file name', () => {
+      class OrdersProcessor extends KafkaTopicProcessor {
+        static topic = 'orders.v1';
+      }
+      class MultiProcessor extends KafkaTopicProcessor {
+        static topics = [/^orders\..+/, 'orders'];
+      }
+
+      expect(new OrdersProcessor().topic).toBe('orders.v1');
+      expect(new MultiProcessor().topic).toBe('orders');
+      expect(new OrdersProcessor({ topic: 'orders.v2' }).topic).toBe('orders.v2');
+    });
+
     it('should initialize logger with correct metadata', () => {
       expect(processor.logger).toBeDefined();
       // The logger should be initialized with the detected topic
@@ -116,7 +137,7 @@ describe('KafkaTopicProcessor', () => {
       
       expect(result.status).toBe('success');
       expect(result.data).toBe('processed');
-      expect(processor.processMessage).toHaveBeenCalledWith(message, metadata);
+      expect(processor.processMessage).toHaveBeenCalledWith(message, metadata, {});
     });
 
     it('should handle processing errors gracefully', async () => {
@@ -132,6 +153,77 @@ describe('KafkaTopicProcessor', () => {
       expect(result.message).toBe('Processing failed');
     });
 
+    it('should route tombstones to processTombstone', async () => {
+      const metadata = { topic: 'test-topic', key: 'user-1', tombstone: true };
+      processor.processMessage = jest.fn();
+      processor.processTombstone = jest.fn().mockResolvedValue({ status: 'success', deleted: 'user-1' });
+
+      const result = await processor.process('test-topic', null, metadata);
+
+      expect(result.status).toBe('success');
+      expect(result.deleted).toBe('user-1');
+      expect(processor.processTombstone).toHaveBeenCalledWith(metadata, {});
+      expect(processor.processMessage).not.toHaveBeenCalled();
+    });
+
+    it('should acknowledge tombstones by default', async () => {
+      const result = await processor.process('test-topic', null, { tombstone: true });
+
+      expect(result.status).toBe('success');
+      expect(result.message).toBe('Tombstone ignored');
+    });
+
+    it('should pass returned output records through', async () => {
+      const outputs = [{ topic: 'orders-enriched', value: { id: 1 } }];
+      processor.processMessage = jest.fn().mockResolvedValue({ status: 'success', outputs });
+
+      const result = await processor.process('test-topic', { id: 1 }, {});
+
+      expect(result.status).toBe('success');
+      expect(result.outputs).toEqual(outputs);
+    });
+
+    it('should not treat a returned array as output records', async () => {
+      processor.processMessage = jest.fn().mockResolvedValue([{ topic: 'audit', value: 'seen' }]);
+
+      const result = await processor.process('test-topic', { id: 1 }, {});
+
+      expect(result.status).toBe('success');
+      expect(result.outputs).toBeUndefined();
+      expect(result[0]).toEqual({ topic: 'audit', value: 'seen' });
+    });
+
+    it('should collect output records yielded by generators', async () => {
+      processor.processMessage = async function* (message) {
+        yield { topic: 'orders-enriched', value: { ...message, enriched: true } };
+        yield { topic: 'audit', value: 'enriched' };
+      };
+      processor.processTombstone = function* (metadata) {
+        yield { topic: 'orders-enriched', key: metadata.key, value: null };
+      };
+
+      const result = await processor.process('test-topic', { id: 1 }, {});
+      const tombstone = await processor.process('test-topic', null, { key: 'o-1' });
+
+      expect(result.outputs).toEqual([
+        { topic: 'orders-enriched', value: { id: 1, enriched: true } },
+        { topic: 'audit', value: 'enriched' }
+      ]);
+      expect(tombstone.outputs).toEqual([{ topic: 'orders-enriched', key: 'o-1', value: null }]);
+    });
+
+    it('should fail when a generator throws', async () => {
+      processor.processMessage = async function* () {
+        yield { topic: 'audit', value: 'started' };
+        throw new Error('Lookup failed');
+      };
+
+      const result = await processor.process('test-topic', { id: 1 }, {});
+
+      expect(result.status).toBe('error');
+      expect(result.message).toBe('Lookup failed');
+    });
+
     it('should log debug information for successful processing', async () => {
       const message = { data: 'test message' };
       const metadata = { topic: 'test-topic', partition: 0, offset: 123 };
@@ -359,6 +451,16 @@ describe('KafkaTopicProcessor', () => {
     });
   });
 
+  describe('lifecycle hooks', () => {
+    it('should provide no-op init and destroy hooks and a healthy health check', async () => {
+      const processor = new KafkaTopicProcessor();
+
+      await expect(processor.init({})).resolves.toBeUndefined();
+      await expect(processor.destroy('shutdown')).resolves.toBeUndefined();
+      await expect(processor.healthCheck()).resolves.toEqual({ healthy: true });
+    });
+  });
+
   describe('edge cases and error handling', () => {
     it('should handle very long message content', async () => {
       const longMessage = { data: 'x'.repeat(10000) };
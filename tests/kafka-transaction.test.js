@@ -0,0 +1,70 @@
+const KafkaTransaction = require('../src/kafka-transaction');
+
+describe('KafkaTransaction', () => {
+  let accessor;
+  let transaction;
+  let tx;
+
+  beforeEach(() => {
+    accessor = {
+      config: { groupId: 'billing-group' },
+      sendMessage: jest.fn().mockResolvedValue([]),
+      sendMessages: jest.fn().mockResolvedValue([]),
+      sendBatch: jest.fn().mockResolvedValue([]),
+      logger: { error: jest.fn() }
+    };
+    transaction = {
+      sendOffsets: jest.fn().mockResolvedValue(),
+      isActive: jest.fn().mockReturnValue(true)
+    };
+    tx = new KafkaTransaction(accessor, transaction);
+  });
+
+  it('should send through the accessor with the kafkajs transaction', async () => {
+    await tx.send('invoices', { amount: 1 }, { key: 'a' });
+    await tx.sendMessages('invoices', [{ value: 1 }]);
+    await tx.sendBatch([{ topic: 'invoices', messages: [{ value: 1 }] }], { acks: -1 });
+
+    expect(accessor.sendMessage).toHaveBeenCalledWith('invoices', { amount: 1 }, { key: 'a', transaction });
+    expect(accessor.sendMessages).toHaveBeenCalledWith('invoices', [{ value: 1 }], { transaction });
+    expect(accessor.sendBatch).toHaveBeenCalledWith([{ topic: 'invoices', messages: [{ value: 1 }] }], { acks: -1, transaction });
+  });
+
+  it('should group offsets by topic for the accessor group', async () => {
+    await tx.sendOffsets([
+      { topic: 'orders', partition: 0, offset: '10' },
+      { topic: 'refunds', partition: 3, offset: 4 },
+      { topic: 'orders', partition: 1, offset: '7' }
+    ]);
+
+    expect(transaction.sendOffsets).toHaveBeenCalledWith({
+      consumerGroupId: 'billing-group',
+      topics: [
+        { topic: 'orders', partitions: [{ partition: 0, offset: '10' }, { partition: 1, offset: '7' }] },
+        { topic: 'refunds', partitions: [{ partition: 3, offset: '4' }] }
+      ]
+    });
+  });
+
+  it('should report whether the transaction is still active', () => {
+    expect(tx.isActive()).toBe(true);
+    transaction.isActive.mockReturnValue(false);
+    expect(tx.isActive()).toBe(false);
+  });
+
+  it('should run the callbacks for how the transaction ended and log the ones that fail', async () => {
+    const committed = jest.fn();
+    const aborted = jest.fn();
+    tx.afterCommit(() => {
+      throw new Error('store down');
+    });
+    tx.afterCommit(committed);
+    tx.afterAbort(aborted);
+
+    await tx.settle('commit');
+
+    expect(committed).toHaveBeenCalled();
+    expect(aborted).not.toHaveBeenCalled();
+    expect(accessor.logger.error).toHaveBeenCalledWith('Transaction callback failed', { outcome: 'commit', error: 'store down' });
+  });
+});
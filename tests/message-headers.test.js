@@ -0,0 +1,116 @@
+const {
+  encodeHeaders,
+  decodeHeaders,
+  parseStandardHeaders,
+  createStandardHeaders,
+  STANDARD_HEADERS
+} = require('../src/message-headers');
+
+describe('Message Headers', () => {
+  describe('encodeHeaders', () => {
+    it('should encode plain values for kafkajs', () => {
+      const signature = Buffer.from([1, 2, 3]);
+
+      expect(encodeHeaders({
+        source: 'billing',
+        retries: 3,
+        urgent: true,
+        context: { tenant: 'acme' },
+        signature,
+        tags: ['a', 1],
+        empty: null,
+        missing: undefined
+      })).toEqual({
+        source: 'billing',
+        retries: '3',
+        urgent: 'true',
+        context: '{"tenant":"acme"}',
+        signature,
+        tags: ['a', '1']
+      });
+    });
+
+    it('should return an empty object for missing headers', () => {
+      expect(encodeHeaders(undefined)).toEqual({});
+      expect(encodeHeaders('not-an-object')).toEqual({});
+    });
+  });
+
+  describe('decodeHeaders', () => {
+    it('should decode Buffer values to strings', () => {
+      expect(decodeHeaders({
+        'content-type': Buffer.from('application/json'),
+        tags: [Buffer.from('a'), Buffer.from('b')],
+        plain: 'already-a-string'
+      })).toEqual({
+        'content-type': 'application/json',
+        tags: ['a', 'b'],
+        plain: 'already-a-string'
+      });
+    });
+
+    it('should keep Buffers when decoding is disabled', () => {
+      const raw = { signature: Buffer.from('sig') };
+
+      expect(decodeHeaders(raw, { decode: false })).toBe(raw);
+    });
+
+    it('should keep configured binary headers as Buffers', () => {
+      const signature = Buffer.from([0xde, 0xad]);
+
+      const decoded = decodeHeaders({ signature, source: Buffer.from('api') }, { binaryHeaders: ['signature'] });
+
+      expect(decoded.signature).toBe(signature);
+      expect(decoded.source).toBe('api');
+    });
+
+    it('should return an empty object for missing headers', () => {
+      expect(decodeHeaders(undefined)).toEqual({});
+    });
+  });
+
+  describe('parseStandardHeaders', () => {
+    it('should enable every standard header for true or all', () => {
+      expect(parseStandardHeaders(true)).toEqual(STANDARD_HEADERS);
+      expect(parseStandardHeaders('all')).toEqual(STANDARD_HEADERS);
+    });
+
+    it('should parse comma-separated lists and arrays', () => {
+      expect(parseStandardHeaders('message-id, Produced-At')).toEqual(['message-id', 'produced-at']);
+      expect(parseStandardHeaders(['content-type'])).toEqual(['content-type']);
+    });
+
+    it('should enable nothing by default', () => {
+      expect(parseStandardHeaders(undefined)).toEqual([]);
+      expect(parseStandardHeaders('')).toEqual([]);
+    });
+
+    it('should reject unknown header names', () => {
+      expect(() => parseStandardHeaders('trace-id')).toThrow('Unknown standard header: trace-id');
+    });
+  });
+
+  describe('createStandardHeaders', () => {
+    it('should build every enabled header', () => {
+      const headers = createStandardHeaders(STANDARD_HEADERS, {});
+
+      expect(headers['content-type']).toBe('application/json');
+      expect(headers['message-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(headers['correlation-id']).toBe(headers['message-id']);
+      expect(new Date(headers['produced-at']).toISOString()).toBe(headers['produced-at']);
+    });
+
+    it('should use ids supplied by the caller', () => {
+      const headers = createStandardHeaders(['message-id', 'correlation-id'], {
+        messageId: 'msg-1',
+        correlationId: 'corr-9'
+      });
+
+      expect(headers).toEqual({ 'message-id': 'msg-1', 'correlation-id': 'corr-9' });
+    });
+
+    it('should return nothing when no headers are enabled', () => {
+      expect(createStandardHeaders([], { messageId: 'x' })).toEqual({});
+    });
+  });
+});
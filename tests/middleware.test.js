@@ -0,0 +1,124 @@
+const { compose, redact, timing, logPayload } = require('../src/middleware');
+
+describe('compose', () => {
+  it('should run middleware around the last handler, in order', async () => {
+    const calls = [];
+    const run = compose([
+      async (ctx, next) => {
+        calls.push('a:before');
+        await next();
+        calls.push('a:after');
+      },
+      async (ctx, next) => {
+        calls.push('b:before');
+        await next();
+        calls.push('b:after');
+      }
+    ]);
+
+    await run({}, async () => calls.push('handler'));
+
+    expect(calls).toEqual(['a:before', 'b:before', 'handler', 'b:after', 'a:after']);
+  });
+
+  it('should stop when middleware does not call next', async () => {
+    const handler = jest.fn();
+    const ctx = {};
+
+    await compose([async currentCtx => {
+      currentCtx.result = { status: 'skipped' };
+    }])(ctx, handler);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(ctx.result).toEqual({ status: 'skipped' });
+  });
+
+  it('should let middleware catch errors thrown further down', async () => {
+    const ctx = {};
+
+    await compose([async (currentCtx, next) => {
+      try {
+        await next();
+      } catch (error) {
+        currentCtx.result = { status: 'error', message: error.message };
+      }
+    }])(ctx, async () => {
+      throw new Error('boom');
+    });
+
+    expect(ctx.result).toEqual({ status: 'error', message: 'boom' });
+  });
+
+  it('should refuse next() called twice and middleware that is not a function', async () => {
+    await expect(compose([async (ctx, next) => {
+      await next();
+      await next();
+    }])({}, async () => {})).rejects.toThrow('next() called multiple times');
+    expect(() => compose(['nope'])).toThrow('Middleware must be a function, got string');
+  });
+});
+
+describe('redact', () => {
+  it('should hide fields at any depth or by path without changing the payload', () => {
+    const payload = { user: { password: 'secret', card: { number: '4111' } }, card: { number: '5500', brand: 'visa' }, items: [{ password: 'x' }] };
+
+    expect(redact(payload, ['password', 'card.number'])).toEqual({
+      user: { password: '[REDACTED]', card: { number: '4111' } },
+      card: { number: '[REDACTED]', brand: 'visa' },
+      items: [{ password: '[REDACTED]' }]
+    });
+    expect(payload.user.password).toBe('secret');
+    expect(redact('plain text', ['password'])).toBe('plain text');
+  });
+});
+
+describe('built-in middleware', () => {
+  const createCtx = () => ({
+    topic: 'orders',
+    name: 'default',
+    message: { id: 1, password: 'secret' },
+    metadata: { topic: 'orders', partition: 2, offset: '7', headers: { authorization: 'token' } },
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn() },
+    state: {}
+  });
+
+  it('should time the rest of the chain', async () => {
+    const ctx = createCtx();
+    const onTiming = jest.fn();
+
+    await timing({ onTiming })(ctx, async () => {
+      ctx.result = { status: 'success' };
+    });
+
+    expect(ctx.state.durationMs).toEqual(expect.any(Number));
+    expect(onTiming).toHaveBeenCalledWith({ topic: 'orders', name: 'default', durationMs: ctx.state.durationMs, status: 'success' });
+    expect(ctx.logger.debug).toHaveBeenCalledWith('Message handled', expect.objectContaining({ topic: 'orders', status: 'success' }));
+  });
+
+  it('should time failures and rethrow them', async () => {
+    const ctx = createCtx();
+    const onTiming = jest.fn();
+
+    await expect(timing({ onTiming })(ctx, async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    expect(onTiming).toHaveBeenCalledWith(expect.objectContaining({ status: 'error' }));
+  });
+
+  it('should log payloads with sensitive fields redacted', async () => {
+    const ctx = createCtx();
+    const next = jest.fn();
+
+    await logPayload({ redact: ['password', 'authorization'], level: 'warn', headers: true })(ctx, next);
+
+    expect(ctx.logger.warn).toHaveBeenCalledWith('Message received', {
+      topic: 'orders',
+      partition: 2,
+      offset: '7',
+      processor: 'default',
+      payload: { id: 1, password: '[REDACTED]' },
+      headers: { authorization: '[REDACTED]' }
+    });
+    expect(next).toHaveBeenCalled();
+  });
+});
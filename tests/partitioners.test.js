@@ -0,0 +1,203 @@
+const {
+  TopicPartitioner,
+  createPartitioner,
+  murmur2,
+  partitionForKey
+} = require('../src/partitioners');
+
+const buildMetadata = (count) => Array.from({ length: count }, (_, partitionId) => ({
+  partitionId,
+  leader: 0
+}));
+
+describe('Partitioners', () => {
+  describe('murmur2', () => {
+    it('should match the Java client hash values', () => {
+      // Reference values from the Kafka Java client test suite
+      expect(murmur2('21')).toBe(-973932308);
+      expect(murmur2('foobar')).toBe(-790332482);
+      expect(murmur2('a-little-bit-long-string')).toBe(-985981536);
+      expect(murmur2('a-little-bit-longer-string')).toBe(-1486304829);
+      expect(murmur2('lkjh234lh9fiuh90y23oiuhsafujhadof229phr9h19h89h8')).toBe(-58897971);
+      expect(murmur2('abc')).toBe(479470107);
+    });
+
+    it('should hash buffers and strings identically', () => {
+      expect(murmur2(Buffer.from('user-123'))).toBe(murmur2('user-123'));
+    });
+  });
+
+  describe('partitionForKey', () => {
+    it('should spread keys across partitions the same way every time', () => {
+      const keys = Array.from({ length: 200 }, (_, i) => `user-${i}`);
+
+      const firstRun = keys.map(key => partitionForKey(key, 6));
+      const secondRun = keys.map(key => partitionForKey(key, 6));
+
+      expect(secondRun).toEqual(firstRun);
+      expect(new Set(firstRun).size).toBe(6);
+      firstRun.forEach(partition => {
+        expect(partition).toBeGreaterThanOrEqual(0);
+        expect(partition).toBeLessThan(6);
+      });
+    });
+
+    it('should produce the expected partitions for known keys', () => {
+      expect(partitionForKey('a', 6)).toBe(4);
+      expect(partitionForKey('user-1', 6)).toBe(2);
+      expect(partitionForKey('order-42', 6)).toBe(0);
+    });
+  });
+
+  describe('createPartitioner', () => {
+    const partitionMetadata = buildMetadata(4);
+
+    it('should route keyed messages with murmur2', () => {
+      const partitioner = createPartitioner('murmur2');
+
+      const partition = partitioner({ topic: 'orders', partitionMetadata, message: { key: 'order-42' } });
+
+      expect(partition).toBe(partitionForKey('order-42', 4));
+    });
+
+    it('should round-robin keyless messages with murmur2', () => {
+      const partitioner = createPartitioner('murmur2');
+
+      const partitions = [0, 1, 2, 3, 4].map(() =>
+        partitioner({ topic: 'orders', partitionMetadata, message: { key: null } })
+      );
+
+      expect(partitions).toEqual([0, 1, 2, 3, 0]);
+    });
+
+    it('should cycle partitions with round-robin regardless of key', () => {
+      const partitioner = createPartitioner('round-robin');
+
+      const partitions = [0, 1, 2, 3, 4].map(() =>
+        partitioner({ topic: 'orders', partitionMetadata, message: { key: 'same-key' } })
+      );
+
+      expect(partitions).toEqual([0, 1, 2, 3, 0]);
+    });
+
+    it('should keep round-robin counters per topic', () => {
+      const partitioner = createPartitioner('round-robin');
+
+      partitioner({ topic: 'a', partitionMetadata, message: {} });
+      partitioner({ topic: 'a', partitionMetadata, message: {} });
+
+      expect(partitioner({ topic: 'b', partitionMetadata, message: {} })).toBe(0);
+    });
+
+    it('should skip partitions without a leader', () => {
+      const partitioner = createPartitioner('round-robin');
+      const metadata = [
+        { partitionId: 0, leader: 0 },
+        { partitionId: 1, leader: -1 },
+        { partitionId: 2, leader: 1 }
+      ];
+
+      const partitions = [0, 1, 2].map(() => partitioner({ topic: 't', partitionMetadata: metadata, message: {} }));
+
+      expect(partitions).toEqual([0, 2, 0]);
+    });
+
+    it('should stick to one partition for keyless messages until the batch size is reached', () => {
+      const partitioner = createPartitioner({ strategy: 'sticky', batchSize: 3 });
+
+      const partitions = Array.from({ length: 6 }, () =>
+        partitioner({ topic: 'logs', partitionMetadata, message: { key: null } })
+      );
+
+      expect(new Set(partitions.slice(0, 3)).size).toBe(1);
+      expect(new Set(partitions.slice(3, 6)).size).toBe(1);
+      expect(partitions[3]).not.toBe(partitions[0]);
+    });
+
+    it('should hash keyed messages with sticky', () => {
+      const partitioner = createPartitioner('sticky');
+
+      expect(partitioner({ topic: 'logs', partitionMetadata, message: { key: 'user-1' } }))
+        .toBe(partitionForKey('user-1', 4));
+    });
+
+    it('should accept a custom function', () => {
+      const custom = jest.fn().mockReturnValue(3);
+      const partitioner = createPartitioner(custom);
+
+      expect(partitioner({ topic: 't', partitionMetadata, message: {} })).toBe(3);
+      expect(custom).toHaveBeenCalledWith({ topic: 't', partitionMetadata, message: {} });
+    });
+
+    it('should use the kafkajs default partitioner for the default strategy', () => {
+      const partitioner = createPartitioner('default');
+
+      expect(partitioner({ topic: 't', partitionMetadata, message: { key: 'user-1' } }))
+        .toBe(partitionForKey('user-1', 4));
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() => createPartitioner('random-walk')).toThrow('Unknown partitioner strategy: random-walk');
+    });
+  });
+
+  describe('TopicPartitioner', () => {
+    const partitionMetadata = buildMetadata(3);
+
+    it('should use the default strategy for topics without an override', () => {
+      const router = new TopicPartitioner({ partitioner: 'round-robin' });
+
+      const partitions = [0, 1, 2].map(() => router.partition({ topic: 'any', partitionMetadata, message: {} }));
+
+      expect(partitions).toEqual([0, 1, 2]);
+    });
+
+    it('should use per-topic strategies', () => {
+      const router = new TopicPartitioner({
+        partitioner: 'murmur2',
+        topicPartitioners: { audit: () => 2 }
+      });
+
+      expect(router.partition({ topic: 'audit', partitionMetadata, message: { key: 'k' } })).toBe(2);
+      expect(router.partition({ topic: 'other', partitionMetadata, message: { key: 'k' } }))
+        .toBe(partitionForKey('k', 3));
+    });
+
+    it('should add and remove topic strategies at runtime', () => {
+      const router = new TopicPartitioner();
+
+      router.setTopicPartitioner('orders', () => 1);
+      expect(router.partition({ topic: 'orders', partitionMetadata, message: { key: 'a' } })).toBe(1);
+
+      expect(router.removeTopicPartitioner('orders')).toBe(true);
+      expect(router.partition({ topic: 'orders', partitionMetadata, message: { key: 'a' } }))
+        .toBe(partitionForKey('a', 3));
+    });
+
+    it('should validate topic names', () => {
+      const router = new TopicPartitioner();
+
+      expect(() => router.setTopicPartitioner('', 'sticky')).toThrow('Topic must be a valid string');
+    });
+
+    it('should build a kafkajs partitioner factory', () => {
+      const router = new TopicPartitioner({ topicPartitioners: { orders: () => 2 } });
+
+      const partitioner = router.toKafkaPartitioner()();
+
+      expect(partitioner({ topic: 'orders', partitionMetadata, message: {} })).toBe(2);
+    });
+
+    it('should describe configured strategies', () => {
+      const router = new TopicPartitioner({
+        partitioner: 'sticky',
+        topicPartitioners: { audit: () => 0, orders: { strategy: 'round-robin' } }
+      });
+
+      expect(router.getInfo()).toEqual({
+        default: 'sticky',
+        topics: { audit: 'custom', orders: 'round-robin' }
+      });
+    });
+  });
+});
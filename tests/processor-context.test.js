@@ -0,0 +1,66 @@
+const { createProcessorContext, loadProcessorConfig, getConfigEnvPrefix } = require('../src/processor-context');
+
+describe('processor context', () => {
+  describe('getConfigEnvPrefix', () => {
+    it('should turn the topic into an environment variable prefix', () => {
+      expect(getConfigEnvPrefix('orders')).toBe('PROCESSOR_CONFIG_ORDERS_');
+      expect(getConfigEnvPrefix('orders-enriched.v2')).toBe('PROCESSOR_CONFIG_ORDERS_ENRICHED_V2_');
+    });
+  });
+
+  describe('loadProcessorConfig', () => {
+    it('should read camel-cased values from the topic environment variables over the defaults', () => {
+      const config = loadProcessorConfig('orders-enriched', {
+        defaults: { apiUrl: 'http://default', timeout: 100 },
+        env: {
+          PROCESSOR_CONFIG_ORDERS_ENRICHED_API_URL: 'http://env',
+          PROCESSOR_CONFIG_ORDERS_ENRICHED_MAX__BATCH: '5',
+          PROCESSOR_CONFIG_ORDERS_API_URL: 'http://other-topic',
+          PROCESSOR_CONFIG_ORDERS_ENRICHED_: 'ignored'
+        }
+      });
+
+      expect(config).toEqual({ apiUrl: 'http://env', maxBatch: '5', timeout: 100 });
+    });
+
+    it('should ignore a config file that does not exist', () => {
+      expect(loadProcessorConfig('orders', { configFile: '/does/not/exist.config.json', env: {} })).toEqual({});
+    });
+  });
+
+  describe('createProcessorContext', () => {
+    it('should expose the parts and bind send helpers to the accessor', async () => {
+      const accessor = {
+        sendMessage: jest.fn().mockResolvedValue('sent'),
+        sendMessages: jest.fn().mockResolvedValue('sent many')
+      };
+      const controller = new AbortController();
+      const context = createProcessorContext({
+        topic: 'orders',
+        accessor,
+        logger: 'logger',
+        config: { a: 1 },
+        resources: { db: 'pool' },
+        getSignal: () => controller.signal
+      });
+
+      expect(context).toEqual(expect.objectContaining({
+        topic: 'orders',
+        accessor,
+        logger: 'logger',
+        config: { a: 1 },
+        resources: { db: 'pool' },
+        signal: controller.signal
+      }));
+      await expect(context.send('audit', 1, { key: 'k' })).resolves.toBe('sent');
+      await expect(context.sendMessages('audit', [{ value: 1 }])).resolves.toBe('sent many');
+      expect(accessor.sendMessage).toHaveBeenCalledWith('audit', 1, { key: 'k' });
+    });
+
+    it('should refuse to send without an accessor', () => {
+      const context = createProcessorContext({ topic: 'orders', getSignal: () => null });
+
+      expect(() => context.send('audit', 1)).toThrow('Processor for topic orders has no KafkaAccessor to send messages with');
+    });
+  });
+});
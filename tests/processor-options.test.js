@@ -0,0 +1,68 @@
+const { getProcessorOption, getDeclaredTopics, matchesTopic } = require('../src/processor-options');
+
+describe('getProcessorOption', () => {
+  it('should read instance properties first', () => {
+    class OrdersProcessor {}
+    OrdersProcessor.retryPolicy = { maxAttempts: 2 };
+    const processor = new OrdersProcessor();
+    processor.retryPolicy = { maxAttempts: 9 };
+
+    expect(getProcessorOption(processor, 'retryPolicy')).toEqual({ maxAttempts: 9 });
+  });
+
+  it('should fall back to static properties on the processor class', () => {
+    class OrdersProcessor {}
+    OrdersProcessor.deadLetterTopic = 'orders-failures';
+
+    expect(getProcessorOption(new OrdersProcessor(), 'deadLetterTopic')).toBe('orders-failures');
+  });
+
+  it('should return the default when nothing is declared', () => {
+    expect(getProcessorOption({ process: () => {} }, 'retryPolicy', 'fallback')).toBe('fallback');
+    expect(getProcessorOption(null, 'retryPolicy', 'fallback')).toBe('fallback');
+  });
+
+  it('should not read properties from the Object constructor of plain processors', () => {
+    expect(getProcessorOption({}, 'name')).toBeUndefined();
+  });
+});
+
+describe('getDeclaredTopics', () => {
+  it('should read static topic declarations from classes and their instances', () => {
+    class OrdersProcessor {
+      static topic = 'orders.v1';
+    }
+    class MultiProcessor {
+      static topics = ['orders', /^orders\..+/];
+    }
+    const instance = new OrdersProcessor();
+    instance.topic = 'detected-from-file';
+
+    expect(getDeclaredTopics(OrdersProcessor)).toEqual(['orders.v1']);
+    expect(getDeclaredTopics(instance)).toEqual(['orders.v1']);
+    expect(getDeclaredTopics(new MultiProcessor())).toEqual(['orders', /^orders\..+/]);
+  });
+
+  it('should read declarations from plain processor objects', () => {
+    expect(getDeclaredTopics({ topics: 'audit', process: () => {} })).toEqual(['audit']);
+    expect(getDeclaredTopics({ process: () => {} })).toBeNull();
+    expect(getDeclaredTopics(null)).toBeNull();
+  });
+
+  it('should reject invalid declarations', () => {
+    expect(() => getDeclaredTopics({ topics: [] })).toThrow('Processor declares an empty topics list');
+    expect(() => getDeclaredTopics({ topics: ['orders', 42] })).toThrow('Processor topics must be non-empty strings or RegExps, got 42');
+  });
+});
+
+describe('matchesTopic', () => {
+  it('should match names exactly and patterns by test', () => {
+    const global = /^events\./g;
+
+    expect(matchesTopic('orders', 'orders')).toBe(true);
+    expect(matchesTopic('orders', 'orders.v1')).toBe(false);
+    expect(matchesTopic(global, 'events.a')).toBe(true);
+    expect(matchesTopic(global, 'events.b')).toBe(true);
+    expect(matchesTopic(global, 'orders')).toBe(false);
+  });
+});
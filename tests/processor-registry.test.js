@@ -10,7 +10,10 @@ jest.mock('winston', () => ({
     info: jest.fn(),
     error: jest.fn(),
     debug: jest.fn(),
-    warn: jest.fn()
+    warn: jest.fn(),
+    child: jest.fn(function () {
+      return this;
+    })
   }),
   format: {
     combine: jest.fn(),
@@ -75,6 +78,7 @@ describe('ProcessorRegistry', () => {
       expect(defaultRegistry.autoRefresh).toBe(true);
       expect(defaultRegistry.refreshInterval).toBe(5000);
       expect(defaultRegistry.fileExtensions).toEqual(['.js']);
+      defaultRegistry.stopAutoRefresh();
     });
 
     it('should create instance with custom configuration', () => {
@@ -94,6 +98,7 @@ describe('ProcessorRegistry', () => {
     it('should start auto-refresh when enabled', () => {
       const autoRefreshRegistry = new ProcessorRegistry({ autoRefresh: true });
       expect(autoRefreshRegistry.refreshTimer).toBeDefined();
+      expect(autoRefreshRegistry.refreshTimer.hasRef()).toBe(false);
       autoRefreshRegistry.stopAutoRefresh();
     });
   });
@@ -271,6 +276,109 @@ describe('ProcessorRegistry', () => {
     });
   });
 
+  describe('missing topics', () => {
+    beforeEach(() => {
+      fs.readdirSync.mockReturnValue(['new-topic.js']);
+      fs.existsSync.mockImplementation(file => !String(file).endsWith('.schema.json'));
+      jest.spyOn(registry, 'loadProcessorFromFile').mockReturnValue(mockProcessor);
+    });
+
+    it('should wait for missing topics by default', async () => {
+      const pendingListener = jest.fn();
+      registry.on('processor:pending', pendingListener);
+
+      const result = await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+
+      expect(result.discovered).toBe(0);
+      expect(registry.getPendingTopics()).toEqual([
+        expect.objectContaining({ topic: 'new-topic', status: 'waiting', checks: 1 })
+      ]);
+      expect(pendingListener).toHaveBeenCalledWith(expect.objectContaining({ topic: 'new-topic', status: 'waiting' }));
+      expect(registry.topicPollTimer).not.toBeNull();
+    });
+
+    it('should register waiting processors once their topic exists', async () => {
+      await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+      const registeredListener = jest.fn();
+      registry.on('processor:registered', registeredListener);
+
+      mockKafkaAccessor.admin.listTopics.mockResolvedValue(['test-processor', 'new-topic']);
+      const ready = await registry.checkPendingTopics();
+
+      expect(ready).toEqual(['new-topic']);
+      expect(registry.hasProcessor('new-topic')).toBe(true);
+      expect(registeredListener).toHaveBeenCalledWith(expect.objectContaining({ topic: 'new-topic' }));
+      expect(registry.getPendingTopics()).toEqual([]);
+
+      await registry.checkPendingTopics();
+      expect(registry.topicPollTimer).toBeNull();
+    });
+
+    it('should keep waiting while the topic is missing', async () => {
+      await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+
+      const ready = await registry.checkPendingTopics();
+
+      expect(ready).toEqual([]);
+      expect(registry.hasProcessor('new-topic')).toBe(false);
+      expect(registry.getPendingTopics()[0].checks).toBe(2);
+    });
+
+    it('should create missing topics with the create policy', async () => {
+      registry = new ProcessorRegistry({
+        processorsDir: './test-processors',
+        autoRefresh: false,
+        missingTopicPolicy: 'create',
+        topicConfig: { numPartitions: 6, replicationFactor: 3 }
+      });
+      jest.spyOn(registry, 'loadProcessorFromFile').mockReturnValue(mockProcessor);
+      mockKafkaAccessor.createTopic = jest.fn().mockResolvedValue(true);
+
+      const result = await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+
+      expect(mockKafkaAccessor.createTopic).toHaveBeenCalledWith('new-topic', { numPartitions: 6, replicationFactor: 3 });
+      expect(result.discovered).toBe(1);
+      expect(registry.hasProcessor('new-topic')).toBe(true);
+    });
+
+    it('should wait when topic creation fails', async () => {
+      registry = new ProcessorRegistry({ processorsDir: './test-processors', autoRefresh: false, missingTopicPolicy: 'create' });
+      jest.spyOn(registry, 'loadProcessorFromFile').mockReturnValue(mockProcessor);
+      mockKafkaAccessor.createTopic = jest.fn().mockRejectedValue(new Error('Topic authorization failed'));
+
+      await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+
+      expect(registry.getPendingTopics()).toEqual([
+        expect.objectContaining({ topic: 'new-topic', status: 'waiting', error: 'Topic authorization failed' })
+      ]);
+    });
+
+    it('should record skipped processors without polling', async () => {
+      registry = new ProcessorRegistry({ processorsDir: './test-processors', autoRefresh: false, missingTopicPolicy: 'skip' });
+      jest.spyOn(registry, 'loadProcessorFromFile').mockReturnValue(mockProcessor);
+
+      await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+
+      expect(registry.getPendingTopics()).toEqual([expect.objectContaining({ topic: 'new-topic', status: 'skipped' })]);
+      expect(registry.topicPollTimer).toBeNull();
+    });
+
+    it('should forget pending processors whose file was removed', async () => {
+      await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+
+      fs.readdirSync.mockReturnValue([]);
+      fs.existsSync.mockImplementation(file => !String(file).endsWith('new-topic.js'));
+      await registry.autoDiscoverProcessors();
+
+      expect(registry.getPendingTopics()).toEqual([]);
+    });
+
+    it('should reject unknown policies', () => {
+      expect(() => new ProcessorRegistry({ autoRefresh: false, missingTopicPolicy: 'ignore' }))
+        .toThrow('Invalid missing topic policy: ignore');
+    });
+  });
+
   describe('registerProcessor', () => {
     it('should register processor successfully', () => {
       const result = registry.registerProcessor('test-topic', mockProcessor);
@@ -651,12 +759,14 @@ describe('ProcessorRegistry', () => {
       const message = { data: 'test' };
       const metadata = { topic: 'test-topic', partition: 0, offset: 123 };
       
-      const result = await registry.processMessage('test-topic', message, metadata);
+      const context = { ack: jest.fn() };
+      
+      const result = await registry.processMessage('test-topic', message, metadata, context);
       
       expect(result.status).toBe('success');
       expect(result.topic).toBe('test-topic');
       expect(result.processor).toBe('Object');
-      expect(mockProcessor.process).toHaveBeenCalledWith('test-topic', message, metadata);
+      expect(mockProcessor.process).toHaveBeenCalledWith('test-topic', message, metadata, context);
     });
 
     it('should handle missing processor gracefully', async () => {
@@ -687,6 +797,112 @@ describe('ProcessorRegistry', () => {
     });
   });
 
+  describe('schema validation', () => {
+    const orderSchema = {
+      type: 'object',
+      required: ['id', 'amount'],
+      properties: {
+        id: { type: 'string' },
+        amount: { type: 'number', minimum: 0 }
+      }
+    };
+
+    it('should validate messages against a static schema before processing', async () => {
+      registry.registerProcessor('orders', { ...mockProcessor, schema: orderSchema });
+
+      const result = await registry.processMessage('orders', { id: 1, amount: -5 }, {});
+
+      expect(result.status).toBe('error');
+      expect(result.error.name).toBe('SchemaValidationError');
+      expect(result.error.retryable).toBe(false);
+      expect(result.validationErrors).toEqual([
+        expect.objectContaining({ path: '/id', keyword: 'type', message: 'must be string' }),
+        expect.objectContaining({ path: '/amount', keyword: 'minimum', message: 'must be >= 0' })
+      ]);
+      expect(mockProcessor.process).not.toHaveBeenCalled();
+      expect(registry.getRegistryStats().invalidMessages).toBe(1);
+    });
+
+    it('should keep validating after a processor with an $id schema is replaced', async () => {
+      const schema = { ...orderSchema, $id: 'https://example.com/order.json' };
+      registry.registerProcessor('orders', { ...mockProcessor, schema });
+
+      const updated = await registry.updateProcessor('orders', { ...mockProcessor, schema: { ...schema, required: ['id'] } });
+
+      expect(updated.success).toBe(true);
+      expect(registry.validateMessage('orders', { id: 'o-1' }).valid).toBe(true);
+    });
+
+    it('should process valid messages and tombstones', async () => {
+      registry.registerProcessor('orders', { ...mockProcessor, schema: orderSchema });
+
+      await registry.processMessage('orders', { id: 'o-1', amount: 5 }, {});
+      await registry.processMessage('orders', null, { tombstone: true });
+
+      expect(mockProcessor.process).toHaveBeenCalledTimes(2);
+    });
+
+    it('should load the schema from a sibling schema file', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify(orderSchema));
+
+      registry.registerProcessor('orders', mockProcessor, { schemaFile: './test-processors/orders.schema.json' });
+
+      expect(fs.readFileSync).toHaveBeenCalledWith('./test-processors/orders.schema.json', 'utf8');
+      expect(registry.validateMessage('orders', { id: 'o-1' })).toEqual({
+        valid: false,
+        errors: [expect.objectContaining({ path: '/', keyword: 'required' })]
+      });
+      expect(registry.getProcessorInfo('orders').hasSchema).toBe(true);
+    });
+
+    it('should refuse to register processors with unreadable or invalid schemas', () => {
+      fs.readFileSync.mockReturnValue('{ not json');
+
+      const unreadable = registry.registerProcessor('orders', mockProcessor, { schemaFile: 'orders.schema.json' });
+      const invalid = registry.registerProcessor('orders', { ...mockProcessor, schema: { type: 'nope' } });
+
+      expect(unreadable.success).toBe(false);
+      expect(unreadable.error).toContain('Could not read schema file orders.schema.json');
+      expect(invalid.success).toBe(false);
+      expect(invalid.error).toContain('Invalid JSON Schema for topic orders');
+      expect(registry.hasProcessor('orders')).toBe(false);
+    });
+
+    it('should log and continue when the action is log', async () => {
+      const eventSpy = jest.fn();
+      registry.on('message:invalid', eventSpy);
+      registry.registerProcessor('orders', { ...mockProcessor, schema: orderSchema, onInvalid: 'log' });
+
+      const result = await registry.processMessage('orders', {}, {});
+
+      expect(result.status).toBe('success');
+      expect(eventSpy).toHaveBeenCalledWith(expect.objectContaining({ topic: 'orders', action: 'log' }));
+    });
+
+    it('should ask for dead-lettering when the action is dead-letter', async () => {
+      const dlqRegistry = new ProcessorRegistry({ autoRefresh: false, invalidMessageAction: 'dlq' });
+      dlqRegistry.registerProcessor('orders', { ...mockProcessor, schema: orderSchema });
+
+      const result = await dlqRegistry.processMessage('orders', {}, {});
+
+      expect(result.status).toBe('error');
+      expect(result.error.failureMode).toBe('dead-letter');
+    });
+
+    it('should drop the schema when the processor is removed', () => {
+      registry.registerProcessor('orders', { ...mockProcessor, schema: orderSchema });
+
+      registry.deregisterProcessor('orders');
+
+      expect(registry.validateMessage('orders', {}).valid).toBe(true);
+    });
+
+    it('should reject unknown invalid-message actions', () => {
+      expect(() => new ProcessorRegistry({ autoRefresh: false, invalidMessageAction: 'ignore' }))
+        .toThrow('Invalid message action: ignore');
+    });
+  });
+
   describe('auto-refresh functionality', () => {
     it('should start and stop auto-refresh', () => {
       const autoRefreshRegistry = new ProcessorRegistry({ autoRefresh: true });
@@ -745,4 +961,1238 @@ describe('ProcessorRegistry', () => {
       );
     });
   });
+
+  describe('processBatch', () => {
+    const entry = (offset, message) => ({ message, metadata: { offset } });
+    let batchProcessor;
+
+    beforeEach(() => {
+      batchProcessor = {
+        ...mockProcessor,
+        processBatch: jest.fn().mockResolvedValue({ status: 'success' })
+      };
+    });
+
+    it('should pass every message to processBatch', async () => {
+      registry.registerProcessor('orders', batchProcessor);
+      const entries = [entry('0', { id: 'a' }), entry('1', null)];
+
+      const result = await registry.processBatch('orders', entries, { size: 2 });
+
+      expect(batchProcessor.processBatch).toHaveBeenCalledWith(entries, { size: 2 });
+      expect(result).toEqual({ status: 'success', processed: 2, failed: [] });
+    });
+
+    it('should report the failures processBatch returns', async () => {
+      batchProcessor.processBatch.mockResolvedValue({
+        failed: [{ offset: '1', error: 'Duplicate key', retryable: false }, { offset: '9', error: 'Not in batch' }]
+      });
+      registry.registerProcessor('orders', batchProcessor);
+
+      const result = await registry.processBatch('orders', [entry('0', { id: 'a' }), entry('1', { id: 'b' })], {});
+
+      expect(result.status).toBe('partial');
+      expect(result.processed).toBe(1);
+      expect(result.failed).toHaveLength(1);
+      expect(result.failed[0].offset).toBe('1');
+      expect(result.failed[0].error.message).toBe('Duplicate key');
+      expect(result.failed[0].error.retryable).toBe(false);
+    });
+
+    it('should fail every message when processBatch throws or returns an error', async () => {
+      batchProcessor.processBatch.mockRejectedValueOnce(new Error('Connection lost'));
+      registry.registerProcessor('orders', batchProcessor);
+      const entries = [entry('0', { id: 'a' }), entry('1', { id: 'b' })];
+
+      const thrown = await registry.processBatch('orders', entries, {});
+      expect(thrown.status).toBe('error');
+      expect(thrown.failed.map(failure => failure.error.message)).toEqual(['Connection lost', 'Connection lost']);
+
+      batchProcessor.processBatch.mockResolvedValueOnce({ status: 'error', message: 'Bulk insert failed' });
+      const returned = await registry.processBatch('orders', entries, {});
+      expect(returned.failed.map(failure => failure.error.message)).toEqual(['Bulk insert failed', 'Bulk insert failed']);
+    });
+
+    it('should leave messages that fail the schema out of the batch', async () => {
+      registry.registerProcessor('orders', {
+        ...batchProcessor,
+        schema: { type: 'object', required: ['id'] }
+      });
+
+      const result = await registry.processBatch('orders', [entry('0', { id: 'a' }), entry('1', {})], {});
+
+      expect(batchProcessor.processBatch).toHaveBeenCalledWith([entry('0', { id: 'a' })], {});
+      expect(result.failed).toEqual([{ offset: '1', error: expect.objectContaining({ name: 'SchemaValidationError' }) }]);
+    });
+
+    it('should fail the batch when the topic has no batch processor', async () => {
+      registry.registerProcessor('orders', mockProcessor);
+
+      const result = await registry.processBatch('orders', [entry('0', { id: 'a' })], {});
+
+      expect(result.status).toBe('error');
+      expect(result.failed[0].error.message).toBe('No batch processor found for topic: orders');
+    });
+  });
+
+  describe('processor outputs', () => {
+    let owner;
+    let outputProcessor;
+    const metadata = {
+      topic: 'orders',
+      partition: 0,
+      offset: '7',
+      headers: { 'correlation-id': 'corr-1', 'message-id': 'msg-7', 'tenant-id': 'acme' }
+    };
+
+    beforeEach(() => {
+      owner = { sendBatch: jest.fn().mockResolvedValue([]) };
+      registry = new ProcessorRegistry({ processorsDir: './test-processors', autoRefresh: false, kafkaAccessor: owner });
+      outputProcessor = {
+        ...mockProcessor,
+        process: jest.fn().mockResolvedValue({
+          status: 'success',
+          outputs: [
+            { topic: 'orders-enriched', key: 'o-1', value: { id: 1, total: 10 } },
+            { topic: 'audit', value: 'order o-1 enriched', headers: { source: 'orders' } },
+            { topic: 'orders-enriched', key: 'o-1', value: null }
+          ]
+        })
+      };
+    });
+
+    it('should produce output records through the owning accessor with the input correlation id', async () => {
+      registry.registerProcessor('orders', outputProcessor);
+
+      const result = await registry.processMessage('orders', { id: 1 }, metadata, {});
+
+      expect(result.status).toBe('success');
+      expect(owner.sendBatch).toHaveBeenCalledWith([
+        {
+          topic: 'orders-enriched',
+          messages: [
+            { topic: 'orders-enriched', key: 'o-1', value: { id: 1, total: 10 } },
+            { topic: 'orders-enriched', key: 'o-1', value: null }
+          ]
+        },
+        { topic: 'audit', messages: [{ topic: 'audit', value: 'order o-1 enriched', headers: { source: 'orders' } }] }
+      ], { headers: { 'correlation-id': 'corr-1' }, correlationId: 'corr-1' });
+      expect(registry.getRegistryStats().outputMessages).toBe(3);
+    });
+
+    it('should start a correlation chain from the input message id and copy propagateHeaders', async () => {
+      outputProcessor.propagateHeaders = ['tenant-id'];
+      registry.registerProcessor('orders', outputProcessor);
+
+      await registry.processMessage('orders', { id: 1 }, { ...metadata, headers: { 'message-id': 'msg-7', 'tenant-id': 'acme' } }, {});
+
+      expect(owner.sendBatch).toHaveBeenCalledWith(expect.any(Array), {
+        headers: { 'tenant-id': 'acme', 'correlation-id': 'msg-7' },
+        correlationId: 'msg-7'
+      });
+    });
+
+    it('should send records without a topic to the processor outputTopic', async () => {
+      outputProcessor.outputTopic = 'orders-enriched';
+      outputProcessor.process.mockResolvedValue({ status: 'success', outputs: [{ value: { id: 1 } }] });
+      registry.registerProcessor('orders', outputProcessor);
+
+      await registry.processMessage('orders', { id: 1 }, metadata, {});
+
+      expect(owner.sendBatch.mock.calls[0][0]).toEqual([{ topic: 'orders-enriched', messages: [{ value: { id: 1 } }] }]);
+    });
+
+    it('should produce through the exactly-once transaction when there is one', async () => {
+      const transaction = { sendBatch: jest.fn().mockResolvedValue([]) };
+      registry.registerProcessor('orders', outputProcessor);
+
+      await registry.processMessage('orders', { id: 1 }, metadata, { transaction });
+
+      expect(transaction.sendBatch).toHaveBeenCalled();
+      expect(owner.sendBatch).not.toHaveBeenCalled();
+    });
+
+    it('should not produce outputs of failed results', async () => {
+      outputProcessor.process.mockResolvedValue({ status: 'error', message: 'Lookup failed', outputs: [{ topic: 'audit', value: 1 }] });
+      registry.registerProcessor('orders', outputProcessor);
+
+      const result = await registry.processMessage('orders', { id: 1 }, metadata, {});
+
+      expect(result.status).toBe('error');
+      expect(owner.sendBatch).not.toHaveBeenCalled();
+    });
+
+    it('should fail the message when outputs cannot be produced', async () => {
+      owner.sendBatch.mockRejectedValue(new Error('Broker unavailable'));
+      registry.registerProcessor('orders', outputProcessor);
+
+      const result = await registry.processMessage('orders', { id: 1 }, metadata, {});
+
+      expect(result.status).toBe('error');
+      expect(result.message).toBe('Broker unavailable');
+    });
+
+    it('should reject output records without a topic or value as non-retryable', async () => {
+      outputProcessor.process.mockResolvedValue({ status: 'success', outputs: [{ key: 'o-1' }] });
+      registry.registerProcessor('orders', outputProcessor);
+
+      const result = await registry.processMessage('orders', { id: 1 }, metadata, {});
+
+      expect(result.status).toBe('error');
+      expect(result.error.retryable).toBe(false);
+      expect(owner.sendBatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processor context', () => {
+    const processorPath = require('path').resolve('./test-processors/orders.js');
+    let owner;
+
+    beforeEach(() => {
+      owner = {
+        sendMessage: jest.fn().mockResolvedValue([]),
+        sendMessages: jest.fn().mockResolvedValue([]),
+        sendBatch: jest.fn().mockResolvedValue([])
+      };
+      registry = new ProcessorRegistry({
+        processorsDir: './test-processors',
+        autoRefresh: false,
+        kafkaAccessor: owner,
+        resources: { db: 'pool' }
+      });
+      fs.existsSync.mockImplementation(file => file.endsWith('orders.config.json'));
+      fs.readFileSync.mockReturnValue('{"apiUrl":"http://file","retries":2}');
+    });
+
+    afterEach(() => {
+      delete process.env.PROCESSOR_CONFIG_ORDERS_API_URL;
+    });
+
+    it('should construct processors from files with their context', () => {
+      jest.doMock(processorPath, () => class OrdersProcessor {
+        static config = { apiUrl: 'http://default', timeout: 100 };
+
+        constructor(context) {
+          this.context = context;
+        }
+
+        process() {}
+      }, { virtual: true });
+      process.env.PROCESSOR_CONFIG_ORDERS_API_URL = 'http://env';
+
+      const processor = registry.loadProcessorFromFile('./test-processors/orders.js');
+
+      expect(processor.context.topic).toBe('orders');
+      expect(processor.context.config).toEqual({ apiUrl: 'http://env', retries: 2, timeout: 100 });
+      expect(processor.context.resources).toEqual({ db: 'pool' });
+      expect(processor.context.logger).toBeDefined();
+      expect(processor.context.signal.aborted).toBe(false);
+      expect(registry.getProcessorContext('orders')).toBe(processor.context);
+    });
+
+    it('should not load processors whose config file is invalid', () => {
+      jest.doMock(processorPath, () => class OrdersProcessor {
+        process() {}
+      }, { virtual: true });
+      fs.readFileSync.mockReturnValue('{ not json');
+
+      expect(registry.loadProcessorFromFile('./test-processors/orders.js')).toBeNull();
+    });
+
+    it('should bind send helpers to the owning accessor', async () => {
+      registry.registerProcessor('orders', mockProcessor);
+      const context = registry.getProcessorContext('orders');
+
+      await context.send('audit', { id: 1 }, { key: 'a' });
+      await context.sendMessages('audit', [{ value: 1 }]);
+
+      expect(owner.sendMessage).toHaveBeenCalledWith('audit', { id: 1 }, { key: 'a' });
+      expect(owner.sendMessages).toHaveBeenCalledWith('audit', [{ value: 1 }], undefined);
+    });
+
+    it('should share resources registered later with existing contexts', () => {
+      const context = registry.getProcessorContext('orders');
+
+      registry.registerResource('cache', 'redis');
+
+      expect(context.resources.cache).toBe('redis');
+      expect(registry.getResource('cache')).toBe('redis');
+      expect(registry.removeResource('cache')).toBe(true);
+      expect(context.resources.cache).toBeUndefined();
+      expect(() => registry.registerResource('', 'x')).toThrow('Resource name must be a valid string');
+    });
+
+    it('should abort the signal on shutdown and hand out a fresh one once processing starts again', () => {
+      const context = registry.getProcessorContext('orders');
+      const signal = context.signal;
+
+      registry.signalShutdown();
+
+      expect(signal.aborted).toBe(true);
+      expect(context.signal.aborted).toBe(true);
+      expect(registry.isShuttingDown()).toBe(true);
+
+      registry.resetShutdownSignal();
+      expect(context.signal.aborted).toBe(false);
+      expect(signal.aborted).toBe(true);
+      expect(registry.isShuttingDown()).toBe(false);
+    });
+
+    it('should forget the context when the processor is deregistered', () => {
+      registry.registerProcessor('orders', mockProcessor);
+      const context = registry.getProcessorContext('orders');
+
+      registry.deregisterProcessor('orders');
+
+      expect(registry.getProcessorContext('orders')).not.toBe(context);
+    });
+  });
+
+  describe('processor lifecycle', () => {
+    const processorPath = require('path').resolve('./test-processors/test-processor.js');
+    let lifecycleProcessor;
+
+    beforeEach(() => {
+      lifecycleProcessor = {
+        process: jest.fn().mockResolvedValue({ status: 'success' }),
+        init: jest.fn().mockResolvedValue(),
+        destroy: jest.fn().mockResolvedValue(),
+        healthCheck: jest.fn().mockResolvedValue({ healthy: true, pool: 'ok' })
+      };
+    });
+
+    it('should route messages only after init resolves', async () => {
+      let finishInit;
+      lifecycleProcessor.init.mockReturnValue(new Promise(resolve => {
+        finishInit = resolve;
+      }));
+
+      registry.registerProcessor('orders', lifecycleProcessor);
+      const processing = registry.processMessage('orders', { id: 1 }, {});
+      await Promise.resolve();
+
+      expect(lifecycleProcessor.init).toHaveBeenCalledWith(registry.getProcessorContext('orders'));
+      expect(lifecycleProcessor.process).not.toHaveBeenCalled();
+      expect(registry.getProcessorHealth().processors.orders).toEqual(expect.objectContaining({ status: 'initializing', healthy: false }));
+
+      finishInit();
+      await expect(processing).resolves.toEqual(expect.objectContaining({ status: 'success' }));
+      expect(registry.getProcessorHealth().processors.orders.status).toBe('active');
+    });
+
+    it('should not activate a processor whose init fails', async () => {
+      const errorHandler = jest.fn();
+      registry.on('processor:error', errorHandler);
+      lifecycleProcessor.init.mockRejectedValue(new Error('database unreachable'));
+
+      registry.registerProcessor('orders', lifecycleProcessor);
+      const result = await registry.processMessage('orders', { id: 1 }, {});
+
+      expect(result).toEqual(expect.objectContaining({ status: 'error', message: 'No processor found for topic: orders' }));
+      expect(registry.hasProcessor('orders')).toBe(false);
+      expect(lifecycleProcessor.process).not.toHaveBeenCalled();
+      expect(lifecycleProcessor.destroy).not.toHaveBeenCalled();
+      expect(errorHandler).toHaveBeenCalledWith(expect.objectContaining({ topic: 'orders', action: 'init', error: 'database unreachable' }));
+    });
+
+    it('should keep the running processor when a reloaded file fails to initialize', async () => {
+      registry.registerProcessor('test-processor', lifecycleProcessor);
+      await registry.waitForProcessor('test-processor');
+      jest.doMock(processorPath, () => class BrokenProcessor {
+        async init() {
+          throw new Error('bad credentials');
+        }
+
+        process() {}
+      }, { virtual: true });
+
+      const result = await registry.autoDiscoverProcessors({ forceRefresh: true, kafkaAccessor: mockKafkaAccessor });
+
+      expect(result.errors).toBe(1);
+      expect(registry.getProcessor('test-processor')).toBe(lifecycleProcessor);
+      expect(lifecycleProcessor.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should destroy processors on deregister, update and clear', async () => {
+      const replacement = { ...lifecycleProcessor, destroy: jest.fn().mockResolvedValue() };
+      const other = { ...lifecycleProcessor, destroy: jest.fn().mockResolvedValue() };
+
+      registry.registerProcessor('orders', lifecycleProcessor);
+      registry.updateProcessor('orders', replacement);
+      registry.registerProcessor('refunds', other);
+      registry.deregisterProcessor('refunds');
+      registry.clear();
+      await registry.shutdown();
+
+      expect(lifecycleProcessor.destroy).toHaveBeenCalledWith('updated');
+      expect(other.destroy).toHaveBeenCalledWith('deregistered');
+      expect(replacement.destroy).toHaveBeenCalledWith('cleared');
+    });
+
+    it('should destroy processors on shutdown and initialize them again for later messages', async () => {
+      registry.registerProcessor('orders', lifecycleProcessor);
+      const signal = registry.getProcessorContext('orders').signal;
+
+      await registry.shutdown();
+
+      expect(signal.aborted).toBe(true);
+      expect(registry.getProcessorContext('orders').signal.aborted).toBe(true);
+      expect(lifecycleProcessor.destroy).toHaveBeenCalledWith('shutdown');
+      expect(registry.hasProcessor('orders')).toBe(true);
+
+      await registry.processMessage('orders', { id: 1 }, {});
+      expect(registry.getProcessorContext('orders').signal.aborted).toBe(false);
+
+      expect(lifecycleProcessor.init).toHaveBeenCalledTimes(2);
+      expect(lifecycleProcessor.process).toHaveBeenCalledTimes(1);
+    });
+
+    it('should log destroy errors instead of throwing them', async () => {
+      lifecycleProcessor.destroy.mockRejectedValue(new Error('close failed'));
+      registry.registerProcessor('orders', lifecycleProcessor);
+
+      registry.deregisterProcessor('orders');
+      await registry.shutdown();
+
+      expect(registry.logger.error).toHaveBeenCalledWith('Error destroying processor for topic', expect.objectContaining({
+        topic: 'orders',
+        error: 'close failed'
+      }));
+    });
+
+    it('should roll up health check results', async () => {
+      const failing = { ...lifecycleProcessor, healthCheck: jest.fn().mockRejectedValue(new Error('pool exhausted')) };
+      const unhealthy = { ...lifecycleProcessor, healthCheck: jest.fn().mockResolvedValue(false) };
+      registry.registerProcessor('orders', lifecycleProcessor);
+      registry.registerProcessor('refunds', failing);
+      registry.registerProcessor('invoices', unhealthy);
+      registry.registerProcessor('plain', mockProcessor);
+      await Promise.all(['orders', 'refunds', 'invoices', 'plain'].map(topic => registry.waitForProcessor(topic)));
+
+      const health = await registry.checkProcessorHealth();
+
+      expect(health.healthy).toBe(false);
+      expect(health.processors.orders).toEqual(expect.objectContaining({ status: 'active', healthy: true, pool: 'ok' }));
+      expect(health.processors.refunds).toEqual(expect.objectContaining({ healthy: false, error: 'pool exhausted' }));
+      expect(health.processors.invoices.healthy).toBe(false);
+      expect(health.processors.plain.healthy).toBe(true);
+
+      registry.deregisterProcessor('refunds');
+      registry.deregisterProcessor('invoices');
+      expect(registry.getProcessorHealth().healthy).toBe(true);
+    });
+
+    it('should time out hanging health checks', async () => {
+      registry = new ProcessorRegistry({ processorsDir: './test-processors', autoRefresh: false, healthCheckTimeout: 10 });
+      lifecycleProcessor.healthCheck.mockReturnValue(new Promise(() => {}));
+      registry.registerProcessor('orders', lifecycleProcessor);
+      await registry.waitForProcessor('orders');
+
+      const health = await registry.checkProcessorHealth();
+
+      expect(health.processors.orders).toEqual(expect.objectContaining({ healthy: false, error: 'Health check timed out after 10ms' }));
+    });
+  });
+
+  describe('topic declarations', () => {
+    const processorPath = require('path').resolve('./test-processors/orders.js');
+
+    beforeEach(() => {
+      // Each test mocks the processor file with a different class
+      jest.resetModules();
+      fs.readdirSync.mockReturnValue(['orders.js']);
+      fs.existsSync.mockImplementation(file => !String(file).endsWith('.json'));
+      mockKafkaAccessor.admin.listTopics.mockResolvedValue(['orders.v1', 'orders', 'orders.retry']);
+    });
+
+    it('should register file processors for their declared topic', async () => {
+      jest.doMock(processorPath, () => class OrdersProcessor {
+        static topic = 'orders.v1';
+
+        constructor(context) {
+          this.context = context;
+        }
+
+        process() {}
+      }, { virtual: true });
+
+      const result = await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+
+      expect(result.discovered).toBe(1);
+      expect(registry.getAvailableTopics()).toEqual(['orders.v1']);
+      expect(registry.getProcessor('orders.v1').context.topic).toBe('orders.v1');
+    });
+
+    it('should register one processor for every declared topic', async () => {
+      const destroy = jest.fn();
+      jest.doMock(processorPath, () => class OrdersProcessor {
+        static topics = ['orders', 'orders.retry'];
+
+        process() {}
+
+        destroy(reason) {
+          destroy(reason);
+        }
+      }, { virtual: true });
+
+      await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+
+      expect(registry.getAvailableTopics()).toEqual(['orders', 'orders.retry']);
+      expect(registry.getProcessor('orders')).toBe(registry.getProcessor('orders.retry'));
+
+      registry.deregisterProcessor('orders');
+      await registry.shutdown();
+      expect(destroy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait for declared topics that do not exist yet', async () => {
+      mockKafkaAccessor.admin.listTopics.mockResolvedValue(['orders']);
+      jest.doMock(processorPath, () => class OrdersProcessor {
+        static topics = ['orders', 'orders.retry'];
+
+        process() {}
+      }, { virtual: true });
+
+      await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+
+      expect(registry.getAvailableTopics()).toEqual(['orders']);
+      expect(registry.getPendingTopics()).toEqual([expect.objectContaining({ topic: 'orders.retry', status: 'waiting' })]);
+
+      mockKafkaAccessor.admin.listTopics.mockResolvedValue(['orders', 'orders.retry']);
+      await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+
+      expect(registry.getAvailableTopics()).toEqual(['orders', 'orders.retry']);
+      registry.stopTopicPolling();
+    });
+
+    it('should deregister topics a reloaded file no longer declares', async () => {
+      jest.doMock(processorPath, () => class OrdersProcessor {
+        static topic = 'orders';
+
+        process() {}
+      }, { virtual: true });
+      await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+
+      jest.resetModules();
+      jest.doMock(processorPath, () => class OrdersProcessor {
+        static topic = 'orders.v1';
+
+        process() {}
+      }, { virtual: true });
+      await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor, forceRefresh: true });
+
+      expect(registry.getAvailableTopics()).toEqual(['orders.v1']);
+    });
+
+    it('should register pattern declarations as pattern subscriptions', async () => {
+      jest.doMock(processorPath, () => class EventsProcessor {
+        static topics = /^events\..+/;
+
+        process() {}
+      }, { virtual: true });
+
+      const result = await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+
+      expect(result.discovered).toBe(1);
+      expect(registry.getAvailableTopics()).toEqual([/^events\..+/]);
+      expect(registry.getPendingTopics()).toEqual([]);
+      expect(registry.hasProcessor('events.tenant-1')).toBe(true);
+      expect(registry.getProcessorInfo(/^events\..+/)).toEqual(expect.objectContaining({ topic: '/^events\\..+/', pattern: true }));
+    });
+
+    it('should refuse to register a processor for a topic it does not declare', () => {
+      class OrdersProcessor {
+        static topics = ['orders', /^orders\..+/];
+
+        process() {}
+      }
+
+      expect(registry.registerProcessor('orders.eu', new OrdersProcessor()).success).toBe(true);
+      expect(registry.registerProcessor('payments', new OrdersProcessor())).toEqual(expect.objectContaining({
+        success: false,
+        error: 'Processor declares topics orders, /^orders\\..+/ and cannot be registered for topic: payments'
+      }));
+    });
+  });
+
+  describe('pattern subscriptions', () => {
+    const makeProcessor = name => ({
+      name,
+      process: jest.fn().mockResolvedValue({ status: 'success', handledBy: name })
+    });
+
+    it('should route topics matching a pattern to its processor', async () => {
+      const events = makeProcessor('events');
+      registry.registerProcessor(/^events\..+/, events);
+
+      const result = await registry.processMessage('events.tenant-123', { id: 1 }, { topic: 'events.tenant-123' });
+
+      expect(result.handledBy).toBe('events');
+      expect(events.process).toHaveBeenCalledWith('events.tenant-123', { id: 1 }, { topic: 'events.tenant-123' }, undefined);
+      expect(registry.getProcessorContext('events.tenant-123')).toBe(registry.getProcessorContext(/^events\..+/));
+      expect((await registry.processMessage('orders', { id: 1 }, {})).status).toBe('error');
+    });
+
+    it('should prefer exact topics, then the most specific pattern, whatever the registration order', () => {
+      const broad = makeProcessor('broad');
+      const narrow = makeProcessor('narrow');
+      const exact = makeProcessor('exact');
+      registry.registerProcessor(/^events\./, broad);
+      registry.registerProcessor(/^events\.tenant-\d+$/, narrow);
+      registry.registerProcessor('events.tenant-1', exact);
+
+      expect(registry.getProcessor('events.tenant-1')).toBe(exact);
+      expect(registry.getProcessor('events.tenant-2')).toBe(narrow);
+      expect(registry.getProcessor('events.audit')).toBe(broad);
+    });
+
+    it('should validate messages against the schema of the matching pattern processor', async () => {
+      registry.registerProcessor(/^events\..+/, {
+        process: jest.fn().mockResolvedValue({ status: 'success' }),
+        schema: { type: 'object', required: ['id'] }
+      });
+
+      const result = await registry.processMessage('events.tenant-1', { name: 'x' }, {});
+
+      expect(result.status).toBe('error');
+    });
+
+    it('should deregister patterns by the pattern or its key', () => {
+      registry.registerProcessor(/^events\..+/, makeProcessor('events'));
+      registry.registerProcessor(/^audit\..+/, makeProcessor('audit'));
+
+      expect(registry.deregisterProcessor(/^events\..+/).success).toBe(true);
+      expect(registry.deregisterProcessor('/^audit\\..+/').success).toBe(true);
+      expect(registry.getAvailableTopics()).toEqual([]);
+      expect(registry.hasProcessor('events.tenant-1')).toBe(false);
+    });
+
+    it('should refuse patterns a processor does not declare', () => {
+      class EventsProcessor {
+        static topics = [/^events\..+/];
+
+        process() {}
+      }
+
+      expect(registry.registerProcessor(/^events\..+/, new EventsProcessor()).success).toBe(true);
+      expect(registry.registerProcessor(/^events/, new EventsProcessor()).success).toBe(false);
+    });
+  });
+  describe('multiple processors per topic', () => {
+    const makeProcessor = (name, result = { status: 'success' }) => ({
+      name,
+      process: jest.fn().mockResolvedValue(result),
+      destroy: jest.fn().mockResolvedValue()
+    });
+
+    it('should keep named processors side by side, in priority order', () => {
+      const audit = makeProcessor('audit');
+      const index = makeProcessor('index');
+      const notify = makeProcessor('notify');
+
+      expect(registry.registerProcessor('orders', audit, { name: 'audit' }).action).toBe('registered');
+      expect(registry.registerProcessor('orders', index, { name: 'index', priority: 10 }).action).toBe('registered');
+      registry.registerProcessor('orders', notify, { name: 'notify' });
+
+      expect(registry.getProcessors('orders').map(entry => entry.name)).toEqual(['index', 'audit', 'notify']);
+      expect(registry.getProcessor('orders')).toBe(index);
+      expect(registry.getProcessor('orders', 'notify')).toBe(notify);
+      expect(registry.getAvailableTopics()).toEqual(['orders']);
+    });
+
+    it('should replace a processor registered again under the same name', () => {
+      const audit = makeProcessor('audit');
+      const replacement = makeProcessor('audit-v2');
+      registry.registerProcessor('orders', mockProcessor);
+      registry.registerProcessor('orders', audit, { name: 'audit' });
+
+      expect(registry.registerProcessor('orders', replacement, { name: 'audit' }).action).toBe('updated');
+      expect(registry.registerProcessor('orders', mockProcessor).action).toBe('updated');
+      expect(registry.getProcessors('orders').map(entry => entry.processor)).toEqual([mockProcessor, replacement]);
+    });
+
+    it('should take the name and priority processors declare', () => {
+      class AuditProcessor {
+        static processorName = 'audit';
+        static priority = 5;
+
+        process() {}
+      }
+
+      registry.registerProcessor('orders', mockProcessor);
+      const result = registry.registerProcessor('orders', new AuditProcessor());
+
+      expect(result.name).toBe('audit');
+      expect(registry.getProcessors('orders').map(entry => entry.name)).toEqual(['audit', 'default']);
+    });
+
+    it('should hand messages to every processor one after another and aggregate the results', async () => {
+      const calls = [];
+      const audit = makeProcessor('audit');
+      const index = makeProcessor('index');
+      audit.process.mockImplementation(async () => {
+        calls.push('audit');
+        return { status: 'success', audited: true };
+      });
+      index.process.mockImplementation(async () => {
+        calls.push('index');
+        throw new Error('index unavailable');
+      });
+      registry.registerProcessor('orders', index, { name: 'index', priority: 1 });
+      registry.registerProcessor('orders', audit, { name: 'audit' });
+
+      const result = await registry.processMessage('orders', { id: 1 }, { offset: '1' });
+
+      expect(calls).toEqual(['index', 'audit']);
+      expect(result).toEqual(expect.objectContaining({
+        status: 'partial',
+        message: '1 of 2 processors failed for topic: orders',
+        results: [
+          expect.objectContaining({ name: 'index', status: 'error', message: 'index unavailable' }),
+          expect.objectContaining({ name: 'audit', status: 'success', audited: true })
+        ]
+      }));
+    });
+
+    it('should run processors in parallel when the topic fans out in parallel', async () => {
+      const started = [];
+      let release;
+      const gate = new Promise(resolve => {
+        release = resolve;
+      });
+      const slow = name => ({
+        process: jest.fn(async () => {
+          started.push(name);
+          await gate;
+          return { status: 'success' };
+        })
+      });
+      registry.registerProcessor('orders', slow('audit'), { name: 'audit' });
+      registry.registerProcessor('orders', slow('index'), { name: 'index' });
+      registry.setTopicFanOut('orders', 'parallel');
+
+      const processing = registry.processMessage('orders', { id: 1 }, {});
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(started).toEqual(['audit', 'index']);
+      release();
+      expect((await processing).status).toBe('success');
+      expect(registry.getProcessorInfo('orders').fanOut).toBe('parallel');
+      expect(() => registry.setTopicFanOut('orders', 'random')).toThrow('Invalid fan-out mode: random');
+    });
+
+    it('should run only the named processor, with its own config and schema', async () => {
+      const audit = { process: jest.fn().mockResolvedValue({ status: 'success' }), schema: { type: 'object', required: ['id'] } };
+      const index = { process: jest.fn().mockResolvedValue({ status: 'success' }) };
+      registry.registerProcessor('orders', index, { name: 'index' });
+      registry.registerProcessor('orders', audit, { name: 'audit' });
+      const context = { ack: jest.fn() };
+      fs.existsSync.mockReturnValue(false);
+
+      await registry.processMessage('orders', { name: 'x' }, {}, context, { processor: 'index' });
+      const invalid = await registry.processMessage('orders', { name: 'x' }, {}, context, { processor: 'audit' });
+
+      expect(index.process).toHaveBeenCalledWith('orders', { name: 'x' }, {}, expect.objectContaining({
+        ack: context.ack,
+        config: registry.getProcessorContext('orders', 'index').config
+      }));
+      expect(invalid.status).toBe('error');
+      expect(audit.process).not.toHaveBeenCalled();
+    });
+
+    it('should list every processor of the topic in getProcessorInfo', () => {
+      registry.registerProcessor('orders', makeProcessor('audit'), { name: 'audit' });
+      registry.registerProcessor('orders', makeProcessor('index'), { name: 'index', priority: 2 });
+
+      const info = registry.getProcessorInfo('orders');
+
+      expect(info.processor.name).toBe('index');
+      expect(info.fanOut).toBe('sequential');
+      expect(info.processors).toEqual([
+        expect.objectContaining({ name: 'index', priority: 2, processor: expect.objectContaining({ name: 'index' }) }),
+        expect.objectContaining({ name: 'audit', priority: 0, processor: expect.objectContaining({ name: 'audit' }) })
+      ]);
+    });
+
+    it('should deregister one named processor or all of them', async () => {
+      const audit = makeProcessor('audit');
+      const index = makeProcessor('index');
+      registry.registerProcessor('orders', audit, { name: 'audit' });
+      registry.registerProcessor('orders', index, { name: 'index' });
+
+      expect(registry.deregisterProcessor('orders', { name: 'audit' })).toEqual(expect.objectContaining({ success: true, names: ['audit'] }));
+      expect(registry.getProcessor('orders')).toBe(index);
+      expect(registry.deregisterProcessor('orders', { name: 'audit' }).error).toBe('No processor named audit found for topic: orders');
+
+      registry.registerProcessor('orders', audit, { name: 'audit' });
+      expect(registry.deregisterProcessor('orders').names).toEqual(['index', 'audit']);
+      expect(registry.hasProcessor('orders')).toBe(false);
+
+      await registry.shutdown();
+      expect(index.destroy).toHaveBeenCalledWith('deregistered');
+    });
+
+    it('should report the health of each named processor', async () => {
+      registry.registerProcessor('orders', makeProcessor('orders'));
+      registry.registerProcessor('orders', { process: jest.fn(), healthCheck: jest.fn().mockResolvedValue(false) }, { name: 'audit' });
+      await registry.waitForProcessor('orders', 'audit');
+
+      const health = await registry.checkProcessorHealth();
+
+      expect(health.processors.orders.healthy).toBe(true);
+      expect(health.processors['orders#audit'].healthy).toBe(false);
+      expect(health.healthy).toBe(false);
+    });
+
+    it('should not let batch processors share a topic', () => {
+      registry.registerProcessor('orders', mockProcessor);
+
+      const result = registry.registerProcessor('orders', { process: jest.fn(), processBatch: jest.fn() }, { name: 'bulk' });
+
+      expect(result).toEqual(expect.objectContaining({ success: false, error: 'Batch processors cannot share topic orders with other processors' }));
+    });
+
+    it('should allow one processor per topic in exactly-once mode', () => {
+      const exactlyOnce = new ProcessorRegistry({ autoRefresh: false, exactlyOnce: true });
+      exactlyOnce.registerProcessor('orders', mockProcessor, { name: 'audit' });
+
+      const result = exactlyOnce.registerProcessor('orders', { process: jest.fn() }, { name: 'index' });
+
+      expect(result).toEqual(expect.objectContaining({
+        success: false,
+        error: 'Exactly-once processing allows one processor per topic; orders already has audit'
+      }));
+      expect(exactlyOnce.registerProcessor('orders', { process: jest.fn() }, { name: 'audit' }).success).toBe(true);
+      expect(exactlyOnce.getProcessors('orders')).toHaveLength(1);
+    });
+
+    it('should register files declaring the same topic as processors named after the files', async () => {
+      const path = require('path');
+      jest.resetModules();
+      fs.readdirSync.mockReturnValue(['orders.js', 'orders-audit.js']);
+      fs.existsSync.mockImplementation(file => !String(file).endsWith('.json'));
+      mockKafkaAccessor.admin.listTopics.mockResolvedValue(['orders']);
+      jest.doMock(path.resolve('./test-processors/orders.js'), () => class OrdersProcessor {
+        process() {}
+      }, { virtual: true });
+      jest.doMock(path.resolve('./test-processors/orders-audit.js'), () => class AuditProcessor {
+        static topic = 'orders';
+
+        process() {}
+      }, { virtual: true });
+
+      const result = await registry.autoDiscoverProcessors({ kafkaAccessor: mockKafkaAccessor });
+
+      expect(result.discovered).toBe(2);
+      expect(registry.getProcessors('orders').map(entry => entry.name)).toEqual(['default', 'orders-audit']);
+      expect(registry.getProcessorContext('orders', 'orders-audit').logger).toBeDefined();
+    });
+  });
+  describe('middleware', () => {
+    it('should run global, topic and processor middleware around the processor in order', async () => {
+      const calls = [];
+      const track = label => async (ctx, next) => {
+        calls.push(`${label}:before`);
+        await next();
+        calls.push(`${label}:after`);
+      };
+      const processor = {
+        middleware: [track('processor')],
+        process: jest.fn(async () => {
+          calls.push('process');
+          return { status: 'success' };
+        })
+      };
+      registry.use(track('global')).use('orders', track('orders')).use(/^events\./, track('events'));
+      registry.registerProcessor('orders', processor);
+
+      await registry.processMessage('orders', { id: 1 }, {});
+
+      expect(calls).toEqual(['global:before', 'orders:before', 'processor:before', 'process', 'processor:after', 'orders:after', 'global:after']);
+    });
+
+    it('should let middleware change the message, metadata and result', async () => {
+      registry.use(async (ctx, next) => {
+        ctx.message = { ...ctx.message, enriched: true };
+        ctx.metadata = { ...ctx.metadata, tenant: 'acme' };
+        await next();
+        ctx.result = { ...ctx.result, seenBy: ctx.name };
+      });
+      registry.registerProcessor('orders', mockProcessor);
+
+      const result = await registry.processMessage('orders', { id: 1 }, { offset: '3' });
+
+      expect(mockProcessor.process).toHaveBeenCalledWith('orders', { id: 1, enriched: true }, { offset: '3', tenant: 'acme' }, undefined);
+      expect(result).toEqual(expect.objectContaining({ status: 'success', seenBy: 'default' }));
+    });
+
+    it('should validate the message middleware hands on', async () => {
+      registry.use(async (ctx, next) => {
+        ctx.message = { ...ctx.message, id: 'o-1' };
+        await next();
+      });
+      registry.registerProcessor('orders', { ...mockProcessor, schema: { type: 'object', required: ['id'] } });
+
+      expect((await registry.processMessage('orders', { name: 'x' }, {})).status).toBe('success');
+    });
+
+    it('should let middleware answer without calling the processor', async () => {
+      registry.use('orders', async ctx => {
+        ctx.result = { status: 'success', cached: true };
+      });
+      registry.registerProcessor('orders', mockProcessor);
+
+      const result = await registry.processMessage('orders', { id: 1 }, {});
+
+      expect(result).toEqual(expect.objectContaining({ status: 'success', cached: true }));
+      expect(mockProcessor.process).not.toHaveBeenCalled();
+    });
+
+    it('should let middleware catch processor errors, and report errors it does not catch', async () => {
+      const failing = { process: jest.fn().mockRejectedValue(new Error('boom')) };
+      registry.registerProcessor('orders', failing);
+      registry.registerProcessor('refunds', failing);
+      registry.use('orders', async (ctx, next) => {
+        try {
+          await next();
+        } catch (error) {
+          ctx.result = { status: 'success', recovered: error.message };
+        }
+      });
+
+      expect(await registry.processMessage('orders', {}, {})).toEqual(expect.objectContaining({ status: 'success', recovered: 'boom' }));
+      expect(await registry.processMessage('refunds', {}, {})).toEqual(expect.objectContaining({ status: 'error', message: 'boom' }));
+    });
+
+    it('should run custom handlers inside the middleware', async () => {
+      const handler = jest.fn().mockResolvedValue('done');
+      registry.use(async (ctx, next) => {
+        ctx.message = { ...ctx.message, traced: true };
+        await next();
+      });
+
+      const result = await registry.handleWithMiddleware('audit', { id: 1 }, { offset: '1' }, handler);
+
+      expect(result).toBe('done');
+      expect(handler).toHaveBeenCalledWith({ id: 1, traced: true }, { offset: '1' });
+    });
+
+    it('should refuse invalid middleware', () => {
+      expect(() => registry.use('orders')).toThrow('Middleware must be a function');
+      expect(() => registry.use(42, jest.fn())).toThrow('Middleware topic must be a valid string or RegExp');
+      expect(registry.registerProcessor('orders', { process: jest.fn(), middleware: ['x'] }).error)
+        .toBe('Processor middleware must be an array of functions');
+    });
+  });
+  describe('deduplication', () => {
+    const metadata = (offset, headers = {}) => ({ topic: 'orders', partition: 0, offset, headers });
+
+    it('should skip messages the processor already processed', async () => {
+      const duplicates = jest.fn();
+      registry.on('message:duplicate', duplicates);
+      registry.registerProcessor('orders', { ...mockProcessor, deduplicate: true });
+
+      await registry.processMessage('orders', { id: 1 }, metadata('1', { 'message-id': 'm-1' }));
+      const result = await registry.processMessage('orders', { id: 1 }, metadata('2', { 'message-id': 'm-1' }));
+
+      expect(result).toEqual(expect.objectContaining({ status: 'duplicate', messageId: 'm-1', topic: 'orders' }));
+      expect(mockProcessor.process).toHaveBeenCalledTimes(1);
+      expect(duplicates).toHaveBeenCalledWith({ topic: 'orders', name: 'default', messageId: 'm-1' });
+      expect(registry.getRegistryStats().duplicateMessages).toBe(1);
+    });
+
+    it('should process messages again when processing failed or they carry no id', async () => {
+      mockProcessor.process.mockResolvedValueOnce({ status: 'error', message: 'Nope' });
+      registry.registerProcessor('orders', { ...mockProcessor, deduplicate: { messageId: 'field:order.id' } });
+
+      await registry.processMessage('orders', { order: { id: 7 } }, metadata('1'));
+      await registry.processMessage('orders', { order: { id: 7 } }, metadata('2'));
+      await registry.processMessage('orders', {}, metadata('3'));
+      await registry.processMessage('orders', {}, metadata('4'));
+
+      expect(mockProcessor.process).toHaveBeenCalledTimes(4);
+      expect((await registry.processMessage('orders', { order: { id: 7 } }, metadata('5'))).status).toBe('duplicate');
+    });
+
+    it('should process only one of the copies arriving at the same time', async () => {
+      let finish;
+      const process = jest.fn(() => new Promise(resolve => {
+        finish = () => resolve({ status: 'success' });
+      }));
+      registry.registerProcessor('orders', { process, deduplicate: true });
+
+      const first = registry.processMessage('orders', { id: 1 }, metadata('1', { 'message-id': 'm-1' }));
+      const second = registry.processMessage('orders', { id: 1 }, metadata('2', { 'message-id': 'm-1' }));
+      await new Promise(resolve => setImmediate(resolve));
+      finish();
+
+      expect((await second).status).toBe('duplicate');
+      expect((await first).status).toBe('success');
+      expect(process).toHaveBeenCalledTimes(1);
+    });
+
+    it('should release the reservation when processing throws', async () => {
+      mockProcessor.process.mockRejectedValueOnce(new Error('database down'));
+      registry.registerProcessor('orders', { ...mockProcessor, deduplicate: { messageId: 'offset' } });
+
+      expect((await registry.processMessage('orders', {}, metadata('1'))).status).toBe('error');
+      expect((await registry.processMessage('orders', {}, metadata('1'))).status).toBe('success');
+      expect(mockProcessor.process).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reserve ids for the reservation ttl and keep them for the ttl once processed', async () => {
+      const store = { has: jest.fn(), add: jest.fn().mockResolvedValue(), reserve: jest.fn().mockResolvedValue(true), delete: jest.fn() };
+      registry.registerDedupStore('shared', store);
+      registry.registerProcessor('orders', {
+        ...mockProcessor,
+        deduplicate: { messageId: 'offset', ttl: 5000, reservationTtl: 200, store: 'shared' }
+      });
+
+      await registry.processMessage('orders', {}, metadata('9'));
+
+      expect(store.reserve).toHaveBeenCalledWith('orders:orders:0:9', 200);
+      expect(store.add).toHaveBeenCalledWith('orders:orders:0:9', 5000);
+      expect(store.has).not.toHaveBeenCalled();
+
+      store.reserve.mockResolvedValueOnce(false);
+      expect((await registry.processMessage('orders', {}, metadata('9'))).status).toBe('duplicate');
+      expect(store.delete).not.toHaveBeenCalled();
+    });
+
+    it('should forget processed messages once their ttl runs out', async () => {
+      jest.useFakeTimers({ now: 1000 });
+      try {
+        registry.registerProcessor('orders', { ...mockProcessor, deduplicate: { messageId: 'offset', ttl: 100 } });
+
+        await registry.processMessage('orders', {}, metadata('1'));
+        jest.setSystemTime(1200);
+        await registry.processMessage('orders', {}, metadata('1'));
+
+        expect(mockProcessor.process).toHaveBeenCalledTimes(2);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should deduplicate each processor of a topic on its own', async () => {
+      const audit = { process: jest.fn().mockResolvedValue({ status: 'success' }), deduplicate: true };
+      const index = { process: jest.fn().mockResolvedValue({ status: 'success' }) };
+      registry.registerProcessor('orders', audit, { name: 'audit' });
+      registry.registerProcessor('orders', index, { name: 'index' });
+
+      await registry.processMessage('orders', {}, metadata('1', { 'message-id': 'm-1' }));
+      const result = await registry.processMessage('orders', {}, metadata('2', { 'message-id': 'm-1' }));
+
+      expect(result.status).toBe('success');
+      expect(result.results.map(({ name, status }) => ({ name, status }))).toEqual([
+        { name: 'audit', status: 'duplicate' },
+        { name: 'index', status: 'success' }
+      ]);
+      expect(index.process).toHaveBeenCalledTimes(2);
+    });
+
+    it('should use named stores and stores configured on the registry', async () => {
+      const store = { has: jest.fn().mockResolvedValue(false), add: jest.fn().mockResolvedValue() };
+      registry.registerDedupStore('shared', store);
+      registry.registerProcessor('orders', { ...mockProcessor, deduplicate: { messageId: 'offset', ttl: 5000, store: 'shared' } });
+
+      await registry.processMessage('orders', {}, metadata('9'));
+
+      expect(store.has).toHaveBeenCalledWith('orders:orders:0:9');
+      expect(store.add).toHaveBeenCalledWith('orders:orders:0:9', 5000);
+
+      const configured = new ProcessorRegistry({ autoRefresh: false, dedupStore: store, dedupTtl: 60000 });
+      configured.registerProcessor('refunds', { ...mockProcessor, deduplicate: { messageId: 'field:id' } });
+      await configured.processMessage('refunds', { id: 'r-1' }, {});
+      expect(store.add).toHaveBeenCalledWith('refunds:r-1', 60000);
+    });
+
+    it('should fail the message when the store cannot be read, but not when it cannot be written', async () => {
+      const store = { has: jest.fn().mockRejectedValue(new Error('store down')), add: jest.fn() };
+      registry.registerDedupStore('flaky', store);
+      registry.registerProcessor('orders', { ...mockProcessor, deduplicate: { messageId: 'offset', store: 'flaky' } });
+
+      expect(await registry.processMessage('orders', {}, metadata('1'))).toEqual(expect.objectContaining({ status: 'error', message: 'store down' }));
+
+      store.has.mockResolvedValue(false);
+      store.add.mockRejectedValue(new Error('disk full'));
+      expect((await registry.processMessage('orders', {}, metadata('1'))).status).toBe('success');
+      expect(registry.logger.warn).toHaveBeenCalledWith('Could not record processed message for deduplication', expect.objectContaining({ error: 'disk full' }));
+    });
+
+    it('should refuse invalid deduplication settings', () => {
+      expect(registry.registerProcessor('orders', { ...mockProcessor, deduplicate: { messageId: 'key' } }).error)
+        .toContain('Invalid deduplicate messageId: key');
+      expect(registry.registerProcessor('orders', { ...mockProcessor, deduplicate: { ttl: -5 } }).error)
+        .toContain('Invalid deduplicate ttl: -5');
+      expect(registry.registerProcessor('orders', { ...mockProcessor, deduplicate: { reservationTtl: 0 } }).error)
+        .toContain('Invalid deduplicate reservationTtl: 0');
+      expect(() => registry.getDedupStore('missing')).toThrow('Unknown deduplication store: missing');
+    });
+
+    it('should create the configured store at startup', () => {
+      expect(() => new ProcessorRegistry({ autoRefresh: false, dedupStore: { type: 'file' } }))
+        .toThrow('Deduplication store file path is required');
+      expect(() => new ProcessorRegistry({ autoRefresh: false, dedupStore: { type: 'redis' } }))
+        .toThrow('Invalid deduplication store type: redis');
+    });
+
+    it('should close the stores it created on shutdown and leave store instances open', async () => {
+      const store = { has: jest.fn(), add: jest.fn(), close: jest.fn().mockResolvedValue() };
+      registry.registerDedupStore('shared', store);
+      registry.registerDedupStore('local', { type: 'memory' });
+      const local = registry.getDedupStore('local');
+      const defaultStore = registry.getDedupStore();
+      local.close = jest.fn().mockRejectedValue(new Error('busy'));
+      defaultStore.close = jest.fn().mockResolvedValue();
+
+      await registry.shutdown();
+
+      expect(local.close).toHaveBeenCalled();
+      expect(defaultStore.close).toHaveBeenCalled();
+      expect(store.close).not.toHaveBeenCalled();
+      expect(registry.logger.error).toHaveBeenCalledWith('Error closing deduplication store', { error: 'busy' });
+    });
+  });
+  describe('timeouts', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should fail processors that run past their timeout and abort their signal', async () => {
+      const timeouts = jest.fn();
+      registry.on('processor:timeout', timeouts);
+      let signal;
+      registry.registerProcessor('orders', {
+        timeout: 1000,
+        process: jest.fn((topic, message, metadata, context) => {
+          signal = context.signal;
+          return new Promise(() => {});
+        })
+      });
+      await registry.waitForProcessor('orders');
+
+      const pending = registry.processMessage('orders', { id: 1 }, {}, { topic: 'orders' });
+      await jest.advanceTimersByTimeAsync(1000);
+      const result = await pending;
+
+      expect(result).toEqual(expect.objectContaining({ status: 'error', message: 'Processor default for topic orders timed out after 1000ms' }));
+      expect(result.error).toEqual(expect.objectContaining({ name: 'ProcessorTimeoutError', retryable: true }));
+      expect(signal.aborted).toBe(true);
+      expect(timeouts).toHaveBeenCalledWith(expect.objectContaining({ topic: 'orders', name: 'default', timeout: 1000 }));
+      expect(registry.getRegistryStats().timeouts).toBe(1);
+    });
+
+    it('should not produce outputs of processors that finish after timing out', async () => {
+      const sendBatch = jest.fn();
+      registry.owner = { sendBatch };
+      let finish;
+      registry.registerProcessor('orders', {
+        timeout: 1000,
+        process: jest.fn(() => new Promise(resolve => {
+          finish = resolve;
+        }))
+      });
+      await registry.waitForProcessor('orders');
+
+      const pending = registry.processMessage('orders', {}, {});
+      await jest.advanceTimersByTimeAsync(1000);
+      expect((await pending).status).toBe('error');
+      finish({ status: 'success', outputs: [{ topic: 'audit', value: 1 }] });
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(sendBatch).not.toHaveBeenCalled();
+    });
+
+    it('should apply the registry default to processors without their own timeout', async () => {
+      const configured = new ProcessorRegistry({ autoRefresh: false, processorTimeout: 500 });
+      configured.registerProcessor('orders', { process: jest.fn(() => new Promise(() => {})) });
+      configured.registerProcessor('refunds', { timeout: 0, process: jest.fn().mockResolvedValue({ status: 'success' }) });
+
+      const pending = configured.processMessage('orders', {}, {});
+      await jest.advanceTimersByTimeAsync(500);
+
+      expect((await pending).message).toBe('Processor default for topic orders timed out after 500ms');
+      expect((await configured.processMessage('refunds', {}, {})).status).toBe('success');
+    });
+
+    it('should leave processors that finish in time alone', async () => {
+      registry.registerProcessor('orders', { ...mockProcessor, timeout: 1000 });
+
+      const result = await registry.processMessage('orders', { id: 1 }, {}, { topic: 'orders' });
+
+      expect(result.status).toBe('success');
+      expect(mockProcessor.process).toHaveBeenCalledWith('orders', { id: 1 }, {}, expect.objectContaining({ topic: 'orders', signal: expect.any(AbortSignal) }));
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('should refuse invalid timeouts', () => {
+      expect(registry.registerProcessor('orders', { ...mockProcessor, timeout: 'soon' }).error)
+        .toBe('Invalid processor timeout: soon. Expected a number of milliseconds (0 = no limit)');
+      expect(() => new ProcessorRegistry({ autoRefresh: false, processorTimeout: -1 })).toThrow('Invalid processor timeout: -1');
+    });
+  });
+
+  describe('worker isolation', () => {
+    const { WorkerProcessor } = require('../src/worker-pool');
+    const KafkaTopicProcessor = require('../src/kafka-topic-processor');
+
+    class OrdersProcessor extends KafkaTopicProcessor {
+      static isolation = { poolSize: 2 };
+      static retryPolicy = { maxAttempts: 5 };
+    }
+
+    beforeEach(() => {
+      fs.existsSync.mockReturnValue(false);
+    });
+
+    it('should load isolated processor classes as worker stand-ins', () => {
+      const processor = registry.loadProcessorFromFile('./processors/orders.js', OrdersProcessor);
+
+      expect(processor).toBeInstanceOf(WorkerProcessor);
+      expect(processor.constructor).toBe(OrdersProcessor);
+      expect(processor.constructor.name).toBe('OrdersProcessor');
+      expect(processor.pool.size).toBe(2);
+      expect(processor.pool.restartOnCrash).toBe(true);
+      expect(processor.pool.workerData).toEqual(expect.objectContaining({
+        filePath: require('path').resolve('./processors/orders.js'),
+        topic: 'orders',
+        name: 'default'
+      }));
+    });
+
+    it('should apply the registry default to processors without their own setting', () => {
+      class RefundsProcessor extends KafkaTopicProcessor {}
+      const isolated = new ProcessorRegistry({ autoRefresh: false, isolation: 'worker', workerPoolSize: 3, workerRestartOnCrash: false });
+
+      const processor = isolated.loadProcessorFromFile('./processors/refunds.js', RefundsProcessor);
+
+      expect(processor).toBeInstanceOf(WorkerProcessor);
+      expect(processor.pool.size).toBe(3);
+      expect(processor.pool.restartOnCrash).toBe(false);
+      expect(registry.loadProcessorFromFile('./processors/refunds.js', RefundsProcessor)).toBeInstanceOf(RefundsProcessor);
+    });
+
+    it('should report worker crashes', () => {
+      const crashes = jest.fn();
+      registry.on('processor:crashed', crashes);
+      const processor = registry.loadProcessorFromFile('./processors/orders.js', OrdersProcessor);
+      const error = new Error('Worker exited with code 1');
+
+      processor.pool.onCrash(error, { restarting: true });
+
+      expect(crashes).toHaveBeenCalledWith({ topic: 'orders', name: 'default', error, restarting: true });
+    });
+
+    it('should refuse unknown isolation modes', () => {
+      expect(() => registry.getProcessorIsolation({ isolation: 'process' }))
+        .toThrow('Invalid processor isolation: process. Expected one of none, worker');
+      expect(registry.getProcessorIsolation({ isolation: 'none' })).toBeNull();
+      expect(() => new ProcessorRegistry({ autoRefresh: false, isolation: 'thread' })).toThrow('Invalid processor isolation: thread');
+    });
+  });
 });
@@ -0,0 +1,58 @@
+const { ProcessorTimeoutError, runWithTimeout } = require('../src/processor-timeout');
+
+describe('processor-timeout', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should describe timeouts as retryable errors', () => {
+    const error = new ProcessorTimeoutError('orders', 'audit', 5000);
+
+    expect(error.message).toBe('Processor audit for topic orders timed out after 5000ms');
+    expect(error).toEqual(expect.objectContaining({ name: 'ProcessorTimeoutError', code: 'PROCESSOR_TIMEOUT', retryable: true }));
+  });
+
+  it('should return the result of tasks that finish in time', async () => {
+    const onTimeout = jest.fn();
+
+    await expect(runWithTimeout(async signal => (signal.aborted ? 'aborted' : 'done'), { timeout: 1000, onTimeout }))
+      .resolves.toBe('done');
+    expect(onTimeout).not.toHaveBeenCalled();
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it('should reject and abort the signal once the timeout passes', async () => {
+    const error = new ProcessorTimeoutError('orders', null, 1000);
+    let taskSignal;
+    const pending = runWithTimeout(signal => {
+      taskSignal = signal;
+      return new Promise(() => {});
+    }, { timeout: 1000, onTimeout: () => error });
+    const settled = expect(pending).rejects.toBe(error);
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await settled;
+    expect(taskSignal.aborted).toBe(true);
+    expect(taskSignal.reason).toBe(error);
+  });
+
+  it('should abort the signal when the parent signal aborts', async () => {
+    const parent = new AbortController();
+    let taskSignal;
+    const pending = runWithTimeout(signal => {
+      taskSignal = signal;
+      return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    }, { timeout: 1000, signal: parent.signal, onTimeout: jest.fn() });
+
+    await Promise.resolve();
+    parent.abort(new Error('shutting down'));
+
+    await expect(pending).rejects.toThrow('shutting down');
+    expect(taskSignal.aborted).toBe(true);
+  });
+});
@@ -0,0 +1,112 @@
+const RetryPolicy = require('../src/retry-policy');
+
+describe('RetryPolicy', () => {
+  describe('constructor', () => {
+    it('should use default settings', () => {
+      const policy = new RetryPolicy();
+
+      expect(policy.toJSON()).toEqual({
+        maxAttempts: 3,
+        initialDelay: 100,
+        maxDelay: 30000,
+        multiplier: 2,
+        jitter: 0.2,
+        retryableErrors: [],
+        nonRetryableErrors: []
+      });
+    });
+
+    it('should validate settings', () => {
+      expect(() => new RetryPolicy({ maxAttempts: 0 })).toThrow('Retry policy maxAttempts must be at least 1');
+      expect(() => new RetryPolicy({ jitter: 2 })).toThrow('Retry policy jitter must be between 0 and 1');
+    });
+  });
+
+  describe('from', () => {
+    it('should return existing policies unchanged', () => {
+      const policy = new RetryPolicy();
+
+      expect(RetryPolicy.from(policy)).toBe(policy);
+    });
+
+    it('should merge plain options over defaults', () => {
+      const policy = RetryPolicy.from({ maxAttempts: 5 }, { maxAttempts: 2, initialDelay: 10 });
+
+      expect(policy.maxAttempts).toBe(5);
+      expect(policy.initialDelay).toBe(10);
+    });
+
+    it('should use defaults when no policy is declared', () => {
+      expect(RetryPolicy.from(undefined, { maxAttempts: 7 }).maxAttempts).toBe(7);
+    });
+  });
+
+  describe('shouldRetry', () => {
+    class TransientError extends Error {}
+    class ValidationError extends Error {}
+
+    it('should retry until max attempts are reached', () => {
+      const policy = new RetryPolicy({ maxAttempts: 3 });
+      const error = new Error('Temporary');
+
+      expect(policy.shouldRetry(error, 1)).toBe(true);
+      expect(policy.shouldRetry(error, 2)).toBe(true);
+      expect(policy.shouldRetry(error, 3)).toBe(false);
+    });
+
+    it('should never retry non-retryable error classes or names', () => {
+      const policy = new RetryPolicy({ nonRetryableErrors: [ValidationError, 'SyntaxError', 'E_INVALID'] });
+      const coded = new Error('Invalid');
+      coded.code = 'E_INVALID';
+
+      expect(policy.shouldRetry(new ValidationError('Bad'), 1)).toBe(false);
+      expect(policy.shouldRetry(new SyntaxError('Bad JSON'), 1)).toBe(false);
+      expect(policy.shouldRetry(coded, 1)).toBe(false);
+      expect(policy.shouldRetry(new Error('Other'), 1)).toBe(true);
+    });
+
+    it('should only retry listed errors when retryable errors are configured', () => {
+      const policy = new RetryPolicy({ retryableErrors: [TransientError] });
+
+      expect(policy.shouldRetry(new TransientError('Timeout'), 1)).toBe(true);
+      expect(policy.shouldRetry(new Error('Unknown'), 1)).toBe(false);
+    });
+
+    it('should honour an explicit retryable flag on the error', () => {
+      const policy = new RetryPolicy({ nonRetryableErrors: [ValidationError] });
+      const forced = new ValidationError('Retry me anyway');
+      forced.retryable = true;
+      const fatal = new Error('Fatal');
+      fatal.retryable = false;
+
+      expect(policy.shouldRetry(forced, 1)).toBe(true);
+      expect(policy.shouldRetry(fatal, 1)).toBe(false);
+    });
+  });
+
+  describe('getDelay', () => {
+    it('should back off exponentially without jitter', () => {
+      const policy = new RetryPolicy({ initialDelay: 100, multiplier: 2, jitter: 0 });
+
+      expect(policy.getDelay(1)).toBe(100);
+      expect(policy.getDelay(2)).toBe(200);
+      expect(policy.getDelay(3)).toBe(400);
+    });
+
+    it('should cap delays at maxDelay', () => {
+      const policy = new RetryPolicy({ initialDelay: 1000, maxDelay: 1500, jitter: 0 });
+
+      expect(policy.getDelay(5)).toBe(1500);
+    });
+
+    it('should keep jittered delays within the configured spread', () => {
+      const policy = new RetryPolicy({ initialDelay: 1000, jitter: 0.5 });
+
+      for (let i = 0; i < 50; i++) {
+        const delay = policy.getDelay(1);
+        expect(delay).toBeGreaterThanOrEqual(500);
+        expect(delay).toBeLessThanOrEqual(1500);
+      }
+    });
+  });
+});
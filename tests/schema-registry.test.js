@@ -0,0 +1,144 @@
+const fs = require('fs');
+const { SchemaRegistryClient, LocalSchemaRegistry, createSchemaRegistry } = require('../src/schema-registry');
+
+jest.mock('fs');
+
+describe('Schema Registry', () => {
+  describe('SchemaRegistryClient', () => {
+    let fetch;
+    let client;
+
+    const respond = (body, status = 200) => Promise.resolve({
+      ok: status < 400,
+      status,
+      statusText: 'Status',
+      json: () => Promise.resolve(body)
+    });
+
+    beforeEach(() => {
+      fetch = jest.fn();
+      client = new SchemaRegistryClient({ url: 'http://registry:8081/', username: 'user', password: 'secret', fetch });
+    });
+
+    it('should fetch schemas by id once and send credentials', async () => {
+      fetch.mockReturnValue(respond({ schema: '"string"' }));
+
+      const schema = await client.getSchemaById(7);
+      await client.getSchemaById(7);
+
+      expect(schema).toEqual({ id: 7, schemaType: 'AVRO', schema: '"string"' });
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch).toHaveBeenCalledWith('http://registry:8081/schemas/ids/7', {
+        headers: {
+          Accept: 'application/vnd.schemaregistry.v1+json',
+          Authorization: `Basic ${Buffer.from('user:secret').toString('base64')}`
+        }
+      });
+    });
+
+    it('should fetch subject versions and seed the id cache', async () => {
+      fetch.mockReturnValue(respond({ subject: 'orders-value', id: 3, version: 2, schemaType: 'PROTOBUF', schema: 'syntax = "proto3";' }));
+
+      const schema = await client.getSchema('orders-value');
+      await client.getSchema('orders-value');
+      await client.getSchemaById(3);
+
+      expect(schema).toEqual({ id: 3, subject: 'orders-value', version: 2, schemaType: 'PROTOBUF', schema: 'syntax = "proto3";' });
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch.mock.calls[0][0]).toBe('http://registry:8081/subjects/orders-value/versions/latest');
+    });
+
+    it('should refetch subject versions after the cache TTL', async () => {
+      const shortClient = new SchemaRegistryClient({ url: 'http://registry:8081', cacheTtl: 0, fetch });
+      fetch.mockReturnValue(respond({ id: 1, version: 1, schema: '"int"' }));
+
+      await shortClient.getSchema('orders-value');
+      await shortClient.getSchema('orders-value');
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report registry errors and mark server errors retryable', async () => {
+      fetch.mockReturnValueOnce(respond({ message: 'Subject not found' }, 404));
+      fetch.mockReturnValueOnce(respond({}, 503));
+      fetch.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+      await expect(client.getSchema('missing')).rejects.toMatchObject({
+        message: 'Schema registry request failed: 404 Subject not found',
+        status: 404,
+        retryable: false
+      });
+      await expect(client.getSchemaById(1)).rejects.toMatchObject({ status: 503, retryable: true });
+      await expect(client.getSchemaById(1)).rejects.toMatchObject({
+        message: 'Schema registry request failed: ECONNREFUSED',
+        retryable: true
+      });
+    });
+
+    it('should require a url and a fetch implementation', () => {
+      const originalFetch = globalThis.fetch;
+      delete globalThis.fetch;
+
+      expect(() => new SchemaRegistryClient({})).toThrow('Schema registry url is required');
+      expect(() => new SchemaRegistryClient({ url: 'http://registry' })).toThrow('requires a global fetch');
+
+      globalThis.fetch = originalFetch;
+    });
+  });
+
+  describe('LocalSchemaRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      fs.existsSync.mockReturnValue(true);
+      fs.readdirSync.mockReturnValue(['orders-value.avsc', 'payments-value.proto', 'README.md']);
+      fs.readFileSync.mockImplementation(file => (file.endsWith('.avsc') ? '"string"' : 'syntax = "proto3";'));
+      registry = new LocalSchemaRegistry({ directory: '/schemas' });
+    });
+
+    it('should load schema files as version 1 of their subject', async () => {
+      const orders = await registry.getSchema('orders-value');
+      const payments = await registry.getSchema('payments-value', 1);
+
+      expect(orders).toEqual(expect.objectContaining({ subject: 'orders-value', version: 1, schemaType: 'AVRO', schema: '"string"' }));
+      expect(payments.schemaType).toBe('PROTOBUF');
+      expect(await registry.getSchemaById(orders.id)).toBe(orders);
+      expect(registry.getInfo()).toEqual({ type: 'local', directory: '/schemas', subjects: ['orders-value', 'payments-value'] });
+      expect(fs.readdirSync).toHaveBeenCalledTimes(1);
+    });
+
+    it('should derive stable ids from subject names', async () => {
+      const { id } = await registry.getSchema('orders-value');
+
+      fs.readdirSync.mockReturnValue(['audit-value.avsc', 'orders-value.avsc']);
+      const reloaded = new LocalSchemaRegistry({ directory: '/schemas' });
+
+      expect((await reloaded.getSchema('orders-value')).id).toBe(id);
+    });
+
+    it('should reject unknown subjects, versions and ids', async () => {
+      await expect(registry.getSchema('missing-value')).rejects.toThrow('Schema not found: missing-value version latest');
+      await expect(registry.getSchema('orders-value', 2)).rejects.toThrow('Schema not found: orders-value version 2');
+      await expect(registry.getSchemaById(1)).rejects.toThrow('Schema not found: 1');
+    });
+
+    it('should fail when the directory does not exist', async () => {
+      fs.existsSync.mockReturnValue(false);
+
+      await expect(registry.getSchema('orders-value')).rejects.toThrow('Schema directory not found: /schemas');
+    });
+  });
+
+  describe('createSchemaRegistry', () => {
+    it('should pick the registry type from the configuration', () => {
+      const custom = { getSchemaById: jest.fn(), getSchema: jest.fn() };
+
+      expect(createSchemaRegistry({ url: 'http://registry', fetch: jest.fn() })).toBeInstanceOf(SchemaRegistryClient);
+      expect(createSchemaRegistry({ directory: '/schemas' })).toBeInstanceOf(LocalSchemaRegistry);
+      expect(createSchemaRegistry(custom)).toBe(custom);
+      expect(createSchemaRegistry({})).toBeNull();
+      expect(createSchemaRegistry(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const {
+  createAvroSerde,
+  createProtobufSerde,
+  encodeWireFormat,
+  decodeWireFormat
+} = require('../src/schema-serdes');
+
+const ORDER_V1 = JSON.stringify({
+  type: 'record',
+  name: 'Order',
+  fields: [
+    { name: 'id', type: 'string' },
+    { name: 'amount', type: 'double' }
+  ]
+});
+
+const ORDER_V2 = JSON.stringify({
+  type: 'record',
+  name: 'Order',
+  fields: [
+    { name: 'id', type: 'string' },
+    { name: 'amount', type: 'double' },
+    { name: 'currency', type: 'string', default: 'EUR' }
+  ]
+});
+
+const SHOP_PROTO = `
+syntax = "proto3";
+package shop;
+
+message Order {
+  string id = 1;
+  int64 total = 2;
+  repeated Line lines = 3;
+
+  message Line {
+    string sku = 1;
+    int32 quantity = 2;
+  }
+}
+
+message Refund {
+  string order_id = 1;
+}
+`;
+
+function createRegistry(schemas) {
+  return {
+    getSchemaById: jest.fn(async id => {
+      const schema = schemas.find(entry => entry.id === id);
+      if (!schema) {
+        throw new Error(`Schema not found: ${id}`);
+      }
+      return schema;
+    }),
+    getSchema: jest.fn(async subject => {
+      const versions = schemas.filter(entry => entry.subject === subject);
+      if (versions.length === 0) {
+        throw new Error(`Schema not found: ${subject}`);
+      }
+      return versions[versions.length - 1];
+    })
+  };
+}
+
+describe('Schema Serdes', () => {
+  describe('wire format', () => {
+    it('should frame Avro payloads with the magic byte and schema id', () => {
+      const framed = encodeWireFormat(258, Buffer.from([9]));
+
+      expect([...framed]).toEqual([0, 0, 0, 1, 2, 9]);
+      expect(decodeWireFormat(framed)).toEqual({ schemaId: 258, payload: Buffer.from([9]) });
+    });
+
+    it('should write the first Protobuf message type as a single zero index', () => {
+      const framed = encodeWireFormat(1, Buffer.from([9]), [0]);
+
+      expect([...framed.subarray(5)]).toEqual([0, 9]);
+      expect(decodeWireFormat(framed, { messageIndexes: true }).messageIndexes).toEqual([0]);
+    });
+
+    it('should round-trip nested Protobuf message indexes', () => {
+      const framed = encodeWireFormat(1, Buffer.from([9]), [1, 70]);
+
+      expect(decodeWireFormat(framed, { messageIndexes: true })).toEqual({
+        schemaId: 1,
+        messageIndexes: [1, 70],
+        payload: Buffer.from([9])
+      });
+    });
+
+    it('should reject payloads without the magic byte', () => {
+      expect(() => decodeWireFormat(Buffer.from('{"id":1}'))).toThrow('missing magic byte');
+    });
+  });
+
+  describe('avro', () => {
+    let registry;
+    let serde;
+
+    beforeEach(() => {
+      registry = createRegistry([
+        { id: 1, subject: 'orders-value', version: 1, schemaType: 'AVRO', schema: ORDER_V1 },
+        { id: 2, subject: 'orders-v2', version: 1, schemaType: 'AVRO', schema: ORDER_V2 },
+        { id: 3, subject: 'refunds-value', version: 1, schemaType: 'PROTOBUF', schema: SHOP_PROTO }
+      ]);
+      serde = createAvroSerde(registry);
+    });
+
+    it('should round-trip values with the topic subject', async () => {
+      const encoded = await serde.serialize({ id: 'o-1', amount: 9.5 }, { topic: 'orders' });
+
+      expect(encoded[0]).toBe(0);
+      expect(encoded.readUInt32BE(1)).toBe(1);
+      expect(registry.getSchema).toHaveBeenCalledWith('orders-value', 'latest');
+      expect(await serde.deserialize(encoded, { topic: 'orders' })).toEqual({ id: 'o-1', amount: 9.5 });
+    });
+
+    it('should report invalid fields', async () => {
+      await expect(serde.serialize({ id: 7, amount: 'x' }, { topic: 'orders' })).rejects.toMatchObject({
+        message: 'Value does not match Avro schema orders-value: invalid id, amount',
+        retryable: false
+      });
+    });
+
+    it('should resolve into the schema the reader declares', async () => {
+      const encoded = await serde.serialize({ id: 'o-1', amount: 1 }, { topic: 'orders' });
+
+      const decoded = await serde.deserialize(encoded, { topic: 'orders', valueSchema: 'orders-v2' });
+
+      expect(decoded).toEqual({ id: 'o-1', amount: 1, currency: 'EUR' });
+    });
+
+    it('should reject writer schemas the reader cannot resolve', async () => {
+      const encoded = await serde.serialize({ id: 'o-1', amount: 1, currency: 'USD' }, { valueSchema: { id: 2 } });
+      registry.getSchema.mockResolvedValueOnce({
+        id: 4,
+        subject: 'strict',
+        schemaType: 'AVRO',
+        schema: JSON.stringify({ type: 'record', name: 'Order', fields: [{ name: 'sku', type: 'string' }] })
+      });
+
+      await expect(serde.deserialize(encoded, { valueSchema: 'strict' })).rejects.toMatchObject({ retryable: false });
+    });
+
+    it('should refuse schemas of another type', async () => {
+      await expect(serde.serialize({}, { topic: 'refunds' })).rejects.toThrow('Schema refunds-value is PROTOBUF, expected AVRO');
+    });
+  });
+
+  describe('protobuf', () => {
+    let registry;
+    let serde;
+
+    beforeEach(() => {
+      registry = createRegistry([
+        { id: 10, subject: 'orders-value', version: 1, schemaType: 'PROTOBUF', schema: SHOP_PROTO }
+      ]);
+      serde = createProtobufSerde(registry);
+    });
+
+    it('should encode with the first message type by default', async () => {
+      const encoded = await serde.serialize({ id: 'o-1', total: 1200 }, { topic: 'orders' });
+
+      expect(encoded.readUInt32BE(1)).toBe(10);
+      expect(encoded[5]).toBe(0);
+      expect(await serde.deserialize(encoded, { topic: 'orders' })).toEqual({ id: 'o-1', total: '1200', lines: [] });
+    });
+
+    it('should encode declared and nested message types with their indexes', async () => {
+      const refund = await serde.serialize({ order_id: 'o-1' }, { topic: 'orders', valueSchema: { messageType: 'shop.Refund' } });
+      const line = await serde.serialize({ sku: 'A', quantity: 2 }, { topic: 'orders', valueSchema: { messageType: 'shop.Order.Line' } });
+
+      expect(decodeWireFormat(refund, { messageIndexes: true }).messageIndexes).toEqual([1]);
+      expect(decodeWireFormat(line, { messageIndexes: true }).messageIndexes).toEqual([0, 0]);
+      expect(await serde.deserialize(line, {})).toEqual({ sku: 'A', quantity: 2 });
+    });
+
+    it('should reject messages of a different type than the reader expects', async () => {
+      const refund = await serde.serialize({ order_id: 'o-1' }, { topic: 'orders', valueSchema: { messageType: 'shop.Refund' } });
+
+      await expect(serde.deserialize(refund, { valueSchema: { messageType: 'shop.Order' } })).rejects.toMatchObject({
+        message: 'Expected Protobuf type shop.Order but message is shop.Refund',
+        retryable: false
+      });
+    });
+
+    it('should report invalid values', async () => {
+      await expect(serde.serialize({ id: 'o-1', lines: 'A' }, { topic: 'orders' })).rejects.toMatchObject({
+        message: expect.stringContaining('Value does not match Protobuf type shop.Order'),
+        retryable: false
+      });
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const {
+  SchemaValidator,
+  SchemaValidationError,
+  normalizeInvalidAction
+} = require('../src/schema-validator');
+
+describe('SchemaValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new SchemaValidator();
+    validator.setTopicSchema('users', {
+      type: 'object',
+      required: ['email'],
+      properties: {
+        email: { type: 'string', format: 'email' },
+        tags: { type: 'array', items: { type: 'string' } }
+      },
+      additionalProperties: false
+    });
+  });
+
+  it('should accept valid payloads and topics without a schema', () => {
+    expect(validator.validate('users', { email: 'a@example.com', tags: ['x'] })).toEqual({ valid: true, errors: [] });
+    expect(validator.validate('other', 'anything')).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should report every failing field with its path', () => {
+    const result = validator.validate('users', { email: 'nope', tags: ['x', 2], extra: true });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(error => `${error.path} ${error.keyword}`)).toEqual([
+      '/ additionalProperties',
+      '/email format',
+      '/tags/1 type'
+    ]);
+  });
+
+  it('should reject invalid schemas', () => {
+    expect(() => validator.setTopicSchema('bad', { type: 'nope' })).toThrow('Invalid JSON Schema for topic bad');
+  });
+
+  it('should remove and clear schemas', () => {
+    expect(validator.getTopicSchema('users')).toEqual(expect.objectContaining({ type: 'object' }));
+
+    expect(validator.removeTopicSchema('users')).toBe(true);
+    expect(validator.getTopicSchema('users')).toBeNull();
+
+    validator.setTopicSchema('users', { type: 'object' });
+    validator.clear();
+    expect(validator.validate('users', 'text').valid).toBe(true);
+  });
+
+  it('should reload schemas with an $id', () => {
+    const schema = { $id: 'https://example.com/order.json', type: 'object', required: ['id'] };
+    validator.setTopicSchema('orders', schema);
+
+    validator.setTopicSchema('orders', { ...schema, required: ['id', 'amount'] });
+    expect(validator.validate('orders', { id: 1 }).valid).toBe(false);
+
+    validator.setTopicSchema('orders.retry', schema);
+    validator.removeTopicSchema('orders');
+    validator.setTopicSchema('orders', schema);
+    validator.clear();
+    validator.setTopicSchema('orders', schema);
+    expect(validator.validate('orders', { id: 1 }).valid).toBe(true);
+  });
+
+  describe('SchemaValidationError', () => {
+    it('should summarize errors and never be retried', () => {
+      const error = new SchemaValidationError('users', [
+        { path: '/email', message: 'must match format "email"' },
+        { path: '/', message: "must have required property 'id'" }
+      ]);
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('SchemaValidationError');
+      expect(error.message).toBe(
+        'Message for topic users failed schema validation: /email must match format "email"; / must have required property \'id\''
+      );
+      expect(error.retryable).toBe(false);
+      expect(error.errors).toHaveLength(2);
+    });
+  });
+
+  describe('normalizeInvalidAction', () => {
+    it('should accept the supported actions and the dlq alias', () => {
+      expect(normalizeInvalidAction('reject')).toBe('reject');
+      expect(normalizeInvalidAction('dlq')).toBe('dead-letter');
+      expect(normalizeInvalidAction('log')).toBe('log');
+      expect(() => normalizeInvalidAction('drop')).toThrow('Invalid message action: drop');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { SerdeRegistry, normalizeContentType, BUILT_IN_SERDES } = require('../src/serdes');
+
+describe('Serdes', () => {
+  describe('built-in serdes', () => {
+    it('should round-trip JSON', () => {
+      const { json } = BUILT_IN_SERDES;
+
+      expect(json.deserialize(Buffer.from(json.serialize({ id: 1, tags: ['a'] })))).toEqual({ id: 1, tags: ['a'] });
+    });
+
+    it('should round-trip UTF-8 strings', () => {
+      const { string } = BUILT_IN_SERDES;
+
+      expect(string.serialize(42)).toBe('42');
+      expect(string.deserialize(Buffer.from('héllo'))).toBe('héllo');
+    });
+
+    it('should pass Buffers through unchanged', () => {
+      const { buffer } = BUILT_IN_SERDES;
+      const raw = Buffer.from([0, 1, 2]);
+
+      expect(buffer.serialize(raw)).toBe(raw);
+      expect(buffer.serialize('ab')).toEqual(Buffer.from('ab'));
+      expect(buffer.deserialize(raw)).toBe(raw);
+      expect(() => buffer.serialize({ a: 1 })).toThrow(TypeError);
+    });
+
+    it('should write and read newline-delimited JSON', () => {
+      const { ndjson } = BUILT_IN_SERDES;
+
+      expect(ndjson.serialize([{ a: 1 }, { a: 2 }])).toBe('{"a":1}\n{"a":2}\n');
+      expect(ndjson.serialize({ a: 1 })).toBe('{"a":1}\n');
+      expect(ndjson.deserialize(Buffer.from('{"a":1}\r\n\n{"a":2}'))).toEqual([{ a: 1 }, { a: 2 }]);
+    });
+  });
+
+  describe('normalizeContentType', () => {
+    it('should strip parameters and lower-case the media type', () => {
+      expect(normalizeContentType(Buffer.from('Application/JSON; charset=utf-8'))).toBe('application/json');
+      expect(normalizeContentType(['text/plain'])).toBe('text/plain');
+      expect(normalizeContentType(undefined)).toBeNull();
+    });
+  });
+
+  describe('SerdeRegistry', () => {
+    let serdes;
+
+    beforeEach(() => {
+      serdes = new SerdeRegistry({ topicSerdes: { logs: 'string' } });
+    });
+
+    it('should resolve explicit serde, then topic serde, then content type, then default', () => {
+      expect(serdes.resolve({ topic: 'logs', serde: 'buffer' }).name).toBe('buffer');
+      expect(serdes.resolve({ topic: 'logs', contentType: 'application/x-ndjson' }).name).toBe('string');
+      expect(serdes.resolve({ topic: 'events', contentType: 'application/x-ndjson' }).name).toBe('ndjson');
+      expect(serdes.resolve({ topic: 'events', contentType: 'image/png' }).name).toBe('json');
+    });
+
+    it('should accept codec objects wherever a name is accepted', async () => {
+      const upper = { serialize: value => value.toUpperCase(), deserialize: buffer => buffer.toString().toLowerCase() };
+
+      serdes.setTopicSerde('shout', upper);
+
+      expect((await serdes.serialize('hi', { topic: 'shout' })).value).toBe('HI');
+      expect(serdes.getInfo().topics.shout).toBe('custom');
+    });
+
+    it('should register custom serdes and map their content type', async () => {
+      serdes.register('csv', {
+        contentType: 'text/csv',
+        serialize: row => row.join(','),
+        deserialize: buffer => buffer.toString().split(',')
+      });
+
+      await expect(serdes.serialize(['a', 'b'], { serde: 'csv' })).resolves.toEqual({ value: 'a,b', contentType: 'text/csv' });
+      await expect(serdes.deserialize(Buffer.from('a,b'), { headers: { 'content-type': 'text/csv' } })).resolves.toEqual(['a', 'b']);
+      expect(serdes.getInfo().registered).toContain('csv');
+    });
+
+    it('should reject invalid registrations and unknown names', () => {
+      expect(() => serdes.register('', BUILT_IN_SERDES.json)).toThrow('Serde name must be a valid string');
+      expect(() => serdes.register('broken', { serialize: () => '' })).toThrow('Serde broken must implement serialize and deserialize');
+      expect(() => serdes.setTopicSerde('logs', 'xml')).toThrow('Unknown serde: xml');
+      expect(() => new SerdeRegistry({ serde: 'xml' })).toThrow('Unknown serde: xml');
+    });
+
+    it('should treat null values as tombstones', async () => {
+      const codec = { serialize: jest.fn(), deserialize: jest.fn() };
+      serdes.setTopicSerde('users', codec);
+
+      expect((await serdes.serialize(null, { topic: 'users' })).value).toBeNull();
+      await expect(serdes.deserialize(null, { topic: 'users' })).resolves.toBeNull();
+      expect(codec.serialize).not.toHaveBeenCalled();
+      expect(codec.deserialize).not.toHaveBeenCalled();
+    });
+
+    it('should await asynchronous codecs', async () => {
+      serdes.register('slow', {
+        serialize: async value => `<${value}>`,
+        deserialize: async buffer => buffer.toString().slice(1, -1)
+      });
+
+      expect((await serdes.serialize('x', { serde: 'slow' })).value).toBe('<x>');
+      await expect(serdes.deserialize(Buffer.from('<x>'), { serde: 'slow' })).resolves.toBe('x');
+    });
+
+    it('should remove topic serdes', () => {
+      expect(serdes.removeTopicSerde('logs')).toBe(true);
+      expect(serdes.resolve({ topic: 'logs' }).name).toBe('json');
+      expect(serdes.getInfo()).toEqual({
+        default: 'json',
+        topics: {},
+        registered: ['json', 'string', 'buffer', 'ndjson']
+      });
+    });
+  });
+});
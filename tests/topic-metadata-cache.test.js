@@ -0,0 +1,84 @@
+const TopicMetadataCache = require('../src/topic-metadata-cache');
+
+jest.useFakeTimers();
+
+afterAll(() => {
+  jest.useRealTimers();
+});
+
+describe('TopicMetadataCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new TopicMetadataCache({ ttl: 1000, negativeTtl: 100 });
+  });
+
+  it('should use default TTLs', () => {
+    const defaultCache = new TopicMetadataCache();
+
+    expect(defaultCache.enabled).toBe(true);
+    expect(defaultCache.ttl).toBe(60000);
+    expect(defaultCache.negativeTtl).toBe(5000);
+  });
+
+  it('should count misses and hits', () => {
+    expect(cache.getExists('orders')).toBeUndefined();
+
+    cache.setExists('orders', true);
+
+    expect(cache.getExists('orders')).toBe(true);
+    expect(cache.getStats()).toEqual(expect.objectContaining({ hits: 1, misses: 1, negativeHits: 0, size: 1 }));
+  });
+
+  it('should expire positive entries after the TTL', () => {
+    cache.setTopics(['orders', 'audit']);
+
+    jest.advanceTimersByTime(999);
+    expect(cache.getExists('audit')).toBe(true);
+
+    jest.advanceTimersByTime(2);
+    expect(cache.getExists('audit')).toBeUndefined();
+  });
+
+  it('should expire negative entries after the negative TTL', () => {
+    cache.setExists('missing', false);
+
+    expect(cache.getExists('missing')).toBe(false);
+    expect(cache.getStats().negativeHits).toBe(1);
+
+    jest.advanceTimersByTime(101);
+    expect(cache.getExists('missing')).toBeUndefined();
+  });
+
+  it('should cache partition metadata', () => {
+    const partitions = [{ partitionId: 0, leader: 1 }];
+
+    expect(cache.getPartitions('orders')).toBeUndefined();
+    cache.setPartitions('orders', partitions);
+
+    expect(cache.getPartitions('orders')).toBe(partitions);
+  });
+
+  it('should invalidate a single topic or everything', () => {
+    cache.setTopics(['orders', 'audit']);
+    cache.setPartitions('orders', []);
+
+    cache.invalidate('orders');
+    expect(cache.getExists('orders')).toBeUndefined();
+    expect(cache.getPartitions('orders')).toBeUndefined();
+    expect(cache.getExists('audit')).toBe(true);
+
+    cache.invalidate();
+    expect(cache.getExists('audit')).toBeUndefined();
+    expect(cache.getStats().invalidations).toBe(2);
+  });
+
+  it('should never store entries when disabled', () => {
+    const disabled = new TopicMetadataCache({ enabled: false });
+
+    disabled.setExists('orders', true);
+
+    expect(disabled.getExists('orders')).toBeUndefined();
+    expect(disabled.getStats().size).toBe(0);
+  });
+});
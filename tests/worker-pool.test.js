@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  WorkerPool,
+  WorkerProcessor,
+  WorkerCrashError,
+  serializeError,
+  deserializeError,
+  reviveBuffers
+} = require('../src/worker-pool');
+
+const PROCESSOR_SOURCE = `
+const KafkaTopicProcessor = require(${JSON.stringify(path.resolve(__dirname, '../src/kafka-topic-processor'))});
+
+class IsolatedProcessor extends KafkaTopicProcessor {
+  static isolation = 'worker';
+
+  async init(context) {
+    if (context.config.failInit) {
+      throw new Error('database unreachable');
+    }
+    this.prefix = context.config.prefix;
+  }
+
+  async healthCheck() {
+    return { healthy: true, prefix: this.prefix };
+  }
+
+  async processMessage(message, metadata, context) {
+    if (message.crash) {
+      setImmediate(() => {
+        throw new Error('out of memory');
+      });
+      return new Promise(() => {});
+    }
+    if (message.wait) {
+      return new Promise((resolve, reject) => {
+        const { signal } = context;
+        if (signal.aborted) {
+          reject(signal.reason);
+        }
+        signal.addEventListener('abort', () => reject(signal.reason));
+      });
+    }
+    if (message.fail) {
+      return this.createErrorResult('invalid order', { retryable: false });
+    }
+    const sent = await context.send('audit', { id: message.id });
+    return {
+      message: this.prefix + ':' + message.id,
+      sent,
+      isBuffer: Buffer.isBuffer(metadata.key),
+      raw: Buffer.from('raw')
+    };
+  }
+}
+
+module.exports = IsolatedProcessor;
+`;
+
+describe('worker-pool', () => {
+  let dir;
+  let filePath;
+  let logger;
+
+  const createPool = (options = {}) => new WorkerPool({
+    workerData: { filePath, topic: 'orders', config: { prefix: 'w', ...options.config } },
+    logger,
+    restartDelay: 10,
+    ...options
+  });
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-pool-'));
+    filePath = path.join(dir, 'isolated.js');
+    fs.writeFileSync(filePath, PROCESSOR_SOURCE);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  });
+
+  describe('helpers', () => {
+    it('should carry error names, codes and retry flags across threads', () => {
+      const error = new Error('broker down');
+      error.code = 'ECONNREFUSED';
+      error.retryable = true;
+
+      const copy = deserializeError(structuredClone(serializeError(error)));
+
+      expect(copy).toBeInstanceOf(Error);
+      expect(copy).toEqual(expect.objectContaining({ message: 'broker down', code: 'ECONNREFUSED', retryable: true }));
+      expect(deserializeError(serializeError('plain')).message).toBe('plain');
+    });
+
+    it('should turn cloned buffers back into Buffers', () => {
+      const revived = reviveBuffers(structuredClone({ key: Buffer.from('k'), headers: [{ id: Buffer.from('1') }], count: 2 }));
+
+      expect(Buffer.isBuffer(revived.key)).toBe(true);
+      expect(revived.headers[0].id.toString()).toBe('1');
+      expect(revived.count).toBe(2);
+    });
+  });
+
+  describe('WorkerPool', () => {
+    it('should process messages in a worker and forward context calls', async () => {
+      const pool = createPool();
+      const context = { send: jest.fn().mockResolvedValue([{ partition: 0 }]) };
+
+      try {
+        const result = await pool.run('process', ['orders', { id: 7 }, { key: Buffer.from('7') }], { context });
+
+        expect(result).toEqual(expect.objectContaining({ status: 'success', message: 'w:7', sent: [{ partition: 0 }], isBuffer: true }));
+        expect(Buffer.isBuffer(result.raw)).toBe(true);
+        expect(context.send).toHaveBeenCalledWith('audit', { id: 7 });
+      } finally {
+        await pool.stop('test');
+      }
+    });
+
+    it('should pass error results back to the main thread', async () => {
+      const pool = createPool();
+
+      try {
+        const result = await pool.run('process', ['orders', { fail: true }, {}]);
+
+        expect(result).toEqual(expect.objectContaining({ status: 'error', message: 'invalid order', retryable: false }));
+      } finally {
+        await pool.stop('test');
+      }
+    });
+
+    it('should abort the worker side signal when the main side signal aborts', async () => {
+      const pool = createPool();
+      const controller = new AbortController();
+
+      try {
+        await pool.start();
+        const pending = pool.run('process', ['orders', { wait: true }, {}], { context: {}, signal: controller.signal });
+        setTimeout(() => controller.abort(new Error('timed out')), 50);
+
+        const result = await pending;
+
+        expect(result).toEqual(expect.objectContaining({ status: 'error', message: 'timed out' }));
+        expect(result.error).toBeInstanceOf(Error);
+
+        const aborted = await pool.run('process', ['orders', { wait: true }, {}], { context: {}, signal: controller.signal });
+        expect(aborted.message).toBe('timed out');
+      } finally {
+        await pool.stop('test');
+      }
+    });
+
+    it('should fail messages of a crashed worker with a retryable error and restart it', async () => {
+      const onCrash = jest.fn();
+      const pool = createPool({ onCrash });
+
+      try {
+        const error = await pool.run('process', ['orders', { crash: true }, {}]).catch(caught => caught);
+
+        expect(error).toBeInstanceOf(WorkerCrashError);
+        expect(error.retryable).toBe(true);
+        expect(error.message).toContain('out of memory');
+        expect(onCrash).toHaveBeenCalledWith(error, { restarting: true });
+
+        const result = await pool.run('process', ['orders', { id: 8 }, {}], { context: { send: jest.fn() } });
+        expect(result.message).toBe('w:8');
+        expect(pool.getInfo()).toEqual(expect.objectContaining({ running: true, ready: 1, restarts: 1 }));
+      } finally {
+        await pool.stop('test');
+      }
+    });
+
+    it('should fail later messages right away once the last worker crashed without a restart', async () => {
+      const onCrash = jest.fn();
+      const pool = createPool({ restartOnCrash: false, onCrash });
+
+      try {
+        const crash = await pool.run('process', ['orders', { crash: true }, {}]).catch(caught => caught);
+        expect(onCrash).toHaveBeenCalledWith(crash, { restarting: false });
+        expect(pool.getInfo()).toEqual(expect.objectContaining({ running: false, ready: 0, restarts: 0 }));
+
+        const error = await pool.run('process', ['orders', { id: 8 }, {}]).catch(caught => caught);
+        expect(error).toBeInstanceOf(WorkerCrashError);
+        expect(error.cause).toBe(crash);
+        expect(pool.getInfo()).toEqual(expect.objectContaining({ running: false, ready: 0 }));
+
+        await pool.start();
+        const result = await pool.run('process', ['orders', { id: 9 }, {}], { context: { send: jest.fn() } });
+        expect(result.message).toBe('w:9');
+      } finally {
+        await pool.stop('test');
+      }
+    });
+
+    it('should reject start when the processor fails to initialize', async () => {
+      const pool = createPool({ config: { failInit: true } });
+
+      await expect(pool.start()).rejects.toThrow('database unreachable');
+      expect(pool.getInfo()).toEqual(expect.objectContaining({ running: false, ready: 0 }));
+    });
+
+    it('should reject invalid sizes', () => {
+      expect(() => createPool({ size: 0.5 })).toThrow('Worker pool size must be a positive integer');
+    });
+  });
+
+  describe('WorkerProcessor', () => {
+    it('should pass for the processor class and report the health of every worker', async () => {
+      const ProcessorClass = require(filePath);
+      const processor = new WorkerProcessor(ProcessorClass, {
+        workerData: { filePath, topic: 'orders', config: { prefix: 'w' } },
+        size: 2,
+        logger
+      });
+
+      try {
+        expect(processor.constructor).toBe(ProcessorClass);
+        expect(processor.constructor.isolation).toBe('worker');
+        expect(processor.processBatch).toBeUndefined();
+
+        await processor.init();
+        const health = await processor.healthCheck();
+
+        expect(health.healthy).toBe(true);
+        expect(health.workers).toEqual([{ healthy: true, prefix: 'w' }, { healthy: true, prefix: 'w' }]);
+        expect(health.pool).toEqual(expect.objectContaining({ size: 2, ready: 2 }));
+      } finally {
+        await processor.destroy('test');
+      }
+      expect(processor.pool.getInfo()).toEqual(expect.objectContaining({ running: false, ready: 0 }));
+    });
+  });
+});